@@ -0,0 +1,239 @@
+/**
+ * Inbound authentication and per-key rate limiting
+ * Clients present bridge API keys listed in BRIDGE_API_KEYS_FILE; the upstream only ever sees the
+ * server-side BRIDGE_UPSTREAM_API_KEY. Each key is held to a requests-per-minute and a
+ * tokens-per-day budget, answered with 429 and Retry-After when exhausted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { readInteger } = require('./config');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * SHA-256 of a key, as stored in the key table
+ * @param {string} key - API key
+ * @returns {string} - Hex digest
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Load and validate the key file named by BRIDGE_API_KEYS_FILE
+ * File format: { "keys": [{ "name": "alice", "key": "sk-bridge-...", "rpm": 60, "tokensPerDay": 2000000 }] }
+ * `sha256` (hex digest of the key) may replace `key` so the file holds no usable secrets.
+ * `rpm` and `tokensPerDay` override the BRIDGE_RATE_LIMIT_* defaults; 0 means unlimited.
+ * @param {string|Array} source - Path to the JSON key file, or the keys themselves (inline in the config file)
+ * @param {Object} defaults - { rpm, tokensPerDay }
+ * @returns {Array} - Validated clients { name, hash, rpm, tokensPerDay }
+ */
+function loadKeys(source, defaults) {
+    const file = Array.isArray(source) ? 'the config file' : source;
+    let data = source;
+    if (!Array.isArray(source)) {
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load API keys from ${file}: ${error.message}`);
+        }
+    }
+
+    const keys = Array.isArray(data) ? data : data.keys;
+    if (!Array.isArray(keys)) {
+        throw new Error(`Invalid API keys in ${file}: expected a "keys" array`);
+    }
+
+    return keys.map((entry, index) => {
+        const hasKey = !!entry && typeof entry.key === 'string' && entry.key !== '';
+        const hasHash = !!entry && typeof entry.sha256 === 'string' && entry.sha256 !== '';
+        if (hasKey === hasHash) {
+            throw new Error(`Invalid API key #${index} in ${file}: exactly one of "key" or "sha256" must be a non-empty string`);
+        }
+        if (entry.sha256 && !/^[0-9a-f]{64}$/i.test(entry.sha256)) {
+            throw new Error(`Invalid API key #${index} in ${file}: "sha256" must be a hex SHA-256 digest`);
+        }
+        ['rpm', 'tokensPerDay'].forEach(limit => {
+            if (entry[limit] !== undefined && (!Number.isInteger(entry[limit]) || entry[limit] < 0)) {
+                throw new Error(`Invalid API key #${index} in ${file}: "${limit}" must be a non-negative integer`);
+            }
+        });
+
+        return {
+            name: typeof entry.name === 'string' && entry.name ? entry.name : `key-${index}`,
+            hash: entry.sha256 ? entry.sha256.toLowerCase() : hashKey(entry.key),
+            rpm: entry.rpm !== undefined ? entry.rpm : defaults.rpm,
+            tokensPerDay: entry.tokensPerDay !== undefined ? entry.tokensPerDay : defaults.tokensPerDay
+        };
+    });
+}
+
+/**
+ * Read authentication settings from the environment
+ * Without BRIDGE_API_KEYS_FILE clients are not authenticated (the previous behaviour).
+ * @param {Object} [env] - Settings; reads BRIDGE_API_KEYS_FILE, BRIDGE_RATE_LIMIT_* and BRIDGE_UPSTREAM_API_KEY
+ * @returns {Object} - { clients (null when disabled), upstreamApiKey }
+ */
+function getAuthConfig(env = process.env) {
+    const defaults = {
+        // 0 is unlimited
+        rpm: readInteger(env, 'BRIDGE_RATE_LIMIT_RPM', 0),
+        tokensPerDay: readInteger(env, 'BRIDGE_RATE_LIMIT_TOKENS_PER_DAY', 0)
+    };
+    const file = env.BRIDGE_API_KEYS_FILE;
+
+    return {
+        clients: file ? loadKeys(file, defaults) : null,
+        upstreamApiKey: env.BRIDGE_UPSTREAM_API_KEY || ''
+    };
+}
+
+/**
+ * The API key a client presented: a bearer token, `x-goog-api-key` or `?key=`
+ * @param {Object} req - Express request
+ * @returns {string} - Key ('' when none)
+ */
+function getClientKey(req) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (bearer) {
+        return bearer[1].trim();
+    }
+    return req.headers['x-goog-api-key'] || (req.query && req.query.key) || '';
+}
+
+/**
+ * Show enough of a key to recognise it, as OpenAI does
+ * @param {string} key - API key
+ * @returns {string} - Masked key
+ */
+function maskKey(key) {
+    return key.length > 10 ? `${key.slice(0, 6)}***${key.slice(-4)}` : '***';
+}
+
+/**
+ * Milliseconds until the next UTC midnight, when daily token budgets reset
+ * @param {number} now - Current time (ms)
+ * @returns {number} - Milliseconds left in the day
+ */
+function untilMidnight(now) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return midnight.getTime() - now;
+}
+
+/**
+ * Create the authenticator and rate limiter
+ * @param {Object} config - Settings from getAuthConfig
+ * @returns {Object} - { enabled, authenticate, admit, recordTokens, configure }
+ */
+function createAuthenticator(config) {
+    let enabled = false;
+    let byHash = new Map();
+    // client name -> { requests: [timestamps in the last minute], day, tokens }
+    const usage = new Map();
+
+    const usageFor = (client, now) => {
+        if (!usage.has(client.name)) {
+            usage.set(client.name, { requests: [], day: null, tokens: 0 });
+        }
+        const state = usage.get(client.name);
+        const day = new Date(now).toISOString().slice(0, 10);
+        if (state.day !== day) {
+            state.day = day;
+            state.tokens = 0;
+        }
+        while (state.requests.length > 0 && state.requests[0] <= now - MINUTE) {
+            state.requests.shift();
+        }
+        return state;
+    };
+
+    const authenticator = {
+        get enabled() {
+            return enabled;
+        },
+
+        /**
+         * Replace the key table; usage is kept by client name, so a reload does not reset limits
+         * @param {Object} next - Settings from getAuthConfig
+         */
+        configure(next) {
+            enabled = next.clients !== null;
+            byHash = new Map((next.clients || []).map(client => [client.hash, client]));
+        },
+
+        /**
+         * Look up the client owning a key
+         * @param {string} key - Presented API key
+         * @returns {Object|null} - Client, or null for unknown keys
+         */
+        authenticate(key) {
+            return key ? byHash.get(hashKey(key)) || null : null;
+        },
+
+        /**
+         * Count a request against a client's limits
+         * @param {Object} client - Authenticated client
+         * @returns {Object} - { headers, limited: null | { limit: 'requests'|'tokens', retryAfter (s), message } }
+         */
+        admit(client) {
+            const now = Date.now();
+            const state = usageFor(client, now);
+            let limited = null;
+
+            if (client.rpm && state.requests.length >= client.rpm) {
+                const retryAfter = Math.ceil((state.requests[0] + MINUTE - now) / 1000);
+                limited = {
+                    limit: 'requests',
+                    retryAfter,
+                    message: `Rate limit reached for requests per minute (RPM) on key ${client.name}: ` +
+                        `Limit ${client.rpm}, Used ${state.requests.length}. Please try again in ${retryAfter}s.`
+                };
+            } else if (client.tokensPerDay && state.tokens >= client.tokensPerDay) {
+                const retryAfter = Math.ceil(untilMidnight(now) / 1000);
+                limited = {
+                    limit: 'tokens',
+                    retryAfter,
+                    message: `Rate limit reached for tokens per day (TPD) on key ${client.name}: ` +
+                        `Limit ${client.tokensPerDay}, Used ${state.tokens}. Please try again in ${retryAfter}s.`
+                };
+            } else {
+                state.requests.push(now);
+            }
+
+            const headers = {};
+            if (client.rpm) {
+                headers['x-ratelimit-limit-requests'] = String(client.rpm);
+                headers['x-ratelimit-remaining-requests'] = String(Math.max(0, client.rpm - state.requests.length));
+            }
+            if (client.tokensPerDay) {
+                headers['x-ratelimit-limit-tokens'] = String(client.tokensPerDay);
+                headers['x-ratelimit-remaining-tokens'] = String(Math.max(0, client.tokensPerDay - state.tokens));
+            }
+            return { headers, limited };
+        },
+
+        /**
+         * Charge tokens to a client's daily budget
+         * @param {Object} client - Authenticated client
+         * @param {number} tokens - Prompt plus completion tokens
+         */
+        recordTokens(client, tokens) {
+            if (tokens > 0) {
+                usageFor(client, Date.now()).tokens += tokens;
+            }
+        }
+    };
+
+    authenticator.configure(config);
+    return authenticator;
+}
+
+module.exports = {
+    hashKey,
+    getAuthConfig,
+    getClientKey,
+    maskKey,
+    createAuthenticator
+};
@@ -1,221 +1,1294 @@
 /**
  * Gemini-OpenAI Bridge
- * Minimal implementation to pass tests (TDD Green Phase)
+ * Express server that lets Gemini and OpenAI clients (qwen-code, the Gemini CLI) talk to
+ * OpenAI-compatible or native Ollama backends: requests pass through the transform chain,
+ * routing, the response cache, authentication and the per-upstream queue and pool, and
+ * responses are translated back into the shape the client asked in.
  */
 
+const { randomUUID } = require('crypto');
+const {
+    isGeminiRequest,
+    toGeminiError,
+    toGeminiResponse,
+    createGeminiStreamTranslator
+} = require('./gemini');
+const { createSSEParser, formatSSE, startSSE, createHeartbeat } = require('./sse');
+const { forwardOllamaChat, fetchOllamaModels } = require('./ollama');
+const { estimateRequestTokens, createContextResolver } = require('./tokens');
+
+const { getTrimMode } = require('./context');
+const { loadRoutes, createRouter } = require('./routing');
+const { getPoolConfig, createUpstreamRegistry } = require('./upstreams');
+const { getTimeoutConfig, createDispatcher, createWatchdog, isRetryable, backoffDelay } = require('./timeouts');
+const { parseStreamMode, toUpstreamRequest, adaptStreaming } = require('./streaming');
+const { getLogConfig, configure: configureLogging, logger } = require('./logger');
+const { createBridgeMetrics } = require('./metrics');
+const { getRecordingConfig, createRecorder, createReplayer } = require('./recorder');
+const { getCacheConfig, cacheControl, createResponseCache } = require('./cache');
+const { getAuthConfig, getClientKey, maskKey, createAuthenticator } = require('./auth');
+const { getQueueConfig, requestPriority, createQueueRegistry } = require('./queue');
+const { loadSettings, explainConfigError, changedSettings, watchConfigFile } = require('./config');
+const { getTransformConfig, applyRequestTransforms, createTransformPipeline } = require('./transforms');
+const { getTokenizerConfig, createTokenCounter } = require('./tokenizer');
+const { getReasoningConfig, splitsReasoning, getThinkingConfig, ollamaThink } = require('./reasoning');
+const { getEmulationConfig, toolFormatFor, emulateTools } = require('./emulation');
+const { getRepairConfig, guardToolCalls } = require('./repair');
+
+const DEFAULT_MODEL = 'qwen3-coder:latest';
+
 /**
  * Clean and transform Gemini-style request to OpenAI format
+ * Runs the built-in transforms (see transforms.js) over a copy of the request.
  * @param {Object} geminiRequest - The request from qwen-code
+ * @param {Object} [options] - Cleaning options
+ * @param {number} [options.contextLength] - Model context window; when known, max_tokens is
+ *     clamped to what fits after the prompt instead of the fixed 100000 -> 4096 cap
+ * @param {string} [options.trimMode] - drop/collapse the oldest turns when the prompt outgrows contextLength
+ * @param {string} [options.toolFormat] - Emulate tool calling in the prompt (hermes, json) for models without it
+ * @param {string} [options.backend] - Backend type (openai, ollama); thinking is switched through Ollama's `think`
+ *     parameter instead of the prompt
+ * @param {Object} [options.report] - When given, filled with what was changed (trimmedMessages, trimmedTokens,
+ *     maxTokensCapped, strippedFields, emulatedTools)
+ * @param {Array<string>} [options.disabled] - Names of transforms to skip
+ * @param {Object} [options.log] - Logger for the debug trace of each transform's changes
  * @returns {Object} - Clean OpenAI-compatible request
  */
-function cleanRequest(geminiRequest) {
+function cleanRequest(geminiRequest, options = {}) {
     // Handle null/undefined requests
     if (!geminiRequest) {
         return {
-            model: 'qwen3-coder:latest'
+            model: DEFAULT_MODEL
         };
     }
 
-    // Start with a clean request
-    const cleaned = {
-        model: geminiRequest.model || 'qwen3-coder:latest'
+    const request = { ...geminiRequest, model: geminiRequest.model || DEFAULT_MODEL };
+    const context = {
+        source: geminiRequest,
+        contextLength: options.contextLength,
+        trimMode: options.trimMode,
+        toolFormat: options.toolFormat,
+        backend: options.backend,
+        report: options.report
     };
+    return applyRequestTransforms(request, context, options.disabled, options.log);
+}
 
-    // Preserve messages
-    if (geminiRequest.messages) {
-        cleaned.messages = [...geminiRequest.messages];
+/**
+ * Resolve the Authorization header to send upstream
+ * Gemini clients send their key as `x-goog-api-key` or `?key=` instead of a bearer token.
+ * When the bridge authenticates clients or holds its own upstream key, the client's key is
+ * never passed on (req.upstreamAuthorization is set by the auth middleware).
+ * @param {Object} req - Express request
+ * @returns {string} - Authorization header value ('' when none)
+ */
+function getAuthorization(req) {
+    if (req.upstreamAuthorization !== undefined) {
+        return req.upstreamAuthorization;
+    }
+    if (req.headers.authorization) {
+        return req.headers.authorization;
     }
+    const apiKey = req.headers['x-goog-api-key'] || (req.query && req.query.key);
+    return apiKey ? `Bearer ${apiKey}` : '';
+}
 
-    // Handle systemInstruction - convert to system message
-    if (geminiRequest.systemInstruction && geminiRequest.systemInstruction.parts) {
-        const systemContent = geminiRequest.systemInstruction.parts
-            .map(part => part.text || '')
-            .join('\n');
-        
-        if (systemContent) {
-            // Add system message at the beginning
-            if (!cleaned.messages) {
-                cleaned.messages = [];
-            }
-            cleaned.messages.unshift({
-                role: 'system',
-                content: systemContent
-            });
+/**
+ * Read the backend configuration from the environment
+ * BRIDGE_BACKEND selects how the target is spoken to:
+ * - openai (default): OpenAI-compatible /chat/completions and /models
+ * - ollama: Ollama's native /api/chat and /api/tags, honouring BRIDGE_OLLAMA_OPTIONS / BRIDGE_OLLAMA_KEEP_ALIVE
+ * BRIDGE_TARGET_URLS (comma separated) configures a pool of equivalent targets instead of one.
+ * @param {Object} [env] - Settings; reads BRIDGE_BACKEND, BRIDGE_TARGET_URL(S), BRIDGE_OLLAMA_* and BRIDGE_UPSTREAM_STREAM
+ * @returns {Object} - { type, url, urls, options, keepAlive }
+ */
+function getBackendConfig(env = process.env) {
+    const type = (env.BRIDGE_BACKEND || 'openai').toLowerCase();
+    if (type !== 'openai' && type !== 'ollama') {
+        throw new Error(`Invalid BRIDGE_BACKEND "${env.BRIDGE_BACKEND}" (expected "openai" or "ollama")`);
+    }
+
+    let options;
+    if (env.BRIDGE_OLLAMA_OPTIONS) {
+        try {
+            options = JSON.parse(env.BRIDGE_OLLAMA_OPTIONS);
+        } catch (error) {
+            throw new Error('Invalid BRIDGE_OLLAMA_OPTIONS: ' + error.message);
         }
     }
 
-    // Extract temperature from generationConfig or use direct value
-    if (geminiRequest.temperature !== undefined) {
-        cleaned.temperature = geminiRequest.temperature;
-    } else if (geminiRequest.generationConfig && geminiRequest.generationConfig.temperature !== undefined) {
-        cleaned.temperature = geminiRequest.generationConfig.temperature;
+    const urls = env.BRIDGE_TARGET_URLS
+        ? env.BRIDGE_TARGET_URLS.split(',').map(url => url.trim()).filter(Boolean)
+        : [env.BRIDGE_TARGET_URL || env.OPENAI_BASE_URL];
+
+    return {
+        type,
+        url: urls[0],
+        urls,
+        options,
+        keepAlive: env.BRIDGE_OLLAMA_KEEP_ALIVE,
+        streamMode: parseStreamMode(env.BRIDGE_UPSTREAM_STREAM)
+    };
+}
+
+/**
+ * Forward a cleaned request to the target server's chat completions endpoint
+ * @param {Object} backend - Backend configuration from getBackendConfig, with the upstream `url` and the `dispatcher` to send through
+ * @param {Object} cleanedRequest - OpenAI-compatible request
+ * @param {Object} req - Incoming Express request (for auth/accept headers and Ollama options)
+ * @param {AbortSignal} [signal] - Aborts the upstream request (timeouts, client disconnect)
+ * @returns {Promise<Response>} - Target server response (always OpenAI-shaped)
+ */
+async function forwardChatCompletion(backend, cleanedRequest, req, signal) {
+    req.log.debug('Forwarding request', { upstream: backend.url, backend: backend.type, model: cleanedRequest.model });
+
+    if (backend.type === 'ollama') {
+        const body = req.body || {};
+        return forwardOllamaChat(backend.url, cleanedRequest, {
+            options: { ...backend.options, ...body.options },
+            keep_alive: body.keep_alive !== undefined ? body.keep_alive : backend.keepAlive,
+            think: ollamaThink(body.generationConfig)
+        }, {
+            'Authorization': getAuthorization(req)
+        }, signal, backend.dispatcher);
     }
 
-    // Handle max_tokens with cap for excessive requests
-    let maxTokens = geminiRequest.max_tokens;
-    if (maxTokens === undefined && geminiRequest.generationConfig) {
-        maxTokens = geminiRequest.generationConfig.maxOutputTokens;
+    return fetch(backend.url + '/chat/completions', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': getAuthorization(req),
+            'Accept': req.headers.accept || 'application/json',
+        },
+        body: JSON.stringify(cleanedRequest),
+        signal,
+        dispatcher: backend.dispatcher
+    });
+}
+
+/**
+ * Fetch the target's model list in OpenAI format
+ * @param {Object} backend - Backend configuration from getBackendConfig, with the upstream `url` and the `dispatcher` to send through
+ * @param {Object} req - Incoming Express request (for auth headers)
+ * @returns {Promise<Object>} - OpenAI model list
+ */
+async function fetchModels(backend, req) {
+    const headers = {
+        'Authorization': getAuthorization(req)
+    };
+
+    if (backend.type === 'ollama') {
+        return fetchOllamaModels(backend.url, headers);
     }
-    
-    if (maxTokens !== undefined) {
-        // Cap excessive token requests (qwen-code often requests 200k+)
-        cleaned.max_tokens = maxTokens > 100000 ? 4096 : maxTokens;
+
+    const response = await fetch(backend.url + '/models', { headers });
+    return response.json();
+}
+
+/**
+ * Read an upstream error response
+ * @param {Response} response - Non-ok upstream response
+ * @returns {Promise<Object>} - { data, message } - parsed OpenAI error body and its message
+ */
+async function readUpstreamError(response) {
+    const text = await response.text();
+    let data = { error: { message: text, type: 'upstream_error' } };
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // Not JSON - keep the raw body as the message
     }
+    const message = (data && data.error && (data.error.message || data.error)) || text;
+    return { data, message: String(message) };
+}
 
-    // Preserve other OpenAI-compatible fields
-    const openaiFields = ['top_p', 'frequency_penalty', 'presence_penalty', 'stream', 'stop', 'n'];
-    openaiFields.forEach(field => {
-        if (geminiRequest[field] !== undefined) {
-            cleaned[field] = geminiRequest[field];
+/**
+ * Remember the token usage reported in a stream chunk for the request log
+ * @param {Object} res - Express response
+ * @param {string} data - SSE event data
+ */
+function recordUsage(res, data) {
+    try {
+        const chunk = JSON.parse(data);
+        if (chunk.usage) {
+            res.locals.usage = chunk.usage;
         }
-    });
+    } catch (error) {
+        // Not JSON - nothing to record
+    }
+}
+
+/**
+ * Describe a failure that interrupted a stream
+ * @param {Error} error - Read error, abort reason or upstream failure
+ * @returns {Object} - { status, type, message }
+ */
+function describeStreamError(error) {
+    const status = error.status || 502;
+    const type = status === 504 ? 'upstream_timeout' : (status === 502 ? 'upstream_unavailable' : 'stream_error');
+    return { status, type, message: 'Stream error: ' + error.message };
+}
+
+/**
+ * End a stream whose headers were already sent with an error event
+ * The HTTP status can no longer change, so the failure is reported in-band.
+ * @param {Object} res - Express response
+ * @param {Object} payload - Error event payload (OpenAI or Gemini shaped)
+ * @param {boolean} done - Follow with `data: [DONE]` (OpenAI clients wait for it)
+ */
+function endStreamWithError(res, payload, done) {
+    if (res.writableEnded || res.destroyed) {
+        return;
+    }
+    res.write(formatSSE(payload) + (done ? formatSSE('[DONE]') : ''));
+    res.end();
+}
+
+/**
+ * Relay an upstream OpenAI SSE response to the client event by event
+ * Events are re-framed rather than copied byte for byte, so a broken upstream can never leave a
+ * half-written event behind; failures end the stream with an error event and `[DONE]`.
+ * @param {Response} response - Upstream streaming response
+ * @param {Object} res - Express response
+ * @param {Object} heartbeat - Heartbeat from createHeartbeat, stopped once data flows
+ */
+async function streamOpenAIResponse(response, res, heartbeat) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parser = createSSEParser();
+    let sawDone = false;
+
+    const writeEvents = (events) => {
+        events.forEach(event => {
+            if (event.data === '[DONE]') {
+                sawDone = true;
+            } else if (event.data.includes('"usage"')) {
+                recordUsage(res, event.data);
+            }
+            res.write(formatSSE(event.data, event.event));
+        });
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            heartbeat.stop();
+            startSSE(res, response.status);
+            res.locals.firstChunkAt = res.locals.firstChunkAt || Date.now();
+            writeEvents(parser.push(decoder.decode(value, { stream: true })));
+            if (sawDone) {
+                // [DONE] is final - do not wait on an upstream that keeps the connection open
+                await reader.cancel().catch(() => {});
+                break;
+            }
+        }
+        heartbeat.stop();
+        startSSE(res, response.status);
+        writeEvents(parser.push(decoder.decode()));
+        writeEvents(parser.flush());
+        if (!sawDone) {
+            res.write(formatSSE('[DONE]'));
+        }
+        res.end();
+    } catch (error) {
+        heartbeat.stop();
+        const { type, message } = describeStreamError(error);
+        res.req.log.warn('Stream failed', { error, type });
+        startSSE(res, response.status);
+        endStreamWithError(res, { error: { message, type, code: error.code || null } }, true);
+    }
+}
+
+/**
+ * Stream an upstream OpenAI SSE response to the client as Gemini chunks
+ * @param {Response} response - Upstream streaming response
+ * @param {Object} res - Express response
+ * @param {boolean} sse - SSE framing (`?alt=sse`) or a streamed JSON array (Gemini REST default)
+ * @param {Object} heartbeat - Heartbeat from createHeartbeat, stopped once data flows
+ * @param {Object} [options] - Translator options ({ includeThoughts })
+ */
+async function streamGeminiResponse(response, res, sse, heartbeat, options = {}) {
+    const start = () => {
+        heartbeat.stop();
+        if (sse) {
+            startSSE(res, response.status);
+        } else if (!res.headersSent) {
+            res.status(response.status);
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Cache-Control', 'no-cache');
+        }
+    };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parser = createSSEParser();
+    const translator = createGeminiStreamTranslator(options);
+    let written = 0;
 
-    // NOTE: We intentionally DO NOT copy these Gemini-specific fields:
-    // - generationConfig (extracted what we need)
-    // - safetySettings (not compatible with OpenAI)
-    // - tools (different format)
-    // - toolConfig (not compatible)
-    // - systemInstruction (converted to message)
+    const writeChunks = (chunks) => {
+        chunks.forEach(chunk => {
+            if (sse) {
+                res.write(formatSSE(chunk));
+            } else {
+                res.write((written === 0 ? '[' : ',\r\n') + JSON.stringify(chunk));
+            }
+            written++;
+        });
+    };
 
-    return cleaned;
+    const writeEvents = (events) => {
+        events.forEach(event => {
+            if (event.data === '[DONE]') {
+                return;
+            }
+            let chunk;
+            try {
+                chunk = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            if (chunk.error) {
+                // Error event from the upstream (or the ollama adapter) - surface it as a stream error
+                const upstreamError = new Error(chunk.error.message || String(chunk.error));
+                upstreamError.status = 502;
+                throw upstreamError;
+            }
+            if (chunk.usage) {
+                res.locals.usage = chunk.usage;
+            }
+            writeChunks(translator.push(chunk));
+        });
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            start();
+            res.locals.firstChunkAt = res.locals.firstChunkAt || Date.now();
+            writeEvents(parser.push(decoder.decode(value, { stream: true })));
+        }
+        start();
+        writeEvents(parser.push(decoder.decode()));
+        writeEvents(parser.flush());
+        writeChunks(translator.flush());
+        if (!sse) {
+            res.write(written === 0 ? '[]' : ']');
+        }
+        res.end();
+    } catch (error) {
+        const { status, message } = describeStreamError(error);
+        res.req.log.warn('Stream failed', { error, status });
+        start();
+        if (sse) {
+            endStreamWithError(res, toGeminiError(status, message), false);
+        } else if (!res.writableEnded && !res.destroyed) {
+            // Close the JSON array with the error object so the body stays valid JSON
+            res.write((written === 0 ? '[' : ',\r\n') + JSON.stringify(toGeminiError(status, message)) + ']');
+            res.end();
+        }
+    }
 }
 
 /**
  * Create Express app for the bridge
+ * `app.reload(settings)` applies new settings to the running app.
+ * @param {Object} [settings] - Settings (environment variables, or the merged config file from loadSettings)
  * @returns {Object} - Express app instance
  */
-function createApp() {
+function createApp(settings = process.env) {
     const express = require('express');
     const app = express();
     
+    configureLogging(getLogConfig(settings));
+    const metrics = createBridgeMetrics();
+    
+    // Models the upstream listed on /v1/models
+    const listedModels = new Set();
+    
+    /**
+     * The model label of a metric series
+     * Clients choose the model name, so only models the bridge knows of - the default, those the
+     * routing table names and those the upstream listed - get series of their own.
+     * @param {string} model - Resolved model
+     * @returns {string} - The model, or `other`
+     */
+    const modelLabel = (model) => (model === DEFAULT_MODEL || listedModels.has(model) || router.models().includes(model) ? model : 'other');
+    
+    // Tag every request with an ID (the client's X-Request-Id when it sends a sane one), then log
+    // and record its outcome
+    app.use((req, res, next) => {
+        const clientId = req.get('x-request-id');
+        const requestId = clientId && /^[\w.:-]{1,128}$/.test(clientId) ? clientId : randomUUID();
+        const started = Date.now();
+        const socket = req.socket;
+        const bytesBefore = socket.bytesWritten;
+        req.id = requestId;
+        req.log = logger.child({ requestId });
+        res.setHeader('X-Request-Id', requestId);
+        metrics.inFlight.inc();
+        
+        res.once('close', () => {
+            const finished = Date.now();
+            const status = res.statusCode;
+            const usage = res.locals.usage || {};
+            const level = status >= 500 ? 'error' : (status >= 400 ? 'warn' : (req.path === '/health' ? 'debug' : 'info'));
+            req.log[level]('Request completed', {
+                method: req.method,
+                path: req.path,
+                status,
+                latencyMs: finished - started,
+                model: res.locals.model,
+                upstream: res.locals.upstream,
+                stream: res.locals.stream,
+                queueWaitMs: res.locals.queueWaitMs,
+                promptTokens: usage.prompt_tokens,
+                completionTokens: usage.completion_tokens,
+                aborted: !res.writableFinished || undefined
+            });
+            recordMetrics(req, res, started, finished, socket.bytesWritten - bytesBefore);
+        });
+        next();
+    });
+    
+    /**
+     * Record a finished request in the metrics
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {number} started - Request arrival time (ms)
+     * @param {number} finished - Response end time (ms)
+     * @param {number} bytes - Bytes written to the client
+     */
+    const recordMetrics = (req, res, started, finished, bytes) => {
+        const { upstream, upstreamStart, firstChunkAt, stream } = res.locals;
+        const model = res.locals.model && modelLabel(res.locals.model);
+        const route = res.locals.route || (req.route ? req.route.path : 'unmatched');
+        const usage = res.locals.usage || {};
+        
+        metrics.inFlight.dec();
+        metrics.requests.inc({ route, model, status: res.statusCode });
+        
+        if (upstream && upstreamStart) {
+            metrics.upstreamLatency.observe({ model, upstream }, (finished - upstreamStart) / 1000);
+        }
+        if (stream) {
+            metrics.streamedBytes.inc({ route }, bytes);
+            if (firstChunkAt) {
+                metrics.firstToken.observe({ model }, (firstChunkAt - started) / 1000);
+            }
+        }
+        if (upstream === 'cache') {
+            // Nothing was generated - cached usage would only inflate the token counters
+            return;
+        }
+        if (usage.prompt_tokens) {
+            metrics.promptTokens.inc({ model }, usage.prompt_tokens);
+        }
+        if (usage.completion_tokens) {
+            metrics.completionTokens.inc({ model }, usage.completion_tokens);
+            // Generation time starts at the first streamed chunk when there was one
+            const seconds = (finished - (firstChunkAt || upstreamStart || started)) / 1000;
+            if (seconds > 0) {
+                metrics.tokensPerSecond.observe({ model }, usage.completion_tokens / seconds);
+            }
+        }
+    };
+    
     app.use(express.json({ limit: '50mb' }));
     
-    const TARGET_URL = process.env.BRIDGE_TARGET_URL || process.env.OPENAI_BASE_URL;
+    // Stateful parts - upstream pools, queues, rate limit counters - are created once and
+    // reconfigured on reload; recording is fixed for the life of the process
+    const upstreams = createUpstreamRegistry(getPoolConfig(settings));
+    const queues = createQueueRegistry(getQueueConfig(settings));
+    const auth = createAuthenticator(getAuthConfig(settings));
+    const recording = getRecordingConfig(settings);
+    const recorder = recording.mode === 'record' ? createRecorder(recording.file) : null;
+    const replayer = recording.mode === 'replay' ? createReplayer(recording.file, recording) : null;
+    if (recording.mode) {
+        logger.info(recording.mode === 'record' ? 'Recording exchanges' : 'Replaying recorded exchanges', {
+            file: recording.file,
+            entries: replayer ? replayer.size : undefined
+        });
+    }
+    
+    let backend;
+    let resolveContextLength;
+    let trimMode;
+    let router;
+    let timeouts;
+    let dispatcher;
+    let queueConfig;
+    let cacheConfig;
+    let cache = null;
+    let authConfig;
+    let transforms;
+    let tokenCounter;
+    let emulation;
+    let repair;
+    let reasoning;
+    // Models whose ignored thinkingBudget was already warned about
+    const thinkingWarned = new Set();
+    
+    /**
+     * Apply settings to the app
+     * Everything is validated before anything changes, so invalid settings leave the running
+     * ones in place. Requests in flight finish with the objects they started with.
+     * @param {Object} next - Settings
+     */
+    const applySettings = (next) => {
+        const logConfig = getLogConfig(next);
+        const nextBackend = getBackendConfig(next);
+        const nextRouter = createRouter(loadRoutes(next.BRIDGE_MODEL_ROUTES), nextBackend);
+        const nextResolver = createContextResolver(nextBackend, next);
+        const nextTrimMode = getTrimMode(next);
+        const nextTimeouts = getTimeoutConfig(next);
+        const poolConfig = getPoolConfig(next);
+        const nextQueueConfig = getQueueConfig(next);
+        const nextAuthConfig = getAuthConfig(next);
+        const nextCacheConfig = getCacheConfig(next);
+        const nextTransforms = createTransformPipeline(getTransformConfig(next));
+        const nextTokenCounter = createTokenCounter(getTokenizerConfig(next));
+        const nextEmulation = getEmulationConfig(next);
+        const nextRepair = getRepairConfig(next);
+        const nextReasoning = getReasoningConfig(next);
+        if (JSON.stringify(getRecordingConfig(next)) !== JSON.stringify(recording)) {
+            logger.warn('Recording settings only change on restart');
+        }
+        const cacheChanged = JSON.stringify(nextCacheConfig) !== JSON.stringify(cacheConfig);
+        const nextCache = !cacheChanged ? cache
+            : (nextCacheConfig.mode !== 'off' ? createResponseCache(nextCacheConfig, logger) : null);
+        
+        configureLogging(logConfig);
+        backend = nextBackend;
+        router = nextRouter;
+        resolveContextLength = nextResolver;
+        trimMode = nextTrimMode;
+        if (!timeouts || nextTimeouts.connectTimeout !== timeouts.connectTimeout) {
+            // Requests in flight keep their connections; the old dispatcher closes once they are done
+            if (dispatcher) {
+                dispatcher.close().catch(() => {});
+            }
+            dispatcher = createDispatcher(nextTimeouts.connectTimeout);
+        }
+        timeouts = nextTimeouts;
+        // Health probes have no client request to take a key from, only the bridge's own
+        const probeHeaders = nextAuthConfig.upstreamApiKey ? { 'Authorization': `Bearer ${nextAuthConfig.upstreamApiKey}` } : {};
+        upstreams.configure({ ...poolConfig, headers: probeHeaders }, [backend, ...router.backends()]);
+        queues.configure(nextQueueConfig);
+        queueConfig = nextQueueConfig;
+        auth.configure(nextAuthConfig);
+        authConfig = nextAuthConfig;
+        cacheConfig = nextCacheConfig;
+        cache = nextCache;
+        transforms = nextTransforms;
+        tokenCounter = nextTokenCounter;
+        emulation = nextEmulation;
+        repair = nextRepair;
+        reasoning = nextReasoning;
+        
+        if (cache && cacheChanged) {
+            logger.info('Caching deterministic responses', { mode: cacheConfig.mode, ...cache.status() });
+        }
+        if (auth.enabled) {
+            logger.info('Authenticating clients', { keys: authConfig.clients.length, upstreamKey: !!authConfig.upstreamApiKey });
+        }
+    };
+    applySettings(settings);
+    app.reload = applySettings;
+    
+    /**
+     * Reject a request with an OpenAI-style error (Gemini-style on the Gemini API)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {number} status - HTTP status
+     * @param {Object} error - OpenAI error fields { message, type, code }
+     */
+    const rejectRequest = (req, res, status, error) => {
+        if (req.path.startsWith('/v1beta/')) {
+            return res.status(status).json(toGeminiError(status, error.message));
+        }
+        res.status(status).json({ error: { param: null, ...error } });
+    };
+    
+    // Authenticate clients against the key file, enforce their limits and swap in the upstream key
+    app.use((req, res, next) => {
+        if (req.path === '/health' || req.path === '/metrics') {
+            return next();
+        }
+        if (auth.enabled || authConfig.upstreamApiKey) {
+            req.upstreamAuthorization = authConfig.upstreamApiKey ? `Bearer ${authConfig.upstreamApiKey}` : '';
+        }
+        if (!auth.enabled) {
+            return next();
+        }
+        
+        const key = getClientKey(req);
+        const client = auth.authenticate(key);
+        if (!client) {
+            metrics.authFailures.inc({ reason: key ? 'invalid' : 'missing' });
+            req.log.warn('Rejected unauthenticated request', { path: req.path, reason: key ? 'invalid key' : 'missing key' });
+            return rejectRequest(req, res, 401, key ? {
+                message: `Incorrect API key provided: ${maskKey(key)}. Ask the bridge administrator for a valid key.`,
+                type: 'invalid_request_error',
+                code: 'invalid_api_key'
+            } : {
+                message: 'You didn\'t provide an API key. You need to provide your API key in an Authorization header ' +
+                    'using Bearer auth (i.e. Authorization: Bearer YOUR_KEY).',
+                type: 'invalid_request_error',
+                code: null
+            });
+        }
+        
+        req.apiClient = client;
+        req.log = req.log.child({ client: client.name });
+        // Counting tokens generates nothing, so it is not rate limited
+        if (req.method !== 'POST' || req.path.endsWith(':countTokens') || req.path === '/v1/chat/completions/count_tokens') {
+            return next();
+        }
+        
+        const { headers, limited } = auth.admit(client);
+        res.set(headers);
+        if (limited) {
+            metrics.rateLimited.inc({ client: client.name, limit: limited.limit });
+            req.log.warn('Rate limited', { limit: limited.limit, retryAfter: limited.retryAfter });
+            res.set('Retry-After', String(limited.retryAfter));
+            return rejectRequest(req, res, 429, {
+                message: limited.message,
+                type: limited.limit,
+                code: 'rate_limit_exceeded'
+            });
+        }
+        
+        // Charge the tokens once the response is over; the prompt estimate stands in when the
+        // upstream reports no usage, and cached responses cost nothing
+        res.once('close', () => {
+            if (res.locals.upstream === 'cache') {
+                return;
+            }
+            const usage = res.locals.usage || {};
+            const tokens = usage.total_tokens || ((usage.prompt_tokens || 0) + (usage.completion_tokens || 0)) ||
+                res.locals.estimatedPromptTokens || 0;
+            auth.recordTokens(client, tokens);
+        });
+        next();
+    });
+    
+    /**
+     * Wait for a concurrency slot on an upstream, logging the queue position and wait
+     * @param {Object} member - Pool member the request will be sent to
+     * @param {Object} cleanedRequest - OpenAI-compatible request (decides its priority)
+     * @param {Object} req - Incoming Express request
+     * @param {Object} res - Express response (res.locals.queueWaitMs adds up the wait)
+     * @param {AbortSignal} signal - Aborts the wait when the client goes away
+     * @returns {Promise<Object>} - Slot { release(), waitMs, queued }
+     */
+    const waitForSlot = async (member, cleanedRequest, req, res, signal) => {
+        const priority = requestPriority(req, cleanedRequest, queueConfig);
+        let slot;
+        try {
+            slot = await queues.gateFor(member.url).acquire({
+                id: req.id,
+                client: req.apiClient ? req.apiClient.name : req.ip,
+                priority,
+                signal,
+                onQueued: (position, queueLength) => {
+                    req.log.info('Waiting for an upstream slot', { upstream: member.url, position, queueLength, priority });
+                }
+            });
+        } catch (error) {
+            if (error.code === 'queue_full' || error.code === 'queue_timeout') {
+                metrics.queueRejected.inc({ upstream: member.url, reason: error.code });
+                req.log.warn('Upstream queue rejected request', { upstream: member.url, reason: error.code });
+            }
+            throw error;
+        }
+        
+        if (slot.queued) {
+            res.locals.queueWaitMs = (res.locals.queueWaitMs || 0) + slot.waitMs;
+            metrics.queueWait.observe({ upstream: member.url, priority }, slot.waitMs / 1000);
+            req.log.info('Got an upstream slot', { upstream: member.url, waitMs: slot.waitMs });
+        }
+        return slot;
+    };
+    
+    /**
+     * Forward a request to one upstream of the target's pool
+     * Connection failures, connect timeouts and 502/503 responses happen before anything was
+     * streamed to the client, so the request moves on to the next untried upstream at once;
+     * once every upstream was tried it is retried up to BRIDGE_MAX_RETRIES more rounds with
+     * exponential backoff. The upstream request is aborted when it stalls or the client goes away.
+     * @param {Object} target - Backend the request was routed to
+     * @param {Object} cleanedRequest - OpenAI-compatible request
+     * @param {Object} req - Incoming Express request
+     * @param {Object} res - Express response (the upstream slot is released when it closes)
+     * @returns {Promise<Response>} - Upstream response
+     */
+    const forwardToUpstream = async (target, cleanedRequest, req, res) => {
+        const pool = upstreams.poolFor(target);
+        const busy = (member) => queues.gateFor(member.url).full();
+        res.locals.upstreamStart = Date.now();
+        const tried = new Set();
+        let controller = null;
+        let clientGone = false;
+        let retries = 0;
+        let lastError;
+        let lastResponse;
+        
+        // Stop generating upstream as soon as the client disconnects
+        res.once('close', () => {
+            if (!res.writableFinished) {
+                clientGone = true;
+                if (controller) {
+                    req.log.info('Client disconnected, aborting upstream request');
+                    controller.abort(new Error('Client disconnected'));
+                }
+            }
+        });
+        
+        while (!clientGone) {
+            let member = pool.pick(tried, busy);
+            if (!member) {
+                if (retries >= timeouts.maxRetries) {
+                    break;
+                }
+                const delay = backoffDelay(retries, timeouts.retryBaseDelay);
+                retries++;
+                req.log.info('Retrying upstream request', { delayMs: delay, retry: retries, maxRetries: timeouts.maxRetries });
+                await new Promise(resolve => setTimeout(resolve, delay));
+                tried.clear();
+                member = pool.pick(tried, busy);
+                if (clientGone) {
+                    break;
+                }
+            }
+            
+            tried.add(member.url);
+            controller = new AbortController();
+            let slot;
+            try {
+                slot = await waitForSlot(member, cleanedRequest, req, res, controller.signal);
+            } catch (caught) {
+                if (clientGone) {
+                    break;
+                }
+                // A full queue is turned away at once - another upstream may still have room
+                if (caught.code === 'queue_full' && pool.pick(tried, busy)) {
+                    lastError = caught;
+                    continue;
+                }
+                throw caught;
+            }
+            pool.acquire(member);
+            const watchdog = createWatchdog(controller, timeouts);
+            
+            let response = null;
+            let error = null;
+            try {
+                response = await forwardChatCompletion({ ...target, url: member.url, dispatcher }, toUpstreamRequest(cleanedRequest, target.streamMode), req, controller.signal);
+            } catch (caught) {
+                error = controller.signal.aborted ? controller.signal.reason : caught;
+            }
+            
+            if (response && !isRetryable(null, response)) {
+                res.locals.upstream = member.url;
+                const failure = response.status >= 500 ? new Error(`Upstream returned ${response.status}`) : null;
+                let released = false;
+                // Also called early by a re-prompt, which needs a slot of its own (see completeRequest)
+                res.locals.releaseUpstream = () => {
+                    if (!released) {
+                        released = true;
+                        pool.release(member, failure);
+                        slot.release();
+                    }
+                };
+                res.once('close', res.locals.releaseUpstream);
+                // Streamed or not, the client gets what it asked for
+                return adaptStreaming(watchdog.guard(response), cleanedRequest);
+            }
+            
+            watchdog.clear();
+            if (lastResponse) {
+                // Discard the previous failed attempt's body - only the latest is kept for the client
+                await lastResponse.body?.cancel().catch(() => {});
+            }
+            lastResponse = response;
+            if (response) {
+                error = new Error(`Upstream returned ${response.status}`);
+            }
+            const reason = error.cause && error.cause.code ? `${error.message} (${error.cause.code})` : error.message;
+            req.log.warn('Upstream attempt failed', { upstream: member.url, reason });
+            pool.release(member, new Error(reason));
+            slot.release();
+            
+            if (!isRetryable(error, response)) {
+                throw error;
+            }
+            lastError = new Error(`All upstreams failed, last error: ${reason}`);
+        }
+        
+        if (clientGone) {
+            throw new Error('Client disconnected');
+        }
+        if (lastResponse) {
+            // Out of retries on a 502/503: pass the upstream's own status through
+            return lastResponse;
+        }
+        lastError.status = 502;
+        throw lastError;
+    };
+    
+    /**
+     * Send a cleaned request upstream - or, in replay mode, answer it from the recording
+     * In record mode the exchange is written to the recording as the response is read.
+     * @param {Object} target - Backend the request was routed to
+     * @param {Object} cleanedRequest - OpenAI-compatible request
+     * @param {Object} req - Incoming Express request
+     * @param {Object} res - Express response
+     * @returns {Promise<Response>} - Upstream (or recorded) response
+     */
+    const sendRequest = async (target, cleanedRequest, req, res) => {
+        if (replayer) {
+            res.locals.upstream = 'replay';
+            res.locals.upstreamStart = Date.now();
+            return replayer.respond(cleanedRequest);
+        }
+        if (!recorder) {
+            return forwardToUpstream(target, cleanedRequest, req, res);
+        }
+        
+        const exchange = recorder.start(req, cleanedRequest);
+        try {
+            return exchange.response(await forwardToUpstream(target, cleanedRequest, req, res));
+        } catch (error) {
+            exchange.error(error);
+            throw error;
+        }
+    };
+    
+    /**
+     * Answer a cleaned request from the response cache when it is deterministic, otherwise send it
+     * The outcome is reported in the X-Bridge-Cache response header (HIT, MISS or BYPASS).
+     * @param {Object} target - Backend the request was routed to
+     * @param {Object} cleanedRequest - OpenAI-compatible request
+     * @param {Object} req - Incoming Express request
+     * @param {Object} res - Express response
+     * @returns {Promise<Response>} - Cached, upstream or recorded response
+     */
+    const forwardRequest = async (target, cleanedRequest, req, res) => {
+        if (!cache || !cache.cacheable(cleanedRequest)) {
+            return sendRequest(target, cleanedRequest, req, res);
+        }
+        
+        const control = cacheControl(req.headers);
+        if (control === 'bypass') {
+            cache.count('bypass');
+            metrics.cacheRequests.inc({ result: 'bypass' });
+            res.setHeader('X-Bridge-Cache', 'BYPASS');
+            return sendRequest(target, cleanedRequest, req, res);
+        }
+        
+        const key = cache.key(cleanedRequest, target);
+        const completion = control === 'use' ? await cache.get(key) : null;
+        const result = completion ? 'hit' : 'miss';
+        cache.count(result);
+        metrics.cacheRequests.inc({ result });
+        res.setHeader('X-Bridge-Cache', result.toUpperCase());
+        
+        if (completion) {
+            req.log.debug('Serving cached response', { key });
+            res.locals.upstream = 'cache';
+            // Streaming clients get the cached completion replayed as SSE
+            return adaptStreaming(new Response(JSON.stringify(completion), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            }), cleanedRequest);
+        }
+        
+        const response = await sendRequest(target, cleanedRequest, req, res);
+        return response.ok ? cache.capture(key, response) : response;
+    };
+    
+    /**
+     * Route a request to its target model, run it through the transforms and check it against the model's context window
+     * @param {Object} body - Incoming request body
+     * @param {Object} req - Incoming Express request
+     * @param {Object} res - Express response (reports trimming via X-Bridge-Trimmed-* headers)
+     * @returns {Promise<Object>} - { cleanedRequest, backend, toolFormat, tools, overflowMessage } (toolFormat set when
+     *     tools are emulated, tools are the request's tools even then, overflowMessage set when the prompt cannot fit)
+     */
+    const prepareRequest = async (body, req, res) => {
+        const requestedModel = (body && body.model) || DEFAULT_MODEL;
+        const { model, backend: target, route } = router.resolve(requestedModel);
+        res.locals.model = model;
+        if (route) {
+            req.log.debug('Routed model', { requestedModel, model, upstream: target.url });
+        }
+        
+        const contextLength = await resolveContextLength(model, { 'Authorization': getAuthorization(req) }, target, (body && body.options) || {});
+        const toolFormat = toolFormatFor(emulation, model);
+        const report = {};
+        const cleanedRequest = await transforms.request(cleanRequest({ ...body, model }, {
+            contextLength,
+            trimMode,
+            toolFormat,
+            backend: target.type,
+            report,
+            disabled: transforms.disabled,
+            log: req.log
+        }), req.log);
+        
+        if (report.maxTokensCapped) {
+            metrics.maxTokensCapped.inc({ model: modelLabel(model) });
+        }
+        if (report.strippedFields) {
+            metrics.geminiFieldsStripped.inc({ model: modelLabel(model) });
+        }
+        if (report.thinkingBudgetIgnored) {
+            // Clients send the same budget with every request; warn once per model, the rest at debug
+            const level = thinkingWarned.has(model) ? 'debug' : 'warn';
+            thinkingWarned.add(model);
+            req.log[level]('thinkingBudget cannot be honoured', { model, ...report.thinkingBudgetIgnored });
+        }
+        if (report.trimmedMessages) {
+            metrics.contextTrimmed.inc({ model: modelLabel(model) });
+            req.log.info('Trimmed conversation to fit the context window', {
+                model,
+                contextLength,
+                trimmedMessages: report.trimmedMessages,
+                trimmedTokens: report.trimmedTokens
+            });
+            res.setHeader('X-Bridge-Trimmed-Messages', String(report.trimmedMessages));
+            res.setHeader('X-Bridge-Trimmed-Tokens', String(report.trimmedTokens));
+        }
+        
+        const tools = cleanedRequest.tools || report.emulatedTools;
+        const promptTokens = estimateRequestTokens(cleanedRequest);
+        res.locals.estimatedPromptTokens = promptTokens;
+        if (contextLength && promptTokens >= contextLength) {
+            return {
+                cleanedRequest,
+                backend: target,
+                toolFormat,
+                tools,
+                overflowMessage: `Prompt is approximately ${promptTokens} tokens but ${model} has a context window of ` +
+                    `${contextLength} tokens. Shorten the conversation or use a model with a larger context window.`
+            };
+        }
+        
+        res.locals.stream = cleanedRequest.stream === true;
+        return { cleanedRequest, backend: target, toolFormat, tools };
+    };
+    
+    /**
+     * Send a prepared request and run its response through the response transforms and the
+     * tool-call check (BRIDGE_TOOL_REPAIR)
+     * A re-prompt is sent like any request, non-streamed, once the invalid calls were read; it
+     * frees the first answer's concurrency slot so it cannot end up queued behind itself.
+     * @param {Object} target - Backend the request was routed to
+     * @param {Object} cleanedRequest - OpenAI-compatible request
+     * @param {Object} options - { toolFormat, tools } from prepareRequest, and `gemini` for Gemini clients
+     * @param {Object} req - Incoming Express request
+     * @param {Object} res - Express response
+     * @returns {Promise<Response>} - Response for the client, in OpenAI shape
+     */
+    const completeRequest = async (target, cleanedRequest, options, req, res) => {
+        const { toolFormat, tools, gemini } = options;
+        const model = res.locals.model;
+        // Emulated calls the model wrote as almost-JSON, repaired while they were parsed
+        const repairs = new Map();
+        const responseOptions = {
+            toolFormat,
+            // Gemini clients always need the reasoning apart (a thought part, or dropped)
+            splitReasoning: gemini === true || splitsReasoning(reasoning, model),
+            onToolCallRepair: repair.mode !== 'off' ? (call, made) => repairs.set(call.id, made) : undefined
+        };
+        const response = await transforms.response(await forwardRequest(target, cleanedRequest, req, res), cleanedRequest, req.log, responseOptions);
+        
+        return guardToolCalls(response, {
+            tools,
+            mode: repair.mode,
+            log: req.log,
+            repairs,
+            count: (result) => metrics.toolCallRepairs.inc({ model: modelLabel(model), result }),
+            reprompt: async (messages) => {
+                if (res.locals.releaseUpstream) {
+                    res.locals.releaseUpstream();
+                }
+                const retry = { ...cleanedRequest, stream: false, messages: [...cleanedRequest.messages, ...messages] };
+                delete retry.stream_options;
+                if (toolFormat) {
+                    emulateTools(retry, toolFormat);
+                }
+                req.log.info('Re-prompting for tool call arguments', { model });
+                const answer = await transforms.response(await forwardRequest(target, retry, req, res), retry, req.log, responseOptions);
+                if (!answer.ok) {
+                    await answer.body?.cancel().catch(() => {});
+                    return null;
+                }
+                return answer.json();
+            }
+        });
+    };
+    
+    /**
+     * Count the prompt tokens of a request as it would be sent upstream
+     * The model's tokenizer is used when BRIDGE_TOKENIZERS has one, the heuristic estimate otherwise.
+     * @param {Object} body - Incoming request body (Gemini or OpenAI)
+     * @param {Object} req - Incoming Express request
+     * @param {Object} res - Express response (the X-Bridge-Token-Count header names the method)
+     * @returns {Promise<Object>} - { model, tokens }
+     */
+    const countTokens = async (body, req, res) => {
+        const requestedModel = (body && body.model) || DEFAULT_MODEL;
+        const { model } = router.resolve(requestedModel);
+        res.locals.model = model;
+        
+        const cleanedRequest = await transforms.request(cleanRequest({ ...body, model }, {
+            toolFormat: toolFormatFor(emulation, model),
+            disabled: transforms.disabled,
+            log: req.log
+        }), req.log);
+        const count = tokenCounter.countRequest(model, cleanedRequest);
+        req.log.debug('Counted tokens', { model, tokens: count.tokens, method: count.method });
+        res.setHeader('X-Bridge-Token-Count', count.method);
+        return { model, tokens: count.tokens };
+    };
+    
+    /**
+     * Fetch the default target's models and append the literal aliases from the routing table
+     * @param {Object} req - Incoming Express request
+     * @returns {Promise<Object>} - OpenAI model list
+     */
+    const listModels = async (req) => {
+        const member = upstreams.poolFor(backend).pick();
+        const data = await fetchModels({ ...backend, url: member.url }, req);
+        const known = new Set((data.data || []).map(model => model.id));
+        known.forEach(model => listedModels.add(model));
+        const aliases = router.aliases()
+            .filter(alias => !known.has(alias))
+            .map(alias => ({
+                id: alias,
+                object: 'model',
+                created: 0,
+                owned_by: 'gemini-openai-bridge'
+            }));
+        
+        return { ...data, data: [...(data.data || []), ...aliases] };
+    };
     
     // Health check endpoint
     app.get('/health', (req, res) => {
+        const upstreamStatus = upstreams.status();
+        const degraded = upstreamStatus.some(upstream => !upstream.healthy || upstream.ejected);
+        
         res.json({
-            status: 'healthy',
+            status: degraded ? 'degraded' : 'healthy',
             bridge: 'gemini-openai-bridge',
-            target: TARGET_URL,
+            target: backend.url,
+            backend: backend.type,
+            upstreams: upstreamStatus,
+            queues: queues.enabled ? queues.status() : undefined,
+            cache: cache ? cache.status() : undefined,
+            transforms: transforms.status(),
+            tokenizers: tokenCounter.status().length > 0 ? tokenCounter.status() : undefined,
+            emulatedTools: Object.keys(emulation.table).length > 0 ? emulation.table : undefined,
+            toolRepair: repair.mode,
             uptime: process.uptime()
         });
     });
     
+    // Prometheus metrics
+    app.get('/metrics', (req, res) => {
+        upstreams.status().forEach(upstream => {
+            metrics.upstreamHealthy.set({ upstream: upstream.url }, upstream.healthy && !upstream.ejected ? 1 : 0);
+            metrics.upstreamInFlight.set({ upstream: upstream.url }, upstream.inFlight);
+        });
+        queues.status().forEach(gate => metrics.queueLength.set({ upstream: gate.url }, gate.queued));
+        res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+    });
+    
     // Models endpoint - forward as-is
     app.get('/v1/models', async (req, res) => {
         try {
-            const response = await fetch(TARGET_URL + '/models', {
-                headers: {
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-            
-            const data = await response.json();
+            const data = await listModels(req);
             res.json(data);
         } catch (error) {
             res.status(500).json({ error: 'Failed to fetch models' });
         }
     });
     
-    // Chat completions endpoint - main bridge functionality
-    app.post('/v1/chat/completions', async (req, res) => {
+    // Gemini models listing - translated from the target's OpenAI model list
+    app.get('/v1beta/models', async (req, res) => {
+        try {
+            const data = await listModels(req);
+            res.json({
+                models: (data.data || []).map(model => ({
+                    name: `models/${model.id}`,
+                    displayName: model.id,
+                    supportedGenerationMethods: ['generateContent', 'streamGenerateContent']
+                }))
+            });
+        } catch (error) {
+            res.status(500).json(toGeminiError(500, 'Failed to fetch models'));
+        }
+    });
+    
+    // Native Gemini endpoints: POST /v1beta/models/{model}:generateContent / :streamGenerateContent / :countTokens
+    // Model names may contain ':' (qwen3-coder:latest) and '/', so split on the last ':'
+    app.post('/v1beta/models/*modelAction', async (req, res) => {
+        const modelAction = req.params.modelAction.join('/');
+        const separator = modelAction.lastIndexOf(':');
+        const model = separator === -1 ? modelAction : modelAction.slice(0, separator);
+        const action = separator === -1 ? '' : modelAction.slice(separator + 1);
+        
+        if (action !== 'generateContent' && action !== 'streamGenerateContent' && action !== 'countTokens') {
+            return res.status(404).json(toGeminiError(404, `Unsupported method: ${action || modelAction}`));
+        }
+        
+        res.locals.route = `/v1beta/models/{model}:${action}`;
+        
         try {
-            const DEBUG = process.env.BRIDGE_DEBUG === 'true';
+            if (action === 'countTokens') {
+                // The request to count comes either bare or wrapped as generateContentRequest
+                const body = (req.body && req.body.generateContentRequest) || req.body || {};
+                const { tokens } = await countTokens({ ...body, model }, req, res);
+                return res.json({ totalTokens: tokens });
+            }
+            
+            const stream = action === 'streamGenerateContent';
             
-            console.log(`[${new Date().toISOString()}] Incoming request to bridge`);
+            req.log.debug('Incoming request', { action, model, headers: req.headers, body: req.body });
             
-            if (DEBUG) {
-                console.log('=== INCOMING REQUEST ===');
-                console.log('Headers:', req.headers);
-                console.log('Body:', JSON.stringify(req.body, null, 2));
-                console.log('Messages:', req.body.messages ? req.body.messages.map(m => ({role: m.role, content: m.content?.substring(0, 100) + '...'})) : 'none');
+            const { cleanedRequest, backend: target, toolFormat, tools, overflowMessage } = await prepareRequest({ ...req.body, model, stream }, req, res);
+            if (overflowMessage) {
+                return res.status(400).json(toGeminiError(400, overflowMessage));
+            }
+            if (stream) {
+                // Ask for a trailing usage chunk so the last Gemini chunk carries usageMetadata
+                cleanedRequest.stream_options = { include_usage: true };
             }
             
-            // Clean the request using our tested function
-            const cleanedRequest = cleanRequest(req.body);
+            req.log.debug('Cleaned request', { request: cleanedRequest });
             
-            if (DEBUG) {
-                console.log('=== CLEANED REQUEST ===');
-                console.log(JSON.stringify(cleanedRequest, null, 2));
+            const sse = stream && req.query.alt === 'sse';
+            const heartbeat = createHeartbeat(res, sse ? timeouts.heartbeatInterval : 0);
+            const response = await completeRequest(target, cleanedRequest, { toolFormat, tools, gemini: true }, req, res);
+            
+            if (!response.ok) {
+                heartbeat.stop();
+                const { message } = await readUpstreamError(response);
+                if (res.headersSent) {
+                    return endStreamWithError(res, toGeminiError(response.status, message), false);
+                }
+                return res.status(response.status).json(toGeminiError(response.status, message));
             }
             
-            const targetUrl = TARGET_URL + '/chat/completions';
-            console.log(`Forwarding to: ${targetUrl}`);
+            const { includeThoughts } = getThinkingConfig((req.body || {}).generationConfig);
+            if (stream) {
+                await streamGeminiResponse(response, res, sse, heartbeat, { includeThoughts });
+            } else {
+                const data = await response.json();
+                res.locals.usage = data.usage;
+                res.json(toGeminiResponse(data, { includeThoughts }));
+            }
+        } catch (error) {
+            const status = error.status || 500;
+            req.log.warn('Bridge error', { error });
+            if (res.headersSent) {
+                // Heartbeats already committed the stream
+                return endStreamWithError(res, toGeminiError(status, 'Bridge error: ' + error.message), false);
+            }
+            res.status(status).json(toGeminiError(status, 'Bridge error: ' + error.message));
+        }
+    });
+    
+    // Prompt token count of a chat completion request, without generating anything
+    app.post('/v1/chat/completions/count_tokens', async (req, res) => {
+        try {
+            const { model, tokens } = await countTokens(req.body || {}, req, res);
+            res.json({ object: 'chat.completion.token_count', model, prompt_tokens: tokens });
+        } catch (error) {
+            req.log.warn('Bridge error', { error });
+            res.status(500).json({ error: { message: 'Bridge error: ' + error.message, type: 'bridge_error' } });
+        }
+    });
+    
+    // Chat completions endpoint - main bridge functionality
+    app.post('/v1/chat/completions', async (req, res) => {
+        try {
+            req.log.debug('Incoming request', { headers: req.headers, body: req.body });
+            
+            // Clean the request using our tested function
+            const { cleanedRequest, backend: target, toolFormat, tools, overflowMessage } = await prepareRequest(req.body, req, res);
+            if (overflowMessage) {
+                return res.status(400).json({
+                    error: {
+                        message: overflowMessage,
+                        type: 'invalid_request_error',
+                        code: 'context_length_exceeded'
+                    }
+                });
+            }
+            
+            req.log.debug('Cleaned request', { request: cleanedRequest });
+            
+            // Keep the client's connection alive while the model loads
+            const heartbeat = createHeartbeat(res, cleanedRequest.stream === true ? timeouts.heartbeatInterval : 0);
+            
+            // Gemini-speaking clients get Gemini-shaped responses back
+            const geminiResponse = isGeminiRequest(req.body);
             
             // Forward to target server
-            const response = await fetch(targetUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || '',
-                    'Accept': req.headers.accept || 'application/json',
-                },
-                body: JSON.stringify(cleanedRequest)
+            const response = await completeRequest(target, cleanedRequest, { toolFormat, tools, gemini: geminiResponse }, req, res);
+            
+            req.log.debug('Upstream response', {
+                upstreamStatus: response.status,
+                headers: response.headers,
+                stream: cleanedRequest.stream === true
             });
             
-            if (DEBUG) {
-                console.log('=== TARGET RESPONSE ===');
-                console.log('Status:', response.status);
-                console.log('Headers:', Object.fromEntries(response.headers.entries()));
-                console.log('Stream flag:', cleanedRequest.stream);
-                console.log('Content-Type:', response.headers.get('content-type'));
-            }
+            const { includeThoughts } = getThinkingConfig((req.body || {}).generationConfig);
             
-            // Handle streaming responses
-            if (cleanedRequest.stream === true) {
-                // Copy headers from target response
-                res.status(response.status);
-                response.headers.forEach((value, key) => {
-                    res.setHeader(key, value);
-                });
-                
-                // Stream the response body
-                if (response.body) {
-                    const reader = response.body.getReader();
-                    const decoder = new TextDecoder();
-                    
-                    try {
-                        while (true) {
-                            const { done, value } = await reader.read();
-                            if (done) break;
-                            
-                            const chunk = decoder.decode(value, { stream: true });
-                            res.write(chunk);
-                        }
-                        res.end();
-                    } catch (error) {
-                        res.status(500).json({
-                            error: {
-                                message: 'Stream error: ' + error.message,
-                                type: 'stream_error'
-                            }
-                        });
-                    }
+            // Upstream errors, streamed or not - the body may not even be JSON (a proxy's error page)
+            if (!response.ok) {
+                heartbeat.stop();
+                const { data, message } = await readUpstreamError(response);
+                if (res.headersSent) {
+                    const payload = geminiResponse
+                        ? toGeminiError(response.status, message)
+                        : { error: { message, type: 'upstream_error' } };
+                    return endStreamWithError(res, payload, !geminiResponse);
+                }
+                res.status(response.status).json(geminiResponse ? toGeminiError(response.status, message) : data);
+            } else if (cleanedRequest.stream === true && response.body) {
+                if (geminiResponse) {
+                    await streamGeminiResponse(response, res, true, heartbeat, { includeThoughts });
                 } else {
-                    res.end();
+                    await streamOpenAIResponse(response, res, heartbeat);
                 }
             } else {
-                // Handle non-streaming responses as before
                 const data = await response.json();
-                res.status(response.status).json(data);
+                res.locals.usage = data.usage;
+                res.status(response.status).json(geminiResponse ? toGeminiResponse(data, { includeThoughts }) : data);
             }
             
         } catch (error) {
-            const DEBUG = process.env.BRIDGE_DEBUG === 'true';
-            
-            if (DEBUG) {
-                console.log('=== BRIDGE ERROR ===');
-                console.log('Error:', error.message);
-                console.log('Stack:', error.stack);
-            }
+            req.log.warn('Bridge error', { error });
             
-            res.status(500).json({
+            const body = {
                 error: {
                     message: 'Bridge error: ' + error.message,
-                    type: 'bridge_error'
+                    type: error.type || (error.status === 502 ? 'upstream_unavailable' : (error.status === 504 ? 'upstream_timeout' : 'bridge_error'))
                 }
-            });
+            };
+            if (res.headersSent) {
+                // Heartbeats already committed the stream
+                return endStreamWithError(res, body, true);
+            }
+            res.status(error.status || 500).json(body);
         }
     });
     
@@ -224,72 +1297,100 @@ function createApp() {
 
 /**
  * Start the bridge server
+ * Settings come from BRIDGE_CONFIG_FILE and the environment. SIGHUP - or saving the config
+ * file - reloads them without restarting, so streams in flight carry on.
  */
 function startServer() {
-    console.log('[BRIDGE] Starting bridge server initialization...');
-    console.log('[BRIDGE] Current working directory:', process.cwd());
-    console.log('[BRIDGE] Node version:', process.version);
+    let loaded;
+    try {
+        loaded = loadSettings();
+        configureLogging(getLogConfig(loaded.settings));
+    } catch (error) {
+        logger.error('Invalid configuration', { error: loaded ? explainConfigError(error, loaded) : error });
+        process.exit(1);
+    }
+    const settings = loaded.settings;
+    
+    const PORT = settings.BRIDGE_PORT || 8080;
+    const TARGET_URL = settings.BRIDGE_TARGET_URLS || settings.BRIDGE_TARGET_URL || settings.OPENAI_BASE_URL;
+    
+    logger.info('Starting bridge', {
+        port: PORT,
+        target: TARGET_URL,
+        backend: settings.BRIDGE_BACKEND || 'openai',
+        config: loaded.file || undefined,
+        node: process.version,
+        cwd: process.cwd()
+    });
     
-    // Log ALL environment variables for debugging
-    console.log('[BRIDGE] Environment variables:');
-    Object.keys(process.env).forEach(key => {
+    // Values of API keys, tokens and secrets are redacted by the logger
+    const environment = {};
+    Object.keys(settings).forEach(key => {
         if (key.includes('BRIDGE') || key.includes('OPENAI') || key.includes('GEMINI')) {
-            console.log(`[BRIDGE]   ${key}=${process.env[key]}`);
+            environment[key] = settings[key];
         }
     });
-    
-    const PORT = process.env.BRIDGE_PORT || 8080;
-    const TARGET_URL = process.env.BRIDGE_TARGET_URL || process.env.OPENAI_BASE_URL;
-    const DEBUG = process.env.BRIDGE_DEBUG === 'true';
+    logger.debug('Environment', { environment });
     
     if (!TARGET_URL) {
-        console.error('[BRIDGE] ERROR: No TARGET_URL or OPENAI_BASE_URL defined!');
-        console.error('[BRIDGE] Cannot start bridge without a target URL');
+        logger.error('No target URL configured - set target.url in the config file, BRIDGE_TARGET_URL, BRIDGE_TARGET_URLS or OPENAI_BASE_URL');
         process.exit(1);
     }
     
-    console.log('===========================================');
-    console.log('Gemini-OpenAI Bridge Starting...');
-    console.log(`Bridge Port: ${PORT}`);
-    console.log(`Target URL: ${TARGET_URL}`);
-    console.log(`Debug Mode: ${DEBUG ? 'ON' : 'OFF'}`);
-    console.log('===========================================');
-    
     try {
-        const app = createApp();
+        const app = createApp(settings);
         
         const server = app.listen(PORT, '0.0.0.0', () => {
-            console.log(`\n✅ Gemini-OpenAI Bridge running on port ${PORT}`);
-            console.log(`📡 Forwarding to: ${TARGET_URL}`);
-            console.log('\nWaiting for requests...\n');
-            console.log('[BRIDGE] Server successfully started and listening');
+            logger.info('Bridge listening', { port: PORT, target: TARGET_URL });
         });
         
         server.on('error', (err) => {
-            console.error('[BRIDGE] Server error:', err);
-            if (err.code === 'EADDRINUSE') {
-                console.error(`[BRIDGE] Port ${PORT} is already in use!`);
-            }
+            logger.error(err.code === 'EADDRINUSE' ? `Port ${PORT} is already in use` : 'Server error', { error: err });
             process.exit(1);
         });
         
+        // Reload settings in place; an invalid change is reported and the running settings kept
+        const reload = (reason) => {
+            let next;
+            try {
+                next = loadSettings();
+                app.reload(next.settings);
+            } catch (error) {
+                logger.error('Configuration reload failed, keeping the running configuration', {
+                    reason,
+                    error: next ? explainConfigError(error, next) : error
+                });
+                return;
+            }
+            const changed = changedSettings(loaded.settings, next.settings);
+            if (changed.includes('BRIDGE_PORT')) {
+                logger.warn('The port only changes on restart', { port: PORT });
+            }
+            loaded = next;
+            logger.info('Configuration reloaded', { reason, config: loaded.file || undefined, changed });
+        };
+        process.on('SIGHUP', () => reload('SIGHUP'));
+        if (loaded.file) {
+            watchConfigFile(loaded.file, () => reload('config file changed'));
+        }
+        
         // Handle shutdown gracefully
         process.on('SIGTERM', () => {
-            console.log('\n[BRIDGE] Received SIGTERM, shutting down bridge...');
+            logger.info('Received SIGTERM, shutting down bridge');
             server.close(() => {
-                console.log('[BRIDGE] Server closed');
+                logger.info('Server closed');
                 process.exit(0);
             });
         });
         
         process.on('uncaughtException', (err) => {
-            console.error('[BRIDGE] Uncaught exception:', err);
+            logger.error('Uncaught exception', { error: err });
             process.exit(1);
         });
         
         return server;
     } catch (error) {
-        console.error('[BRIDGE] Failed to start server:', error);
+        logger.error('Failed to start server', { error: explainConfigError(error, loaded) });
         process.exit(1);
     }
 }
@@ -0,0 +1,269 @@
+/**
+ * Response cache for deterministic requests
+ * Requests with temperature 0 are keyed on their cleaned form (model, messages, tools, sampling
+ * settings - not the stream flag) and answered from memory or disk. Entries are stored as one
+ * chat.completion, so a response cached from a streaming request can serve a non-streaming one
+ * and vice versa.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { requestKey } = require('./recorder');
+const { createSSEParser } = require('./sse');
+const { createChunkAggregator } = require('./streaming');
+const { readInteger } = require('./config');
+
+const CACHE_MODES = ['off', 'memory', 'disk'];
+const COUNTERS = { hit: 'hits', miss: 'misses', bypass: 'bypasses' };
+
+/**
+ * Read cache settings from the environment
+ * @param {Object} [env] - Settings; reads BRIDGE_CACHE and BRIDGE_CACHE_*
+ * @returns {Object} - { mode, dir, ttl, maxEntries, maxBytes }
+ */
+function getCacheConfig(env = process.env) {
+    const mode = (env.BRIDGE_CACHE || 'off').toLowerCase();
+    if (!CACHE_MODES.includes(mode)) {
+        throw new Error(`Invalid BRIDGE_CACHE "${env.BRIDGE_CACHE}" (expected ${CACHE_MODES.join(', ')})`);
+    }
+
+    return {
+        mode,
+        dir: env.BRIDGE_CACHE_DIR || path.join(process.cwd(), '.bridge-cache'),
+        ttl: readInteger(env, 'BRIDGE_CACHE_TTL', 3600000),
+        maxEntries: readInteger(env, 'BRIDGE_CACHE_MAX_ENTRIES', 1000),
+        maxBytes: readInteger(env, 'BRIDGE_CACHE_MAX_BYTES', 100 * 1024 * 1024)
+    };
+}
+
+/**
+ * How a request wants the cache treated
+ * `X-Bridge-Cache: bypass` skips the cache entirely; `Cache-Control: no-cache` skips the lookup
+ * but stores the fresh response.
+ * @param {Object} headers - Incoming request headers
+ * @returns {string} - 'use', 'refresh' or 'bypass'
+ */
+function cacheControl(headers) {
+    if (String(headers['x-bridge-cache'] || '').toLowerCase() === 'bypass') {
+        return 'bypass';
+    }
+    if (/no-cache|no-store/i.test(headers['cache-control'] || '')) {
+        return 'refresh';
+    }
+    return 'use';
+}
+
+/**
+ * Read a response body (JSON or SSE) as one chat.completion
+ * @param {Response} response - Successful response
+ * @returns {Promise<Object|null>} - The completion, or null when it is incomplete or an error
+ */
+async function readCompletion(response) {
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('text/event-stream')) {
+        const completion = await response.json();
+        return completion && Array.isArray(completion.choices) ? completion : null;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parser = createSSEParser();
+    const aggregator = createChunkAggregator();
+    let finished = false;
+    let failed = false;
+
+    const push = (events) => {
+        events.forEach(event => {
+            if (event.data === '[DONE]') {
+                return;
+            }
+            try {
+                const chunk = JSON.parse(event.data);
+                if (chunk.error) {
+                    failed = true;
+                    return;
+                }
+                finished = finished || (chunk.choices || []).some(choice => choice.finish_reason);
+                aggregator.push(chunk);
+            } catch (error) {
+                failed = true;
+            }
+        });
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        push(parser.push(decoder.decode(value, { stream: true })));
+    }
+    push(parser.push(decoder.decode()));
+    push(parser.flush());
+
+    // A stream cut short has no finish_reason - never cache half an answer
+    return finished && !failed ? aggregator.result() : null;
+}
+
+/**
+ * Create the response cache
+ * @param {Object} config - Settings from getCacheConfig
+ * @param {Object} log - Logger
+ * @returns {Object} - { cacheable, key, get, count, capture, status }
+ */
+function createResponseCache(config, log) {
+    // key -> { storedAt, size, completion (memory mode) }; Map order doubles as LRU order
+    const entries = new Map();
+    let bytes = 0;
+    const stats = { hits: 0, misses: 0, bypasses: 0, stores: 0, evictions: 0 };
+
+    const fileFor = (key) => path.join(config.dir, `${key}.json`);
+
+    if (config.mode === 'disk') {
+        fs.mkdirSync(config.dir, { recursive: true });
+        fs.readdirSync(config.dir)
+            .filter(name => /^[0-9a-f]{64}\.json$/.test(name))
+            .map(name => ({ name, stat: fs.statSync(path.join(config.dir, name)) }))
+            .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+            .forEach(({ name, stat }) => {
+                entries.set(name.slice(0, 64), { storedAt: stat.mtimeMs, size: stat.size });
+                bytes += stat.size;
+            });
+    }
+
+    const forget = (key) => {
+        const entry = entries.get(key);
+        if (entry) {
+            entries.delete(key);
+            bytes -= entry.size;
+        }
+        return !!entry;
+    };
+
+    const remove = (key) => {
+        if (forget(key) && config.mode === 'disk') {
+            fs.promises.unlink(fileFor(key)).catch(() => {});
+        }
+    };
+
+    const evict = () => {
+        while (entries.size > 0 &&
+            ((config.maxEntries && entries.size > config.maxEntries) || (config.maxBytes && bytes > config.maxBytes))) {
+            remove(entries.keys().next().value);
+            stats.evictions++;
+        }
+    };
+
+    const store = async (key, completion) => {
+        const text = JSON.stringify(completion);
+        const size = Buffer.byteLength(text);
+        if (config.maxBytes && size > config.maxBytes) {
+            return;
+        }
+        if (config.mode === 'disk') {
+            const file = fileFor(key);
+            await fs.promises.writeFile(file + '.tmp', text);
+            await fs.promises.rename(file + '.tmp', file);
+        }
+        // The file was just overwritten - only the old index entry goes
+        forget(key);
+        entries.set(key, { storedAt: Date.now(), size, completion: config.mode === 'memory' ? completion : undefined });
+        bytes += size;
+        stats.stores++;
+        evict();
+    };
+
+    evict();
+
+    return {
+        /**
+         * Whether a cleaned request is deterministic enough to cache
+         * @param {Object} cleanedRequest - OpenAI-compatible request
+         * @returns {boolean} - True for temperature 0 single-choice requests
+         */
+        cacheable(cleanedRequest) {
+            return cleanedRequest.temperature === 0 && (cleanedRequest.n === undefined || cleanedRequest.n === 1);
+        },
+
+        /**
+         * Cache key of a cleaned request - streaming does not change the answer, so it is left out;
+         * the target does, since the same model name can mean different models on different servers
+         * @param {Object} cleanedRequest - OpenAI-compatible request
+         * @param {Object} target - Backend the request was routed to
+         * @returns {string} - Cache key
+         */
+        key(cleanedRequest, target) {
+            const { stream, stream_options, ...rest } = cleanedRequest;
+            return requestKey({ ...rest, target: target.urls || [target.url] });
+        },
+
+        /**
+         * Look up a cached completion
+         * @param {string} key - Cache key
+         * @returns {Promise<Object|null>} - Cached chat.completion, or null when missing or expired
+         */
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                return null;
+            }
+            if (config.ttl && Date.now() - entry.storedAt > config.ttl) {
+                remove(key);
+                return null;
+            }
+            try {
+                const completion = entry.completion || JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+                // Most recently used entries are evicted last
+                entries.delete(key);
+                entries.set(key, entry);
+                return completion;
+            } catch (error) {
+                remove(key);
+                return null;
+            }
+        },
+
+        /**
+         * Count a lookup outcome for /health
+         * @param {string} result - 'hit', 'miss' or 'bypass'
+         */
+        count(result) {
+            stats[COUNTERS[result]]++;
+        },
+
+        /**
+         * Store a response in the cache once the client has read it
+         * @param {string} key - Cache key
+         * @param {Response} response - Successful upstream response
+         * @returns {Response} - Equivalent response for the client
+         */
+        capture(key, response) {
+            if (!response.body) {
+                return response;
+            }
+            const [client, copy] = response.body.tee();
+            const init = { status: response.status, statusText: response.statusText, headers: response.headers };
+
+            readCompletion(new Response(copy, init))
+                .then(completion => completion && store(key, completion))
+                .catch(error => log.debug('Response not cached', { error }));
+
+            return new Response(client, init);
+        },
+
+        status() {
+            const lookups = stats.hits + stats.misses;
+            return {
+                mode: config.mode,
+                entries: entries.size,
+                bytes,
+                ...stats,
+                hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null
+            };
+        }
+    };
+}
+
+module.exports = {
+    getCacheConfig,
+    cacheControl,
+    createResponseCache
+};
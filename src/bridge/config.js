@@ -0,0 +1,303 @@
+/**
+ * Configuration file
+ * A YAML or JSON file (BRIDGE_CONFIG_FILE) groups the bridge settings into sections. Every key
+ * maps onto one of the BRIDGE_* environment variables, so the file and the environment are two
+ * sources of the same settings: values from the file are used unless the variable is set (non
+ * empty) in the environment, and every module keeps reading a flat settings map.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// File keys and the settings they set; `list` values may be arrays (joined with commas),
+// `json` values mappings (serialized), `inline` values a file path or the list itself
+const SCHEMA = {
+    port: 'BRIDGE_PORT',
+    target: {
+        url: 'BRIDGE_TARGET_URL',
+        urls: { name: 'BRIDGE_TARGET_URLS', type: 'list' },
+        backend: 'BRIDGE_BACKEND',
+        stream: 'BRIDGE_UPSTREAM_STREAM',
+        apiKey: 'BRIDGE_UPSTREAM_API_KEY',
+        ollamaOptions: { name: 'BRIDGE_OLLAMA_OPTIONS', type: 'json' },
+        ollamaKeepAlive: 'BRIDGE_OLLAMA_KEEP_ALIVE'
+    },
+    pool: {
+        strategy: 'BRIDGE_UPSTREAM_STRATEGY',
+        healthCheckInterval: 'BRIDGE_HEALTH_CHECK_INTERVAL',
+        maxFailures: 'BRIDGE_UPSTREAM_MAX_FAILURES',
+        ejectMs: 'BRIDGE_UPSTREAM_EJECT_MS'
+    },
+    routes: { name: 'BRIDGE_MODEL_ROUTES', type: 'inline' },
+    context: {
+        trim: 'BRIDGE_CONTEXT_TRIM',
+        defaultLength: 'BRIDGE_DEFAULT_CONTEXT_LENGTH',
+        models: { name: 'BRIDGE_MODEL_CONTEXT', type: 'json' },
+        tokenizers: { name: 'BRIDGE_TOKENIZERS', type: 'json' }
+    },
+    timeouts: {
+        connect: 'BRIDGE_CONNECT_TIMEOUT',
+        firstByte: 'BRIDGE_FIRST_BYTE_TIMEOUT',
+        idle: 'BRIDGE_IDLE_TIMEOUT',
+        maxRetries: 'BRIDGE_MAX_RETRIES',
+        retryBaseDelay: 'BRIDGE_RETRY_BASE_DELAY',
+        heartbeat: 'BRIDGE_SSE_HEARTBEAT'
+    },
+    logging: {
+        level: 'BRIDGE_LOG_LEVEL',
+        format: 'BRIDGE_LOG_FORMAT',
+        content: 'BRIDGE_LOG_CONTENT'
+    },
+    recording: {
+        recordFile: 'BRIDGE_RECORD_FILE',
+        replayFile: 'BRIDGE_REPLAY_FILE',
+        replayMatch: 'BRIDGE_REPLAY_MATCH',
+        replayTiming: 'BRIDGE_REPLAY_TIMING'
+    },
+    cache: {
+        mode: 'BRIDGE_CACHE',
+        dir: 'BRIDGE_CACHE_DIR',
+        ttl: 'BRIDGE_CACHE_TTL',
+        maxEntries: 'BRIDGE_CACHE_MAX_ENTRIES',
+        maxBytes: 'BRIDGE_CACHE_MAX_BYTES'
+    },
+    auth: {
+        keys: { name: 'BRIDGE_API_KEYS_FILE', type: 'inline' },
+        rpm: 'BRIDGE_RATE_LIMIT_RPM',
+        tokensPerDay: 'BRIDGE_RATE_LIMIT_TOKENS_PER_DAY'
+    },
+    queue: {
+        maxConcurrency: 'BRIDGE_MAX_CONCURRENCY',
+        maxQueue: 'BRIDGE_MAX_QUEUE',
+        timeout: 'BRIDGE_QUEUE_TIMEOUT',
+        policy: 'BRIDGE_QUEUE_POLICY',
+        prioritizeStreaming: 'BRIDGE_QUEUE_PRIORITIZE_STREAMING',
+        priorityHeader: 'BRIDGE_QUEUE_PRIORITY_HEADER'
+    },
+    transforms: {
+        dir: 'BRIDGE_TRANSFORMS_DIR',
+        disable: { name: 'BRIDGE_TRANSFORMS_DISABLE', type: 'list' }
+    },
+    tools: {
+        emulate: { name: 'BRIDGE_EMULATED_TOOLS', type: 'json' },
+        repair: 'BRIDGE_TOOL_REPAIR'
+    },
+    reasoning: {
+        split: { name: 'BRIDGE_SPLIT_REASONING', type: 'list' }
+    }
+};
+
+/**
+ * Whether a value is a plain mapping
+ * @param {*} value - Value to test
+ * @returns {boolean} - True for objects that are not arrays
+ */
+function isMapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read a non-negative integer setting
+ * The one parser for counts, limits and milliseconds, so every module rejects bad values the same way.
+ * @param {Object} env - Settings
+ * @param {string} name - Setting name
+ * @param {number} fallback - Value when the setting is unset or empty
+ * @returns {number} - Value
+ */
+function readInteger(env, name, fallback) {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < 0) {
+        throw new Error(`Invalid ${name} "${value}" (expected a non-negative integer)`);
+    }
+    return parsed;
+}
+
+/**
+ * Parse a config file as JSON (.json) or YAML (anything else)
+ * @param {string} file - Config file path
+ * @returns {Object} - Parsed document
+ */
+function readConfigFile(file) {
+    let data;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+    } catch (error) {
+        throw new Error(`Failed to load config from ${file}: ${error.message}`);
+    }
+    if (data === undefined || data === null) {
+        return {};
+    }
+    if (!isMapping(data)) {
+        throw new Error(`Invalid config file ${file}: expected a mapping of sections at the top level`);
+    }
+    return data;
+}
+
+/**
+ * Convert one config file value to its setting
+ * @param {*} value - Value from the file
+ * @param {Object} spec - { name, type }
+ * @param {string} key - Dotted key, for error messages
+ * @param {string} file - Config file, for error messages
+ * @returns {*} - Setting value (a string, or the list itself for `inline` settings)
+ */
+function toSetting(value, spec, key, file) {
+    const invalid = (expected) => new Error(`Invalid config file ${file}: "${key}" must be ${expected}`);
+
+    if (spec.type === 'json') {
+        if (!isMapping(value)) {
+            throw invalid('a mapping');
+        }
+        return JSON.stringify(value);
+    }
+    if (spec.type === 'list' && Array.isArray(value)) {
+        if (value.some(item => typeof item !== 'string')) {
+            throw invalid('a list of strings');
+        }
+        return value.join(',');
+    }
+    if (spec.type === 'inline' && Array.isArray(value)) {
+        return value;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw invalid(spec.type === 'inline' ? 'a file path or a list' : (spec.type === 'list' ? 'a string or a list of strings' : 'a string, number or boolean'));
+    }
+    return String(value);
+}
+
+/**
+ * Flatten a config file into settings, rejecting unknown keys and misplaced values
+ * @param {Object} data - Parsed config file
+ * @param {string} file - Config file path
+ * @returns {Object} - { values: { NAME: value }, keys: { NAME: 'dotted.key' } }
+ */
+function flattenConfig(data, file) {
+    const values = {};
+    const keys = {};
+
+    const walk = (node, schema, prefix) => {
+        Object.keys(node).forEach(name => {
+            const key = prefix ? `${prefix}.${name}` : name;
+            const entry = schema[name];
+            if (entry === undefined) {
+                const known = Object.keys(schema).join(', ');
+                throw new Error(`Invalid config file ${file}: unknown key "${key}" (expected one of ${known})`);
+            }
+
+            const value = node[name];
+            const leaf = typeof entry === 'string' || typeof entry.name === 'string';
+            if (!leaf) {
+                if (value === null || value === undefined) {
+                    return;
+                }
+                if (!isMapping(value)) {
+                    throw new Error(`Invalid config file ${file}: "${key}" must be a mapping`);
+                }
+                walk(value, entry, key);
+                return;
+            }
+            if (value === null || value === undefined) {
+                return;
+            }
+
+            const spec = typeof entry === 'string' ? { name: entry } : entry;
+            values[spec.name] = toSetting(value, spec, key, file);
+            keys[spec.name] = key;
+        });
+    };
+
+    walk(data, SCHEMA, '');
+    return { values, keys };
+}
+
+/**
+ * Build the bridge settings from the config file and the environment
+ * Variables set in the environment win over the file; empty ones (as docker-compose passes
+ * for unset variables) do not.
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} - { settings, file, keys } - keys maps settings taken from the file to their dotted key
+ */
+function loadSettings(env = process.env) {
+    const file = env.BRIDGE_CONFIG_FILE;
+    const settings = { ...env };
+    const keys = {};
+    if (!file) {
+        return { settings, file: null, keys };
+    }
+
+    const flat = flattenConfig(readConfigFile(file), file);
+    Object.keys(flat.values).forEach(name => {
+        if (env[name] === undefined || env[name] === '') {
+            settings[name] = flat.values[name];
+            keys[name] = flat.keys[name];
+        }
+    });
+    return { settings, file, keys };
+}
+
+/**
+ * Point a settings error at the config file key it came from
+ * Errors name the setting (BRIDGE_CACHE...); for settings read from the file that name is
+ * replaced by the file's key, so `Invalid BRIDGE_CACHE "x"` reads `Invalid cache.mode "x" in bridge.yaml`.
+ * @param {Error} error - Error raised while applying the settings
+ * @param {Object} loaded - Result of loadSettings
+ * @returns {Error} - Error with a message naming the file key
+ */
+function explainConfigError(error, loaded) {
+    const name = Object.keys(loaded.keys)
+        .sort((a, b) => b.length - a.length)
+        .find(candidate => new RegExp(`\\b${candidate}\\b`).test(error.message));
+    if (!name) {
+        return error;
+    }
+    return new Error(error.message.replace(new RegExp(`\\b${name}\\b`), loaded.keys[name]) + ` in ${loaded.file}`);
+}
+
+/**
+ * Names of the settings that differ between two settings maps
+ * @param {Object} previous - Settings before a reload
+ * @param {Object} next - Settings after it
+ * @returns {Array<string>} - Changed setting names
+ */
+function changedSettings(previous, next) {
+    const names = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    return [...names]
+        .filter(name => name.startsWith('BRIDGE_') || name === 'OPENAI_BASE_URL')
+        .filter(name => JSON.stringify(previous[name]) !== JSON.stringify(next[name]))
+        .sort();
+}
+
+/**
+ * Call a function whenever the config file changes
+ * The file is polled rather than watched so editors that replace it on save are noticed too.
+ * @param {string} file - Config file
+ * @param {Function} onChange - Called after each change
+ * @returns {Object} - { stop() }
+ */
+function watchConfigFile(file, onChange) {
+    const listener = (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+            onChange();
+        }
+    };
+    fs.watchFile(file, { interval: 1000, persistent: false }, listener);
+    return {
+        stop() {
+            fs.unwatchFile(file, listener);
+        }
+    };
+}
+
+module.exports = {
+    readInteger,
+    loadSettings,
+    explainConfigError,
+    changedSettings,
+    watchConfigFile
+};
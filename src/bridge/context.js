@@ -0,0 +1,151 @@
+/**
+ * Conversation trimming for prompts that outgrow the model context window
+ * Ollama silently drops the *beginning* of an oversized prompt - including the system
+ * prompt - so the bridge trims the oldest middle turns itself instead.
+ */
+
+const { estimateMessageTokens } = require('./tokens');
+
+const TRIM_MODES = ['off', 'drop', 'collapse'];
+// A collapsed turn is summarised by its first line, cut to this many characters
+const SUMMARY_LINE_LENGTH = 100;
+// Only the most recent collapsed turns are listed; older ones are only counted
+const SUMMARY_TURNS = 20;
+
+/**
+ * Read the trimming mode from BRIDGE_CONTEXT_TRIM
+ * @param {Object} [env] - Settings
+ * @returns {string} - off (default), drop or collapse
+ */
+function getTrimMode(env = process.env) {
+    const mode = (env.BRIDGE_CONTEXT_TRIM || 'off').toLowerCase();
+    if (!TRIM_MODES.includes(mode)) {
+        throw new Error(`Invalid BRIDGE_CONTEXT_TRIM "${env.BRIDGE_CONTEXT_TRIM}" (expected ${TRIM_MODES.join(', ')})`);
+    }
+    return mode;
+}
+
+/**
+ * Group messages into units that must be kept or dropped together
+ * An assistant message with tool_calls and the tool results answering it form one unit
+ * @param {Array} messages - OpenAI messages (without leading system messages)
+ * @returns {Array<Array>} - Message groups in order
+ */
+function groupTurns(messages) {
+    const groups = [];
+
+    messages.forEach(message => {
+        const previous = groups[groups.length - 1];
+        if (message.role === 'tool' && previous) {
+            previous.push(message);
+        } else {
+            groups.push([message]);
+        }
+    });
+
+    return groups;
+}
+
+/**
+ * One line standing for a removed turn: the tools an assistant called, or the first line of what
+ * was said
+ * @param {Array} group - Messages of the turn (an assistant tool call with its results)
+ * @returns {string} - Summary line
+ */
+function summarizeTurn(group) {
+    const [message] = group;
+    const calls = (message.tool_calls || []).map(call => call.function && call.function.name).filter(Boolean);
+    if (calls.length > 0) {
+        return `- ${message.role} called ${calls.join(', ')}`;
+    }
+    const text = Array.isArray(message.content)
+        ? message.content.map(part => (part && part.type === 'text' ? part.text : '')).join('\n')
+        : (message.content || '');
+    const line = text.trim().split('\n')[0];
+    return `- ${message.role}: ${line.length > SUMMARY_LINE_LENGTH ? line.slice(0, SUMMARY_LINE_LENGTH) + '...' : line}`;
+}
+
+/**
+ * The note that stands in for collapsed turns, with a line per turn
+ * @param {Array<Array>} groups - Removed turns, oldest first
+ * @param {number} tokens - Tokens removed
+ * @returns {string} - Note for the system prompt
+ */
+function collapseNote(groups, tokens) {
+    const count = groups.reduce((sum, group) => sum + group.length, 0);
+    const lines = groups.slice(-SUMMARY_TURNS).map(summarizeTurn);
+    if (groups.length > SUMMARY_TURNS) {
+        lines.unshift(`- (${groups.length - SUMMARY_TURNS} older turns)`);
+    }
+    return `[${count} earlier message${count === 1 ? ' was' : 's were'} (about ${tokens} tokens) removed to fit ` +
+        `the model context window. They began:\n${lines.join('\n')}]`;
+}
+
+/**
+ * Add the note about collapsed turns to the system prompt, so the conversation itself only
+ * holds turns the client sent
+ * @param {Array} system - Leading system messages
+ * @param {string} note - Note to add
+ * @returns {Array} - System messages with the note (the originals are not modified)
+ */
+function withSystemNote(system, note) {
+    if (system.length === 0) {
+        return [{ role: 'system', content: note }];
+    }
+    const last = system[system.length - 1];
+    let content;
+    if (Array.isArray(last.content)) {
+        content = [...last.content, { type: 'text', text: note }];
+    } else {
+        content = last.content ? `${last.content}\n\n${note}` : note;
+    }
+    return [...system.slice(0, -1), { ...last, content }];
+}
+
+/**
+ * Trim the oldest middle turns so the messages fit in a token budget
+ * Leading system messages and the latest turn are always kept.
+ * @param {Array} messages - OpenAI messages
+ * @param {number} budget - Token budget for the whole prompt
+ * @param {string} mode - drop (remove turns) or collapse (summarise them in the system prompt)
+ * @returns {Object} - { messages, trimmedMessages, trimmedTokens }
+ */
+function trimMessages(messages, budget, mode) {
+    const systemCount = messages.findIndex(message => message.role !== 'system');
+    const system = systemCount === -1 ? messages : messages.slice(0, systemCount);
+    const groups = systemCount === -1 ? [] : groupTurns(messages.slice(systemCount));
+
+    const groupTokens = groups.map(group => group.reduce((sum, message) => sum + estimateMessageTokens(message), 0));
+    const total = system.reduce((sum, message) => sum + estimateMessageTokens(message), 0) +
+        groupTokens.reduce((sum, tokens) => sum + tokens, 0);
+
+    if (total <= budget || groups.length <= 1) {
+        return { messages, trimmedMessages: 0, trimmedTokens: 0 };
+    }
+
+    // Room taken by the note that replaces collapsed turns
+    const noteTokens = (count, used) => (mode === 'collapse' && count > 0
+        ? estimateMessageTokens({ role: 'system', content: collapseNote(groups.slice(0, count), total - used) })
+        : 0);
+
+    // Drop from the oldest group forward until the rest fits, always keeping the last group
+    let used = total;
+    let dropped = 0;
+    let droppedMessages = 0;
+    while (dropped < groups.length - 1 && used + noteTokens(dropped, used) > budget) {
+        used -= groupTokens[dropped];
+        droppedMessages += groups[dropped].length;
+        dropped++;
+    }
+
+    const kept = [].concat(...groups.slice(dropped));
+    const trimmedTokens = total - used;
+    const head = mode === 'collapse' ? withSystemNote(system, collapseNote(groups.slice(0, dropped), trimmedTokens)) : system;
+
+    return { messages: [...head, ...kept], trimmedMessages: droppedMessages, trimmedTokens };
+}
+
+module.exports = {
+    getTrimMode,
+    trimMessages
+};
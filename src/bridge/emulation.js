@@ -0,0 +1,408 @@
+/**
+ * Prompt-based tool calling
+ * Models without native function calling get the tool schemas in their system prompt instead of
+ * the `tools` parameter, in a format they were trained on, and their text answer is parsed back
+ * into `tool_calls`. Earlier calls and tool results in the conversation are rewritten as the
+ * plain text turns the same format uses. BRIDGE_EMULATED_TOOLS chooses the models and formats:
+ * - hermes: Hermes / Qwen `<tool_call>{"name": ..., "arguments": ...}</tool_call>` blocks
+ * - json: a bare `{"tool_calls": [...]}` JSON answer, for models that follow JSON instructions
+ */
+
+const { matchesModel } = require('./routing');
+const { parseArguments } = require('./repair');
+
+const TOOL_FORMATS = ['hermes', 'json'];
+const CALL_OPEN = '<tool_call>';
+const CALL_CLOSE = '</tool_call>';
+
+/**
+ * Read the emulation table from BRIDGE_EMULATED_TOOLS
+ * A JSON map of model name (`*` globs or /regex/, as in BRIDGE_MODEL_CONTEXT) to a tool format.
+ * @param {Object} [env] - Settings
+ * @returns {Object} - { table }
+ */
+function getEmulationConfig(env = process.env) {
+    let table = {};
+    if (env.BRIDGE_EMULATED_TOOLS) {
+        try {
+            table = JSON.parse(env.BRIDGE_EMULATED_TOOLS);
+        } catch (error) {
+            throw new Error('Invalid BRIDGE_EMULATED_TOOLS: ' + error.message);
+        }
+    }
+    Object.keys(table).forEach(pattern => {
+        if (!TOOL_FORMATS.includes(table[pattern])) {
+            throw new Error(`Invalid BRIDGE_EMULATED_TOOLS: "${pattern}" must map to ${TOOL_FORMATS.join(' or ')}`);
+        }
+    });
+    return { table };
+}
+
+/**
+ * The tool format a model's tools are emulated with
+ * @param {Object} config - Settings from getEmulationConfig
+ * @param {string} model - Upstream model name
+ * @returns {string|null} - hermes, json, or null for native tool calling
+ */
+function toolFormatFor(config, model) {
+    const pattern = Object.keys(config.table).find(candidate => matchesModel(candidate, model));
+    return pattern ? config.table[pattern] : null;
+}
+
+/**
+ * Text of a message content (a string, or an array of parts)
+ * @param {string|Array|null} content - OpenAI message content
+ * @returns {string} - Joined text
+ */
+function contentText(content) {
+    if (Array.isArray(content)) {
+        return content.map(part => (part && part.type === 'text' ? part.text : '')).filter(Boolean).join('\n');
+    }
+    return content || '';
+}
+
+/**
+ * Arguments of an OpenAI tool call as an object where they parse
+ * @param {Object} call - OpenAI tool call
+ * @returns {Object|string} - Parsed arguments, or the raw string
+ */
+function callArguments(call) {
+    const args = call.function && call.function.arguments;
+    if (typeof args !== 'string') {
+        return args || {};
+    }
+    try {
+        return JSON.parse(args);
+    } catch (error) {
+        return args;
+    }
+}
+
+/**
+ * Write tool calls the way the model is told to
+ * @param {Array} toolCalls - OpenAI tool_calls
+ * @param {string} format - hermes or json
+ * @returns {string} - Calls as text
+ */
+function renderToolCalls(toolCalls, format) {
+    const calls = toolCalls.map(call => ({ name: call.function && call.function.name, arguments: callArguments(call) }));
+    if (format === 'json') {
+        return JSON.stringify({ tool_calls: calls });
+    }
+    return calls.map(call => `${CALL_OPEN}\n${JSON.stringify(call)}\n${CALL_CLOSE}`).join('\n');
+}
+
+/**
+ * System prompt section describing the tools and how to call them
+ * @param {Array} tools - OpenAI tools
+ * @param {*} toolChoice - OpenAI tool_choice
+ * @param {string} format - hermes or json
+ * @returns {string} - Prompt text
+ */
+function toolPrompt(tools, toolChoice, format) {
+    const lines = ['# Tools', ''];
+    if (format === 'json') {
+        lines.push(
+            'You can call the following functions, described by their JSON Schemas:',
+            JSON.stringify(tools.map(tool => tool.function)),
+            '',
+            'To call functions, reply with only a JSON object and no other text:',
+            '{"tool_calls": [{"name": <function-name>, "arguments": <args-json-object>}]}',
+            'Otherwise answer normally.'
+        );
+    } else {
+        lines.push(
+            'You may call one or more functions to assist with the user query.',
+            '',
+            'You are provided with function signatures within <tools></tools> XML tags:',
+            '<tools>',
+            ...tools.map(tool => JSON.stringify(tool)),
+            '</tools>',
+            '',
+            'For each function call, return a json object with function name and arguments within <tool_call></tool_call> XML tags:',
+            CALL_OPEN,
+            '{"name": <function-name>, "arguments": <args-json-object>}',
+            CALL_CLOSE
+        );
+    }
+    if (toolChoice === 'required') {
+        lines.push('', 'You must call at least one function.');
+    } else if (toolChoice && toolChoice.function && toolChoice.function.name) {
+        lines.push('', `You must call the function ${toolChoice.function.name}.`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Rewrite a request for a model without native tool calling
+ * The tools move into the system prompt, assistant tool calls become text in the chosen format
+ * and each run of tool results becomes one user turn.
+ * @param {Object} request - OpenAI request (edited in place)
+ * @param {string} format - hermes or json
+ * @returns {Object} - The request
+ */
+function emulateTools(request, format) {
+    const tools = (request.tools || []).filter(tool => tool && tool.function);
+    const names = new Map();
+    const messages = [];
+
+    (request.messages || []).forEach(message => {
+        const previous = messages[messages.length - 1];
+        if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+            message.tool_calls.forEach(call => names.set(call.id, call.function && call.function.name));
+            const text = contentText(message.content);
+            const { tool_calls, ...rest } = message;
+            messages.push({ ...rest, content: (text ? text + '\n' : '') + renderToolCalls(tool_calls, format) });
+        } else if (message.role === 'tool') {
+            const result = contentText(message.content);
+            const name = message.name || names.get(message.tool_call_id) || 'the function';
+            const text = format === 'json'
+                ? `Result of ${name}:\n${result}`
+                : `<tool_response>\n${result}\n</tool_response>`;
+            if (previous && previous.emulatedToolResult) {
+                previous.content += (format === 'json' ? '\n\n' : '\n') + text;
+            } else {
+                messages.push({ role: 'user', content: text, emulatedToolResult: true });
+            }
+        } else {
+            messages.push(message);
+        }
+    });
+    messages.forEach(message => delete message.emulatedToolResult);
+
+    if (tools.length > 0 && request.tool_choice !== 'none') {
+        const prompt = toolPrompt(tools, request.tool_choice, format);
+        if (messages.length > 0 && messages[0].role === 'system') {
+            const system = messages[0];
+            messages[0] = {
+                ...system,
+                content: Array.isArray(system.content)
+                    ? [...system.content, { type: 'text', text: prompt }]
+                    : `${system.content || ''}\n\n${prompt}`
+            };
+        } else {
+            messages.unshift({ role: 'system', content: prompt });
+        }
+    }
+
+    request.messages = messages;
+    delete request.tools;
+    delete request.tool_choice;
+    delete request.parallel_tool_calls;
+    return request;
+}
+
+/**
+ * Turn one call the model wrote into an OpenAI tool call
+ * Hermes models write `arguments`, some write `parameters`; arguments that are a string are
+ * passed on as they are.
+ * @param {*} call - Parsed call
+ * @param {string} id - Tool call ID
+ * @returns {Object|null} - OpenAI tool call, or null when it names no function
+ */
+function toToolCall(call, id) {
+    if (!call || typeof call !== 'object' || typeof call.name !== 'string' || !call.name) {
+        return null;
+    }
+    const args = call.arguments !== undefined ? call.arguments : (call.parameters !== undefined ? call.parameters : {});
+    return {
+        id,
+        type: 'function',
+        function: { name: call.name, arguments: typeof args === 'string' ? args : JSON.stringify(args) }
+    };
+}
+
+/**
+ * Parse JSON the model wrote, unwrapping a markdown code fence
+ * @param {string} text - Text expected to hold JSON
+ * @param {boolean} [repair] - Repair almost-JSON (single quotes, trailing commas...) as repair.js does
+ * @returns {Object|null} - { value, repairs }, or null when it is not JSON
+ */
+function parseJSON(text, repair) {
+    const fenced = /^\s*```[\w-]*\s*\n?([\s\S]*?)\n?\s*```\s*$/.exec(text);
+    try {
+        return { value: JSON.parse(fenced ? fenced[1] : text), repairs: [] };
+    } catch (error) {
+        return repair ? parseArguments(text) : null;
+    }
+}
+
+/**
+ * Calls in a JSON answer: `{tool_calls: [...]}`, one `{name, arguments}` or an array of them
+ * @param {*} value - Parsed answer
+ * @returns {Array|null} - Calls, or null when the answer is not a tool call
+ */
+function jsonCalls(value) {
+    const calls = value && !Array.isArray(value) && Array.isArray(value.tool_calls) ? value.tool_calls
+        : (Array.isArray(value) ? value : [value]);
+    return calls.length > 0 && calls.every(call => call && typeof call === 'object' && typeof call.name === 'string') ? calls : null;
+}
+
+/**
+ * How the start of a JSON-format answer opens: like a call, maybe like one, or not at all
+ * A call opens with `{"name":` or `{"tool_calls":`, possibly inside an array or a code fence
+ * (with repair also with single or no quotes around the key). Whitespace is ignored.
+ * @param {string} text - Answer so far
+ * @param {boolean} [repair] - Almost-JSON calls are repaired
+ * @returns {string} - call, partial or text
+ */
+function jsonCallOpening(text, repair) {
+    const compact = text.replace(/\s+/g, '');
+    const openings = [];
+    ['', '```', '```json'].forEach(fence => ['', '['].forEach(bracket => (repair ? ['"', '\'', ''] : ['"'])
+        .forEach(quote => ['name', 'tool_calls'].forEach(key => openings.push(`${fence}${bracket}{${quote}${key}${quote}:`)))));
+    if (openings.some(opening => compact.startsWith(opening))) {
+        return 'call';
+    }
+    return openings.some(opening => opening.startsWith(compact)) ? 'partial' : 'text';
+}
+
+/**
+ * Create a parser that pulls emulated tool calls out of a model's text, as it streams in
+ * Hermes calls are cut out wherever they appear, holding back text that may be the start of a
+ * `<tool_call>` tag; a JSON answer can only be recognised whole, so an answer that opens like a
+ * call is held until flush, and any other is let through as soon as it cannot be one. Calls
+ * that do not parse stay in the text.
+ * @param {string} format - hermes or json
+ * @param {Function} nextId - Returns the ID for the next call
+ * @param {Function} [onRepair] - When given, calls written as almost-JSON are repaired and
+ *     reported as (call, repairs) (BRIDGE_TOOL_REPAIR)
+ * @returns {Object} - { push(text) => { content, toolCalls }, flush() => { content, toolCalls } }
+ */
+function createToolCallParser(format, nextId, onRepair) {
+    // hermes: text | call; json: start | text | buffer
+    let state = format === 'json' ? 'start' : 'text';
+    let pending = '';
+    // Whitespace is held until text follows, so the gaps around calls do not become content
+    let space = '';
+
+    const parse = (text, final) => {
+        const out = { content: '', toolCalls: [] };
+        const emit = (piece) => {
+            const text = piece.trimEnd();
+            if (text) {
+                out.content += space + text;
+                space = '';
+            }
+            space += piece.slice(text.length);
+        };
+        let rest = pending + text;
+        pending = '';
+
+        if (format === 'json') {
+            if (state === 'start') {
+                const opening = jsonCallOpening(rest, !!onRepair);
+                if (opening === 'partial' && !final) {
+                    pending = rest;
+                    rest = '';
+                } else {
+                    state = opening === 'call' ? 'buffer' : 'text';
+                }
+            }
+            if (state === 'buffer') {
+                pending = rest;
+                rest = '';
+                if (final) {
+                    const parsed = parseJSON(pending, !!onRepair);
+                    const calls = parsed ? jsonCalls(parsed.value) : null;
+                    const toolCalls = calls ? calls.map(call => toToolCall(call, nextId())) : [];
+                    if (calls && toolCalls.every(Boolean)) {
+                        out.toolCalls = toolCalls;
+                        if (parsed.repairs.length > 0) {
+                            toolCalls.forEach(call => onRepair(call, parsed.repairs));
+                        }
+                    } else {
+                        out.content = pending;
+                    }
+                    pending = '';
+                }
+            }
+            out.content += rest;
+            return out;
+        }
+
+        while (rest) {
+            if (state === 'text') {
+                const start = rest.indexOf(CALL_OPEN);
+                if (start !== -1) {
+                    emit(rest.slice(0, start));
+                    space = '';
+                    state = 'call';
+                    rest = rest.slice(start + CALL_OPEN.length);
+                    continue;
+                }
+                let hold = 0;
+                if (!final) {
+                    for (let length = Math.min(rest.length, CALL_OPEN.length - 1); length > 0; length--) {
+                        if (rest.endsWith(CALL_OPEN.slice(0, length))) {
+                            hold = length;
+                            break;
+                        }
+                    }
+                }
+                emit(rest.slice(0, rest.length - hold));
+                pending = rest.slice(rest.length - hold);
+                rest = '';
+            } else {
+                const end = rest.indexOf(CALL_CLOSE);
+                if (end === -1 && !final) {
+                    pending = rest;
+                    rest = '';
+                    continue;
+                }
+                // A model may stop right after the JSON without closing the tag
+                const body = end === -1 ? rest : rest.slice(0, end);
+                const parsed = parseJSON(body.trim(), !!onRepair);
+                const call = parsed && toToolCall(parsed.value, null);
+                if (call) {
+                    call.id = nextId();
+                    out.toolCalls.push(call);
+                    if (parsed.repairs.length > 0) {
+                        onRepair(call, parsed.repairs);
+                    }
+                } else {
+                    emit(CALL_OPEN + body + (end === -1 ? '' : CALL_CLOSE));
+                }
+                state = 'text';
+                rest = end === -1 ? '' : rest.slice(end + CALL_CLOSE.length);
+            }
+        }
+        if (final) {
+            space = '';
+        }
+        return out;
+    };
+
+    return {
+        push(text) {
+            return parse(text || '', false);
+        },
+
+        flush() {
+            return parse('', true);
+        }
+    };
+}
+
+/**
+ * Pull emulated tool calls out of a complete answer
+ * @param {string} text - Model output
+ * @param {string} format - hermes or json
+ * @param {Function} nextId - Returns the ID for the next call
+ * @param {Function} [onRepair] - Repairs almost-JSON calls, as in createToolCallParser
+ * @returns {Object} - { content, toolCalls }
+ */
+function parseToolCalls(text, format, nextId, onRepair) {
+    const parser = createToolCallParser(format, nextId, onRepair);
+    const head = parser.push(text);
+    const tail = parser.flush();
+    return { content: head.content + tail.content, toolCalls: [...head.toolCalls, ...tail.toolCalls] };
+}
+
+module.exports = {
+    getEmulationConfig,
+    toolFormatFor,
+    emulateTools,
+    createToolCallParser,
+    parseToolCalls
+};
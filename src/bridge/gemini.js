@@ -0,0 +1,565 @@
+/**
+ * Gemini <-> OpenAI format conversion helpers
+ * Used by cleanRequest to translate the Gemini-specific parts of a request
+ */
+
+/**
+ * Convert a Gemini OpenAPI-subset schema into JSON Schema
+ * Gemini uses upper-case type names (OBJECT, STRING...) and a `nullable` flag
+ * @param {Object} schema - Gemini schema object
+ * @returns {Object} - JSON Schema object
+ */
+function convertSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return schema;
+    }
+
+    const converted = {};
+
+    Object.keys(schema).forEach(key => {
+        const value = schema[key];
+
+        if (key === 'type' && typeof value === 'string') {
+            converted.type = value.toLowerCase();
+        } else if (key === 'properties' && value && typeof value === 'object') {
+            converted.properties = {};
+            Object.keys(value).forEach(name => {
+                converted.properties[name] = convertSchema(value[name]);
+            });
+        } else if (key === 'items') {
+            converted.items = convertSchema(value);
+        } else if (key === 'anyOf' && Array.isArray(value)) {
+            converted.anyOf = value.map(convertSchema);
+        } else if (key === 'nullable' || key === 'propertyOrdering') {
+            // Handled below / not part of JSON Schema
+        } else {
+            converted[key] = value;
+        }
+    });
+
+    if (schema.nullable === true && typeof converted.type === 'string') {
+        converted.type = [converted.type, 'null'];
+    }
+
+    return converted;
+}
+
+/**
+ * Convert Gemini `tools` into OpenAI function tools
+ * OpenAI-style tools ({type: 'function'}) are passed through untouched,
+ * Gemini built-in tools (googleSearch, codeExecution...) have no equivalent and are dropped
+ * @param {Array} tools - Tools array from the request
+ * @returns {Array|undefined} - OpenAI tools array, or undefined when there is nothing to send
+ */
+function convertTools(tools) {
+    if (!Array.isArray(tools)) {
+        return undefined;
+    }
+
+    const converted = [];
+
+    tools.forEach(tool => {
+        if (!tool) {
+            return;
+        }
+
+        if (tool.type === 'function' && tool.function) {
+            converted.push(tool);
+            return;
+        }
+
+        const declarations = tool.functionDeclarations || tool.function_declarations || [];
+        declarations.forEach(declaration => {
+            if (!declaration || !declaration.name) {
+                return;
+            }
+
+            const fn = { name: declaration.name };
+            if (declaration.description) {
+                fn.description = declaration.description;
+            }
+
+            if (declaration.parametersJsonSchema) {
+                fn.parameters = declaration.parametersJsonSchema;
+            } else if (declaration.parameters) {
+                fn.parameters = convertSchema(declaration.parameters);
+            } else {
+                fn.parameters = { type: 'object', properties: {} };
+            }
+
+            converted.push({ type: 'function', function: fn });
+        });
+    });
+
+    return converted.length > 0 ? converted : undefined;
+}
+
+/**
+ * Map Gemini `toolConfig.functionCallingConfig` onto OpenAI `tool_choice`
+ * @param {Object} toolConfig - Gemini toolConfig
+ * @param {Array} tools - Converted OpenAI tools (filtered in place by allowedFunctionNames)
+ * @returns {Object} - { toolChoice, tools } where either may be undefined
+ */
+function convertToolConfig(toolConfig, tools) {
+    const config = toolConfig && (toolConfig.functionCallingConfig || toolConfig.function_calling_config);
+    if (!config) {
+        return { toolChoice: undefined, tools };
+    }
+
+    const mode = String(config.mode || 'AUTO').toUpperCase();
+    const allowed = config.allowedFunctionNames || config.allowed_function_names;
+
+    if (mode === 'NONE') {
+        return { toolChoice: 'none', tools };
+    }
+
+    // OpenAI has no allow-list, so restrict the declared tools instead
+    let filtered = tools;
+    if (Array.isArray(allowed) && allowed.length > 0 && Array.isArray(tools)) {
+        filtered = tools.filter(tool => allowed.includes(tool.function.name));
+        if (filtered.length === 0) {
+            filtered = undefined;
+        }
+    }
+
+    if (mode === 'ANY') {
+        if (filtered && filtered.length === 1) {
+            return {
+                toolChoice: { type: 'function', function: { name: filtered[0].function.name } },
+                tools: filtered
+            };
+        }
+        return { toolChoice: 'required', tools: filtered };
+    }
+
+    // AUTO, VALIDATED and anything unknown
+    return { toolChoice: 'auto', tools: filtered };
+}
+
+/**
+ * Convert a Gemini media part (inlineData / fileData) into an OpenAI content part
+ * @param {Object} part - Gemini part
+ * @returns {Object|undefined} - OpenAI image_url content part
+ */
+function convertMediaPart(part) {
+    if (part.inlineData && part.inlineData.data) {
+        const mimeType = part.inlineData.mimeType || 'application/octet-stream';
+        return {
+            type: 'image_url',
+            image_url: { url: `data:${mimeType};base64,${part.inlineData.data}` }
+        };
+    }
+    if (part.fileData && part.fileData.fileUri) {
+        return {
+            type: 'image_url',
+            image_url: { url: part.fileData.fileUri }
+        };
+    }
+    return undefined;
+}
+
+/**
+ * Convert Gemini `contents` into OpenAI chat messages
+ * - role `model` becomes `assistant`
+ * - text parts are joined; media parts turn the content into an OpenAI content array
+ * - functionCall parts become assistant `tool_calls`
+ * - functionResponse parts become `role: 'tool'` messages answering the matching call
+ * @param {Array} contents - Gemini contents ({role, parts})
+ * @returns {Array} - OpenAI messages
+ */
+function convertContents(contents) {
+    if (!Array.isArray(contents)) {
+        return [];
+    }
+
+    const messages = [];
+    // Calls still waiting for a functionResponse, by function name (oldest first)
+    const pendingCalls = new Map();
+    let callCount = 0;
+
+    contents.forEach(content => {
+        if (!content || !Array.isArray(content.parts)) {
+            return;
+        }
+
+        const role = content.role === 'model' ? 'assistant' : 'user';
+        const textParts = [];
+        const mediaParts = [];
+        const toolCalls = [];
+        const toolMessages = [];
+
+        content.parts.forEach(part => {
+            if (!part || part.thought === true) {
+                return;
+            }
+
+            if (typeof part.text === 'string') {
+                textParts.push(part.text);
+            } else if (part.functionCall) {
+                const id = part.functionCall.id || `call_${callCount}`;
+                callCount++;
+                const name = part.functionCall.name;
+                if (!pendingCalls.has(name)) {
+                    pendingCalls.set(name, []);
+                }
+                pendingCalls.get(name).push(id);
+                toolCalls.push({
+                    id,
+                    type: 'function',
+                    function: {
+                        name,
+                        arguments: JSON.stringify(part.functionCall.args || {})
+                    }
+                });
+            } else if (part.functionResponse) {
+                const name = part.functionResponse.name;
+                const queue = pendingCalls.get(name) || [];
+                let id = part.functionResponse.id;
+                if (id) {
+                    const position = queue.indexOf(id);
+                    if (position !== -1) {
+                        queue.splice(position, 1);
+                    }
+                } else {
+                    id = queue.length > 0 ? queue.shift() : `call_${callCount++}`;
+                }
+                const response = part.functionResponse.response;
+                toolMessages.push({
+                    role: 'tool',
+                    tool_call_id: id,
+                    content: typeof response === 'string' ? response : JSON.stringify(response === undefined ? {} : response)
+                });
+            } else {
+                const media = convertMediaPart(part);
+                if (media) {
+                    mediaParts.push(media);
+                }
+            }
+        });
+
+        // Tool results must directly follow the assistant turn that made the calls
+        messages.push(...toolMessages);
+
+        if (textParts.length === 0 && mediaParts.length === 0 && toolCalls.length === 0) {
+            return;
+        }
+
+        const message = { role };
+        if (mediaParts.length > 0) {
+            message.content = [
+                ...textParts.map(text => ({ type: 'text', text })),
+                ...mediaParts
+            ];
+        } else if (textParts.length > 0) {
+            message.content = textParts.join('');
+        } else {
+            message.content = null;
+        }
+        if (toolCalls.length > 0) {
+            message.tool_calls = toolCalls;
+        }
+        messages.push(message);
+    });
+
+    return messages;
+}
+
+/**
+ * Whether a request sent to the OpenAI endpoint is a Gemini conversation (and therefore expects a
+ * Gemini-shaped response)
+ * Only a conversation built from `contents` counts: Gemini-looking tools or settings next to
+ * OpenAI `messages` are translated, but the client still speaks OpenAI.
+ * @param {Object} request - Incoming request body
+ * @returns {boolean} - True for Gemini `contents` without `messages`
+ */
+function isGeminiRequest(request) {
+    return !!request && Array.isArray(request.contents) && !Array.isArray(request.messages);
+}
+
+const FINISH_REASONS = {
+    stop: 'STOP',
+    tool_calls: 'STOP',
+    function_call: 'STOP',
+    length: 'MAX_TOKENS',
+    content_filter: 'SAFETY'
+};
+
+/**
+ * Map an OpenAI finish_reason onto a Gemini finishReason
+ * @param {string} reason - OpenAI finish_reason
+ * @returns {string|undefined} - Gemini finishReason
+ */
+function convertFinishReason(reason) {
+    if (!reason) {
+        return undefined;
+    }
+    return FINISH_REASONS[reason] || 'OTHER';
+}
+
+/**
+ * Parse tool-call arguments, which OpenAI sends as a JSON string
+ * @param {string|Object} args - Raw arguments
+ * @returns {Object} - Parsed arguments ({} when unparseable)
+ */
+function parseArguments(args) {
+    if (args && typeof args === 'object') {
+        return args;
+    }
+    if (!args) {
+        return {};
+    }
+    try {
+        const parsed = JSON.parse(args);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Convert OpenAI tool_calls into Gemini functionCall parts
+ * @param {Array} toolCalls - OpenAI tool_calls
+ * @returns {Array} - Gemini parts
+ */
+function toolCallsToParts(toolCalls) {
+    if (!Array.isArray(toolCalls)) {
+        return [];
+    }
+    return toolCalls
+        .filter(call => call && call.function && call.function.name)
+        .map(call => {
+            const functionCall = {
+                name: call.function.name,
+                args: parseArguments(call.function.arguments)
+            };
+            if (call.id) {
+                functionCall.id = call.id;
+            }
+            return { functionCall };
+        });
+}
+
+/**
+ * Convert OpenAI usage onto Gemini usageMetadata
+ * @param {Object} usage - OpenAI usage block
+ * @returns {Object|undefined} - Gemini usageMetadata
+ */
+function convertUsage(usage) {
+    if (!usage) {
+        return undefined;
+    }
+    const usageMetadata = {
+        promptTokenCount: usage.prompt_tokens || 0,
+        candidatesTokenCount: usage.completion_tokens || 0,
+        totalTokenCount: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    };
+    const reasoningTokens = usage.completion_tokens_details && usage.completion_tokens_details.reasoning_tokens;
+    if (reasoningTokens) {
+        usageMetadata.thoughtsTokenCount = reasoningTokens;
+    }
+    return usageMetadata;
+}
+
+/**
+ * Build a Gemini-style error body
+ * @param {number} code - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Object} - Gemini error response
+ */
+function toGeminiError(code, message) {
+    const statuses = {
+        400: 'INVALID_ARGUMENT',
+        401: 'UNAUTHENTICATED',
+        403: 'PERMISSION_DENIED',
+        404: 'NOT_FOUND',
+        429: 'RESOURCE_EXHAUSTED',
+        503: 'UNAVAILABLE',
+        504: 'DEADLINE_EXCEEDED'
+    };
+    return {
+        error: {
+            code,
+            message,
+            status: statuses[code] || (code >= 500 ? 'INTERNAL' : 'UNKNOWN')
+        }
+    };
+}
+
+/**
+ * Convert a full OpenAI chat.completion into a Gemini generateContent response
+ * `reasoning_content` becomes a leading `thought: true` part when the client asked for thoughts.
+ * @param {Object} completion - OpenAI chat.completion object
+ * @param {Object} [options] - { includeThoughts }
+ * @returns {Object} - Gemini response with candidates and usageMetadata
+ */
+function toGeminiResponse(completion, options = {}) {
+    const choices = (completion && completion.choices) || [];
+
+    const response = {
+        candidates: choices.map((choice, i) => {
+            const message = choice.message || {};
+            const parts = [];
+
+            if (options.includeThoughts && message.reasoning_content) {
+                parts.push({ text: message.reasoning_content, thought: true });
+            }
+            if (typeof message.content === 'string' && message.content) {
+                parts.push({ text: message.content });
+            }
+            parts.push(...toolCallsToParts(message.tool_calls));
+
+            const candidate = {
+                content: { role: 'model', parts },
+                index: choice.index !== undefined ? choice.index : i
+            };
+            const finishReason = convertFinishReason(choice.finish_reason);
+            if (finishReason) {
+                candidate.finishReason = finishReason;
+            }
+            return candidate;
+        })
+    };
+
+    const usageMetadata = convertUsage(completion && completion.usage);
+    if (usageMetadata) {
+        response.usageMetadata = usageMetadata;
+    }
+    if (completion && completion.model) {
+        response.modelVersion = completion.model;
+    }
+
+    return response;
+}
+
+/**
+ * Create a translator from OpenAI chat.completion.chunk objects to Gemini stream chunks
+ * Text deltas are emitted as they arrive. Tool-call deltas arrive fragmented
+ * (name first, then pieces of the JSON arguments) so they are buffered per index and
+ * only emitted as functionCall parts once the choice finishes or the stream ends.
+ * @param {Object} [options] - { includeThoughts } - emit reasoning_content deltas as `thought: true` parts
+ * @returns {Object} - { push(chunk) => Array, flush() => Array }
+ */
+function createGeminiStreamTranslator(options = {}) {
+    // choice index -> Map(tool call index -> { id, name, arguments })
+    const pendingCalls = new Map();
+    const flushed = new Set();
+    let model;
+    let usage;
+
+    function takeToolCalls(choiceIndex) {
+        const calls = pendingCalls.get(choiceIndex);
+        pendingCalls.delete(choiceIndex);
+        if (!calls) {
+            return [];
+        }
+        return toolCallsToParts([...calls.keys()].sort((a, b) => a - b).map(index => {
+            const call = calls.get(index);
+            return { id: call.id, function: { name: call.name, arguments: call.arguments } };
+        }));
+    }
+
+    function buildChunk(candidates) {
+        const chunk = { candidates };
+        if (usage) {
+            chunk.usageMetadata = convertUsage(usage);
+        }
+        if (model) {
+            chunk.modelVersion = model;
+        }
+        return chunk;
+    }
+
+    return {
+        push(chunk) {
+            if (!chunk) {
+                return [];
+            }
+            if (chunk.model) {
+                model = chunk.model;
+            }
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+
+            const candidates = [];
+
+            (chunk.choices || []).forEach(choice => {
+                const index = choice.index || 0;
+                const delta = choice.delta || {};
+                const parts = [];
+
+                if (options.includeThoughts && delta.reasoning_content) {
+                    parts.push({ text: delta.reasoning_content, thought: true });
+                }
+                if (typeof delta.content === 'string' && delta.content) {
+                    parts.push({ text: delta.content });
+                }
+
+                (delta.tool_calls || []).forEach((call, position) => {
+                    const callIndex = call.index !== undefined ? call.index : position;
+                    if (!pendingCalls.has(index)) {
+                        pendingCalls.set(index, new Map());
+                    }
+                    const calls = pendingCalls.get(index);
+                    const pending = calls.get(callIndex) || { id: undefined, name: '', arguments: '' };
+                    if (call.id) {
+                        pending.id = call.id;
+                    }
+                    if (call.function) {
+                        if (call.function.name) {
+                            pending.name += call.function.name;
+                        }
+                        if (typeof call.function.arguments === 'string') {
+                            pending.arguments += call.function.arguments;
+                        } else if (call.function.arguments) {
+                            pending.arguments = JSON.stringify(call.function.arguments);
+                        }
+                    }
+                    calls.set(callIndex, pending);
+                });
+
+                const finishReason = convertFinishReason(choice.finish_reason);
+                if (finishReason) {
+                    parts.push(...takeToolCalls(index));
+                    flushed.add(index);
+                }
+
+                if (parts.length > 0 || finishReason) {
+                    const candidate = { content: { role: 'model', parts }, index };
+                    if (finishReason) {
+                        candidate.finishReason = finishReason;
+                    }
+                    candidates.push(candidate);
+                }
+            });
+
+            if (candidates.length === 0) {
+                // Usage-only chunk (stream_options.include_usage) - surface it once all choices finished
+                return chunk.usage && flushed.size > 0 ? [buildChunk([])] : [];
+            }
+            return [buildChunk(candidates)];
+        },
+
+        flush() {
+            const candidates = [];
+            [...pendingCalls.keys()].forEach(index => {
+                const parts = takeToolCalls(index);
+                if (parts.length > 0) {
+                    candidates.push({ content: { role: 'model', parts }, index, finishReason: 'STOP' });
+                }
+            });
+            return candidates.length > 0 ? [buildChunk(candidates)] : [];
+        }
+    };
+}
+
+module.exports = {
+    convertSchema,
+    convertTools,
+    convertToolConfig,
+    convertContents,
+    isGeminiRequest,
+    toGeminiError,
+    toGeminiResponse,
+    createGeminiStreamTranslator
+};
@@ -0,0 +1,169 @@
+/**
+ * Structured logging
+ * One JSON object per line (or a readable text line) with a level, a message and fields.
+ * Authorization headers, API keys and - unless BRIDGE_LOG_CONTENT=true - prompt and completion
+ * content are redacted before anything is written, because bridge logs are shipped off the host.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['json', 'text'];
+
+// Keys whose values are secrets wherever they appear (headers, env, bodies)
+const SECRET_KEY = /^(authorization|proxy-authorization|cookie|set-cookie|x-goog-api-key|x-api-key|api[-_]?key|key|password|secret)$|(^|[-_])(api[-_]?key|secret|password|token)$/i;
+// Keys holding prompt or completion content
+const CONTENT_KEYS = ['content', 'text', 'arguments', 'args', 'response', 'data', 'reasoning_content'];
+
+let settings = { level: 'info', format: 'json', logContent: false };
+
+/**
+ * Read logging settings from the environment
+ * BRIDGE_DEBUG=true still works and means BRIDGE_LOG_LEVEL=debug.
+ * @param {Object} [env] - Settings; reads BRIDGE_LOG_LEVEL, BRIDGE_LOG_FORMAT, BRIDGE_LOG_CONTENT and BRIDGE_DEBUG
+ * @returns {Object} - { level, format, logContent }
+ */
+function getLogConfig(env = process.env) {
+    const level = (env.BRIDGE_LOG_LEVEL || (env.BRIDGE_DEBUG === 'true' ? 'debug' : 'info')).toLowerCase();
+    if (LEVELS[level] === undefined) {
+        throw new Error(`Invalid BRIDGE_LOG_LEVEL "${env.BRIDGE_LOG_LEVEL}" (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+
+    const format = (env.BRIDGE_LOG_FORMAT || 'json').toLowerCase();
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Invalid BRIDGE_LOG_FORMAT "${env.BRIDGE_LOG_FORMAT}" (expected ${FORMATS.join(' or ')})`);
+    }
+
+    return { level, format, logContent: env.BRIDGE_LOG_CONTENT === 'true' };
+}
+
+/**
+ * Apply logging settings to every logger
+ * @param {Object} options - Settings from getLogConfig
+ */
+function configure(options) {
+    settings = { ...settings, ...options };
+}
+
+/**
+ * Mask credentials inside a string (bearer tokens, `key=` query parameters, URL user info)
+ * @param {string} text - Text to clean
+ * @returns {string} - Text with credentials replaced by [REDACTED]
+ */
+function redactString(text) {
+    return text
+        .replace(/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]')
+        .replace(/([?&](?:key|api_key|apikey|token)=)[^&\s"']+/gi, '$1[REDACTED]')
+        .replace(/(\/\/)[^/@\s:]+:[^/@\s]+@/g, '$1[REDACTED]@');
+}
+
+/**
+ * Deep-copy a value with secrets (and optionally content) redacted
+ * @param {*} value - Value to redact
+ * @param {Object} [options] - { logContent, stack } - keep prompt/completion content, keep error stacks
+ * @returns {*} - Redacted copy
+ */
+function redact(value, options = settings) {
+    const walk = (item, key, depth) => {
+        if (item instanceof Error) {
+            const error = { message: redactString(item.message) };
+            if (item.code) {
+                error.code = item.code;
+            }
+            if (item.status) {
+                error.status = item.status;
+            }
+            if (options.stack && item.stack) {
+                error.stack = redactString(item.stack);
+            }
+            return error;
+        }
+        if (key && SECRET_KEY.test(key) && item !== undefined && item !== null && item !== '') {
+            return '[REDACTED]';
+        }
+        if (key && !options.logContent && CONTENT_KEYS.includes(key)) {
+            if (typeof item === 'string') {
+                return `[${item.length} chars]`;
+            }
+            if (item && typeof item === 'object' && !Array.isArray(item)) {
+                return '[REDACTED]';
+            }
+        }
+        if (typeof item === 'string') {
+            return redactString(item);
+        }
+        if (!item || typeof item !== 'object' || depth > 12) {
+            return item;
+        }
+        if (Array.isArray(item)) {
+            return item.map(entry => walk(entry, key, depth + 1));
+        }
+        if (typeof item.entries === 'function' && typeof item.get === 'function') {
+            // Headers / Map
+            return walk(Object.fromEntries(item.entries()), key, depth + 1);
+        }
+        const copy = {};
+        Object.keys(item).forEach(name => {
+            copy[name] = walk(item[name], name, depth + 1);
+        });
+        return copy;
+    };
+
+    return walk(value, null, 0);
+}
+
+/**
+ * Format one log record
+ * @param {Object} record - { time, level, msg, ...fields }
+ * @returns {string} - Log line
+ */
+function formatRecord(record) {
+    if (settings.format === 'json') {
+        return JSON.stringify(record);
+    }
+
+    const { time, level, msg, ...fields } = record;
+    const extra = Object.keys(fields)
+        .filter(name => fields[name] !== undefined)
+        .map(name => `${name}=${typeof fields[name] === 'string' ? fields[name] : JSON.stringify(fields[name])}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ' ' + extra : ''}`;
+}
+
+/**
+ * Create a logger whose records all carry the given fields
+ * @param {Object} [bindings] - Fields added to every record (e.g. requestId)
+ * @returns {Object} - { debug, info, warn, error, child(bindings), isLevelEnabled(level) }
+ */
+function createLogger(bindings = {}) {
+    const write = (level, msg, fields) => {
+        if (LEVELS[level] < LEVELS[settings.level]) {
+            return;
+        }
+        const record = redact({ time: new Date().toISOString(), level, msg, ...bindings, ...fields }, {
+            ...settings,
+            stack: level === 'error' || settings.level === 'debug'
+        });
+        const line = formatRecord(record) + '\n';
+        if (level === 'error') {
+            process.stderr.write(line);
+        } else {
+            process.stdout.write(line);
+        }
+    };
+
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        child: (extra) => createLogger({ ...bindings, ...extra }),
+        isLevelEnabled: (level) => LEVELS[level] >= LEVELS[settings.level]
+    };
+}
+
+module.exports = {
+    getLogConfig,
+    configure,
+    redact,
+    createLogger,
+    logger: createLogger()
+};
@@ -0,0 +1,180 @@
+/**
+ * Prometheus metrics
+ * A minimal registry (counters, gauges, histograms with labels) rendered in the Prometheus
+ * text exposition format, plus the set of metrics the bridge records.
+ */
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const FIRST_TOKEN_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60, 120];
+const TOKENS_PER_SECOND_BUCKETS = [1, 2, 5, 10, 20, 30, 50, 75, 100, 150, 200, 300];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {name="value",...}
+ * @param {Object} labels - Label names and values
+ * @returns {string} - Rendered labels ('' when empty)
+ */
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) {
+        return '';
+    }
+    return '{' + names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',') + '}';
+}
+
+/**
+ * Create a metrics registry
+ * @returns {Object} - { counter, gauge, histogram, render }
+ */
+function createRegistry() {
+    const metrics = [];
+
+    /**
+     * Build a metric keeping one series per label combination
+     * @param {string} type - counter, gauge or histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {Array<string>} labelNames - Allowed label names
+     * @param {Function} createSeries - () => series state
+     * @returns {Object} - Metric whose get(labels) returns the series for a label set
+     */
+    const define = (type, name, help, labelNames, createSeries) => {
+        const series = new Map();
+        const metric = {
+            type,
+            name,
+            help,
+            series,
+            get(labels = {}) {
+                const values = {};
+                labelNames.forEach(label => {
+                    values[label] = labels[label] === undefined || labels[label] === null ? '' : labels[label];
+                });
+                const key = JSON.stringify(values);
+                if (!series.has(key)) {
+                    series.set(key, { labels: values, ...createSeries() });
+                }
+                return series.get(key);
+            }
+        };
+        metrics.push(metric);
+        return metric;
+    };
+
+    return {
+        counter(name, help, labelNames = []) {
+            const metric = define('counter', name, help, labelNames, () => ({ value: 0 }));
+            return {
+                inc(labels, amount = 1) {
+                    metric.get(labels).value += amount;
+                }
+            };
+        },
+
+        gauge(name, help, labelNames = []) {
+            const metric = define('gauge', name, help, labelNames, () => ({ value: 0 }));
+            return {
+                inc(labels, amount = 1) {
+                    metric.get(labels).value += amount;
+                },
+                dec(labels, amount = 1) {
+                    metric.get(labels).value -= amount;
+                },
+                set(labels, value) {
+                    metric.get(labels).value = value;
+                }
+            };
+        },
+
+        histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+            const metric = define('histogram', name, help, labelNames, () => ({
+                counts: buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            }));
+            metric.buckets = buckets;
+            return {
+                observe(labels, value) {
+                    const series = metric.get(labels);
+                    buckets.forEach((bound, index) => {
+                        if (value <= bound) {
+                            series.counts[index]++;
+                        }
+                    });
+                    series.sum += value;
+                    series.count++;
+                }
+            };
+        },
+
+        /**
+         * Render every metric in the Prometheus text format
+         * @returns {string} - Exposition text
+         */
+        render() {
+            const lines = [];
+            metrics.forEach(metric => {
+                lines.push(`# HELP ${metric.name} ${metric.help}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+                metric.series.forEach(series => {
+                    if (metric.type !== 'histogram') {
+                        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+                        return;
+                    }
+                    metric.buckets.forEach((bound, index) => {
+                        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+                });
+            });
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+/**
+ * Create the bridge's metrics
+ * @returns {Object} - Registry plus the named instruments the bridge records into
+ */
+function createBridgeMetrics() {
+    const registry = createRegistry();
+
+    return {
+        registry,
+        requests: registry.counter('bridge_requests_total', 'Requests handled, by route, model and HTTP status', ['route', 'model', 'status']),
+        inFlight: registry.gauge('bridge_requests_in_flight', 'Requests currently being handled'),
+        upstreamLatency: registry.histogram('bridge_upstream_latency_seconds', 'Time from sending a request upstream until its response finished', ['model', 'upstream'], LATENCY_BUCKETS),
+        firstToken: registry.histogram('bridge_time_to_first_token_seconds', 'Time from receiving a streaming request until the first chunk reached the client', ['model'], FIRST_TOKEN_BUCKETS),
+        tokensPerSecond: registry.histogram('bridge_tokens_per_second', 'Completion tokens per second of generation, when the upstream reports usage', ['model'], TOKENS_PER_SECOND_BUCKETS),
+        promptTokens: registry.counter('bridge_prompt_tokens_total', 'Prompt tokens reported by upstreams', ['model']),
+        completionTokens: registry.counter('bridge_completion_tokens_total', 'Completion tokens reported by upstreams', ['model']),
+        streamedBytes: registry.counter('bridge_streamed_bytes_total', 'Bytes written to clients on streaming responses', ['route']),
+        maxTokensCapped: registry.counter('bridge_max_tokens_capped_total', 'Requests whose max_tokens was lowered by the bridge', ['model']),
+        geminiFieldsStripped: registry.counter('bridge_gemini_fields_stripped_total', 'Requests with Gemini-only fields the bridge dropped', ['model']),
+        contextTrimmed: registry.counter('bridge_context_trimmed_total', 'Requests whose conversation was trimmed to fit the context window', ['model']),
+        toolCallRepairs: registry.counter('bridge_tool_call_repairs_total', 'Tool calls whose arguments were repaired or failed validation, by result (repaired, reprompted, invalid)', ['model', 'result']),
+        authFailures: registry.counter('bridge_auth_failures_total', 'Requests rejected for a missing or invalid API key', ['reason']),
+        rateLimited: registry.counter('bridge_rate_limited_total', 'Requests rejected by a per-key limit', ['client', 'limit']),
+        cacheRequests: registry.counter('bridge_cache_requests_total', 'Cacheable requests, by cache result (hit, miss, bypass)', ['result']),
+        upstreamHealthy: registry.gauge('bridge_upstream_healthy', 'Whether an upstream is healthy and not ejected (1) or not (0)', ['upstream']),
+        upstreamInFlight: registry.gauge('bridge_upstream_in_flight', 'Requests in flight per upstream', ['upstream']),
+        queueLength: registry.gauge('bridge_queue_length', 'Requests waiting for a concurrency slot per upstream', ['upstream']),
+        queueWait: registry.histogram('bridge_queue_wait_seconds', 'Time queued requests waited for an upstream slot', ['upstream', 'priority'], LATENCY_BUCKETS),
+        queueRejected: registry.counter('bridge_queue_rejected_total', 'Requests turned away because an upstream queue was full or the wait timed out', ['upstream', 'reason'])
+    };
+}
+
+module.exports = {
+    createRegistry,
+    createBridgeMetrics
+};
@@ -0,0 +1,420 @@
+/**
+ * Native Ollama backend adapter
+ * Speaks Ollama's /api/chat and /api/tags and translates the results back into
+ * OpenAI chat completions, so the rest of the bridge only ever sees OpenAI responses.
+ * Unlike Ollama's OpenAI shim, /api/chat honours `options` (num_ctx, mirostat,
+ * repeat_penalty...) and `keep_alive`.
+ */
+
+const { formatSSE } = require('./sse');
+
+// OpenAI request field -> Ollama option
+const OPTION_FIELDS = {
+    temperature: 'temperature',
+    top_p: 'top_p',
+    top_k: 'top_k',
+    max_tokens: 'num_predict',
+    stop: 'stop',
+    seed: 'seed',
+    frequency_penalty: 'frequency_penalty',
+    presence_penalty: 'presence_penalty'
+};
+
+/**
+ * Derive the Ollama API base from the target URL (http://host:11434/v1 -> http://host:11434)
+ * @param {string} targetUrl - Configured target URL
+ * @returns {string} - Ollama base URL
+ */
+function ollamaBaseUrl(targetUrl) {
+    return String(targetUrl || '').replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+/**
+ * Convert an OpenAI message into an Ollama /api/chat message
+ * Ollama has no call IDs: a tool result names the tool it answers with `tool_name` instead.
+ * @param {Object} message - OpenAI message
+ * @param {Map} [toolNames] - Call ID -> tool name, from the conversation's assistant tool calls
+ * @returns {Object} - Ollama message
+ */
+function convertMessage(message, toolNames = new Map()) {
+    const converted = { role: message.role };
+    if (message.role === 'tool') {
+        const name = message.name || toolNames.get(message.tool_call_id);
+        if (name) {
+            converted.tool_name = name;
+        }
+    }
+
+    if (Array.isArray(message.content)) {
+        const images = [];
+        converted.content = message.content
+            .map(part => {
+                if (part.type === 'text') {
+                    return part.text;
+                }
+                const url = part.type === 'image_url' && part.image_url && part.image_url.url;
+                const match = url && /^data:[^;]+;base64,(.*)$/.exec(url);
+                if (match) {
+                    images.push(match[1]);
+                }
+                return '';
+            })
+            .filter(Boolean)
+            .join('\n');
+        if (images.length > 0) {
+            converted.images = images;
+        }
+    } else {
+        converted.content = message.content || '';
+    }
+
+    if (Array.isArray(message.tool_calls)) {
+        converted.tool_calls = message.tool_calls.map(call => {
+            let args = call.function.arguments;
+            if (typeof args === 'string') {
+                try {
+                    args = JSON.parse(args || '{}');
+                } catch (error) {
+                    args = {};
+                }
+            }
+            return { function: { name: call.function.name, arguments: args || {} } };
+        });
+    }
+
+    return converted;
+}
+
+/**
+ * Convert a cleaned OpenAI request into an Ollama /api/chat request
+ * @param {Object} request - OpenAI-compatible request (output of cleanRequest)
+ * @param {Object} defaults - { options, keep_alive, think } from config and the client, overridden by the request's fields
+ * @returns {Object} - Ollama /api/chat request body
+ */
+function toOllamaRequest(request, defaults = {}) {
+    const messages = request.messages || [];
+    const toolNames = new Map();
+    messages.forEach(message => (message.tool_calls || []).forEach(call => {
+        if (call.id && call.function) {
+            toolNames.set(call.id, call.function.name);
+        }
+    }));
+    const ollamaRequest = {
+        model: request.model,
+        messages: messages.map(message => convertMessage(message, toolNames)),
+        stream: request.stream === true
+    };
+
+    // Configured options are the base; the request's own fields (max_tokens already capped to
+    // the context window) win over them
+    const options = { ...defaults.options };
+    Object.keys(OPTION_FIELDS).forEach(field => {
+        if (request[field] !== undefined) {
+            options[OPTION_FIELDS[field]] = request[field];
+        }
+    });
+    if (Object.keys(options).length > 0) {
+        ollamaRequest.options = options;
+    }
+
+    if (defaults.keep_alive !== undefined) {
+        ollamaRequest.keep_alive = defaults.keep_alive;
+    }
+    if (defaults.think !== undefined) {
+        ollamaRequest.think = defaults.think;
+    }
+    if (request.tools) {
+        ollamaRequest.tools = request.tools;
+    }
+    // Ollama takes "json" or the JSON Schema itself
+    const responseFormat = request.response_format;
+    if (responseFormat && responseFormat.type === 'json_object') {
+        ollamaRequest.format = 'json';
+    } else if (responseFormat && responseFormat.type === 'json_schema' && responseFormat.json_schema) {
+        ollamaRequest.format = responseFormat.json_schema.schema || 'json';
+    }
+
+    return ollamaRequest;
+}
+
+/**
+ * Convert Ollama tool calls (arguments as objects) into OpenAI tool_calls
+ * @param {Array} toolCalls - Ollama message.tool_calls
+ * @param {string} prefix - Prefix for generated call IDs
+ * @returns {Array} - OpenAI tool_calls
+ */
+function convertToolCalls(toolCalls, prefix) {
+    return toolCalls.map((call, index) => ({
+        index,
+        id: `call_${prefix}_${index}`,
+        type: 'function',
+        function: {
+            name: call.function.name,
+            arguments: typeof call.function.arguments === 'string'
+                ? call.function.arguments
+                : JSON.stringify(call.function.arguments || {})
+        }
+    }));
+}
+
+/**
+ * Build the OpenAI usage block from Ollama eval counters
+ * @param {Object} data - Final Ollama response
+ * @returns {Object} - OpenAI usage
+ */
+function convertUsage(data) {
+    const promptTokens = data.prompt_eval_count || 0;
+    const completionTokens = data.eval_count || 0;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+}
+
+/**
+ * Convert a non-streamed Ollama /api/chat response into an OpenAI chat.completion
+ * @param {Object} data - Ollama response
+ * @returns {Object} - OpenAI chat.completion
+ */
+function fromOllamaResponse(data) {
+    const id = Date.now().toString(36);
+    const message = { role: 'assistant', content: (data.message && data.message.content) || '' };
+    if (data.message && data.message.thinking) {
+        message.reasoning_content = data.message.thinking;
+    }
+    let finishReason = data.done_reason === 'length' ? 'length' : 'stop';
+
+    if (data.message && Array.isArray(data.message.tool_calls) && data.message.tool_calls.length > 0) {
+        message.tool_calls = convertToolCalls(data.message.tool_calls, id)
+            .map(({ index, ...call }) => call);
+        finishReason = 'tool_calls';
+    }
+
+    return {
+        id: `chatcmpl-${id}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: data.model,
+        choices: [{
+            index: 0,
+            message,
+            finish_reason: finishReason
+        }],
+        usage: convertUsage(data)
+    };
+}
+
+/**
+ * Create a translator from Ollama NDJSON stream objects to OpenAI SSE text
+ * @param {Object} request - The OpenAI request (for stream_options.include_usage)
+ * @returns {Object} - { push(object) => string, end() => string }
+ */
+function createOllamaStreamTranslator(request) {
+    const id = Date.now().toString(36);
+    const created = Math.floor(Date.now() / 1000);
+    const includeUsage = !!(request.stream_options && request.stream_options.include_usage);
+    let sentRole = false;
+    let sawToolCalls = false;
+    let toolCallCount = 0;
+    let finished = false;
+
+    function chunk(model, delta, finishReason) {
+        return {
+            id: `chatcmpl-${id}`,
+            object: 'chat.completion.chunk',
+            created,
+            model,
+            choices: [{ index: 0, delta, finish_reason: finishReason }]
+        };
+    }
+
+    return {
+        push(data) {
+            if (data.error) {
+                finished = true;
+                return formatSSE({ error: { message: data.error, type: 'upstream_error' } }) + formatSSE('[DONE]');
+            }
+
+            let out = '';
+            const message = data.message || {};
+            const delta = {};
+
+            if (!sentRole) {
+                delta.role = 'assistant';
+                sentRole = true;
+            }
+            if (message.thinking) {
+                delta.reasoning_content = message.thinking;
+            }
+            if (message.content) {
+                delta.content = message.content;
+            }
+            if (Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+                delta.tool_calls = convertToolCalls(message.tool_calls, id).map(call => ({
+                    ...call,
+                    index: call.index + toolCallCount,
+                    id: `call_${id}_${call.index + toolCallCount}`
+                }));
+                toolCallCount += message.tool_calls.length;
+                sawToolCalls = true;
+            }
+
+            if (delta.content || delta.reasoning_content || delta.tool_calls || (delta.role && !data.done)) {
+                out += formatSSE(chunk(data.model, delta, null));
+            }
+
+            if (data.done) {
+                finished = true;
+                const finishReason = sawToolCalls ? 'tool_calls' : (data.done_reason === 'length' ? 'length' : 'stop');
+                out += formatSSE(chunk(data.model, {}, finishReason));
+                if (includeUsage) {
+                    out += formatSSE({
+                        id: `chatcmpl-${id}`,
+                        object: 'chat.completion.chunk',
+                        created,
+                        model: data.model,
+                        choices: [],
+                        usage: convertUsage(data)
+                    });
+                }
+                out += formatSSE('[DONE]');
+            }
+
+            return out;
+        },
+
+        end() {
+            // Upstream closed without a done object - still terminate the SSE stream
+            return finished ? '' : formatSSE('[DONE]');
+        }
+    };
+}
+
+/**
+ * Wrap an Ollama NDJSON streaming body as an OpenAI SSE ReadableStream
+ * @param {ReadableStream} body - Ollama response body
+ * @param {Object} request - The OpenAI request
+ * @returns {ReadableStream} - SSE byte stream
+ */
+function toOpenAIStream(body, request) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    const translator = createOllamaStreamTranslator(request);
+    let buffer = '';
+
+    const translateLine = (line) => {
+        if (!line.trim()) {
+            return '';
+        }
+        try {
+            return translator.push(JSON.parse(line));
+        } catch (error) {
+            return '';
+        }
+    };
+
+    return new ReadableStream({
+        async pull(controller) {
+            const { done, value } = await reader.read();
+            if (done) {
+                const out = translateLine(buffer) + translator.end();
+                buffer = '';
+                if (out) {
+                    controller.enqueue(encoder.encode(out));
+                }
+                controller.close();
+                return;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            const out = lines.map(translateLine).join('');
+            if (out) {
+                controller.enqueue(encoder.encode(out));
+            }
+        },
+
+        cancel(reason) {
+            return reader.cancel(reason);
+        }
+    });
+}
+
+/**
+ * Send a chat request to Ollama's native API and return an OpenAI-shaped Response
+ * @param {string} targetUrl - Configured target URL
+ * @param {Object} request - OpenAI-compatible request
+ * @param {Object} defaults - { options, keep_alive, think }
+ * @param {Object} headers - Headers to send upstream
+ * @param {AbortSignal} [signal] - Aborts the upstream request
+ * @param {Agent} [dispatcher] - Dispatcher with the connect timeout (see createDispatcher)
+ * @returns {Promise<Response>} - Response whose body is an OpenAI completion or SSE stream
+ */
+async function forwardOllamaChat(targetUrl, request, defaults, headers, signal, dispatcher) {
+    const response = await fetch(ollamaBaseUrl(targetUrl) + '/api/chat', {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify(toOllamaRequest(request, defaults)),
+        signal,
+        dispatcher
+    });
+
+    if (!response.ok) {
+        const text = await response.text();
+        let message = text;
+        try {
+            message = JSON.parse(text).error || text;
+        } catch (error) {
+            // Not JSON - keep the raw body
+        }
+        return new Response(JSON.stringify({ error: { message, type: 'upstream_error' } }), {
+            status: response.status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    if (request.stream === true && response.body) {
+        return new Response(toOpenAIStream(response.body, request), {
+            status: response.status,
+            headers: { 'Content-Type': 'text/event-stream' }
+        });
+    }
+
+    return new Response(JSON.stringify(fromOllamaResponse(await response.json())), {
+        status: response.status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Fetch Ollama's /api/tags and convert it into an OpenAI model list
+ * @param {string} targetUrl - Configured target URL
+ * @param {Object} headers - Headers to send upstream
+ * @returns {Promise<Object>} - OpenAI model list
+ */
+async function fetchOllamaModels(targetUrl, headers) {
+    const response = await fetch(ollamaBaseUrl(targetUrl) + '/api/tags', { headers });
+    const data = await response.json();
+
+    return {
+        object: 'list',
+        data: (data.models || []).map(model => ({
+            id: model.name || model.model,
+            object: 'model',
+            created: model.modified_at ? Math.floor(new Date(model.modified_at).getTime() / 1000) : 0,
+            owned_by: 'ollama'
+        }))
+    };
+}
+
+module.exports = {
+    ollamaBaseUrl,
+    toOllamaRequest,
+    fromOllamaResponse,
+    createOllamaStreamTranslator,
+    forwardOllamaChat,
+    fetchOllamaModels
+};
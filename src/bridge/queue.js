@@ -0,0 +1,248 @@
+/**
+ * Concurrency gate and request queue per upstream
+ * Ollama generates one response at a time, so unbounded parallel requests only pile up inside
+ * it and time out unpredictably. Each upstream admits at most BRIDGE_MAX_CONCURRENCY requests;
+ * the rest wait in a bounded queue - first come first served, or round-robin across clients -
+ * with interactive (streaming) requests optionally served before batch ones.
+ */
+
+const { readInteger } = require('./config');
+
+const POLICIES = ['fifo', 'fair'];
+const PRIORITIES = ['interactive', 'batch'];
+
+/**
+ * Read queue settings from the environment
+ * @param {Object} [env] - Settings; reads BRIDGE_MAX_CONCURRENCY, BRIDGE_MAX_QUEUE and BRIDGE_QUEUE_*
+ * @returns {Object} - { maxConcurrency, maxQueue, queueTimeout, policy, prioritizeStreaming, priorityHeader }
+ */
+function getQueueConfig(env = process.env) {
+    const policy = (env.BRIDGE_QUEUE_POLICY || 'fifo').toLowerCase();
+    if (!POLICIES.includes(policy)) {
+        throw new Error(`Invalid BRIDGE_QUEUE_POLICY "${env.BRIDGE_QUEUE_POLICY}" (expected ${POLICIES.join(' or ')})`);
+    }
+
+    return {
+        maxConcurrency: readInteger(env, 'BRIDGE_MAX_CONCURRENCY', 0),
+        maxQueue: readInteger(env, 'BRIDGE_MAX_QUEUE', 100),
+        queueTimeout: readInteger(env, 'BRIDGE_QUEUE_TIMEOUT', 0),
+        policy,
+        prioritizeStreaming: env.BRIDGE_QUEUE_PRIORITIZE_STREAMING === 'true',
+        priorityHeader: env.BRIDGE_QUEUE_PRIORITY_HEADER === 'true'
+    };
+}
+
+/**
+ * Priority class of a request: streaming requests are interactive and the rest batch, unless
+ * the operator lets clients choose with the X-Bridge-Priority header (any client could otherwise
+ * jump the queue)
+ * @param {Object} req - Incoming Express request
+ * @param {Object} cleanedRequest - OpenAI-compatible request
+ * @param {Object} config - Settings from getQueueConfig
+ * @returns {string} - 'interactive' or 'batch'
+ */
+function requestPriority(req, cleanedRequest, config) {
+    const requested = String(req.headers['x-bridge-priority'] || '').toLowerCase();
+    if (config.priorityHeader && PRIORITIES.includes(requested)) {
+        return requested;
+    }
+    return cleanedRequest.stream === true ? 'interactive' : 'batch';
+}
+
+/**
+ * Error for a request the queue turned away
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} - Error with a 503 status
+ */
+function busyError(message, code) {
+    const error = new Error(message);
+    error.status = 503;
+    error.code = code;
+    error.type = 'server_busy';
+    return error;
+}
+
+/**
+ * Create the gate for one upstream
+ * @param {string} url - Upstream URL (for logs and status)
+ * @param {Object} config - Settings from getQueueConfig
+ * @returns {Object} - { acquire, full, drain, status }
+ */
+function createGate(url, config) {
+    const waiting = [];
+    // client -> dispatch sequence number of its last admitted request (fair policy)
+    const lastServed = new Map();
+    let active = 0;
+    let sequence = 0;
+    let dispatched = 0;
+
+    const rank = (entry) => config.prioritizeStreaming && entry.priority === 'interactive' ? 0 : 1;
+
+    /**
+     * Waiting requests in the order they will be admitted
+     * @returns {Array<Object>} - Queue entries
+     */
+    const ordered = () => [...waiting].sort((a, b) => {
+        if (rank(a) !== rank(b)) {
+            return rank(a) - rank(b);
+        }
+        if (config.policy === 'fair') {
+            const served = (lastServed.get(a.client) || 0) - (lastServed.get(b.client) || 0);
+            if (served !== 0) {
+                return served;
+            }
+        }
+        return a.sequence - b.sequence;
+    });
+
+    const remove = (entry) => {
+        const index = waiting.indexOf(entry);
+        if (index !== -1) {
+            waiting.splice(index, 1);
+        }
+        clearTimeout(entry.timer);
+    };
+
+    const admit = (entry) => {
+        active++;
+        dispatched++;
+        lastServed.set(entry.client, dispatched);
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            active--;
+            drain();
+        };
+    };
+
+    const drain = () => {
+        while (waiting.length > 0 && (!config.maxConcurrency || active < config.maxConcurrency)) {
+            const entry = ordered()[0];
+            remove(entry);
+            entry.resolve({ release: admit(entry), waitMs: Date.now() - entry.enqueuedAt, queued: true });
+        }
+    };
+
+    return {
+        /**
+         * Wait for a slot on the upstream
+         * @param {Object} request - { id, client, priority, signal, onQueued(position) }
+         * @returns {Promise<Object>} - { release(), waitMs, queued }; rejects with a 503 when the
+         *   queue is full or the wait times out, or with the signal's reason when it aborts
+         */
+        acquire(request) {
+            if (!config.maxConcurrency || (active < config.maxConcurrency && waiting.length === 0)) {
+                return Promise.resolve({ release: admit(request), waitMs: 0, queued: false });
+            }
+            if (waiting.length >= config.maxQueue) {
+                return Promise.reject(busyError(`Upstream ${url} is busy and its queue is full (${config.maxQueue} waiting)`, 'queue_full'));
+            }
+
+            return new Promise((resolve, reject) => {
+                const entry = {
+                    id: request.id,
+                    client: request.client,
+                    priority: request.priority,
+                    sequence: sequence++,
+                    enqueuedAt: Date.now(),
+                    resolve,
+                    reject
+                };
+                waiting.push(entry);
+
+                if (config.queueTimeout) {
+                    entry.timer = setTimeout(() => {
+                        remove(entry);
+                        reject(busyError(`Timed out after ${config.queueTimeout}ms waiting for upstream ${url}`, 'queue_timeout'));
+                    }, config.queueTimeout);
+                }
+                if (request.signal) {
+                    request.signal.addEventListener('abort', () => {
+                        if (waiting.includes(entry)) {
+                            remove(entry);
+                            reject(request.signal.reason);
+                        }
+                    }, { once: true });
+                }
+                if (request.onQueued) {
+                    request.onQueued(ordered().indexOf(entry) + 1, waiting.length);
+                }
+            });
+        },
+
+        /**
+         * Whether a new request would have to wait
+         * @returns {boolean} - True when every slot is taken
+         */
+        full() {
+            return config.maxConcurrency > 0 && active >= config.maxConcurrency;
+        },
+
+        // Admit waiting requests after the limit was raised (or removed)
+        drain,
+
+        status() {
+            const now = Date.now();
+            return {
+                url,
+                limit: config.maxConcurrency,
+                active,
+                queued: waiting.length,
+                waiting: ordered().map((entry, index) => ({
+                    requestId: entry.id,
+                    client: entry.client,
+                    priority: entry.priority,
+                    position: index + 1,
+                    waitMs: now - entry.enqueuedAt
+                }))
+            };
+        }
+    };
+}
+
+/**
+ * Create the registry handing out one gate per upstream URL
+ * @param {Object} config - Settings from getQueueConfig
+ * @returns {Object} - { enabled, gateFor(url), configure(config), status() }
+ */
+function createQueueRegistry(config) {
+    const gates = new Map();
+    // Shared by every gate so a reload reaches them all
+    const settings = { ...config };
+
+    return {
+        get enabled() {
+            return settings.maxConcurrency > 0;
+        },
+
+        gateFor(url) {
+            if (!gates.has(url)) {
+                gates.set(url, createGate(url, settings));
+            }
+            return gates.get(url);
+        },
+
+        /**
+         * Apply new settings; requests already waiting keep their place (and their timeout)
+         * @param {Object} next - Settings from getQueueConfig
+         */
+        configure(next) {
+            Object.assign(settings, next);
+            gates.forEach(gate => gate.drain());
+        },
+
+        status() {
+            return [...gates.values()].map(gate => gate.status());
+        }
+    };
+}
+
+module.exports = {
+    getQueueConfig,
+    requestPriority,
+    createQueueRegistry
+};
@@ -0,0 +1,196 @@
+/**
+ * Reasoning output
+ * qwen3, deepseek-r1 and QwQ write their reasoning into the answer as a leading
+ * `<think>...</think>` block. The splitter here moves it into `reasoning_content` (the field
+ * vLLM and DeepSeek use), also across streamed chunks that cut a tag in half, and Gemini's
+ * thinkingConfig is translated into the switches those models understand.
+ */
+
+const { matchesModel } = require('./routing');
+
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+// Hybrid models that take a `/think` / `/no_think` switch in the prompt; the coder, instruct and
+// thinking releases of qwen3 have no switch
+const SOFT_SWITCH_PATTERN = /qwen3/i;
+const NO_SWITCH_PATTERN = /coder|instruct|thinking/i;
+
+/**
+ * Read which models' answers OpenAI clients get split, from BRIDGE_SPLIT_REASONING
+ * A comma-separated list of model names (`*` globs or /regex/, as in BRIDGE_MODEL_CONTEXT).
+ * Gemini clients always get the reasoning split off - it becomes a thought part or is dropped.
+ * @param {Object} [env] - Settings
+ * @returns {Object} - { models }
+ */
+function getReasoningConfig(env = process.env) {
+    return {
+        models: (env.BRIDGE_SPLIT_REASONING || '').split(',').map(model => model.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Whether OpenAI clients get a model's leading `<think>` block as reasoning_content
+ * @param {Object} config - Settings from getReasoningConfig
+ * @param {string} model - Upstream model name
+ * @returns {boolean} - True when BRIDGE_SPLIT_REASONING lists the model
+ */
+function splitsReasoning(config, model) {
+    return config.models.some(pattern => matchesModel(pattern, model));
+}
+
+/**
+ * Length of the longest end of `text` that begins `tag` - text that may be a tag cut by a chunk boundary
+ * @param {string} text - Text received so far
+ * @param {string} tag - Tag being looked for
+ * @returns {number} - Characters to hold back
+ */
+function partialTagLength(text, tag) {
+    for (let length = Math.min(text.length, tag.length - 1); length > 0; length--) {
+        if (text.endsWith(tag.slice(0, length))) {
+            return length;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Create a splitter that separates a leading `<think>` block from the answer
+ * Text is fed in as it arrives; a tag may straddle two pieces, so text that could be the start
+ * of one is held back until the next piece (or flush) decides. Only a block at the very start
+ * of the output counts - a `<think>` later in the answer is left alone.
+ * @returns {Object} - { push(text) => { reasoning, content }, flush() => { reasoning, content } }
+ */
+function createReasoningSplitter() {
+    // start: nothing but whitespace seen; reasoning: inside the block; answer: passing text
+    // through; the -start states skip the whitespace that follows a tag
+    let state = 'start';
+    let pending = '';
+
+    const split = (text, final) => {
+        const out = { reasoning: '', content: '' };
+        let rest = pending + text;
+        pending = '';
+
+        while (rest) {
+            if (state === 'start') {
+                const trimmed = rest.trimStart();
+                if (trimmed.startsWith(OPEN_TAG)) {
+                    state = 'reasoning-start';
+                    rest = trimmed.slice(OPEN_TAG.length);
+                } else if (!final && OPEN_TAG.startsWith(trimmed)) {
+                    pending = rest;
+                    rest = '';
+                } else {
+                    state = 'answer';
+                }
+            } else if (state === 'reasoning-start') {
+                rest = rest.trimStart();
+                if (rest) {
+                    state = 'reasoning';
+                }
+            } else if (state === 'reasoning') {
+                const end = rest.indexOf(CLOSE_TAG);
+                if (end !== -1) {
+                    out.reasoning += rest.slice(0, end);
+                    state = 'answer-start';
+                    rest = rest.slice(end + CLOSE_TAG.length);
+                } else {
+                    const hold = final ? 0 : partialTagLength(rest, CLOSE_TAG);
+                    out.reasoning += rest.slice(0, rest.length - hold);
+                    pending = rest.slice(rest.length - hold);
+                    rest = '';
+                }
+            } else if (state === 'answer-start') {
+                rest = rest.trimStart();
+                if (rest) {
+                    state = 'answer';
+                }
+            } else {
+                out.content += rest;
+                rest = '';
+            }
+        }
+        return out;
+    };
+
+    return {
+        push(text) {
+            return split(text || '', false);
+        },
+
+        flush() {
+            return split('', true);
+        }
+    };
+}
+
+/**
+ * Split a complete answer into its reasoning and the answer proper
+ * @param {string} text - Model output
+ * @returns {Object} - { reasoning, content }
+ */
+function splitReasoning(text) {
+    const splitter = createReasoningSplitter();
+    const head = splitter.push(text);
+    const tail = splitter.flush();
+    return {
+        reasoning: (head.reasoning + tail.reasoning).trimEnd(),
+        content: head.content + tail.content
+    };
+}
+
+/**
+ * Read Gemini's thinkingConfig
+ * `thinkingBudget: 0` turns thinking off, -1 leaves the budget to the model; thoughts only reach a
+ * Gemini client that asked for them with `includeThoughts`.
+ * @param {Object} [generationConfig] - Gemini generationConfig
+ * @returns {Object} - { enabled (true, false, or undefined when not set), budget, includeThoughts }
+ */
+function getThinkingConfig(generationConfig) {
+    const thinking = (generationConfig && generationConfig.thinkingConfig) || {};
+    let enabled;
+    let budget;
+    if (typeof thinking.thinkingBudget === 'number') {
+        budget = thinking.thinkingBudget;
+        enabled = budget !== 0;
+    }
+    return { enabled, budget, includeThoughts: thinking.includeThoughts === true };
+}
+
+/**
+ * Ollama's `think` parameter for a Gemini thinkingConfig
+ * @param {Object} [generationConfig] - Gemini generationConfig
+ * @returns {boolean|undefined} - Off for a zero budget, on for any other budget or when thoughts
+ *     are asked for, undefined to keep the model's default
+ */
+function ollamaThink(generationConfig) {
+    const { enabled, includeThoughts } = getThinkingConfig(generationConfig);
+    if (enabled !== undefined) {
+        return enabled;
+    }
+    return includeThoughts ? true : undefined;
+}
+
+/**
+ * The prompt switch that turns a model's thinking on or off
+ * @param {string} model - Upstream model name
+ * @param {boolean} enabled - Thinking wanted
+ * @returns {string|null} - `/think` or `/no_think`, or null for models without a switch
+ */
+function thinkingSwitch(model, enabled) {
+    if (!SOFT_SWITCH_PATTERN.test(model || '') || NO_SWITCH_PATTERN.test(model)) {
+        return null;
+    }
+    return enabled ? '/think' : '/no_think';
+}
+
+module.exports = {
+    getReasoningConfig,
+    splitsReasoning,
+    createReasoningSplitter,
+    splitReasoning,
+    getThinkingConfig,
+    ollamaThink,
+    thinkingSwitch
+};
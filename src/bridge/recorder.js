@@ -0,0 +1,288 @@
+/**
+ * Recording and replay of upstream exchanges
+ * Record mode appends one JSON line per exchange: the incoming request, the cleaned request and
+ * the upstream response - a JSON body, or every streamed chunk with its offset in milliseconds.
+ * Replay mode serves those responses instead of calling an upstream, so client bugs can be
+ * reproduced offline and recordings used as regression fixtures.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { redact } = require('./logger');
+
+const MATCH_MODES = ['request', 'sequence'];
+
+/**
+ * Read recording settings from the environment
+ * @param {Object} [env] - Settings; reads BRIDGE_RECORD_FILE, BRIDGE_REPLAY_FILE and BRIDGE_REPLAY_*
+ * @returns {Object} - { mode: 'record'|'replay'|null, file, match, timing }
+ */
+function getRecordingConfig(env = process.env) {
+    const recordFile = env.BRIDGE_RECORD_FILE;
+    const replayFile = env.BRIDGE_REPLAY_FILE;
+    if (recordFile && replayFile) {
+        throw new Error('BRIDGE_RECORD_FILE and BRIDGE_REPLAY_FILE cannot be used together');
+    }
+
+    const match = (env.BRIDGE_REPLAY_MATCH || 'request').toLowerCase();
+    if (!MATCH_MODES.includes(match)) {
+        throw new Error(`Invalid BRIDGE_REPLAY_MATCH "${env.BRIDGE_REPLAY_MATCH}" (expected ${MATCH_MODES.join(' or ')})`);
+    }
+
+    return {
+        mode: recordFile ? 'record' : (replayFile ? 'replay' : null),
+        file: recordFile || replayFile,
+        match,
+        timing: env.BRIDGE_REPLAY_TIMING === 'true'
+    };
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal requests give equal text
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalJSON).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => JSON.stringify(key) + ':' + canonicalJSON(value[key]))
+            .join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Key identifying a cleaned request in a recording
+ * @param {Object} cleanedRequest - OpenAI-compatible request sent upstream
+ * @returns {string} - SHA-256 of the canonical request
+ */
+function requestKey(cleanedRequest) {
+    return crypto.createHash('sha256').update(canonicalJSON(cleanedRequest)).digest('hex');
+}
+
+/**
+ * Create a recorder appending exchanges to a JSONL file
+ * @param {string} file - Recording file
+ * @returns {Object} - { start(req, cleanedRequest) => exchange }
+ */
+function createRecorder(file) {
+    const out = fs.createWriteStream(file, { flags: 'a' });
+    out.on('error', () => {
+        // Recording is best effort; a full disk must not take requests down
+    });
+
+    const write = (entry) => {
+        out.write(JSON.stringify(entry) + '\n');
+    };
+
+    return {
+        /**
+         * Begin recording one exchange
+         * @param {Object} req - Incoming Express request
+         * @param {Object} cleanedRequest - Request sent upstream
+         * @returns {Object} - { response(response) => Response, error(error) }
+         */
+        start(req, cleanedRequest) {
+            const started = Date.now();
+            const entry = {
+                id: req.id,
+                time: new Date(started).toISOString(),
+                key: requestKey(cleanedRequest),
+                request: redact({
+                    method: req.method,
+                    path: req.path,
+                    headers: req.headers,
+                    body: req.body
+                }, { logContent: true }),
+                cleanedRequest
+            };
+
+            return {
+                /**
+                 * Record a response while the bridge reads it
+                 * @param {Response} response - Upstream response
+                 * @returns {Response} - Equivalent response whose body is captured as it is read
+                 */
+                response(response) {
+                    const contentType = response.headers.get('content-type') || '';
+                    entry.response = { status: response.status, contentType };
+                    if (!response.body) {
+                        entry.durationMs = Date.now() - started;
+                        write(entry);
+                        return response;
+                    }
+
+                    const reader = response.body.getReader();
+                    const decoder = new TextDecoder();
+                    const chunks = [];
+                    const finish = (extra) => {
+                        Object.assign(entry.response, extra);
+                        const text = chunks.map(chunk => chunk.data).join('');
+                        if (contentType.includes('text/event-stream')) {
+                            entry.response.chunks = chunks;
+                        } else {
+                            try {
+                                entry.response.body = JSON.parse(text);
+                            } catch (error) {
+                                entry.response.text = text;
+                            }
+                        }
+                        entry.durationMs = Date.now() - started;
+                        write(entry);
+                    };
+
+                    const body = new ReadableStream({
+                        async pull(stream) {
+                            try {
+                                const { done, value } = await reader.read();
+                                if (done) {
+                                    finish({});
+                                    stream.close();
+                                    return;
+                                }
+                                chunks.push({ t: Date.now() - started, data: decoder.decode(value, { stream: true }) });
+                                stream.enqueue(value);
+                            } catch (error) {
+                                finish({ error: error.message });
+                                stream.error(error);
+                            }
+                        },
+
+                        cancel(reason) {
+                            // The bridge stops reading at [DONE]; anything else means the client went away
+                            const complete = chunks.some(chunk => chunk.data.includes('[DONE]'));
+                            finish(complete ? {} : { aborted: true });
+                            return reader.cancel(reason);
+                        }
+                    });
+
+                    return new Response(body, {
+                        status: response.status,
+                        statusText: response.statusText,
+                        headers: response.headers
+                    });
+                },
+
+                /**
+                 * Record a request that never got a response (connection failure, timeout)
+                 * @param {Error} error - The failure
+                 */
+                error(error) {
+                    entry.error = { message: error.message, status: error.status, code: error.code };
+                    entry.durationMs = Date.now() - started;
+                    write(entry);
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Load a recording and serve its responses
+ * - request matching: the response recorded for an identical cleaned request; repeated requests
+ *   get the recorded responses in order, the last one once they run out
+ * - sequence matching: responses in recorded order, whatever the request
+ * @param {string} file - Recording file
+ * @param {Object} config - Settings from getRecordingConfig
+ * @returns {Object} - { size, respond(cleanedRequest) => Promise<Response> }
+ */
+function createReplayer(file, config) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to load recording from ${file}: ${error.message}`);
+    }
+
+    const entries = [];
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            throw new Error(`Invalid recording ${file} line ${index + 1}: ${error.message}`);
+        }
+    });
+    // Lines are written as exchanges finish; replay them in the order they started
+    entries.sort((a, b) => String(a.time).localeCompare(String(b.time)));
+
+    const byKey = new Map();
+    entries.forEach(entry => {
+        if (!byKey.has(entry.key)) {
+            byKey.set(entry.key, { entries: [], next: 0 });
+        }
+        byKey.get(entry.key).entries.push(entry);
+    });
+    let sequence = 0;
+
+    const pick = (cleanedRequest) => {
+        if (config.match === 'sequence') {
+            return entries[sequence++] || null;
+        }
+        const recorded = byKey.get(requestKey(cleanedRequest));
+        if (!recorded) {
+            return null;
+        }
+        const entry = recorded.entries[Math.min(recorded.next, recorded.entries.length - 1)];
+        recorded.next++;
+        return entry;
+    };
+
+    return {
+        size: entries.length,
+
+        async respond(cleanedRequest) {
+            const entry = pick(cleanedRequest);
+            if (!entry) {
+                const error = new Error(`No recorded response for this request in ${file}`);
+                error.status = 502;
+                throw error;
+            }
+            if (entry.error || !entry.response) {
+                const error = new Error((entry.error && entry.error.message) || 'Recorded request failed');
+                error.status = (entry.error && entry.error.status) || 502;
+                error.code = entry.error && entry.error.code;
+                throw error;
+            }
+
+            const { status, contentType, chunks } = entry.response;
+            const headers = { 'Content-Type': contentType || 'application/json' };
+            if (!chunks) {
+                const body = entry.response.body !== undefined ? JSON.stringify(entry.response.body) : (entry.response.text || '');
+                return new Response(body, { status, headers });
+            }
+
+            const encoder = new TextEncoder();
+            let index = 0;
+            let previous = 0;
+            const body = new ReadableStream({
+                async pull(stream) {
+                    if (index >= chunks.length) {
+                        stream.close();
+                        return;
+                    }
+                    const chunk = chunks[index++];
+                    if (config.timing && chunk.t > previous) {
+                        await new Promise(resolve => setTimeout(resolve, chunk.t - previous));
+                    }
+                    previous = chunk.t;
+                    stream.enqueue(encoder.encode(chunk.data));
+                }
+            });
+            return new Response(body, { status, headers });
+        }
+    };
+}
+
+module.exports = {
+    getRecordingConfig,
+    requestKey,
+    createRecorder,
+    createReplayer
+};
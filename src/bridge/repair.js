@@ -0,0 +1,543 @@
+/**
+ * Tool-call argument validation and repair
+ * Local models often write tool-call arguments that are almost JSON (trailing commas, single
+ * quotes, a markdown fence) or that miss required fields, and the client's tool invocation then
+ * fails. Each returned call is checked against the JSON Schema of the tool it names: malformed
+ * JSON and mistyped values are repaired where that is unambiguous, and calls that still do not
+ * validate can be sent back to the model once with the errors (BRIDGE_TOOL_REPAIR=reprompt).
+ */
+
+const { createSSEParser, formatSSE } = require('./sse');
+
+const REPAIR_MODES = ['off', 'repair', 'reprompt'];
+const PYTHON_LITERALS = { True: 'true', False: 'false', None: 'null' };
+
+/**
+ * Read the repair mode from BRIDGE_TOOL_REPAIR
+ * - off (default): pass tool calls on as the model wrote them
+ * - repair: repair what can be repaired, log and count the rest
+ * - reprompt: also ask the model once more when a call is still invalid
+ * @param {Object} [env] - Settings
+ * @returns {Object} - { mode }
+ */
+function getRepairConfig(env = process.env) {
+    const mode = (env.BRIDGE_TOOL_REPAIR || 'off').toLowerCase();
+    if (!REPAIR_MODES.includes(mode)) {
+        throw new Error(`Invalid BRIDGE_TOOL_REPAIR "${env.BRIDGE_TOOL_REPAIR}" (expected ${REPAIR_MODES.join(', ')})`);
+    }
+    return { mode };
+}
+
+/**
+ * Rewrite almost-JSON as JSON
+ * Single-quoted strings, unquoted keys, Python literals, trailing commas, raw newlines inside
+ * strings and unclosed brackets (a cut-off answer) are fixed in one pass over the text.
+ * @param {string} text - Text to rewrite
+ * @returns {Object} - { text, repairs } - rewritten text and the kinds of repair made
+ */
+function rewriteJSON(text) {
+    const repairs = new Set();
+    const closers = [];
+    let out = '';
+    let i = 0;
+
+    const readString = (quote) => {
+        let value = '';
+        i++;
+        while (i < text.length && text[i] !== quote) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                // An escaped single quote is not a JSON escape
+                value += quote === '\'' && text[i + 1] === '\'' ? '\'' : text[i] + text[i + 1];
+                i += 2;
+                continue;
+            }
+            if (text[i] === '\n' || text[i] === '\r') {
+                repairs.add('raw newline');
+                value += text[i] === '\n' ? '\\n' : '\\r';
+            } else {
+                value += quote === '\'' && text[i] === '"' ? '\\"' : text[i];
+            }
+            i++;
+        }
+        if (i >= text.length) {
+            repairs.add('unclosed brackets');
+        }
+        i++;
+        return '"' + value + '"';
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '"' || char === '\'') {
+            if (char === '\'') {
+                repairs.add('single quotes');
+            }
+            out += readString(char);
+        } else if (char === '{' || char === '[') {
+            closers.push(char === '{' ? '}' : ']');
+            out += char;
+            i++;
+        } else if (char === '}' || char === ']') {
+            closers.pop();
+            out += char;
+            i++;
+        } else if (char === ',') {
+            const next = text.slice(i + 1).trimStart()[0];
+            if (next === '}' || next === ']' || next === undefined) {
+                repairs.add('trailing comma');
+            } else {
+                out += char;
+            }
+            i++;
+        } else if (/[A-Za-z_$]/.test(char)) {
+            const word = /^[\w$]+/.exec(text.slice(i))[0];
+            i += word.length;
+            if (text.slice(i).trimStart()[0] === ':' && closers[closers.length - 1] === '}') {
+                repairs.add('unquoted key');
+                out += JSON.stringify(word);
+            } else if (PYTHON_LITERALS[word]) {
+                repairs.add('python literal');
+                out += PYTHON_LITERALS[word];
+            } else {
+                out += word;
+            }
+        } else {
+            out += char;
+            i++;
+        }
+    }
+
+    if (closers.length > 0) {
+        repairs.add('unclosed brackets');
+        out += closers.reverse().join('');
+    }
+    return { text: out, repairs: [...repairs] };
+}
+
+/**
+ * Parse tool-call arguments, repairing them when they are not quite JSON
+ * @param {string} text - Arguments as the model wrote them
+ * @returns {Object|null} - { value, repairs }, or null when they cannot be made into JSON
+ */
+function parseArguments(text) {
+    try {
+        return { value: JSON.parse(text), repairs: [] };
+    } catch (error) {
+        // Try the repairs below
+    }
+
+    const repairs = [];
+    let candidate = text.trim();
+    const fenced = /^```[\w-]*\s*\n?([\s\S]*?)\n?\s*```$/.exec(candidate);
+    if (fenced) {
+        repairs.push('code fence');
+        candidate = fenced[1].trim();
+    }
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start > 0 || (start !== -1 && end !== -1 && end < candidate.length - 1)) {
+        repairs.push('surrounding text');
+        candidate = candidate.slice(start, end === -1 || end < start ? undefined : end + 1);
+    }
+
+    const rewritten = rewriteJSON(candidate);
+    try {
+        return { value: JSON.parse(rewritten.text), repairs: [...repairs, ...rewritten.repairs] };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * JSON Schema type of a value
+ * @param {*} value - Value
+ * @returns {string} - object, array, string, number, integer, boolean or null
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * Whether a value has one of a schema's types
+ * @param {*} value - Value
+ * @param {string|Array<string>} type - Schema type(s)
+ * @returns {boolean} - True when it matches (integers are numbers too)
+ */
+function hasType(value, type) {
+    const actual = typeOf(value);
+    return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Convert a value into the type a schema expects, where the conversion is unambiguous
+ * `"5"` for a number, `"true"` for a boolean, JSON text for an object or array (double-encoded
+ * arguments), a lone value for an array of it, and a missing required field that has a default.
+ * @param {*} value - Value from the arguments
+ * @param {Object} schema - JSON Schema it should match
+ * @param {Array<string>} repairs - Collects the kinds of repair made
+ * @returns {*} - Converted value
+ */
+function coerce(value, schema, repairs) {
+    if (!schema || typeof schema !== 'object') {
+        return value;
+    }
+    if (schema.type && !hasType(value, schema.type)) {
+        const types = [].concat(schema.type);
+        if (typeof value === 'string') {
+            const text = value.trim();
+            if ((types.includes('number') || types.includes('integer')) && text !== '' && !isNaN(Number(text)) &&
+                (types.includes('number') || Number.isInteger(Number(text)))) {
+                repairs.push('number as string');
+                return Number(text);
+            }
+            if (types.includes('boolean') && (text === 'true' || text === 'false')) {
+                repairs.push('boolean as string');
+                return text === 'true';
+            }
+            if (types.includes('object') || types.includes('array')) {
+                try {
+                    const parsed = JSON.parse(text);
+                    if (hasType(parsed, schema.type)) {
+                        repairs.push('encoded JSON');
+                        return coerce(parsed, schema, repairs);
+                    }
+                } catch (error) {
+                    // Not JSON - leave it for validation to report
+                }
+            }
+        }
+        if (types.includes('array') && value !== undefined && value !== null && hasType(value, (schema.items && schema.items.type) || typeOf(value))) {
+            repairs.push('single value for array');
+            return [coerce(value, schema.items, repairs)];
+        }
+        return value;
+    }
+
+    if (typeOf(value) === 'object' && schema.properties) {
+        const converted = { ...value };
+        Object.keys(schema.properties).forEach(name => {
+            const property = schema.properties[name] || {};
+            if (converted[name] !== undefined) {
+                converted[name] = coerce(converted[name], property, repairs);
+            } else if ((schema.required || []).includes(name) && property.default !== undefined) {
+                repairs.push('missing field with default');
+                converted[name] = property.default;
+            }
+        });
+        return converted;
+    }
+    if (Array.isArray(value) && schema.items) {
+        return value.map(item => coerce(item, schema.items, repairs));
+    }
+    return value;
+}
+
+/**
+ * Validate a value against the parts of JSON Schema tool parameters use
+ * (type, enum, required, properties, additionalProperties: false, items, anyOf / oneOf)
+ * @param {*} value - Value
+ * @param {Object} schema - JSON Schema
+ * @param {string} [where] - Path of the value, for messages
+ * @returns {Array<string>} - Errors, empty when the value is valid
+ */
+function validate(value, schema, where = 'arguments') {
+    if (!schema || typeof schema !== 'object') {
+        return [];
+    }
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (Array.isArray(alternatives) && !alternatives.some(option => validate(value, option, where).length === 0)) {
+        return [`${where} does not match any of the allowed forms`];
+    }
+    if (schema.type && !hasType(value, schema.type)) {
+        return [`${where} must be ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`];
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        return [`${where} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+
+    const errors = [];
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                errors.push(`${where}.${name} is required`);
+            }
+        });
+        Object.keys(value).forEach(name => {
+            if (schema.properties && schema.properties[name]) {
+                errors.push(...validate(value[name], schema.properties[name], `${where}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}.${name} is not a known property`);
+            }
+        });
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validate(item, schema.items, `${where}[${index}]`)));
+    }
+    return errors;
+}
+
+/**
+ * Check tool calls against the tools of the request
+ * Repaired arguments are written back into the calls.
+ * @param {Array} toolCalls - OpenAI tool_calls
+ * @param {Array} tools - OpenAI tools of the request
+ * @param {Map} [earlier] - Tool call ID -> repairs already made to it (an emulated call whose text needed repair)
+ * @returns {Object} - { toolCalls, repaired: [{ call, repairs }], invalid: [{ call, errors }] }
+ */
+function checkToolCalls(toolCalls, tools, earlier = new Map()) {
+    const schemas = new Map((tools || []).filter(tool => tool && tool.function).map(tool => [tool.function.name, tool.function.parameters]));
+    const repaired = [];
+    const invalid = [];
+
+    const checked = toolCalls.map(call => {
+        const name = call.function && call.function.name;
+        if (!schemas.has(name)) {
+            invalid.push({ call, errors: [`there is no function named ${JSON.stringify(name)}`] });
+            return call;
+        }
+        const raw = call.function.arguments;
+        const parsed = typeof raw === 'string'
+            ? (raw.trim() === '' ? { value: {}, repairs: ['empty arguments'] } : parseArguments(raw))
+            : { value: raw || {}, repairs: [] };
+        if (!parsed) {
+            invalid.push({ call, errors: ['arguments are not valid JSON'] });
+            return call;
+        }
+
+        const repairs = [...parsed.repairs];
+        const value = coerce(parsed.value, schemas.get(name), repairs);
+        const next = repairs.length > 0 || typeof raw !== 'string'
+            ? { ...call, function: { ...call.function, arguments: JSON.stringify(value) } }
+            : call;
+        const made = [...(earlier.get(call.id) || []), ...repairs];
+        if (made.length > 0) {
+            repaired.push({ call: next, repairs: made });
+        }
+        const errors = validate(value, schemas.get(name));
+        if (errors.length > 0) {
+            invalid.push({ call: next, errors });
+        }
+        return next;
+    });
+
+    return { toolCalls: checked, repaired, invalid };
+}
+
+/**
+ * Messages asking the model to redo its tool calls, appended to the conversation
+ * Every call of the turn needs an answer, so the valid ones are reported as not run.
+ * @param {Object} message - The assistant message with the calls
+ * @param {Array} invalid - Invalid calls from checkToolCalls
+ * @returns {Array<Object>} - Assistant message and one tool message per call
+ */
+function repromptMessages(message, invalid) {
+    const errors = new Map(invalid.map(entry => [entry.call.id, entry.errors]));
+    return [
+        { role: 'assistant', content: message.content || null, tool_calls: message.tool_calls },
+        ...message.tool_calls.map(call => ({
+            role: 'tool',
+            tool_call_id: call.id,
+            content: errors.has(call.id)
+                ? `Error: the call to ${call.function.name} was not run because its arguments are invalid: ` +
+                    `${errors.get(call.id).join('; ')}. Call it again with corrected arguments.`
+                : 'Not run because another call in the same turn had invalid arguments. Call it again.'
+        }))
+    ];
+}
+
+/**
+ * Check the tool calls of a response, repairing and re-prompting as configured
+ * JSON bodies are checked whole. In a stream, tool-call deltas are held back per choice and
+ * sent complete with the choice's finishing chunk, once they were checked; text still streams.
+ * @param {Response} response - Response for the client (OpenAI-shaped, already shaped by its stream flag)
+ * @param {Object} options - { tools, mode, log, repairs, reprompt(messages) => Promise<completion|null>, count(result) }
+ *     `repairs` maps tool call IDs to repairs made before (see checkToolCalls); `count` is called
+ *     with repaired, reprompted (fixed by asking again) or invalid (passed on as is)
+ * @returns {Promise<Response>} - Response with checked tool calls
+ */
+async function guardToolCalls(response, options) {
+    const { tools, mode, log } = options;
+    if (mode === 'off' || !tools || tools.length === 0 || !response.ok || !response.body) {
+        return response;
+    }
+
+    /**
+     * Check the calls of one assistant message
+     * @param {Object} message - Message with tool_calls
+     * @returns {Promise<Array>} - The calls to return
+     */
+    const settle = async (message) => {
+        const result = checkToolCalls(message.tool_calls, tools, options.repairs);
+        result.repaired.forEach(({ call, repairs }) => {
+            log.info('Repaired tool call arguments', { tool: call.function.name, repairs });
+            options.count('repaired');
+        });
+        if (result.invalid.length === 0) {
+            return result.toolCalls;
+        }
+        result.invalid.forEach(({ call, errors }) => {
+            log.warn('Tool call arguments failed validation', { tool: call.function && call.function.name, errors, reprompt: mode === 'reprompt' });
+        });
+
+        if (mode === 'reprompt') {
+            let completion = null;
+            try {
+                completion = await options.reprompt(repromptMessages({ ...message, tool_calls: result.toolCalls }, result.invalid));
+            } catch (error) {
+                log.warn('Re-prompt for tool call arguments failed', { error });
+            }
+            const retried = completion && completion.choices && completion.choices[0] && completion.choices[0].message;
+            if (retried && Array.isArray(retried.tool_calls) && retried.tool_calls.length > 0) {
+                const second = checkToolCalls(retried.tool_calls, tools, options.repairs);
+                if (second.invalid.length === 0) {
+                    log.info('Re-prompted model fixed its tool calls', { tools: second.toolCalls.map(call => call.function.name) });
+                    result.invalid.forEach(() => options.count('reprompted'));
+                    return second.toolCalls;
+                }
+            }
+            log.warn('Re-prompted model did not fix its tool calls, returning them as they are');
+        }
+        result.invalid.forEach(() => options.count('invalid'));
+        return result.toolCalls;
+    };
+
+    if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+        const body = await response.json();
+        for (const choice of body.choices || []) {
+            if (choice.message && Array.isArray(choice.message.tool_calls) && choice.message.tool_calls.length > 0) {
+                choice.message.tool_calls = await settle(choice.message);
+            }
+        }
+        return new Response(JSON.stringify(body), {
+            status: response.status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    // choice index -> { content, calls: Map(tool call index -> call) }
+    const pending = new Map();
+    const parser = createSSEParser();
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+
+    const collect = (choice) => {
+        const index = choice.index || 0;
+        if (!pending.has(index)) {
+            pending.set(index, { content: '', calls: new Map() });
+        }
+        const state = pending.get(index);
+        const delta = choice.delta || {};
+        if (typeof delta.content === 'string') {
+            state.content += delta.content;
+        }
+        (delta.tool_calls || []).forEach((call, position) => {
+            const callIndex = call.index !== undefined ? call.index : position;
+            const entry = state.calls.get(callIndex) || { id: undefined, type: 'function', function: { name: '', arguments: '' } };
+            if (call.id) {
+                entry.id = call.id;
+            }
+            if (call.function && call.function.name) {
+                entry.function.name += call.function.name;
+            }
+            if (call.function && typeof call.function.arguments === 'string') {
+                entry.function.arguments += call.function.arguments;
+            } else if (call.function && call.function.arguments) {
+                entry.function.arguments = JSON.stringify(call.function.arguments);
+            }
+            state.calls.set(callIndex, entry);
+        });
+        const held = !!delta.tool_calls;
+        delete delta.tool_calls;
+        // Whether nothing is left of the choice to send now
+        return held && Object.keys(delta).length === 0 && !choice.finish_reason;
+    };
+
+    const release = async (index) => {
+        const state = pending.get(index);
+        pending.delete(index);
+        if (!state || state.calls.size === 0) {
+            return null;
+        }
+        const calls = [...state.calls.keys()].sort((a, b) => a - b).map(key => state.calls.get(key));
+        const settled = await settle({ content: state.content, tool_calls: calls });
+        return settled.map((call, position) => ({ index: position, ...call }));
+    };
+
+    // A stream that ends without finishing its choices still gets their calls, before [DONE]
+    const releaseAll = async () => {
+        let text = '';
+        for (const index of [...pending.keys()]) {
+            const calls = await release(index);
+            if (calls) {
+                text += formatSSE({ object: 'chat.completion.chunk', choices: [{ index, delta: { tool_calls: calls }, finish_reason: 'tool_calls' }] });
+            }
+        }
+        return text;
+    };
+
+    const format = async (events) => {
+        let text = '';
+        for (const event of events) {
+            if (event.data === '[DONE]') {
+                text += await releaseAll();
+            }
+            let chunk;
+            try {
+                chunk = event.data === '[DONE]' ? null : JSON.parse(event.data);
+            } catch (error) {
+                chunk = null;
+            }
+            if (!chunk || chunk.error || !Array.isArray(chunk.choices)) {
+                text += formatSSE(event.data, event.event);
+                continue;
+            }
+            let emptied = chunk.choices.length > 0 && !chunk.usage;
+            for (const choice of chunk.choices) {
+                emptied = collect(choice) && emptied;
+                if (choice.finish_reason) {
+                    const calls = await release(choice.index || 0);
+                    if (calls) {
+                        choice.delta = { ...choice.delta, tool_calls: calls };
+                    }
+                }
+            }
+            if (!emptied) {
+                text += formatSSE(chunk, event.event);
+            }
+        }
+        return text;
+    };
+
+    const body = response.body.pipeThrough(new TransformStream({
+        async transform(bytes, controller) {
+            const text = await format(parser.push(decoder.decode(bytes, { stream: true })));
+            if (text) {
+                controller.enqueue(encoder.encode(text));
+            }
+        },
+        async flush(controller) {
+            const text = await format([...parser.push(decoder.decode()), ...parser.flush()]) + await releaseAll();
+            if (text) {
+                controller.enqueue(encoder.encode(text));
+            }
+        }
+    }));
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+module.exports = {
+    getRepairConfig,
+    parseArguments,
+    validate,
+    checkToolCalls,
+    guardToolCalls
+};
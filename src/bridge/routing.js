@@ -0,0 +1,148 @@
+/**
+ * Model alias and routing table
+ * Maps the model names clients send (gemini-2.5-pro, qwen3-coder-plus...) onto models that
+ * exist upstream, optionally on a different target server.
+ */
+
+const fs = require('fs');
+
+/**
+ * Match a model name against a pattern
+ * Patterns are exact names, globs using `*`, or regular expressions written as "/.../flags"
+ * @param {string} pattern - Pattern to match
+ * @param {string} model - Model name
+ * @returns {boolean} - True when the pattern matches
+ */
+function matchesModel(pattern, model) {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regex) {
+        return new RegExp(regex[1], regex[2]).test(model);
+    }
+    if (!pattern.includes('*')) {
+        return pattern === model;
+    }
+    const glob = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp('^' + glob + '$').test(model);
+}
+
+/**
+ * Whether a pattern names exactly one model (and can therefore be advertised)
+ * @param {string} pattern - Route pattern
+ * @returns {boolean} - True for plain model names
+ */
+function isLiteralPattern(pattern) {
+    return !pattern.includes('*') && !/^\/.+\/[a-z]*$/.test(pattern);
+}
+
+/**
+ * Load and validate the routes file named by BRIDGE_MODEL_ROUTES
+ * File format: { "routes": [{ "match": "gemini-*", "model": "qwen3-coder:7b", "targetUrl": "http://host:11434/v1", "backend": "ollama" }] }
+ * Only `match` is required; routes are tried in order and the first match wins.
+ * `targetUrls` (an array) may replace `targetUrl` to load balance the route over several servers.
+ * `upstreamStream` (auto, always, never) overrides BRIDGE_UPSTREAM_STREAM for the route's target.
+ * @param {string|Array} source - Path to the JSON routes file, or the routes themselves (inline in the config file)
+ * @returns {Array} - Validated routes
+ */
+function loadRoutes(source) {
+    if (!source) {
+        return [];
+    }
+
+    const file = Array.isArray(source) ? 'the config file' : source;
+    let data = source;
+    if (!Array.isArray(source)) {
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load model routes from ${file}: ${error.message}`);
+        }
+    }
+
+    const routes = Array.isArray(data) ? data : data.routes;
+    if (!Array.isArray(routes)) {
+        throw new Error(`Invalid model routes in ${file}: expected a "routes" array`);
+    }
+
+    routes.forEach((route, index) => {
+        if (!route || typeof route.match !== 'string' || !route.match) {
+            throw new Error(`Invalid model route #${index} in ${file}: "match" must be a non-empty string`);
+        }
+        if (route.targetUrls !== undefined &&
+            (!Array.isArray(route.targetUrls) || route.targetUrls.length === 0 || route.targetUrls.some(url => typeof url !== 'string'))) {
+            throw new Error(`Invalid model route #${index} in ${file}: "targetUrls" must be a non-empty array of strings`);
+        }
+        ['model', 'targetUrl', 'backend', 'upstreamStream'].forEach(key => {
+            if (route[key] !== undefined && typeof route[key] !== 'string') {
+                throw new Error(`Invalid model route #${index} in ${file}: "${key}" must be a string`);
+            }
+        });
+        if (route.upstreamStream && !['auto', 'always', 'never'].includes(route.upstreamStream)) {
+            throw new Error(`Invalid model route #${index} in ${file}: "upstreamStream" must be "auto", "always" or "never"`);
+        }
+        if (route.backend && !['openai', 'ollama'].includes(route.backend)) {
+            throw new Error(`Invalid model route #${index} in ${file}: "backend" must be "openai" or "ollama"`);
+        }
+        try {
+            matchesModel(route.match, '');
+        } catch (error) {
+            throw new Error(`Invalid model route #${index} in ${file}: ${error.message}`);
+        }
+    });
+
+    return routes;
+}
+
+/**
+ * Create a router resolving requested model names to a target model and backend
+ * @param {Array} routes - Routes from loadRoutes
+ * @param {Object} defaultBackend - Backend used when a route names no target
+ * @returns {Object} - { resolve(model) => { model, backend, route }, aliases() => Array<string>, models() => Array<string>,
+ *     backends() => Array<Object> }
+ */
+function createRouter(routes, defaultBackend) {
+    // Routes naming their own target get a backend built once, so its upstream pool is shared
+    const backends = new Map();
+    routes.forEach(route => {
+        if (!route.targetUrl && !route.targetUrls && !route.backend && !route.upstreamStream) {
+            return;
+        }
+        const urls = route.targetUrls || (route.targetUrl ? [route.targetUrl] : defaultBackend.urls || [defaultBackend.url]);
+        backends.set(route, {
+            ...defaultBackend,
+            url: urls[0],
+            urls,
+            type: route.backend || defaultBackend.type,
+            streamMode: route.upstreamStream || defaultBackend.streamMode
+        });
+    });
+
+    return {
+        resolve(model) {
+            const route = routes.find(candidate => matchesModel(candidate.match, model));
+            if (!route) {
+                return { model, backend: defaultBackend, route: null };
+            }
+
+            return { model: route.model || model, backend: backends.get(route) || defaultBackend, route };
+        },
+
+        backends() {
+            return [...backends.values()];
+        },
+
+        aliases() {
+            return routes.map(route => route.match).filter(isLiteralPattern);
+        },
+
+        // Every model name the table spells out: literal matches and route targets
+        models() {
+            return [...new Set([...routes.map(route => route.match).filter(isLiteralPattern), ...routes.map(route => route.model).filter(Boolean)])];
+        }
+    };
+}
+
+module.exports = {
+    matchesModel,
+    loadRoutes,
+    createRouter
+};
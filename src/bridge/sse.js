@@ -0,0 +1,144 @@
+/**
+ * Server-Sent Events helpers
+ * Parses upstream SSE streams and formats events for the client
+ */
+
+/**
+ * Create an incremental SSE parser
+ * Text may be pushed in arbitrary pieces; complete events are returned as soon as
+ * their terminating blank line has been seen.
+ * @returns {Object} - { push(text) => Array<{event, data}>, flush() => Array<{event, data}> }
+ */
+function createSSEParser() {
+    let buffer = '';
+    let dataLines = [];
+    let eventName;
+
+    function processLine(line, events) {
+        if (line === '') {
+            if (dataLines.length > 0) {
+                events.push({ event: eventName, data: dataLines.join('\n') });
+            }
+            dataLines = [];
+            eventName = undefined;
+            return;
+        }
+
+        // Comment lines (": keep-alive") carry no data
+        if (line.startsWith(':')) {
+            return;
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        if (field === 'data') {
+            dataLines.push(value);
+        } else if (field === 'event') {
+            eventName = value;
+        }
+    }
+
+    return {
+        push(text) {
+            const events = [];
+            buffer += text;
+
+            let newline;
+            while ((newline = buffer.search(/\r?\n|\r/)) !== -1) {
+                // A trailing \r may be the first half of a \r\n split across pushes
+                if (newline === buffer.length - 1 && buffer[newline] === '\r') {
+                    break;
+                }
+                const line = buffer.slice(0, newline);
+                const separatorLength = buffer.startsWith('\r\n', newline) ? 2 : 1;
+                buffer = buffer.slice(newline + separatorLength);
+                processLine(line, events);
+            }
+
+            return events;
+        },
+
+        flush() {
+            const events = [];
+            if (buffer) {
+                processLine(buffer, events);
+                buffer = '';
+            }
+            processLine('', events);
+            return events;
+        }
+    };
+}
+
+/**
+ * Format a payload as an SSE data event
+ * @param {Object|string} data - Payload (objects are JSON encoded)
+ * @param {string} [event] - Event name, omitted for plain `message` events
+ * @returns {string} - SSE-formatted event
+ */
+function formatSSE(data, event) {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    const lines = payload.split(/\r?\n/).map(line => `data: ${line}`).join('\n');
+    return (event ? `event: ${event}\n` : '') + `${lines}\n\n`;
+}
+
+/**
+ * Commit the response headers of an SSE stream (no-op once headers were sent)
+ * Upstream headers are never copied: content-length and content-encoding describe the
+ * upstream body, not the stream the bridge writes.
+ * @param {Object} res - Express response
+ * @param {number} [status] - HTTP status
+ */
+function startSSE(res, status = 200) {
+    if (res.headersSent) {
+        return;
+    }
+    res.status(status);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Stop nginx and similar proxies from buffering the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+}
+
+/**
+ * Send SSE comments while the upstream is silent (e.g. Ollama loading the model), so clients
+ * and proxies do not give up on the connection. The first heartbeat commits the SSE headers.
+ * @param {Object} res - Express response
+ * @param {number} interval - Milliseconds between heartbeats (0 disables)
+ * @returns {Object} - { stop() } - call once real data starts flowing
+ */
+function createHeartbeat(res, interval) {
+    if (!interval) {
+        return { stop() {} };
+    }
+
+    const timer = setInterval(() => {
+        if (res.writableEnded || res.destroyed) {
+            clearInterval(timer);
+            return;
+        }
+        startSSE(res);
+        res.write(': keep-alive\n\n');
+    }, interval);
+    res.once('close', () => clearInterval(timer));
+
+    return {
+        stop() {
+            clearInterval(timer);
+        }
+    };
+}
+
+module.exports = {
+    createSSEParser,
+    formatSSE,
+    startSSE,
+    createHeartbeat
+};
@@ -0,0 +1,272 @@
+/**
+ * Streaming synthesis
+ * Lets clients and upstreams disagree about streaming: a single chat.completion is replayed as
+ * an SSE chunk sequence, and an SSE stream is folded back into one chat.completion.
+ */
+
+const { createSSEParser, formatSSE } = require('./sse');
+
+const STREAM_MODES = ['auto', 'always', 'never'];
+
+/**
+ * Read how the bridge asks upstreams to stream
+ * - auto: forward the client's `stream` flag and adapt whatever comes back
+ * - always: always request a stream (for backends that only stream)
+ * - never: never request a stream (for backends that only return single completions)
+ * @param {string} [value] - Configured mode (BRIDGE_UPSTREAM_STREAM)
+ * @returns {string} - Stream mode
+ */
+function parseStreamMode(value) {
+    const mode = (value || 'auto').toLowerCase();
+    if (!STREAM_MODES.includes(mode)) {
+        throw new Error(`Invalid BRIDGE_UPSTREAM_STREAM "${value}" (expected ${STREAM_MODES.join(', ')})`);
+    }
+    return mode;
+}
+
+/**
+ * Build the request actually sent upstream for a stream mode
+ * @param {Object} request - OpenAI-compatible request (the client's stream flag)
+ * @param {string} mode - Stream mode from parseStreamMode
+ * @returns {Object} - Request with `stream` / `stream_options` adjusted
+ */
+function toUpstreamRequest(request, mode) {
+    if (mode === 'always' && request.stream !== true) {
+        // Usage only arrives in a trailing chunk when asked for
+        return { ...request, stream: true, stream_options: { include_usage: true } };
+    }
+    if (mode === 'never' && request.stream === true) {
+        const { stream_options, ...rest } = request;
+        return { ...rest, stream: false };
+    }
+    return request;
+}
+
+/**
+ * Whether a response carries an SSE stream
+ * @param {Response} response - Upstream response
+ * @returns {boolean} - True for text/event-stream bodies
+ */
+function isEventStream(response) {
+    return (response.headers.get('content-type') || '').includes('text/event-stream');
+}
+
+/**
+ * Split a chat.completion into the chunks a streaming upstream would have sent
+ * @param {Object} completion - OpenAI chat.completion
+ * @param {boolean} includeUsage - Append a usage chunk (stream_options.include_usage)
+ * @returns {Array<Object>} - chat.completion.chunk objects
+ */
+function completionToChunks(completion, includeUsage) {
+    const base = {
+        id: completion.id || `chatcmpl-${Date.now().toString(36)}`,
+        object: 'chat.completion.chunk',
+        created: completion.created || Math.floor(Date.now() / 1000),
+        model: completion.model
+    };
+    const chunks = [];
+
+    (completion.choices || []).forEach((choice, position) => {
+        const index = choice.index !== undefined ? choice.index : position;
+        const message = choice.message || {};
+        const delta = { role: message.role || 'assistant' };
+
+        if (message.reasoning_content) {
+            delta.reasoning_content = message.reasoning_content;
+        }
+        if (message.content) {
+            delta.content = message.content;
+        }
+        if (Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+            delta.tool_calls = message.tool_calls.map((call, callIndex) => ({ index: callIndex, ...call }));
+        }
+
+        chunks.push({ ...base, choices: [{ index, delta, finish_reason: null }] });
+        chunks.push({ ...base, choices: [{ index, delta: {}, finish_reason: choice.finish_reason || 'stop' }] });
+    });
+
+    if (includeUsage && completion.usage) {
+        chunks.push({ ...base, choices: [], usage: completion.usage });
+    }
+
+    return chunks;
+}
+
+/**
+ * Create an aggregator folding chat.completion.chunk objects into one chat.completion
+ * Tool-call fragments are merged by index, as streaming clients do.
+ * @returns {Object} - { push(chunk), result() => Object }
+ */
+function createChunkAggregator() {
+    const choices = new Map();
+    const completion = { id: null, object: 'chat.completion', created: null, model: null };
+    let usage = null;
+
+    return {
+        push(chunk) {
+            completion.id = completion.id || chunk.id;
+            completion.created = completion.created || chunk.created;
+            completion.model = completion.model || chunk.model;
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+
+            (chunk.choices || []).forEach(choice => {
+                const index = choice.index || 0;
+                if (!choices.has(index)) {
+                    choices.set(index, { message: { role: 'assistant', content: '' }, toolCalls: [], finishReason: null });
+                }
+                const state = choices.get(index);
+                const delta = choice.delta || {};
+
+                if (delta.role) {
+                    state.message.role = delta.role;
+                }
+                if (delta.content) {
+                    state.message.content += delta.content;
+                }
+                if (delta.reasoning_content) {
+                    state.message.reasoning_content = (state.message.reasoning_content || '') + delta.reasoning_content;
+                }
+                (delta.tool_calls || []).forEach((fragment, position) => {
+                    const callIndex = fragment.index !== undefined ? fragment.index : position;
+                    if (!state.toolCalls[callIndex]) {
+                        state.toolCalls[callIndex] = { id: fragment.id, type: 'function', function: { name: '', arguments: '' } };
+                    }
+                    const call = state.toolCalls[callIndex];
+                    call.id = call.id || fragment.id;
+                    if (fragment.function) {
+                        call.function.name += fragment.function.name || '';
+                        call.function.arguments += fragment.function.arguments || '';
+                    }
+                });
+                if (choice.finish_reason) {
+                    state.finishReason = choice.finish_reason;
+                }
+            });
+        },
+
+        result() {
+            const result = {
+                ...completion,
+                id: completion.id || `chatcmpl-${Date.now().toString(36)}`,
+                created: completion.created || Math.floor(Date.now() / 1000),
+                choices: [...choices.entries()]
+                    .sort(([a], [b]) => a - b)
+                    .map(([index, state]) => {
+                        const message = { ...state.message };
+                        const toolCalls = state.toolCalls.filter(Boolean);
+                        if (toolCalls.length > 0) {
+                            message.tool_calls = toolCalls;
+                        }
+                        return { index, message, finish_reason: state.finishReason || 'stop' };
+                    })
+            };
+            if (usage) {
+                result.usage = usage;
+            }
+            return result;
+        }
+    };
+}
+
+/**
+ * Replay a single chat.completion response as an SSE stream
+ * @param {Response} response - Upstream response with a JSON body
+ * @param {boolean} includeUsage - Append a usage chunk
+ * @returns {Promise<Response>} - Response with a text/event-stream body
+ */
+async function synthesizeStream(response, includeUsage) {
+    const completion = await response.json();
+    const text = completionToChunks(completion, includeUsage).map(chunk => formatSSE(chunk)).join('') + formatSSE('[DONE]');
+
+    return new Response(text, {
+        status: response.status,
+        headers: { 'Content-Type': 'text/event-stream' }
+    });
+}
+
+/**
+ * Fold an upstream SSE stream into a single chat.completion response
+ * An error event in the stream becomes a 502 error response.
+ * @param {Response} response - Upstream response with an SSE body
+ * @returns {Promise<Response>} - Response with a JSON chat.completion body
+ */
+async function aggregateStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parser = createSSEParser();
+    const aggregator = createChunkAggregator();
+    let upstreamError = null;
+
+    const pushEvents = (events) => {
+        events.forEach(event => {
+            if (event.data === '[DONE]') {
+                return;
+            }
+            try {
+                const chunk = JSON.parse(event.data);
+                if (chunk.error) {
+                    upstreamError = upstreamError || chunk.error;
+                } else {
+                    aggregator.push(chunk);
+                }
+            } catch (error) {
+                // Not JSON - skip the event
+            }
+        });
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        pushEvents(parser.push(decoder.decode(value, { stream: true })));
+    }
+    pushEvents(parser.push(decoder.decode()));
+    pushEvents(parser.flush());
+
+    if (upstreamError) {
+        const message = upstreamError.message || String(upstreamError);
+        return new Response(JSON.stringify({ error: { message, type: upstreamError.type || 'upstream_error' } }), {
+            status: 502,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    return new Response(JSON.stringify(aggregator.result()), {
+        status: response.status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Make a successful upstream response match the client's stream flag
+ * @param {Response} response - Upstream response
+ * @param {Object} request - The client's OpenAI request
+ * @returns {Promise<Response>} - Response shaped the way the client asked for
+ */
+async function adaptStreaming(response, request) {
+    if (!response.ok || !response.body) {
+        return response;
+    }
+
+    const wantsStream = request.stream === true;
+    const isStream = isEventStream(response);
+
+    if (wantsStream && !isStream) {
+        const includeUsage = !!(request.stream_options && request.stream_options.include_usage);
+        return synthesizeStream(response, includeUsage);
+    }
+    if (!wantsStream && isStream) {
+        return aggregateStream(response);
+    }
+    return response;
+}
+
+module.exports = {
+    parseStreamMode,
+    toUpstreamRequest,
+    completionToChunks,
+    createChunkAggregator,
+    adaptStreaming
+};
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { getCacheConfig, cacheControl, createResponseCache } = require('../cache');
+const { createApp } = require('../bridge');
+const { createUpstream, completion, chunk, sendStream, parseEvents } = require('./helpers/upstream');
+
+const log = { debug() {} };
+const target = { type: 'openai', url: 'http://a/v1', urls: ['http://a/v1'] };
+const cleaned = { model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }], temperature: 0 };
+const json = (body) => new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+
+/**
+ * Wait until the cache has stored the expected number of responses (stores happen after the client read them)
+ * @param {Function} status - Returns the cache status
+ * @param {number} stores - Stores expected
+ */
+async function waitForStores(status, stores) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if ((await status()).stores >= stores) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`cache did not reach ${stores} stores`);
+}
+
+describe('getCacheConfig', () => {
+    test('is off by default and validates the settings', () => {
+        expect(getCacheConfig({})).toMatchObject({ mode: 'off', ttl: 3600000, maxEntries: 1000, maxBytes: 104857600 });
+        expect(getCacheConfig({ BRIDGE_CACHE: 'Disk', BRIDGE_CACHE_DIR: '/var/cache/bridge' })).toMatchObject({ mode: 'disk', dir: '/var/cache/bridge' });
+        expect(() => getCacheConfig({ BRIDGE_CACHE: 'redis' })).toThrow(/Invalid BRIDGE_CACHE "redis"/);
+        expect(() => getCacheConfig({ BRIDGE_CACHE_TTL: '-1' })).toThrow(/Invalid BRIDGE_CACHE_TTL/);
+    });
+});
+
+describe('cacheControl', () => {
+    test('reads the bypass header and Cache-Control', () => {
+        expect(cacheControl({})).toBe('use');
+        expect(cacheControl({ 'x-bridge-cache': 'BYPASS' })).toBe('bypass');
+        expect(cacheControl({ 'cache-control': 'no-cache' })).toBe('refresh');
+    });
+});
+
+describe('createResponseCache', () => {
+    const config = (extra) => ({ ...getCacheConfig({ BRIDGE_CACHE: 'memory' }), ...extra });
+
+    test('caches only temperature 0 single-choice requests', () => {
+        const cache = createResponseCache(config(), log);
+        expect(cache.cacheable(cleaned)).toBe(true);
+        expect(cache.cacheable({ ...cleaned, temperature: 0.7 })).toBe(false);
+        expect(cache.cacheable({ ...cleaned, n: 2 })).toBe(false);
+    });
+
+    test('keys ignore the stream flag but not the target', () => {
+        const cache = createResponseCache(config(), log);
+        const key = cache.key(cleaned, target);
+        expect(cache.key({ ...cleaned, stream: true, stream_options: { include_usage: true } }, target)).toBe(key);
+        expect(cache.key(cleaned, { ...target, url: 'http://b/v1', urls: ['http://b/v1'] })).not.toBe(key);
+        expect(cache.key({ ...cleaned, model: 'other' }, target)).not.toBe(key);
+    });
+
+    test('stores a completion the client read and serves it until the ttl runs out', async () => {
+        const cache = createResponseCache(config({ ttl: 50 }), log);
+        const key = cache.key(cleaned, target);
+        expect(await cache.get(key)).toBeNull();
+
+        await cache.capture(key, json(completion({ content: 'hi' }))).json();
+        await waitForStores(cache.status, 1);
+        expect((await cache.get(key)).choices[0].message.content).toBe('hi');
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(await cache.get(key)).toBeNull();
+        expect(cache.status().entries).toBe(0);
+    });
+
+    test('folds a finished stream into one completion and skips a cut-off one', async () => {
+        const cache = createResponseCache(config(), log);
+        const sse = (chunks) => new Response(chunks.map(item => `data: ${JSON.stringify(item)}\n\n`).join(''), {
+            headers: { 'Content-Type': 'text/event-stream' }
+        });
+
+        await cache.capture('cut', sse([chunk({ content: 'par' })])).text();
+        await cache.capture('done', sse([chunk({ content: 'h' }), chunk({ content: 'i' }, 'stop')])).text();
+        await waitForStores(cache.status, 1);
+
+        expect(await cache.get('cut')).toBeNull();
+        expect((await cache.get('done')).choices[0]).toMatchObject({ message: { content: 'hi' }, finish_reason: 'stop' });
+    });
+
+    test('evicts the least recently used entry past maxEntries', async () => {
+        const cache = createResponseCache(config({ maxEntries: 2 }), log);
+        for (const [stores, key] of [[1, 'a'], [2, 'b']]) {
+            await cache.capture(key, json(completion({ content: key }))).json();
+            await waitForStores(cache.status, stores);
+        }
+        await cache.get('a');
+        await cache.capture('c', json(completion({ content: 'c' }))).json();
+        await waitForStores(cache.status, 3);
+
+        expect(await cache.get('b')).toBeNull();
+        expect(await cache.get('a')).not.toBeNull();
+        expect(cache.status()).toMatchObject({ entries: 2, evictions: 1 });
+    });
+
+    test('keeps disk entries across restarts', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-cache-'));
+        try {
+            const diskConfig = config({ mode: 'disk', dir });
+            const first = createResponseCache(diskConfig, log);
+            const key = first.key(cleaned, target);
+            await first.capture(key, json(completion({ content: 'hi' }))).json();
+            await waitForStores(first.status, 1);
+
+            const second = createResponseCache(diskConfig, log);
+            expect(second.status().entries).toBe(1);
+            expect((await second.get(key)).choices[0].message.content).toBe('hi');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('cached requests', () => {
+    const upstream = createUpstream();
+    const body = { model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }], temperature: 0 };
+    let app;
+
+    beforeAll(() => upstream.start());
+    beforeEach(() => {
+        app = createApp({ BRIDGE_TARGET_URL: upstream.url, BRIDGE_LOG_LEVEL: 'silent', BRIDGE_HEALTH_CHECK_INTERVAL: '0', BRIDGE_CACHE: 'memory' });
+    });
+    afterEach(() => upstream.reset());
+    afterAll(() => upstream.stop());
+
+    const cacheStatus = async () => (await request(app).get('/health')).body.cache;
+
+    test('answers a repeated request from the cache, as SSE for a streaming client', async () => {
+        const miss = await request(app).post('/v1/chat/completions').send(body);
+        await waitForStores(cacheStatus, 1);
+        const hit = await request(app).post('/v1/chat/completions').send(body);
+        const streamed = await request(app).post('/v1/chat/completions').send({ ...body, stream: true });
+
+        expect(miss.headers['x-bridge-cache']).toBe('MISS');
+        expect(hit.headers['x-bridge-cache']).toBe('HIT');
+        expect(hit.body.choices[0].message.content).toBe('hi');
+        expect(streamed.headers['x-bridge-cache']).toBe('HIT');
+        expect(parseEvents(streamed.text)[0].choices[0].delta.content).toBe('hi');
+        expect(upstream.requests).toHaveLength(1);
+        expect(await cacheStatus()).toMatchObject({ mode: 'memory', entries: 1, hits: 2, misses: 1, hitRate: 0.667 });
+    });
+
+    test('caches a streamed answer for non-streaming clients', async () => {
+        upstream.handler = (req, res) => sendStream(res, [chunk({ role: 'assistant', content: 'streamed' }), chunk({}, 'stop')]);
+        await request(app).post('/v1/chat/completions').send({ ...body, stream: true });
+        await waitForStores(cacheStatus, 1);
+
+        const hit = await request(app).post('/v1/chat/completions').send(body);
+
+        expect(hit.body.choices[0].message.content).toBe('streamed');
+        expect(upstream.requests).toHaveLength(1);
+    });
+
+    test('skips the cache on bypass and for sampled requests', async () => {
+        await request(app).post('/v1/chat/completions').send(body);
+        await waitForStores(cacheStatus, 1);
+
+        const bypass = await request(app).post('/v1/chat/completions').set('X-Bridge-Cache', 'bypass').send(body);
+        const sampled = await request(app).post('/v1/chat/completions').send({ ...body, temperature: 0.7 });
+
+        expect(bypass.headers['x-bridge-cache']).toBe('BYPASS');
+        expect(sampled.headers['x-bridge-cache']).toBeUndefined();
+        expect(upstream.requests).toHaveLength(3);
+        expect((await cacheStatus()).bypasses).toBe(1);
+    });
+
+    test('does not cache upstream errors', async () => {
+        upstream.handler = (req, res) => res.status(400).json({ error: { message: 'bad' } });
+        await request(app).post('/v1/chat/completions').send(body);
+        await request(app).post('/v1/chat/completions').send(body);
+
+        expect(upstream.requests).toHaveLength(2);
+        expect((await cacheStatus()).stores).toBe(0);
+    });
+});
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { readInteger, loadSettings, explainConfigError, changedSettings, watchConfigFile } = require('../config');
+const { getCacheConfig } = require('../cache');
+const { createApp } = require('../bridge');
+const { createUpstream, chunk, parseEvents } = require('./helpers/upstream');
+
+let dir;
+
+beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-config-'));
+});
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const write = (name, text) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+};
+
+describe('readInteger', () => {
+    test('falls back when unset and rejects anything but a non-negative integer', () => {
+        expect(readInteger({}, 'BRIDGE_MAX_QUEUE', 100)).toBe(100);
+        expect(readInteger({ BRIDGE_MAX_QUEUE: '' }, 'BRIDGE_MAX_QUEUE', 100)).toBe(100);
+        expect(readInteger({ BRIDGE_MAX_QUEUE: '0' }, 'BRIDGE_MAX_QUEUE', 100)).toBe(0);
+        expect(() => readInteger({ BRIDGE_MAX_QUEUE: '-1' }, 'BRIDGE_MAX_QUEUE', 100))
+            .toThrow('Invalid BRIDGE_MAX_QUEUE "-1" (expected a non-negative integer)');
+        expect(() => readInteger({ BRIDGE_MAX_QUEUE: 'lots' }, 'BRIDGE_MAX_QUEUE', 100)).toThrow(/non-negative integer/);
+    });
+});
+
+describe('loadSettings', () => {
+    test('passes the environment through without a config file', () => {
+        const env = { BRIDGE_PORT: '28100' };
+        expect(loadSettings(env)).toEqual({ settings: env, file: null, keys: {} });
+    });
+
+    test('maps YAML sections onto settings', () => {
+        const file = write('bridge.yaml', [
+            'port: 28200',
+            'target:',
+            '  urls: [http://gpu1:11434/v1, http://gpu2:11434/v1]',
+            '  ollamaOptions: { num_ctx: 32768 }',
+            'routes:',
+            '  - match: gemini-*',
+            '    model: qwen3-coder',
+            'queue:',
+            '  prioritizeStreaming: true',
+            'cache:'
+        ].join('\n'));
+
+        const { settings, keys } = loadSettings({ BRIDGE_CONFIG_FILE: file });
+
+        expect(settings).toMatchObject({
+            BRIDGE_PORT: '28200',
+            BRIDGE_TARGET_URLS: 'http://gpu1:11434/v1,http://gpu2:11434/v1',
+            BRIDGE_OLLAMA_OPTIONS: '{"num_ctx":32768}',
+            BRIDGE_MODEL_ROUTES: [{ match: 'gemini-*', model: 'qwen3-coder' }],
+            BRIDGE_QUEUE_PRIORITIZE_STREAMING: 'true'
+        });
+        expect(keys).toMatchObject({ BRIDGE_PORT: 'port', BRIDGE_TARGET_URLS: 'target.urls', BRIDGE_MODEL_ROUTES: 'routes' });
+    });
+
+    test('reads JSON files and lets non-empty environment variables win', () => {
+        const file = write('bridge.json', JSON.stringify({ port: 28200, logging: { level: 'debug', format: 'text' } }));
+
+        const { settings, keys } = loadSettings({ BRIDGE_CONFIG_FILE: file, BRIDGE_PORT: '28300', BRIDGE_LOG_LEVEL: '' });
+
+        expect(settings).toMatchObject({ BRIDGE_PORT: '28300', BRIDGE_LOG_LEVEL: 'debug', BRIDGE_LOG_FORMAT: 'text' });
+        expect(keys.BRIDGE_PORT).toBeUndefined();
+    });
+
+    test('names the key that is wrong', () => {
+        const load = (text, name = 'bad.yaml') => () => loadSettings({ BRIDGE_CONFIG_FILE: write(name, text) });
+
+        expect(load('cache:\n  mod: memory')).toThrow(/bad\.yaml: unknown key "cache\.mod" \(expected one of mode, dir/);
+        expect(load('cache: memory')).toThrow(/"cache" must be a mapping/);
+        expect(load('context:\n  models: [a]')).toThrow(/"context\.models" must be a mapping/);
+        expect(load('target:\n  urls: [1, 2]')).toThrow(/"target\.urls" must be a list of strings/);
+        expect(load('port: { a: 1 }')).toThrow(/"port" must be a string, number or boolean/);
+        expect(load('- a')).toThrow(/expected a mapping of sections at the top level/);
+        expect(load('port: [', 'broken.yaml')).toThrow(/Failed to load config from .*broken\.yaml/);
+        expect(() => loadSettings({ BRIDGE_CONFIG_FILE: path.join(dir, 'missing.yaml') })).toThrow(/Failed to load config/);
+    });
+});
+
+describe('explainConfigError', () => {
+    test('names the file key instead of the setting it came from', () => {
+        const loaded = loadSettings({ BRIDGE_CONFIG_FILE: write('cache.yaml', 'cache:\n  mode: redis\n  ttl: 5') });
+        let error;
+        try {
+            getCacheConfig(loaded.settings);
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(explainConfigError(error, loaded).message).toBe(`Invalid cache.mode "redis" (expected off, memory, disk) in ${loaded.file}`);
+    });
+
+    test('leaves errors about environment variables alone', () => {
+        const error = new Error('Invalid BRIDGE_CACHE "redis"');
+        expect(explainConfigError(error, { keys: {}, file: null })).toBe(error);
+    });
+});
+
+describe('changedSettings', () => {
+    test('lists the bridge settings that differ', () => {
+        expect(changedSettings(
+            { BRIDGE_PORT: '1', BRIDGE_CACHE: 'off', BRIDGE_MODEL_ROUTES: [{ match: 'a' }], HOME: '/root' },
+            { BRIDGE_PORT: '1', BRIDGE_CACHE: 'memory', BRIDGE_MODEL_ROUTES: [{ match: 'b' }], HOME: '/home', OPENAI_BASE_URL: 'http://x' }
+        )).toEqual(['BRIDGE_CACHE', 'BRIDGE_MODEL_ROUTES', 'OPENAI_BASE_URL']);
+    });
+});
+
+describe('watchConfigFile', () => {
+    test('calls back when the file changes', async () => {
+        const file = write('watched.yaml', 'port: 1\n');
+        let watcher;
+        const changed = new Promise(resolve => {
+            watcher = watchConfigFile(file, resolve);
+        });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        fs.writeFileSync(file, 'port: 28100\n');
+
+        await changed;
+        watcher.stop();
+    }, 10000);
+});
+
+describe('app.reload', () => {
+    const upstream = createUpstream();
+    const other = createUpstream();
+    const body = { model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }] };
+
+    beforeAll(async () => {
+        await upstream.start();
+        await other.start();
+    });
+
+    afterEach(() => {
+        upstream.reset();
+        other.reset();
+    });
+
+    afterAll(async () => {
+        await upstream.stop();
+        await other.stop();
+    });
+
+    const settings = (target) => ({ BRIDGE_TARGET_URL: target.url, BRIDGE_LOG_LEVEL: 'silent', BRIDGE_HEALTH_CHECK_INTERVAL: '0' });
+
+    test('sends new requests to the reloaded target and lets a stream in flight finish', async () => {
+        let finish;
+        upstream.handler = (req, res) => {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.write(`data: ${JSON.stringify(chunk({ role: 'assistant', content: 'before' }))}\n\n`);
+            finish = () => res.end(`data: ${JSON.stringify(chunk({ content: ' reload' }, 'stop'))}\n\ndata: [DONE]\n\n`);
+        };
+        const app = createApp(settings(upstream));
+
+        const streaming = request(app).post('/v1/chat/completions').send({ ...body, stream: true }).then(res => res);
+        while (!finish) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        app.reload(settings(other));
+        const after = await request(app).post('/v1/chat/completions').send(body);
+        finish();
+
+        expect(after.status).toBe(200);
+        expect(other.requests).toHaveLength(1);
+        const events = parseEvents((await streaming).text);
+        expect(events.filter(event => event.choices).map(event => event.choices[0].delta.content).join('')).toBe('before reload');
+        expect(events[events.length - 1]).toBe('[DONE]');
+        expect((await request(app).get('/health')).body.target).toBe(other.url);
+    });
+
+    test('keeps the running settings when new ones are invalid', async () => {
+        const app = createApp(settings(upstream));
+
+        expect(() => app.reload({ ...settings(other), BRIDGE_CACHE: 'redis' })).toThrow(/Invalid BRIDGE_CACHE/);
+        await request(app).post('/v1/chat/completions').send(body);
+
+        expect(upstream.requests).toHaveLength(1);
+        expect(other.requests).toHaveLength(0);
+    });
+});
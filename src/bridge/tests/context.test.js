@@ -0,0 +1,119 @@
+const request = require('supertest');
+const { getTrimMode, trimMessages } = require('../context');
+const { createApp } = require('../bridge');
+const { createUpstream } = require('./helpers/upstream');
+
+// ~100 tokens each with the heuristic
+const long = (text) => text + ' ' + 'x'.repeat(380);
+
+const conversation = [
+    { role: 'system', content: 'You are a coding agent.' },
+    { role: 'user', content: long('first') },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'ls', arguments: '{}' } }] },
+    { role: 'tool', tool_call_id: 'c1', content: long('listing') },
+    { role: 'assistant', content: long('second') },
+    { role: 'user', content: 'latest question' }
+];
+
+describe('getTrimMode', () => {
+    test('defaults to off and validates the mode', () => {
+        expect(getTrimMode({})).toBe('off');
+        expect(getTrimMode({ BRIDGE_CONTEXT_TRIM: 'Collapse' })).toBe('collapse');
+        expect(() => getTrimMode({ BRIDGE_CONTEXT_TRIM: 'summarize' })).toThrow(/Invalid BRIDGE_CONTEXT_TRIM/);
+    });
+});
+
+describe('trimMessages', () => {
+    test('leaves a conversation that fits alone', () => {
+        const result = trimMessages(conversation, 10000, 'drop');
+        expect(result).toEqual({ messages: conversation, trimmedMessages: 0, trimmedTokens: 0 });
+    });
+
+    test('drops the oldest turns, keeping a tool call with its results', () => {
+        const result = trimMessages(conversation, 150, 'drop');
+        expect(result.messages.map(message => message.role)).toEqual(['system', 'assistant', 'user']);
+        expect(result.messages[1].content).toMatch(/^second/);
+        expect(result.trimmedMessages).toBe(3);
+        expect(result.trimmedTokens).toBeGreaterThan(200);
+    });
+
+    test('never drops the system prompt or the latest turn', () => {
+        const result = trimMessages(conversation, 1, 'drop');
+        expect(result.messages.map(message => message.role)).toEqual(['system', 'user']);
+        expect(result.messages[1].content).toBe('latest question');
+    });
+
+    test('collapse summarises the removed turns in the system prompt', () => {
+        const result = trimMessages(conversation, 1, 'collapse');
+        expect(result.messages.map(message => message.role)).toEqual(['system', 'user']);
+        const [head, ...lines] = result.messages[0].content.split('\n').slice(2);
+        expect(head).toMatch(/^\[4 earlier messages were \(about \d+ tokens\) removed to fit the model context window\. They began:$/);
+        expect(lines).toEqual([
+            `- user: first ${'x'.repeat(94)}...`,
+            '- assistant called ls',
+            `- assistant: second ${'x'.repeat(93)}...]`
+        ]);
+        expect(conversation[0].content).toBe('You are a coding agent.');
+    });
+
+    test('collapse lists only the most recent removed turns', () => {
+        const chatter = Array.from({ length: 30 }, (item, index) => ({ role: index % 2 ? 'assistant' : 'user', content: long(`turn ${index}`) }));
+        const result = trimMessages([...chatter, { role: 'user', content: 'latest question' }], 1, 'collapse');
+        const lines = result.messages[0].content.split('\n');
+        expect(lines[1]).toBe('- (10 older turns)');
+        expect(lines[2]).toMatch(/^- user: turn 10 x/);
+        expect(lines).toHaveLength(22);
+    });
+
+    test('collapse adds a system message when there is none', () => {
+        const result = trimMessages(conversation.slice(1), 150, 'collapse');
+        expect(result.messages[0].role).toBe('system');
+        expect(result.messages[0].content).toMatch(/earlier messages were/);
+        expect(result.messages.filter(message => message.role === 'user')).toEqual([{ role: 'user', content: 'latest question' }]);
+    });
+
+    test('collapse appends a text part to a system prompt made of parts', () => {
+        const system = { role: 'system', content: [{ type: 'text', text: 'Rules' }] };
+        const result = trimMessages([system, ...conversation.slice(1)], 150, 'collapse');
+        expect(result.messages[0].content).toEqual([
+            { type: 'text', text: 'Rules' },
+            { type: 'text', text: expect.stringMatching(/earlier messages were/) }
+        ]);
+    });
+});
+
+describe('trimming requests', () => {
+    const upstream = createUpstream();
+
+    beforeAll(() => upstream.start());
+    afterEach(() => upstream.reset());
+    afterAll(() => upstream.stop());
+
+    const settings = (extra) => ({
+        BRIDGE_TARGET_URL: upstream.url,
+        BRIDGE_LOG_LEVEL: 'silent',
+        BRIDGE_MODEL_CONTEXT: JSON.stringify({ small: 300 }),
+        ...extra
+    });
+
+    test('trims a conversation that outgrows the window and says so in headers', async () => {
+        const res = await request(createApp(settings({ BRIDGE_CONTEXT_TRIM: 'drop' })))
+            .post('/v1/chat/completions')
+            .send({ model: 'small', messages: conversation, max_tokens: 50 });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['x-bridge-trimmed-messages']).toBe('1');
+        expect(Number(res.headers['x-bridge-trimmed-tokens'])).toBeGreaterThan(0);
+        expect(upstream.requests[0].messages.map(message => message.role)).toEqual(['system', 'assistant', 'tool', 'assistant', 'user']);
+    });
+
+    test('rejects a prompt that does not fit without trimming', async () => {
+        const res = await request(createApp(settings()))
+            .post('/v1/chat/completions')
+            .send({ model: 'small', messages: conversation });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('context_length_exceeded');
+        expect(upstream.requests).toHaveLength(0);
+    });
+});
@@ -0,0 +1,256 @@
+const request = require('supertest');
+const { getEmulationConfig, toolFormatFor, emulateTools, createToolCallParser, parseToolCalls } = require('../emulation');
+const { createApp } = require('../bridge');
+const { createUpstream, completion, chunk, sendStream, parseEvents } = require('./helpers/upstream');
+
+const readFile = {
+    type: 'function',
+    function: { name: 'read_file', parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] } }
+};
+
+/**
+ * An ID source like the one parse-tool-calls uses
+ * @returns {Function} - Returns call_0, call_1...
+ */
+function ids() {
+    let count = 0;
+    return () => `call_${count++}`;
+}
+
+/**
+ * Feed pieces through a parser and join what comes out
+ * @param {string} format - hermes or json
+ * @param {Array<string>} pieces - Streamed text
+ * @returns {Object} - { content, toolCalls, emitted } - emitted is the content of each push, then flush
+ */
+function feed(format, pieces) {
+    const parser = createToolCallParser(format, ids());
+    const parts = [...pieces.map(piece => parser.push(piece)), parser.flush()];
+    return {
+        content: parts.map(part => part.content).join(''),
+        toolCalls: parts.flatMap(part => part.toolCalls),
+        emitted: parts.map(part => part.content)
+    };
+}
+
+const call = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+
+describe('getEmulationConfig', () => {
+    test('reads the model table and validates the formats', () => {
+        expect(getEmulationConfig({})).toEqual({ table: {} });
+        const config = getEmulationConfig({ BRIDGE_EMULATED_TOOLS: '{"llama2*":"hermes","/^phi/":"json"}' });
+        expect(toolFormatFor(config, 'llama2:13b')).toBe('hermes');
+        expect(toolFormatFor(config, 'phi3')).toBe('json');
+        expect(toolFormatFor(config, 'qwen3-coder')).toBeNull();
+        expect(() => getEmulationConfig({ BRIDGE_EMULATED_TOOLS: '[' })).toThrow(/Invalid BRIDGE_EMULATED_TOOLS/);
+        expect(() => getEmulationConfig({ BRIDGE_EMULATED_TOOLS: '{"llama2*":"xml"}' })).toThrow(/"llama2\*" must map to hermes or json/);
+    });
+});
+
+describe('emulateTools', () => {
+    const conversation = () => ({
+        model: 'llama2',
+        tools: [readFile],
+        tool_choice: 'required',
+        parallel_tool_calls: false,
+        messages: [
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'Read a.txt and b.txt' },
+            { role: 'assistant', content: 'Reading them.', tool_calls: [call('c1', 'read_file', { path: 'a.txt' }), call('c2', 'read_file', { path: 'b.txt' })] },
+            { role: 'tool', tool_call_id: 'c1', content: 'A' },
+            { role: 'tool', tool_call_id: 'c2', content: [{ type: 'text', text: 'B' }] }
+        ]
+    });
+
+    test('moves the tools into the system prompt in Hermes form', () => {
+        const emulated = emulateTools(conversation(), 'hermes');
+
+        expect(emulated.tools).toBeUndefined();
+        expect(emulated.tool_choice).toBeUndefined();
+        expect(emulated.parallel_tool_calls).toBeUndefined();
+        expect(emulated.messages[0].content).toMatch(/^Be brief\.\n\n# Tools\n/);
+        expect(emulated.messages[0].content).toContain(`<tools>\n${JSON.stringify(readFile)}\n</tools>`);
+        expect(emulated.messages[0].content).toMatch(/You must call at least one function\.$/);
+        expect(emulated.messages.slice(2)).toEqual([
+            {
+                role: 'assistant',
+                content: 'Reading them.\n<tool_call>\n{"name":"read_file","arguments":{"path":"a.txt"}}\n</tool_call>\n' +
+                    '<tool_call>\n{"name":"read_file","arguments":{"path":"b.txt"}}\n</tool_call>'
+            },
+            { role: 'user', content: '<tool_response>\nA\n</tool_response>\n<tool_response>\nB\n</tool_response>' }
+        ]);
+    });
+
+    test('writes calls and results as JSON for the json format', () => {
+        const request = conversation();
+        request.messages.shift();
+        request.tool_choice = { type: 'function', function: { name: 'read_file' } };
+        const emulated = emulateTools(request, 'json');
+
+        expect(emulated.messages[0].role).toBe('system');
+        expect(emulated.messages[0].content).toContain('{"tool_calls": [{"name": <function-name>, "arguments": <args-json-object>}]}');
+        expect(emulated.messages[0].content).toMatch(/You must call the function read_file\.$/);
+        expect(emulated.messages[2].content).toBe('Reading them.\n{"tool_calls":[{"name":"read_file","arguments":{"path":"a.txt"}},{"name":"read_file","arguments":{"path":"b.txt"}}]}');
+        expect(emulated.messages[3]).toEqual({ role: 'user', content: 'Result of read_file:\nA\n\nResult of read_file:\nB' });
+    });
+
+    test('leaves the prompt alone when tools are switched off', () => {
+        const emulated = emulateTools({ ...conversation(), tool_choice: 'none' }, 'hermes');
+        expect(emulated.messages[0]).toEqual({ role: 'system', content: 'Be brief.' });
+        expect(emulated.tools).toBeUndefined();
+    });
+});
+
+describe('hermes parser', () => {
+    test('cuts calls out of the answer', () => {
+        const text = 'Let me look.\n<tool_call>\n{"name": "read_file", "arguments": {"path": "a.txt"}}\n</tool_call>\n' +
+            '<tool_call>{"name": "ls", "parameters": {}}</tool_call>';
+        expect(parseToolCalls(text, 'hermes', ids())).toEqual({
+            content: 'Let me look.',
+            toolCalls: [call('call_0', 'read_file', { path: 'a.txt' }), call('call_1', 'ls', {})]
+        });
+    });
+
+    test('keeps calls that do not parse, and text without calls, as text', () => {
+        expect(parseToolCalls('<tool_call>not json</tool_call>', 'hermes', ids())).toEqual({ content: '<tool_call>not json</tool_call>', toolCalls: [] });
+        expect(parseToolCalls('a < b', 'hermes', ids())).toEqual({ content: 'a < b', toolCalls: [] });
+    });
+
+    test('accepts a call the model did not close', () => {
+        expect(parseToolCalls('<tool_call>{"name": "ls", "arguments": {}}', 'hermes', ids()).toolCalls).toEqual([call('call_0', 'ls', {})]);
+    });
+
+    test('finds tags cut in half by chunk boundaries', () => {
+        const streamed = feed('hermes', ['Let me look.', '\n<tool', '_call>\n{"name": "ls",', ' "arguments": {}}\n</tool_', 'call>']);
+        expect(streamed.content).toBe('Let me look.');
+        expect(streamed.toolCalls).toEqual([call('call_0', 'ls', {})]);
+        expect(streamed.emitted).toEqual(['Let me look.', '', '', '', '', '']);
+    });
+
+    test('repairs almost-JSON calls when asked to', () => {
+        const repaired = [];
+        const { toolCalls } = parseToolCalls('<tool_call>{\'name\': \'ls\', \'arguments\': {},}</tool_call>', 'hermes', ids(), (made, repairs) => repaired.push({ id: made.id, repairs }));
+
+        expect(toolCalls).toEqual([call('call_0', 'ls', {})]);
+        expect(repaired).toHaveLength(1);
+        expect(repaired[0].id).toBe('call_0');
+        expect(repaired[0].repairs.length).toBeGreaterThan(0);
+        expect(parseToolCalls('<tool_call>{\'name\': \'ls\'}</tool_call>', 'hermes', ids()).toolCalls).toEqual([]);
+    });
+});
+
+describe('json parser', () => {
+    test('reads tool_calls objects, single calls, arrays and fenced JSON', () => {
+        const expected = [call('call_0', 'read_file', { path: 'a.txt' })];
+        expect(parseToolCalls('{"tool_calls": [{"name": "read_file", "arguments": {"path": "a.txt"}}]}', 'json', ids()).toolCalls).toEqual(expected);
+        expect(parseToolCalls(' {"name": "read_file", "arguments": {"path": "a.txt"}}', 'json', ids()).toolCalls).toEqual(expected);
+        expect(parseToolCalls('[{"name": "read_file", "arguments": {"path": "a.txt"}}]', 'json', ids()).toolCalls).toEqual(expected);
+        expect(parseToolCalls('```json\n{"name": "read_file", "arguments": {"path": "a.txt"}}\n```', 'json', ids()).toolCalls).toEqual(expected);
+    });
+
+    test('leaves answers that are not calls alone', () => {
+        expect(parseToolCalls('Hello!', 'json', ids())).toEqual({ content: 'Hello!', toolCalls: [] });
+        expect(parseToolCalls('{"answer": 42}', 'json', ids())).toEqual({ content: '{"answer": 42}', toolCalls: [] });
+    });
+
+    test('streams plain answers and holds what opens like a call until the end', () => {
+        expect(feed('json', ['  ', 'Hel', 'lo']).emitted).toEqual(['', '  Hel', 'lo', '']);
+        const streamed = feed('json', ['{"na', 'me": "ls",', ' "arguments": {}}']);
+        expect(streamed.emitted).toEqual(['', '', '', '']);
+        expect(streamed.toolCalls).toEqual([call('call_0', 'ls', {})]);
+        expect(feed('json', ['```json\n[ {', '"tool_calls": []}]\n```']).emitted).toEqual(['', '', '```json\n[ {"tool_calls": []}]\n```']);
+    });
+
+    test('lets JSON, lists and code through once they cannot be a call', () => {
+        expect(feed('json', ['{', '"answer"', ': 42}']).emitted).toEqual(['', '{"answer"', ': 42}', '']);
+        expect(feed('json', ['[1, ', '2]']).emitted).toEqual(['[1, ', '2]', '']);
+        expect(feed('json', ['```', 'js\nlet a;']).emitted).toEqual(['', '```js\nlet a;', '']);
+        expect(feed('json', ['{']).emitted).toEqual(['', '{']);
+    });
+});
+
+describe('emulated tools through the bridge', () => {
+    const upstream = createUpstream();
+    const body = { model: 'llama2', messages: [{ role: 'user', content: 'Read a.txt' }], tools: [readFile] };
+    const written = '<tool_call>\n{"name": "read_file", "arguments": {"path": "a.txt"}}\n</tool_call>';
+    let app;
+
+    beforeAll(async () => {
+        await upstream.start();
+        app = createApp({
+            BRIDGE_TARGET_URL: upstream.url,
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0',
+            BRIDGE_EMULATED_TOOLS: '{"llama2*":"hermes"}'
+        });
+    });
+
+    afterEach(() => upstream.reset());
+    afterAll(() => upstream.stop());
+
+    test('send the tools in the prompt and return the written calls as tool_calls', async () => {
+        upstream.handler = (req, res) => res.json(completion({ content: written }));
+
+        const res = await request(app).post('/v1/chat/completions').send(body);
+
+        expect(upstream.requests[0].tools).toBeUndefined();
+        expect(upstream.requests[0].messages[0]).toMatchObject({ role: 'system', content: expect.stringContaining('<tools>') });
+        expect(res.body.choices[0].finish_reason).toBe('tool_calls');
+        expect(res.body.choices[0].message.content).toBeNull();
+        expect(res.body.choices[0].message.tool_calls).toEqual([{
+            id: 'call_chatcmpl-test_0',
+            type: 'function',
+            function: { name: 'read_file', arguments: '{"path":"a.txt"}' }
+        }]);
+    });
+
+    test('stream the calls without sending the chunks they were written in', async () => {
+        upstream.handler = (req, res) => sendStream(res, [
+            chunk({ role: 'assistant', content: 'On it.\n<tool' }),
+            chunk({ content: '_call>\n{"name": "read_file", ' }),
+            chunk({ content: '"arguments": {"path": "a.txt"}}\n</tool_call>' }),
+            chunk({}, 'stop')
+        ]);
+
+        const res = await request(app).post('/v1/chat/completions').send({ ...body, stream: true });
+
+        const choices = parseEvents(res.text).filter(event => event.choices).map(event => event.choices[0]);
+        expect(choices.map(choice => choice.delta.content).filter(Boolean).join('')).toBe('On it.');
+        expect(choices.filter(choice => !choice.finish_reason && Object.keys(choice.delta).length === 0)).toEqual([]);
+        const calls = choices.flatMap(choice => choice.delta.tool_calls || []);
+        expect(calls).toEqual([expect.objectContaining({ index: 0, function: { name: 'read_file', arguments: '{"path":"a.txt"}' } })]);
+        expect(choices[choices.length - 1].finish_reason).toBe('tool_calls');
+    });
+
+    test('turn earlier calls and results into text for the next turn', async () => {
+        await request(app).post('/v1/chat/completions').send({
+            ...body,
+            messages: [
+                ...body.messages,
+                { role: 'assistant', content: null, tool_calls: [call('c1', 'read_file', { path: 'a.txt' })] },
+                { role: 'tool', tool_call_id: 'c1', content: 'A' }
+            ]
+        });
+
+        expect(upstream.requests[0].messages.slice(1)).toEqual([
+            { role: 'user', content: 'Read a.txt' },
+            { role: 'assistant', content: '<tool_call>\n{"name":"read_file","arguments":{"path":"a.txt"}}\n</tool_call>' },
+            { role: 'user', content: '<tool_response>\nA\n</tool_response>' }
+        ]);
+    });
+
+    test('give Gemini clients functionCall parts, and leave other models native', async () => {
+        upstream.handler = (req, res) => res.json(completion({ content: written }));
+        const gemini = await request(app)
+            .post('/v1beta/models/llama2:generateContent')
+            .send({
+                contents: [{ role: 'user', parts: [{ text: 'Read a.txt' }] }],
+                tools: [{ functionDeclarations: [{ name: 'read_file', parameters: { type: 'OBJECT', properties: { path: { type: 'STRING' } } } }] }]
+            });
+        await request(app).post('/v1/chat/completions').send({ ...body, model: 'qwen3-coder' });
+
+        expect(gemini.body.candidates[0].content.parts).toEqual([{ functionCall: expect.objectContaining({ name: 'read_file', args: { path: 'a.txt' } }) }]);
+        expect(upstream.requests[1].tools).toEqual([readFile]);
+        expect((await request(app).get('/health')).body.emulatedTools).toEqual({ 'llama2*': 'hermes' });
+    });
+});
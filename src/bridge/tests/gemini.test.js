@@ -0,0 +1,433 @@
+const {
+    convertSchema,
+    convertTools,
+    convertToolConfig,
+    convertContents,
+    isGeminiRequest,
+    toGeminiError,
+    toGeminiResponse,
+    createGeminiStreamTranslator
+} = require('../gemini');
+const { cleanRequest } = require('../bridge');
+
+const readFile = {
+    name: 'read_file',
+    description: 'Read a file',
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            path: { type: 'STRING' },
+            limit: { type: 'INTEGER', nullable: true }
+        },
+        required: ['path'],
+        propertyOrdering: ['path', 'limit']
+    }
+};
+
+describe('convertSchema', () => {
+    test('lower-cases types and folds nullable into the type', () => {
+        expect(convertSchema(readFile.parameters)).toEqual({
+            type: 'object',
+            properties: {
+                path: { type: 'string' },
+                limit: { type: ['integer', 'null'] }
+            },
+            required: ['path']
+        });
+    });
+
+    test('converts items and anyOf recursively', () => {
+        expect(convertSchema({
+            type: 'ARRAY',
+            items: { anyOf: [{ type: 'STRING' }, { type: 'NUMBER' }] }
+        })).toEqual({
+            type: 'array',
+            items: { anyOf: [{ type: 'string' }, { type: 'number' }] }
+        });
+    });
+
+    test('leaves non-objects alone', () => {
+        expect(convertSchema(undefined)).toBeUndefined();
+        expect(convertSchema(['a'])).toEqual(['a']);
+    });
+});
+
+describe('convertTools', () => {
+    test('turns functionDeclarations into OpenAI function tools', () => {
+        expect(convertTools([{ functionDeclarations: [readFile] }])).toEqual([{
+            type: 'function',
+            function: {
+                name: 'read_file',
+                description: 'Read a file',
+                parameters: convertSchema(readFile.parameters)
+            }
+        }]);
+    });
+
+    test('accepts snake_case declarations and parametersJsonSchema as is', () => {
+        const schema = { type: 'object', properties: { q: { type: 'string' } } };
+        expect(convertTools([{ function_declarations: [{ name: 'search', parametersJsonSchema: schema }] }]))
+            .toEqual([{ type: 'function', function: { name: 'search', parameters: schema } }]);
+    });
+
+    test('gives declarations without parameters an empty object schema', () => {
+        expect(convertTools([{ functionDeclarations: [{ name: 'now' }] }])[0].function.parameters)
+            .toEqual({ type: 'object', properties: {} });
+    });
+
+    test('passes OpenAI tools through and drops Gemini built-in tools', () => {
+        const openai = { type: 'function', function: { name: 'ls', parameters: { type: 'object' } } };
+        expect(convertTools([openai, { googleSearch: {} }, { codeExecution: {} }])).toEqual([openai]);
+    });
+
+    test('returns undefined when nothing is left', () => {
+        expect(convertTools([{ googleSearch: {} }])).toBeUndefined();
+        expect(convertTools(undefined)).toBeUndefined();
+    });
+});
+
+describe('convertToolConfig', () => {
+    const tools = convertTools([{ functionDeclarations: [readFile, { name: 'write_file' }] }]);
+
+    test('maps the calling modes onto tool_choice', () => {
+        const config = (mode) => ({ functionCallingConfig: { mode } });
+        expect(convertToolConfig(config('AUTO'), tools).toolChoice).toBe('auto');
+        expect(convertToolConfig(config('ANY'), tools).toolChoice).toBe('required');
+        expect(convertToolConfig(config('NONE'), tools).toolChoice).toBe('none');
+        expect(convertToolConfig(undefined, tools).toolChoice).toBeUndefined();
+    });
+
+    test('restricts the tools to allowedFunctionNames', () => {
+        const { toolChoice, tools: allowed } = convertToolConfig({
+            functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['write_file'] }
+        }, tools);
+        expect(allowed.map(tool => tool.function.name)).toEqual(['write_file']);
+        expect(toolChoice).toEqual({ type: 'function', function: { name: 'write_file' } });
+    });
+});
+
+describe('cleanRequest', () => {
+    test('builds messages from contents and systemInstruction', () => {
+        const cleaned = cleanRequest({
+            model: 'qwen3-coder',
+            systemInstruction: { parts: [{ text: 'Be brief.' }] },
+            contents: [{ role: 'user', parts: [{ text: 'hi' }] }]
+        });
+        expect(cleaned.messages).toEqual([
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'hi' }
+        ]);
+        expect(cleaned.contents).toBeUndefined();
+        expect(cleaned.systemInstruction).toBeUndefined();
+    });
+
+    test('prefers OpenAI messages over contents', () => {
+        const cleaned = cleanRequest({
+            model: 'qwen3-coder',
+            messages: [{ role: 'user', content: 'from messages' }],
+            contents: [{ role: 'user', parts: [{ text: 'from contents' }] }]
+        });
+        expect(cleaned.messages).toEqual([{ role: 'user', content: 'from messages' }]);
+    });
+});
+
+describe('cleanRequest tool conversion', () => {
+    test('sends converted tools and tool_choice upstream', () => {
+        const cleaned = cleanRequest({
+            model: 'qwen3-coder',
+            messages: [{ role: 'user', content: 'read a.txt' }],
+            tools: [{ functionDeclarations: [readFile] }],
+            toolConfig: { functionCallingConfig: { mode: 'ANY' } }
+        });
+        expect(cleaned.tools).toHaveLength(1);
+        expect(cleaned.tools[0].function.name).toBe('read_file');
+        expect(cleaned.tool_choice).toEqual({ type: 'function', function: { name: 'read_file' } });
+        expect(cleaned.toolConfig).toBeUndefined();
+    });
+
+    test('keeps a tool_choice the client sent in OpenAI form', () => {
+        const cleaned = cleanRequest({
+            model: 'qwen3-coder',
+            messages: [{ role: 'user', content: 'hi' }],
+            tools: [{ functionDeclarations: [readFile] }],
+            toolConfig: { functionCallingConfig: { mode: 'ANY' } },
+            tool_choice: 'auto'
+        });
+        expect(cleaned.tool_choice).toBe('auto');
+    });
+
+    test('drops tools when only built-in Gemini tools were declared', () => {
+        const cleaned = cleanRequest({
+            model: 'qwen3-coder',
+            messages: [{ role: 'user', content: 'hi' }],
+            tools: [{ googleSearch: {} }],
+            toolConfig: { functionCallingConfig: { mode: 'ANY' } }
+        });
+        expect(cleaned.tools).toBeUndefined();
+        expect(cleaned.tool_choice).toBeUndefined();
+    });
+});
+
+describe('cleanRequest generationConfig', () => {
+    const messages = [{ role: 'user', content: 'hi' }];
+
+    test('carries the sampling settings over under their OpenAI names', () => {
+        const cleaned = cleanRequest({
+            model: 'qwen3-coder',
+            messages,
+            generationConfig: {
+                temperature: 0.2,
+                topP: 0.9,
+                topK: 40,
+                candidateCount: 2,
+                maxOutputTokens: 512,
+                stopSequences: ['END'],
+                seed: 7,
+                presencePenalty: 0.5,
+                frequencyPenalty: 0.25
+            }
+        });
+
+        expect(cleaned).toEqual({
+            model: 'qwen3-coder',
+            messages,
+            temperature: 0.2,
+            top_p: 0.9,
+            top_k: 40,
+            frequency_penalty: 0.25,
+            presence_penalty: 0.5,
+            stop: ['END'],
+            n: 2,
+            seed: 7,
+            max_tokens: 512
+        });
+    });
+
+    test('lets fields sent in OpenAI form win', () => {
+        const cleaned = cleanRequest({ model: 'm', messages, temperature: 1, generationConfig: { temperature: 0.2, topP: 0.9 } });
+        expect(cleaned).toMatchObject({ temperature: 1, top_p: 0.9 });
+    });
+
+    test('asks for JSON output for responseMimeType application/json', () => {
+        const cleaned = cleanRequest({ model: 'm', messages, generationConfig: { responseMimeType: 'application/json' } });
+        expect(cleaned.response_format).toEqual({ type: 'json_object' });
+    });
+
+    test('converts responseSchema and passes responseJsonSchema through', () => {
+        const converted = cleanRequest({
+            model: 'm',
+            messages,
+            generationConfig: { responseMimeType: 'application/json', responseSchema: readFile.parameters }
+        });
+        const schema = { type: 'object', properties: { path: { type: 'string' } }, additionalProperties: false };
+        const passed = cleanRequest({
+            model: 'm',
+            messages,
+            generationConfig: { responseMimeType: 'application/json', responseJsonSchema: schema, responseSchema: readFile.parameters }
+        });
+
+        expect(converted.response_format).toEqual({
+            type: 'json_schema',
+            json_schema: { name: 'response', schema: convertSchema(readFile.parameters) }
+        });
+        expect(passed.response_format.json_schema.schema).toBe(schema);
+    });
+
+    test('leaves text output and an OpenAI response_format alone', () => {
+        const text = cleanRequest({ model: 'm', messages, generationConfig: { responseMimeType: 'text/plain', responseSchema: readFile.parameters } });
+        const openai = cleanRequest({
+            model: 'm',
+            messages,
+            response_format: { type: 'text' },
+            generationConfig: { responseMimeType: 'application/json' }
+        });
+
+        expect(text.response_format).toBeUndefined();
+        expect(openai.response_format).toEqual({ type: 'text' });
+    });
+});
+
+describe('toGeminiResponse', () => {
+    test('turns tool_calls into functionCall parts after the text', () => {
+        const response = toGeminiResponse({
+            model: 'qwen3-coder',
+            choices: [{
+                index: 0,
+                message: {
+                    role: 'assistant',
+                    content: 'Reading it.',
+                    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.txt"}' } }]
+                },
+                finish_reason: 'tool_calls'
+            }],
+            usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+        });
+        expect(response).toEqual({
+            candidates: [{
+                content: {
+                    role: 'model',
+                    parts: [
+                        { text: 'Reading it.' },
+                        { functionCall: { id: 'call_1', name: 'read_file', args: { path: 'a.txt' } } }
+                    ]
+                },
+                index: 0,
+                finishReason: 'STOP'
+            }],
+            usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 },
+            modelVersion: 'qwen3-coder'
+        });
+    });
+
+    test('maps finish reasons and survives unparseable arguments', () => {
+        const response = toGeminiResponse({
+            choices: [{
+                message: { content: null, tool_calls: [{ function: { name: 'ls', arguments: '{oops' } }] },
+                finish_reason: 'length'
+            }]
+        });
+        expect(response.candidates[0].finishReason).toBe('MAX_TOKENS');
+        expect(response.candidates[0].content.parts).toEqual([{ functionCall: { name: 'ls', args: {} } }]);
+    });
+});
+
+describe('convertContents', () => {
+    test('maps roles and joins text parts', () => {
+        expect(convertContents([
+            { role: 'user', parts: [{ text: 'Hello ' }, { text: 'there' }] },
+            { role: 'model', parts: [{ text: 'Hi' }] }
+        ])).toEqual([
+            { role: 'user', content: 'Hello there' },
+            { role: 'assistant', content: 'Hi' }
+        ]);
+    });
+
+    test('turns inlineData and fileData into image_url parts', () => {
+        expect(convertContents([{
+            role: 'user',
+            parts: [
+                { text: 'What is this?' },
+                { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } },
+                { fileData: { mimeType: 'image/jpeg', fileUri: 'https://example.com/cat.jpg' } }
+            ]
+        }])).toEqual([{
+            role: 'user',
+            content: [
+                { type: 'text', text: 'What is this?' },
+                { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } },
+                { type: 'image_url', image_url: { url: 'https://example.com/cat.jpg' } }
+            ]
+        }]);
+    });
+
+    test('pairs functionResponse parts with the calls they answer', () => {
+        const messages = convertContents([
+            { role: 'user', parts: [{ text: 'List both' }] },
+            {
+                role: 'model',
+                parts: [
+                    { functionCall: { name: 'ls', args: { dir: 'a' } } },
+                    { functionCall: { name: 'ls', args: { dir: 'b' } } }
+                ]
+            },
+            {
+                role: 'user',
+                parts: [
+                    { functionResponse: { name: 'ls', response: { files: ['x'] } } },
+                    { functionResponse: { name: 'ls', response: 'y' } }
+                ]
+            }
+        ]);
+        expect(messages[1]).toEqual({
+            role: 'assistant',
+            content: null,
+            tool_calls: [
+                { id: 'call_0', type: 'function', function: { name: 'ls', arguments: '{"dir":"a"}' } },
+                { id: 'call_1', type: 'function', function: { name: 'ls', arguments: '{"dir":"b"}' } }
+            ]
+        });
+        expect(messages.slice(2)).toEqual([
+            { role: 'tool', tool_call_id: 'call_0', content: '{"files":["x"]}' },
+            { role: 'tool', tool_call_id: 'call_1', content: 'y' }
+        ]);
+    });
+
+    test('uses the ids Gemini sent and skips thought parts', () => {
+        const messages = convertContents([
+            { role: 'model', parts: [{ text: 'pondering', thought: true }, { functionCall: { id: 'abc', name: 'ls' } }] },
+            { role: 'user', parts: [{ functionResponse: { id: 'abc', name: 'ls', response: {} } }] }
+        ]);
+        expect(messages).toEqual([
+            { role: 'assistant', content: null, tool_calls: [{ id: 'abc', type: 'function', function: { name: 'ls', arguments: '{}' } }] },
+            { role: 'tool', tool_call_id: 'abc', content: '{}' }
+        ]);
+    });
+});
+
+describe('isGeminiRequest', () => {
+    test('only a conversation built from contents asks for a Gemini response', () => {
+        expect(isGeminiRequest({ contents: [{ role: 'user', parts: [{ text: 'hi' }] }] })).toBe(true);
+        expect(isGeminiRequest({
+            messages: [{ role: 'user', content: 'hi' }],
+            tools: [{ functionDeclarations: [readFile] }]
+        })).toBe(false);
+        expect(isGeminiRequest({ messages: [], contents: [] })).toBe(false);
+        expect(isGeminiRequest(undefined)).toBe(false);
+    });
+});
+
+describe('toGeminiError', () => {
+    test('names the status the way Gemini does', () => {
+        expect(toGeminiError(429, 'slow down')).toEqual({ error: { code: 429, message: 'slow down', status: 'RESOURCE_EXHAUSTED' } });
+        expect(toGeminiError(502, 'bad gateway').error.status).toBe('INTERNAL');
+    });
+});
+
+describe('createGeminiStreamTranslator', () => {
+    const chunk = (delta, finishReason = null) => ({
+        model: 'qwen3-coder',
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+    });
+
+    test('emits text deltas as they arrive', () => {
+        const translator = createGeminiStreamTranslator();
+        expect(translator.push(chunk({ content: 'Hel' }))).toEqual([{
+            candidates: [{ content: { role: 'model', parts: [{ text: 'Hel' }] }, index: 0 }],
+            modelVersion: 'qwen3-coder'
+        }]);
+        expect(translator.push(chunk({ role: 'assistant' }))).toEqual([]);
+    });
+
+    test('buffers fragmented tool calls until the choice finishes', () => {
+        const translator = createGeminiStreamTranslator();
+        const fragments = [
+            chunk({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'read_file', arguments: '' } }] }),
+            chunk({ tool_calls: [{ index: 0, function: { arguments: '{"path":' } }] }),
+            chunk({ tool_calls: [{ index: 0, function: { arguments: '"a.txt"}' } }] })
+        ];
+        fragments.forEach(fragment => expect(translator.push(fragment)).toEqual([]));
+
+        const [last] = translator.push(chunk({}, 'tool_calls'));
+        expect(last.candidates).toEqual([{
+            content: { role: 'model', parts: [{ functionCall: { id: 'call_1', name: 'read_file', args: { path: 'a.txt' } } }] },
+            index: 0,
+            finishReason: 'STOP'
+        }]);
+        expect(translator.flush()).toEqual([]);
+    });
+
+    test('flushes tool calls of a stream that ended without a finish_reason', () => {
+        const translator = createGeminiStreamTranslator();
+        translator.push(chunk({ tool_calls: [{ index: 0, function: { name: 'ls', arguments: '{}' } }] }));
+        const [last] = translator.flush();
+        expect(last.candidates[0]).toMatchObject({ finishReason: 'STOP', content: { parts: [{ functionCall: { name: 'ls', args: {} } }] } });
+    });
+
+    test('passes usage on once every choice finished', () => {
+        const translator = createGeminiStreamTranslator();
+        expect(translator.push({ choices: [], usage: { prompt_tokens: 1, completion_tokens: 2 } })).toEqual([]);
+        translator.push(chunk({ content: 'ok' }, 'stop'));
+        const [usage] = translator.push({ choices: [], usage: { prompt_tokens: 1, completion_tokens: 2 } });
+        expect(usage.usageMetadata).toEqual({ promptTokenCount: 1, candidatesTokenCount: 2, totalTokenCount: 3 });
+    });
+});
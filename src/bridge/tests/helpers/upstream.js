@@ -0,0 +1,132 @@
+/**
+ * Mock OpenAI-compatible upstream for the bridge tests
+ * Records every chat completion request it receives; a test sets `upstream.handler` to answer
+ * differently, otherwise each request gets the completion `hi`.
+ */
+
+const express = require('express');
+
+/**
+ * Build an OpenAI chat.completion
+ * @param {Object} message - Assistant message (content, tool_calls...)
+ * @param {Object} [extra] - Fields to add or override (finish_reason, usage, model)
+ * @returns {Object} - chat.completion
+ */
+function completion(message, extra = {}) {
+    const { finish_reason: finishReason = 'stop', ...rest } = extra;
+    return {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        created: 1700000000,
+        model: 'qwen3-coder',
+        choices: [{ index: 0, message: { role: 'assistant', ...message }, finish_reason: finishReason }],
+        usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 },
+        ...rest
+    };
+}
+
+/**
+ * Build an OpenAI chat.completion.chunk
+ * @param {Object} delta - Choice delta
+ * @param {string} [finishReason] - finish_reason
+ * @returns {Object} - chat.completion.chunk
+ */
+function chunk(delta, finishReason = null) {
+    return {
+        id: 'chatcmpl-test',
+        object: 'chat.completion.chunk',
+        created: 1700000000,
+        model: 'qwen3-coder',
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+    };
+}
+
+/**
+ * Answer with an SSE stream of chunks, ended by [DONE]
+ * @param {Object} res - Express response
+ * @param {Array<Object>} chunks - Chunks to send
+ */
+function sendStream(res, chunks) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    chunks.forEach(item => res.write(`data: ${JSON.stringify(item)}\n\n`));
+    res.end('data: [DONE]\n\n');
+}
+
+/**
+ * Parse the data events of an SSE body
+ * @param {string} text - Response body
+ * @returns {Array} - Event payloads (JSON parsed where possible)
+ */
+function parseEvents(text) {
+    return text.split('\n\n')
+        .map(event => event.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n'))
+        .filter(Boolean)
+        .map(data => {
+            try {
+                return JSON.parse(data);
+            } catch (error) {
+                return data;
+            }
+        });
+}
+
+/**
+ * Create the mock upstream (call start() before use and stop() after)
+ * @returns {Object} - { requests, headers, handler, url, start(), stop(), reset() }
+ */
+function createUpstream() {
+    const app = express();
+    app.use(express.json({ limit: '50mb' }));
+
+    const upstream = {
+        requests: [],
+        headers: [],
+        handler: null,
+        url: null,
+
+        start() {
+            return new Promise(resolve => {
+                upstream.server = app.listen(0, '127.0.0.1', () => {
+                    upstream.url = `http://127.0.0.1:${upstream.server.address().port}/v1`;
+                    resolve(upstream);
+                });
+            });
+        },
+
+        stop() {
+            upstream.server.closeAllConnections();
+            return new Promise(resolve => upstream.server.close(resolve));
+        },
+
+        reset() {
+            upstream.requests.length = 0;
+            upstream.headers.length = 0;
+            upstream.handler = null;
+        }
+    };
+
+    app.post('/v1/chat/completions', (req, res) => {
+        upstream.requests.push(req.body);
+        upstream.headers.push(req.headers);
+        if (upstream.handler) {
+            return upstream.handler(req, res);
+        }
+        if (req.body.stream) {
+            return sendStream(res, [chunk({ role: 'assistant', content: 'hi' }), chunk({}, 'stop')]);
+        }
+        res.json(completion({ content: 'hi' }));
+    });
+    app.get('/v1/models', (req, res) => {
+        res.json({ object: 'list', data: [{ id: 'qwen3-coder', object: 'model' }] });
+    });
+
+    return upstream;
+}
+
+module.exports = {
+    completion,
+    chunk,
+    sendStream,
+    parseEvents,
+    createUpstream
+};
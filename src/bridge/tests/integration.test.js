@@ -0,0 +1,179 @@
+const request = require('supertest');
+const { createApp } = require('../bridge');
+const { createUpstream, completion, chunk, sendStream, parseEvents } = require('./helpers/upstream');
+
+const upstream = createUpstream();
+let app;
+
+beforeAll(async () => {
+    await upstream.start();
+    app = createApp({ BRIDGE_TARGET_URL: upstream.url, BRIDGE_LOG_LEVEL: 'silent' });
+});
+
+afterEach(() => upstream.reset());
+
+afterAll(() => upstream.stop());
+
+const contents = [{ role: 'user', parts: [{ text: 'Read a.txt' }] }];
+
+describe('native Gemini endpoints', () => {
+    test(':generateContent answers in Gemini form, model names with a colon included', async () => {
+        const res = await request(app)
+            .post('/v1beta/models/qwen3-coder:latest:generateContent')
+            .send({ contents, generationConfig: { temperature: 0.2 } });
+
+        expect(res.status).toBe(200);
+        expect(upstream.requests[0]).toMatchObject({
+            model: 'qwen3-coder:latest',
+            messages: [{ role: 'user', content: 'Read a.txt' }],
+            temperature: 0.2
+        });
+        expect(upstream.requests[0].stream).toBe(false);
+        expect(res.body.candidates[0]).toEqual({
+            content: { role: 'model', parts: [{ text: 'hi' }] },
+            index: 0,
+            finishReason: 'STOP'
+        });
+        expect(res.body.usageMetadata).toEqual({ promptTokenCount: 10, candidatesTokenCount: 2, totalTokenCount: 12 });
+    });
+
+    test(':streamGenerateContent?alt=sse streams Gemini chunks and asks for usage', async () => {
+        upstream.handler = (req, res) => sendStream(res, [
+            chunk({ role: 'assistant', content: 'Hel' }),
+            chunk({ content: 'lo' }),
+            chunk({}, 'stop'),
+            { ...chunk({}), choices: [], usage: { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 } }
+        ]);
+
+        const res = await request(app)
+            .post('/v1beta/models/qwen3-coder:streamGenerateContent?alt=sse')
+            .send({ contents });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+        expect(upstream.requests[0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+        const events = parseEvents(res.text);
+        expect(events.map(event => event.candidates.map(candidate => candidate.content.parts))).toEqual([
+            [[{ text: 'Hel' }]],
+            [[{ text: 'lo' }]],
+            [[]],
+            []
+        ]);
+        expect(events[2].candidates[0].finishReason).toBe('STOP');
+        expect(events[3].usageMetadata).toEqual({ promptTokenCount: 4, candidatesTokenCount: 2, totalTokenCount: 6 });
+    });
+
+    test(':streamGenerateContent without alt=sse answers with a JSON array', async () => {
+        const res = await request(app)
+            .post('/v1beta/models/qwen3-coder:streamGenerateContent')
+            .send({ contents });
+
+        expect(res.status).toBe(200);
+        const chunks = JSON.parse(res.text);
+        expect(chunks[0].candidates[0].content.parts).toEqual([{ text: 'hi' }]);
+        expect(chunks[chunks.length - 1].candidates[0].finishReason).toBe('STOP');
+    });
+
+    test('function calls come back as functionCall parts', async () => {
+        upstream.handler = (req, res) => res.json(completion({
+            content: null,
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.txt"}' } }]
+        }, { finish_reason: 'tool_calls' }));
+
+        const res = await request(app)
+            .post('/v1beta/models/qwen3-coder:generateContent')
+            .send({ contents, tools: [{ functionDeclarations: [{ name: 'read_file', parameters: { type: 'OBJECT', properties: { path: { type: 'STRING' } } } }] }] });
+
+        expect(upstream.requests[0].tools[0].function.name).toBe('read_file');
+        expect(res.body.candidates[0].content.parts).toEqual([
+            { functionCall: { id: 'call_1', name: 'read_file', args: { path: 'a.txt' } } }
+        ]);
+    });
+
+    test('structured output settings become response_format', async () => {
+        upstream.handler = (req, res) => res.json(completion({ content: '{"path":"a.txt"}' }));
+
+        const res = await request(app)
+            .post('/v1beta/models/qwen3-coder:generateContent')
+            .send({
+                contents,
+                generationConfig: {
+                    responseMimeType: 'application/json',
+                    responseSchema: { type: 'OBJECT', properties: { path: { type: 'STRING' } }, required: ['path'] },
+                    topK: 20
+                }
+            });
+
+        expect(upstream.requests[0]).toMatchObject({
+            top_k: 20,
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] } }
+            }
+        });
+        expect(upstream.requests[0].generationConfig).toBeUndefined();
+        expect(JSON.parse(res.body.candidates[0].content.parts[0].text)).toEqual({ path: 'a.txt' });
+    });
+
+    test('upstream errors are reported in Gemini form', async () => {
+        upstream.handler = (req, res) => res.status(404).json({ error: { message: 'model "nope" not found' } });
+
+        const res = await request(app)
+            .post('/v1beta/models/nope:generateContent')
+            .send({ contents });
+
+        expect(res.status).toBe(404);
+        expect(res.body.error).toMatchObject({ code: 404, status: 'NOT_FOUND' });
+        expect(res.body.error.message).toMatch(/not found/);
+    });
+
+    test('unknown methods get a Gemini 404', async () => {
+        const res = await request(app).post('/v1beta/models/qwen3-coder:embedContent').send({});
+
+        expect(res.status).toBe(404);
+        expect(res.body.error.status).toBe('NOT_FOUND');
+        expect(upstream.requests).toHaveLength(0);
+    });
+
+    test('GET /v1beta/models lists the upstream models', async () => {
+        const res = await request(app).get('/v1beta/models');
+
+        expect(res.status).toBe(200);
+        expect(res.body.models[0]).toMatchObject({ name: 'models/qwen3-coder', displayName: 'qwen3-coder' });
+    });
+});
+
+describe('/v1/chat/completions', () => {
+    test('OpenAI requests get OpenAI responses, even with Gemini-style tools', async () => {
+        const res = await request(app)
+            .post('/v1/chat/completions')
+            .send({
+                model: 'qwen3-coder',
+                messages: [{ role: 'user', content: 'hi' }],
+                tools: [{ functionDeclarations: [{ name: 'ls' }] }]
+            });
+
+        expect(res.status).toBe(200);
+        expect(res.body.object).toBe('chat.completion');
+        expect(res.body.choices[0].message.content).toBe('hi');
+    });
+
+    test('requests built from contents get Gemini responses', async () => {
+        const res = await request(app)
+            .post('/v1/chat/completions')
+            .send({ model: 'qwen3-coder', contents });
+
+        expect(res.body.candidates[0].content.parts).toEqual([{ text: 'hi' }]);
+    });
+
+    test('OpenAI streams are relayed as SSE', async () => {
+        const res = await request(app)
+            .post('/v1/chat/completions')
+            .send({ model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }], stream: true });
+
+        expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+        const events = parseEvents(res.text);
+        expect(events[0].choices[0].delta.content).toBe('hi');
+        expect(events[events.length - 1]).toBe('[DONE]');
+    });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const { createRegistry } = require('../metrics');
+const { createApp } = require('../bridge');
+const { createUpstream } = require('./helpers/upstream');
+
+describe('createRegistry', () => {
+    test('renders counters and gauges per label set', () => {
+        const registry = createRegistry();
+        const requests = registry.counter('requests_total', 'Requests', ['model']);
+        const inFlight = registry.gauge('in_flight', 'In flight');
+        requests.inc({ model: 'a' });
+        requests.inc({ model: 'a' }, 2);
+        requests.inc({ model: 'say "hi"\n' });
+        inFlight.inc();
+        inFlight.inc();
+        inFlight.dec();
+
+        expect(registry.render()).toBe([
+            '# HELP requests_total Requests',
+            '# TYPE requests_total counter',
+            'requests_total{model="a"} 3',
+            'requests_total{model="say \\"hi\\"\\n"} 1',
+            '# HELP in_flight In flight',
+            '# TYPE in_flight gauge',
+            'in_flight 1',
+            ''
+        ].join('\n'));
+    });
+
+    test('renders cumulative histogram buckets with sum and count', () => {
+        const registry = createRegistry();
+        const latency = registry.histogram('latency_seconds', 'Latency', ['model'], [1, 5]);
+        latency.observe({ model: 'a' }, 0.5);
+        latency.observe({ model: 'a' }, 3);
+        latency.observe({ model: 'a' }, 10);
+
+        expect(registry.render().split('\n').slice(2, 7)).toEqual([
+            'latency_seconds_bucket{model="a",le="1"} 1',
+            'latency_seconds_bucket{model="a",le="5"} 2',
+            'latency_seconds_bucket{model="a",le="+Inf"} 3',
+            'latency_seconds_sum{model="a"} 13.5',
+            'latency_seconds_count{model="a"} 3'
+        ]);
+    });
+
+    test('fills missing labels with an empty value', () => {
+        const registry = createRegistry();
+        registry.counter('hits_total', 'Hits', ['model', 'route']).inc({ route: '/x' });
+
+        expect(registry.render()).toMatch(/^hits_total\{model="",route="\/x"\} 1$/m);
+    });
+});
+
+describe('/metrics', () => {
+    const upstream = createUpstream();
+    let app;
+
+    beforeAll(async () => {
+        await upstream.start();
+        app = createApp({ BRIDGE_TARGET_URL: upstream.url, BRIDGE_LOG_LEVEL: 'silent', BRIDGE_HEALTH_CHECK_INTERVAL: '0' });
+    });
+
+    afterAll(() => upstream.stop());
+
+    /**
+     * Read the value of one series from /metrics
+     * @param {string} text - Exposition text
+     * @param {string} series - Metric name with labels, as rendered
+     * @returns {number|undefined} - Value, if the series exists
+     */
+    const value = (text, series) => {
+        const line = text.split('\n').find(entry => entry.startsWith(series + ' '));
+        return line === undefined ? undefined : Number(line.slice(series.length + 1));
+    };
+
+    test('records requests, tokens and what cleanRequest changed', async () => {
+        // The upstream lists qwen3-coder, which gives it series of its own
+        await request(app).get('/v1/models');
+        await request(app)
+            .post('/v1beta/models/qwen3-coder:generateContent')
+            .send({ contents: [{ role: 'user', parts: [{ text: 'hi' }] }], safetySettings: [], generationConfig: { maxOutputTokens: 200000 } });
+        await request(app)
+            .post('/v1/chat/completions')
+            .send({ model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }], stream: true });
+
+        const res = await request(app).get('/metrics');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+        const text = res.text;
+        expect(value(text, 'bridge_requests_total{route="/v1beta/models/{model}:generateContent",model="qwen3-coder",status="200"}')).toBe(1);
+        expect(value(text, 'bridge_requests_total{route="/v1/chat/completions",model="qwen3-coder",status="200"}')).toBe(1);
+        expect(value(text, 'bridge_max_tokens_capped_total{model="qwen3-coder"}')).toBe(1);
+        expect(value(text, 'bridge_gemini_fields_stripped_total{model="qwen3-coder"}')).toBe(1);
+        expect(value(text, 'bridge_prompt_tokens_total{model="qwen3-coder"}')).toBe(10);
+        expect(value(text, 'bridge_completion_tokens_total{model="qwen3-coder"}')).toBe(2);
+        expect(value(text, `bridge_upstream_latency_seconds_count{model="qwen3-coder",upstream="${upstream.url}"}`)).toBe(2);
+        expect(value(text, 'bridge_time_to_first_token_seconds_count{model="qwen3-coder"}')).toBe(1);
+        expect(value(text, 'bridge_streamed_bytes_total{route="/v1/chat/completions"}')).toBeGreaterThan(0);
+        expect(value(text, `bridge_upstream_healthy{upstream="${upstream.url}"}`)).toBe(1);
+        // Only the /metrics request itself is in flight
+        expect(value(text, 'bridge_requests_in_flight')).toBe(1);
+    });
+
+    test('counts models the bridge does not know as other', async () => {
+        const routed = createApp({
+            BRIDGE_TARGET_URL: upstream.url,
+            BRIDGE_MODEL_ROUTES: [{ match: 'gemini-*', model: 'qwen3:8b' }],
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0'
+        });
+        const send = (model) => request(routed).post('/v1/chat/completions').send({ model, messages: [{ role: 'user', content: 'hi' }] });
+        await send('gemini-2.5-pro');
+        await send('made-up-1');
+        await send('made-up-2');
+
+        const text = (await request(routed).get('/metrics')).text;
+        expect(value(text, 'bridge_requests_total{route="/v1/chat/completions",model="qwen3:8b",status="200"}')).toBe(1);
+        expect(value(text, 'bridge_requests_total{route="/v1/chat/completions",model="other",status="200"}')).toBe(2);
+        expect(text).not.toMatch(/made-up/);
+    });
+});
@@ -0,0 +1,278 @@
+const express = require('express');
+const request = require('supertest');
+const {
+    ollamaBaseUrl,
+    toOllamaRequest,
+    fromOllamaResponse,
+    createOllamaStreamTranslator,
+    forwardOllamaChat,
+    fetchOllamaModels
+} = require('../ollama');
+const { createApp } = require('../bridge');
+const { parseEvents } = require('./helpers/upstream');
+
+describe('ollamaBaseUrl', () => {
+    test('drops the /v1 suffix and trailing slashes', () => {
+        expect(ollamaBaseUrl('http://gpu1:11434/v1/')).toBe('http://gpu1:11434');
+        expect(ollamaBaseUrl('http://gpu1:11434')).toBe('http://gpu1:11434');
+    });
+});
+
+describe('toOllamaRequest', () => {
+    test('maps sampling fields onto options, over the configured ones', () => {
+        const converted = toOllamaRequest({
+            model: 'qwen3',
+            messages: [{ role: 'user', content: 'hi' }],
+            max_tokens: 100,
+            temperature: 0,
+            stream: true
+        }, { options: { num_ctx: 32768, temperature: 0.7, num_predict: 4096, mirostat: 2 }, keep_alive: '10m' });
+
+        expect(converted).toEqual({
+            model: 'qwen3',
+            messages: [{ role: 'user', content: 'hi' }],
+            stream: true,
+            options: { num_ctx: 32768, temperature: 0, num_predict: 100, mirostat: 2 },
+            keep_alive: '10m'
+        });
+    });
+
+    test('moves base64 images into the images field', () => {
+        const [message] = toOllamaRequest({
+            model: 'llava',
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: 'What is this?' },
+                    { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+                ]
+            }]
+        }).messages;
+        expect(message).toEqual({ role: 'user', content: 'What is this?', images: ['AAAA'] });
+    });
+
+    test('sends tool call arguments as objects and names the tool a result answers', () => {
+        const { messages } = toOllamaRequest({
+            model: 'qwen3',
+            messages: [
+                {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.txt"}' } }]
+                },
+                { role: 'tool', tool_call_id: 'call_1', content: 'contents of a' },
+                { role: 'tool', name: 'ls', tool_call_id: 'unknown', content: '[]' }
+            ]
+        });
+        expect(messages).toEqual([
+            { role: 'assistant', content: '', tool_calls: [{ function: { name: 'read_file', arguments: { path: 'a.txt' } } }] },
+            { role: 'tool', tool_name: 'read_file', content: 'contents of a' },
+            { role: 'tool', tool_name: 'ls', content: '[]' }
+        ]);
+    });
+
+    test('turns response_format into format', () => {
+        const schema = { type: 'object', properties: { a: { type: 'string' } } };
+        expect(toOllamaRequest({ model: 'm', response_format: { type: 'json_object' } }).format).toBe('json');
+        expect(toOllamaRequest({ model: 'm', response_format: { type: 'json_schema', json_schema: { schema } } }).format).toEqual(schema);
+    });
+});
+
+describe('fromOllamaResponse', () => {
+    test('builds a chat.completion with usage from the eval counters', () => {
+        const completion = fromOllamaResponse({
+            model: 'qwen3',
+            message: { role: 'assistant', content: 'hi', thinking: 'hmm' },
+            done: true,
+            done_reason: 'length',
+            prompt_eval_count: 7,
+            eval_count: 3
+        });
+        expect(completion).toMatchObject({
+            object: 'chat.completion',
+            model: 'qwen3',
+            choices: [{ index: 0, message: { role: 'assistant', content: 'hi', reasoning_content: 'hmm' }, finish_reason: 'length' }],
+            usage: { prompt_tokens: 7, completion_tokens: 3, total_tokens: 10 }
+        });
+    });
+
+    test('converts tool calls and finishes with tool_calls', () => {
+        const completion = fromOllamaResponse({
+            model: 'qwen3',
+            message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'ls', arguments: { dir: '.' } } }] },
+            done: true
+        });
+        const [call] = completion.choices[0].message.tool_calls;
+        expect(call).toMatchObject({ type: 'function', function: { name: 'ls', arguments: '{"dir":"."}' } });
+        expect(call.id).toMatch(/^call_/);
+        expect(completion.choices[0].finish_reason).toBe('tool_calls');
+    });
+});
+
+describe('createOllamaStreamTranslator', () => {
+    test('emits OpenAI chunks, a finish chunk, usage on request and [DONE]', () => {
+        const translator = createOllamaStreamTranslator({ stream_options: { include_usage: true } });
+        const text = translator.push({ model: 'qwen3', message: { content: 'Hel' }, done: false }) +
+            translator.push({ model: 'qwen3', message: { content: 'lo' }, done: false }) +
+            translator.push({ model: 'qwen3', message: { content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 2, eval_count: 2 }) +
+            translator.end();
+
+        const events = parseEvents(text);
+        expect(events.slice(0, 2).map(event => event.choices[0].delta)).toEqual([
+            { role: 'assistant', content: 'Hel' },
+            { content: 'lo' }
+        ]);
+        expect(events[2].choices[0]).toEqual({ index: 0, delta: {}, finish_reason: 'stop' });
+        expect(events[3].usage).toEqual({ prompt_tokens: 2, completion_tokens: 2, total_tokens: 4 });
+        expect(events[4]).toBe('[DONE]');
+        expect(events).toHaveLength(5);
+    });
+
+    test('numbers tool calls across chunks', () => {
+        const translator = createOllamaStreamTranslator({});
+        const text = translator.push({ model: 'qwen3', message: { tool_calls: [{ function: { name: 'a', arguments: {} } }] }, done: false }) +
+            translator.push({ model: 'qwen3', message: { tool_calls: [{ function: { name: 'b', arguments: {} } }] }, done: false }) +
+            translator.push({ model: 'qwen3', message: {}, done: true });
+
+        const events = parseEvents(text);
+        expect(events[0].choices[0].delta.tool_calls[0]).toMatchObject({ index: 0, function: { name: 'a' } });
+        expect(events[1].choices[0].delta.tool_calls[0]).toMatchObject({ index: 1, function: { name: 'b' } });
+        expect(events[2].choices[0].finish_reason).toBe('tool_calls');
+    });
+
+    test('turns an error object into an error event and still ends the stream', () => {
+        const events = parseEvents(createOllamaStreamTranslator({}).push({ error: 'model not found' }));
+        expect(events).toEqual([{ error: { message: 'model not found', type: 'upstream_error' } }, '[DONE]']);
+    });
+
+    test('terminates a stream that closed without a done object', () => {
+        expect(createOllamaStreamTranslator({}).end()).toBe('data: [DONE]\n\n');
+    });
+});
+
+describe('against a mock Ollama server', () => {
+    const received = [];
+    let server;
+    let url;
+
+    beforeAll(done => {
+        const app = express();
+        app.use(express.json());
+        app.post('/api/chat', (req, res) => {
+            received.push(req.body);
+            if (req.body.model === 'missing') {
+                return res.status(404).json({ error: 'model "missing" not found' });
+            }
+            if (!req.body.stream) {
+                return res.json({ model: req.body.model, message: { role: 'assistant', content: 'hi' }, done: true, eval_count: 1 });
+            }
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            // Lines cut mid-object, as they arrive over the network
+            const lines = [
+                { model: req.body.model, message: { content: 'h' }, done: false },
+                { model: req.body.model, message: { content: 'i' }, done: true, done_reason: 'stop' }
+            ].map(line => JSON.stringify(line) + '\n').join('');
+            res.write(lines.slice(0, 20));
+            res.end(lines.slice(20));
+        });
+        app.get('/api/tags', (req, res) => res.json({ models: [{ name: 'qwen3:8b', modified_at: '2025-01-01T00:00:00Z' }] }));
+        server = app.listen(0, '127.0.0.1', () => {
+            url = `http://127.0.0.1:${server.address().port}/v1`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.closeAllConnections();
+        server.close(done);
+    });
+
+    test('posts to /api/chat and answers with a chat.completion', async () => {
+        const response = await forwardOllamaChat(url, { model: 'qwen3', messages: [{ role: 'user', content: 'hi' }] }, {}, {});
+        expect(received[received.length - 1]).toMatchObject({ model: 'qwen3', stream: false });
+        expect((await response.json()).choices[0].message.content).toBe('hi');
+    });
+
+    test('translates the NDJSON stream into SSE', async () => {
+        const response = await forwardOllamaChat(url, { model: 'qwen3', messages: [], stream: true }, {}, {});
+        expect(response.headers.get('content-type')).toBe('text/event-stream');
+        const events = parseEvents(await response.text());
+        expect(events.filter(event => event.choices && event.choices[0].delta.content).map(event => event.choices[0].delta.content).join('')).toBe('hi');
+        expect(events[events.length - 1]).toBe('[DONE]');
+    });
+
+    test('passes upstream errors on as OpenAI errors', async () => {
+        const response = await forwardOllamaChat(url, { model: 'missing', messages: [] }, {}, {});
+        expect(response.status).toBe(404);
+        expect(await response.json()).toEqual({ error: { message: 'model "missing" not found', type: 'upstream_error' } });
+    });
+
+    test('lets the request\'s own fields win over BRIDGE_OLLAMA_OPTIONS and client options', async () => {
+        const app = createApp({
+            BRIDGE_TARGET_URL: url,
+            BRIDGE_BACKEND: 'ollama',
+            BRIDGE_OLLAMA_OPTIONS: '{"temperature":0.7,"num_predict":4096,"num_ctx":8192}',
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0'
+        });
+
+        await request(app).post('/v1/chat/completions').send({
+            model: 'qwen3',
+            messages: [{ role: 'user', content: 'hi' }],
+            temperature: 0,
+            max_tokens: 100,
+            options: { num_ctx: 16384, seed: 1 }
+        });
+
+        expect(received[received.length - 1].options).toEqual({ temperature: 0, num_predict: 100, num_ctx: 16384, seed: 1 });
+    });
+
+    test('budgets max_tokens against the num_ctx the request sends', async () => {
+        const app = createApp({
+            BRIDGE_TARGET_URL: url,
+            BRIDGE_BACKEND: 'ollama',
+            BRIDGE_OLLAMA_OPTIONS: '{"num_ctx":32768}',
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0'
+        });
+
+        await request(app).post('/v1/chat/completions').send({
+            model: 'qwen3',
+            messages: [{ role: 'user', content: 'hi' }],
+            max_tokens: 4096,
+            options: { num_ctx: 1024 }
+        });
+
+        const { options } = received[received.length - 1];
+        expect(options.num_ctx).toBe(1024);
+        expect(options.num_predict).toBeLessThan(1024);
+    });
+
+    test('switches thinking with think instead of the prompt', async () => {
+        const app = createApp({
+            BRIDGE_TARGET_URL: url,
+            BRIDGE_BACKEND: 'ollama',
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0'
+        });
+        const contents = [{ role: 'user', parts: [{ text: 'hi' }] }];
+
+        await request(app).post('/v1beta/models/qwen3:8b:generateContent')
+            .send({ contents, generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+        expect(received[received.length - 1]).toMatchObject({ think: false, messages: [{ role: 'user', content: 'hi' }] });
+
+        await request(app).post('/v1beta/models/qwen3:8b:generateContent')
+            .send({ contents, generationConfig: { thinkingConfig: { includeThoughts: true } } });
+        expect(received[received.length - 1].think).toBe(true);
+
+        await request(app).post('/v1beta/models/qwen3:8b:generateContent').send({ contents });
+        expect(received[received.length - 1]).not.toHaveProperty('think');
+    });
+
+    test('lists /api/tags as OpenAI models', async () => {
+        expect(await fetchOllamaModels(url, {})).toEqual({
+            object: 'list',
+            data: [{ id: 'qwen3:8b', object: 'model', created: 1735689600, owned_by: 'ollama' }]
+        });
+    });
+});
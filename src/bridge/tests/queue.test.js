@@ -0,0 +1,256 @@
+const request = require('supertest');
+const { getQueueConfig, requestPriority, createQueueRegistry } = require('../queue');
+const { createApp } = require('../bridge');
+const { createUpstream, completion } = require('./helpers/upstream');
+
+const config = (extra) => ({ ...getQueueConfig({}), maxConcurrency: 1, ...extra });
+
+/**
+ * Queue a request on a gate, collecting the order requests are admitted in
+ * @param {Object} gate - Gate from createQueueRegistry().gateFor()
+ * @param {Array<string>} admitted - Receives the ids in admission order
+ * @param {Object} request - { id, client, priority, signal }
+ * @returns {Promise<Object>} - The slot
+ */
+function enqueue(gate, admitted, request) {
+    return gate.acquire(request).then(slot => {
+        admitted.push(request.id);
+        return slot;
+    });
+}
+
+describe('getQueueConfig', () => {
+    test('is unlimited by default and validates the settings', () => {
+        expect(getQueueConfig({})).toEqual({
+            maxConcurrency: 0,
+            maxQueue: 100,
+            queueTimeout: 0,
+            policy: 'fifo',
+            prioritizeStreaming: false,
+            priorityHeader: false
+        });
+        expect(() => getQueueConfig({ BRIDGE_QUEUE_POLICY: 'lifo' })).toThrow(/Invalid BRIDGE_QUEUE_POLICY "lifo"/);
+        expect(() => getQueueConfig({ BRIDGE_MAX_CONCURRENCY: '-1' })).toThrow(/Invalid BRIDGE_MAX_CONCURRENCY/);
+    });
+});
+
+describe('requestPriority', () => {
+    const req = { headers: { 'x-bridge-priority': 'Interactive' } };
+
+    test('calls streaming requests interactive and the rest batch', () => {
+        expect(requestPriority({ headers: {} }, { stream: true }, config())).toBe('interactive');
+        expect(requestPriority({ headers: {} }, {}, config())).toBe('batch');
+    });
+
+    test('honours X-Bridge-Priority only when the operator allows it', () => {
+        expect(requestPriority(req, {}, config())).toBe('batch');
+        expect(requestPriority(req, {}, config({ priorityHeader: true }))).toBe('interactive');
+        expect(requestPriority({ headers: { 'x-bridge-priority': 'urgent' } }, {}, config({ priorityHeader: true }))).toBe('batch');
+    });
+});
+
+describe('gates', () => {
+    test('admit requests at once without a limit', async () => {
+        const registry = createQueueRegistry(config({ maxConcurrency: 0 }));
+        expect(registry.enabled).toBe(false);
+        const slot = await registry.gateFor('http://a').acquire({ id: '1' });
+        expect(slot).toMatchObject({ waitMs: 0, queued: false });
+    });
+
+    test('queue requests first come first served', async () => {
+        const gate = createQueueRegistry(config()).gateFor('http://a');
+        const admitted = [];
+        const first = await enqueue(gate, admitted, { id: '1' });
+        const positions = [];
+        const waiting = ['2', '3'].map(id => enqueue(gate, admitted, { id, onQueued: position => positions.push(position) }));
+
+        expect(gate.full()).toBe(true);
+        expect(gate.status()).toMatchObject({ url: 'http://a', limit: 1, active: 1, queued: 2 });
+        expect(gate.status().waiting.map(entry => entry.requestId)).toEqual(['2', '3']);
+        expect(positions).toEqual([1, 2]);
+
+        first.release();
+        first.release();
+        const second = await waiting[0];
+        expect(second.queued).toBe(true);
+        expect(gate.status()).toMatchObject({ active: 1, queued: 1 });
+        second.release();
+        (await waiting[1]).release();
+        expect(admitted).toEqual(['1', '2', '3']);
+    });
+
+    test('take turns across clients with the fair policy', async () => {
+        const gate = createQueueRegistry(config({ policy: 'fair' })).gateFor('http://a');
+        const admitted = [];
+        const first = await enqueue(gate, admitted, { id: 'a1', client: 'alice' });
+        const waiting = [
+            enqueue(gate, admitted, { id: 'a2', client: 'alice' }),
+            enqueue(gate, admitted, { id: 'a3', client: 'alice' }),
+            enqueue(gate, admitted, { id: 'b1', client: 'bob' })
+        ];
+
+        first.release();
+        for (const next of [2, 0, 1]) {
+            (await waiting[next]).release();
+        }
+        expect(admitted).toEqual(['a1', 'b1', 'a2', 'a3']);
+    });
+
+    test('serve interactive requests first when asked to', async () => {
+        const gate = createQueueRegistry(config({ prioritizeStreaming: true })).gateFor('http://a');
+        const admitted = [];
+        const first = await enqueue(gate, admitted, { id: '1', priority: 'batch' });
+        const batch = enqueue(gate, admitted, { id: 'batch', priority: 'batch' });
+        const interactive = enqueue(gate, admitted, { id: 'interactive', priority: 'interactive' });
+
+        first.release();
+        (await interactive).release();
+        (await batch).release();
+        expect(admitted).toEqual(['1', 'interactive', 'batch']);
+    });
+
+    test('turn requests away when the queue is full or the wait runs out', async () => {
+        const gate = createQueueRegistry(config({ maxQueue: 1, queueTimeout: 20 })).gateFor('http://a');
+        const first = await gate.acquire({ id: '1' });
+        const waiting = gate.acquire({ id: '2' });
+
+        await expect(gate.acquire({ id: '3' })).rejects.toMatchObject({ status: 503, code: 'queue_full', type: 'server_busy' });
+        await expect(waiting).rejects.toMatchObject({ status: 503, code: 'queue_timeout' });
+        expect(gate.status().queued).toBe(0);
+        first.release();
+    });
+
+    test('drop a waiting request whose client went away', async () => {
+        const gate = createQueueRegistry(config()).gateFor('http://a');
+        const first = await gate.acquire({ id: '1' });
+        const controller = new AbortController();
+        const waiting = gate.acquire({ id: '2', signal: controller.signal });
+
+        controller.abort(new Error('Client disconnected'));
+        await expect(waiting).rejects.toThrow('Client disconnected');
+        expect(gate.status().queued).toBe(0);
+        first.release();
+    });
+
+    test('admit waiting requests when a reload raises the limit', async () => {
+        const registry = createQueueRegistry(config());
+        const gate = registry.gateFor('http://a');
+        await gate.acquire({ id: '1' });
+        const waiting = gate.acquire({ id: '2' });
+
+        registry.configure(config({ maxConcurrency: 2 }));
+        expect((await waiting).queued).toBe(true);
+        expect(registry.status()[0]).toMatchObject({ active: 2, queued: 0 });
+    });
+});
+
+describe('queued requests', () => {
+    const upstream = createUpstream();
+    const spare = createUpstream();
+    const body = { model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }] };
+    let held;
+
+    /**
+     * Hold every upstream response until release() is called
+     * @param {Object} target - Mock upstream
+     */
+    const hold = (target) => {
+        target.handler = (req, res) => held.push(() => res.json(completion({ content: 'hi' })));
+    };
+    const release = () => held.splice(0).forEach(answer => answer());
+
+    beforeAll(async () => {
+        await upstream.start();
+        await spare.start();
+    });
+
+    beforeEach(() => {
+        held = [];
+    });
+
+    afterEach(() => {
+        upstream.reset();
+        spare.reset();
+    });
+
+    afterAll(async () => {
+        await upstream.stop();
+        await spare.stop();
+    });
+
+    /**
+     * Poll /health until the queues reach a state
+     * @param {Object} app - Bridge app
+     * @param {Function} ready - (queues) => boolean
+     */
+    const waitFor = async (app, ready) => {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const { queues } = (await request(app).get('/health')).body;
+            if (ready(queues)) {
+                return queues;
+            }
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error('queues never reached the expected state');
+    };
+
+    test('show waiting requests in /health and answer 503 once the queue is full', async () => {
+        hold(upstream);
+        const app = createApp({
+            BRIDGE_TARGET_URL: upstream.url,
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0',
+            BRIDGE_MAX_CONCURRENCY: '1',
+            BRIDGE_MAX_QUEUE: '1'
+        });
+
+        const first = request(app).post('/v1/chat/completions').send(body).then(res => res);
+        await waitFor(app, queues => queues[0].active === 1);
+        const second = request(app).post('/v1/chat/completions').set('X-Request-Id', 'queued-1').send(body).then(res => res);
+        const queues = await waitFor(app, state => state[0].queued === 1);
+        const rejected = await request(app).post('/v1/chat/completions').send(body);
+
+        expect(queues[0].waiting[0]).toMatchObject({ requestId: 'queued-1', position: 1, priority: 'batch' });
+        expect(rejected.status).toBe(503);
+        expect(rejected.body.error).toMatchObject({ type: 'server_busy', message: expect.stringMatching(/queue is full/) });
+
+        release();
+        await waitFor(app, state => state[0].queued === 0);
+        // Admitted is not yet sent: wait for the second request to reach the upstream
+        while (held.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        release();
+        expect((await first).status).toBe(200);
+        expect((await second).status).toBe(200);
+    });
+
+    test('move on to an upstream with queue room when one queue is full', async () => {
+        hold(upstream);
+        hold(spare);
+        const app = createApp({
+            BRIDGE_TARGET_URLS: `${upstream.url},${spare.url}`,
+            BRIDGE_UPSTREAM_STRATEGY: 'least-in-flight',
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0',
+            BRIDGE_MAX_CONCURRENCY: '1',
+            BRIDGE_MAX_QUEUE: '1'
+        });
+        const send = () => request(app).post('/v1/chat/completions').send(body).then(res => res);
+        const queued = (count) => queues => queues.reduce((sum, gate) => sum + gate.queued, 0) === count;
+
+        const responses = [send(), send()];
+        await waitFor(app, queues => queues.length === 2 && queues.every(gate => gate.active === 1));
+        responses.push(send());
+        await waitFor(app, queued(1));
+        responses.push(send());
+        const queues = await waitFor(app, queued(2));
+
+        expect(queues.map(gate => gate.queued)).toEqual([1, 1]);
+        while (held.length > 0 || upstream.requests.length + spare.requests.length < 4) {
+            release();
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect((await Promise.all(responses)).map(res => res.status)).toEqual([200, 200, 200, 200]);
+    });
+});
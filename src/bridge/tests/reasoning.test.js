@@ -0,0 +1,252 @@
+const request = require('supertest');
+const {
+    getReasoningConfig,
+    splitsReasoning,
+    createReasoningSplitter,
+    splitReasoning,
+    getThinkingConfig,
+    ollamaThink,
+    thinkingSwitch
+} = require('../reasoning');
+const { toGeminiResponse, createGeminiStreamTranslator } = require('../gemini');
+const { configure } = require('../logger');
+const { createApp, cleanRequest } = require('../bridge');
+const { createUpstream, completion, chunk, sendStream, parseEvents } = require('./helpers/upstream');
+
+/**
+ * Feed pieces through a splitter and join what comes out
+ * @param {Array<string>} pieces - Streamed text
+ * @returns {Object} - { reasoning, content }
+ */
+function feed(pieces) {
+    const splitter = createReasoningSplitter();
+    const out = { reasoning: '', content: '' };
+    [...pieces.map(piece => splitter.push(piece)), splitter.flush()].forEach(part => {
+        out.reasoning += part.reasoning;
+        out.content += part.content;
+    });
+    return out;
+}
+
+describe('splitReasoning', () => {
+    test('moves a leading think block out of the answer', () => {
+        expect(splitReasoning('<think>\nThe user greets me.\n</think>\n\nHello!')).toEqual({ reasoning: 'The user greets me.', content: 'Hello!' });
+        expect(splitReasoning('  <think></think>Hello!')).toEqual({ reasoning: '', content: 'Hello!' });
+    });
+
+    test('leaves answers without a leading block alone', () => {
+        expect(splitReasoning('Hello!')).toEqual({ reasoning: '', content: 'Hello!' });
+        expect(splitReasoning('Use <think> tags like <think>this</think>')).toEqual({ reasoning: '', content: 'Use <think> tags like <think>this</think>' });
+        expect(splitReasoning('<thi')).toEqual({ reasoning: '', content: '<thi' });
+    });
+
+    test('keeps reasoning that was cut off before the close tag', () => {
+        expect(splitReasoning('<think>still going</thi')).toEqual({ reasoning: 'still going</thi', content: '' });
+    });
+});
+
+describe('createReasoningSplitter', () => {
+    test('finds tags cut in half by chunk boundaries', () => {
+        expect(feed(['<th', 'ink>hm', 'm</th', 'ink>', '\n\nHel', 'lo'])).toEqual({ reasoning: 'hmm', content: 'Hello' });
+        expect(feed(['\n', '<', 'think>', 'a<', '/b', '</think>ok'])).toEqual({ reasoning: 'a</b', content: 'ok' });
+    });
+
+    test('passes text through as soon as it cannot be a tag', () => {
+        const splitter = createReasoningSplitter();
+        expect(splitter.push('<t')).toEqual({ reasoning: '', content: '' });
+        expect(splitter.push('able>')).toEqual({ reasoning: '', content: '<table>' });
+        expect(splitter.push('<think>')).toEqual({ reasoning: '', content: '<think>' });
+    });
+
+    test('streams reasoning while holding back a possible close tag', () => {
+        const splitter = createReasoningSplitter();
+        expect(splitter.push('<think>step one</')).toEqual({ reasoning: 'step one', content: '' });
+        expect(splitter.push('think> done')).toEqual({ reasoning: '', content: 'done' });
+    });
+});
+
+describe('getReasoningConfig', () => {
+    test('lists the models OpenAI clients get reasoning_content for', () => {
+        const config = getReasoningConfig({ BRIDGE_SPLIT_REASONING: 'qwen3*, deepseek-r1' });
+        expect(config).toEqual({ models: ['qwen3*', 'deepseek-r1'] });
+        expect(splitsReasoning(config, 'qwen3:8b')).toBe(true);
+        expect(splitsReasoning(config, 'llama3.2')).toBe(false);
+        expect(splitsReasoning(getReasoningConfig({}), 'qwen3:8b')).toBe(false);
+    });
+});
+
+describe('getThinkingConfig and thinkingSwitch', () => {
+    test('read the budget and includeThoughts', () => {
+        expect(getThinkingConfig(undefined)).toEqual({ enabled: undefined, budget: undefined, includeThoughts: false });
+        expect(getThinkingConfig({ thinkingConfig: { thinkingBudget: 0 } })).toMatchObject({ enabled: false, budget: 0 });
+        expect(getThinkingConfig({ thinkingConfig: { thinkingBudget: -1, includeThoughts: true } })).toEqual({ enabled: true, budget: -1, includeThoughts: true });
+    });
+
+    test('map to Ollama\'s think', () => {
+        expect(ollamaThink({ thinkingConfig: { thinkingBudget: 0, includeThoughts: true } })).toBe(false);
+        expect(ollamaThink({ thinkingConfig: { thinkingBudget: 1024 } })).toBe(true);
+        expect(ollamaThink({ thinkingConfig: { includeThoughts: true } })).toBe(true);
+        expect(ollamaThink(undefined)).toBeUndefined();
+    });
+
+    test('know which models take /think and /no_think', () => {
+        expect(thinkingSwitch('qwen3:8b', false)).toBe('/no_think');
+        expect(thinkingSwitch('Qwen3-32B', true)).toBe('/think');
+        expect(thinkingSwitch('qwen3-coder', false)).toBeNull();
+        expect(thinkingSwitch('qwen3-235b-a22b-thinking-2507', false)).toBeNull();
+        expect(thinkingSwitch('deepseek-r1', false)).toBeNull();
+    });
+});
+
+describe('thinking-config transform', () => {
+    const messages = [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' }];
+    const clean = (model, thinkingConfig, extra = {}) => {
+        const report = {};
+        const cleaned = cleanRequest({ model, messages, generationConfig: { thinkingConfig }, ...extra }, { report });
+        return { cleaned, report };
+    };
+
+    test('adds the switch to the latest user turn', () => {
+        const { cleaned, report } = clean('qwen3:8b', { thinkingBudget: 0 });
+        expect(cleaned.messages).toEqual([{ role: 'user', content: 'hi /no_think' }, { role: 'assistant', content: 'hello' }]);
+        expect(messages[0].content).toBe('hi');
+        expect(report.thinkingBudgetIgnored).toBeUndefined();
+
+        const parts = cleanRequest({
+            model: 'qwen3:8b',
+            messages: [{ role: 'user', content: [{ type: 'text', text: 'hi' }] }],
+            generationConfig: { thinkingConfig: { thinkingBudget: -1 } }
+        });
+        expect(parts.messages[0].content).toEqual([{ type: 'text', text: 'hi' }, { type: 'text', text: '/think' }]);
+    });
+
+    test('reports budgets it cannot honour', () => {
+        expect(clean('qwen3:8b', { thinkingBudget: 1024 }).report.thinkingBudgetIgnored).toEqual({ budget: 1024, reason: 'thinking length cannot be limited' });
+        expect(clean('qwen3-coder', { thinkingBudget: 0 }).report.thinkingBudgetIgnored).toEqual({ budget: 0, reason: 'model has no thinking switch' });
+        expect(clean('qwen3:8b', { thinkingBudget: 0 }, { messages: [{ role: 'system', content: 'Be brief' }] }).report.thinkingBudgetIgnored)
+            .toEqual({ budget: 0, reason: 'no user message for the switch' });
+        expect(clean('qwen3-coder', {}).report.thinkingBudgetIgnored).toBeUndefined();
+    });
+
+    test('leaves the prompt alone for the ollama backend', () => {
+        const report = {};
+        const cleaned = cleanRequest({ model: 'qwen3:8b', messages, generationConfig: { thinkingConfig: { thinkingBudget: 512 } } }, { backend: 'ollama', report });
+        expect(cleaned.messages).toEqual(messages);
+        expect(report.thinkingBudgetIgnored).toEqual({ budget: 512, reason: 'thinking length cannot be limited' });
+    });
+});
+
+describe('thought parts', () => {
+    const message = { role: 'assistant', content: 'Hello!', reasoning_content: 'The user greets me.' };
+
+    test('lead the Gemini response only when thoughts were asked for', () => {
+        const data = completion(message);
+        expect(toGeminiResponse(data, { includeThoughts: true }).candidates[0].content.parts).toEqual([
+            { text: 'The user greets me.', thought: true },
+            { text: 'Hello!' }
+        ]);
+        expect(toGeminiResponse(data).candidates[0].content.parts).toEqual([{ text: 'Hello!' }]);
+    });
+
+    test('stream as they arrive', () => {
+        const translator = createGeminiStreamTranslator({ includeThoughts: true });
+        expect(translator.push(chunk({ reasoning_content: 'hmm' }))[0].candidates[0].content.parts).toEqual([{ text: 'hmm', thought: true }]);
+        expect(createGeminiStreamTranslator().push(chunk({ reasoning_content: 'hmm' }))).toEqual([]);
+    });
+
+    test('report reasoning tokens as thoughtsTokenCount', () => {
+        const data = completion(message, { usage: { prompt_tokens: 3, completion_tokens: 9, total_tokens: 12, completion_tokens_details: { reasoning_tokens: 5 } } });
+        expect(toGeminiResponse(data).usageMetadata).toMatchObject({ thoughtsTokenCount: 5 });
+    });
+});
+
+describe('reasoning through the bridge', () => {
+    const upstream = createUpstream();
+    const contents = [{ role: 'user', parts: [{ text: 'hi' }] }];
+    let app;
+
+    beforeAll(async () => {
+        await upstream.start();
+        app = createApp({
+            BRIDGE_TARGET_URL: upstream.url,
+            BRIDGE_SPLIT_REASONING: 'qwen3*',
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0'
+        });
+    });
+
+    afterEach(() => upstream.reset());
+    afterAll(() => upstream.stop());
+
+    test('OpenAI clients get reasoning_content, also for Ollama\'s reasoning field', async () => {
+        upstream.handler = (req, res) => res.json(completion({ content: '<think>\nhmm\n</think>\n\nHello!' }));
+        const body = { model: 'qwen3:8b', messages: [{ role: 'user', content: 'hi' }] };
+
+        const tagged = await request(app).post('/v1/chat/completions').send(body);
+        upstream.handler = (req, res) => res.json(completion({ content: 'Hello!', reasoning: 'hmm' }));
+        const field = await request(app).post('/v1/chat/completions').send(body);
+
+        expect(tagged.body.choices[0].message).toEqual({ role: 'assistant', content: 'Hello!', reasoning_content: 'hmm' });
+        expect(field.body.choices[0].message).toEqual({ role: 'assistant', content: 'Hello!', reasoning_content: 'hmm' });
+    });
+
+    test('OpenAI clients get the answer untouched for models BRIDGE_SPLIT_REASONING does not list', async () => {
+        upstream.handler = (req, res) => res.json(completion({ content: '<think>hmm</think>Hello!' }));
+
+        const res = await request(app).post('/v1/chat/completions').send({ model: 'deepseek-r1', messages: [{ role: 'user', content: 'hi' }] });
+
+        expect(res.body.choices[0].message).toEqual({ role: 'assistant', content: '<think>hmm</think>Hello!' });
+    });
+
+    test('streamed think tags split across chunks become reasoning deltas', async () => {
+        upstream.handler = (req, res) => sendStream(res, [
+            chunk({ role: 'assistant', content: '<thi' }),
+            chunk({ content: 'nk>hm' }),
+            chunk({ content: 'm</think>\n\nHel' }),
+            chunk({ content: 'lo' }, 'stop')
+        ]);
+
+        const res = await request(app).post('/v1/chat/completions').send({ model: 'qwen3:8b', messages: [{ role: 'user', content: 'hi' }], stream: true });
+
+        const deltas = parseEvents(res.text).filter(event => event.choices).map(event => event.choices[0].delta);
+        expect(deltas.map(delta => delta.reasoning_content || '').join('')).toBe('hmm');
+        expect(deltas.map(delta => delta.content || '').join('')).toBe('Hello');
+    });
+
+    test('Gemini clients get thought parts when they ask, and the switch goes upstream', async () => {
+        upstream.handler = (req, res) => res.json(completion({ content: '<think>hmm</think>Hello!' }));
+
+        const res = await request(app)
+            .post('/v1beta/models/qwen3:8b:generateContent')
+            .send({ contents, generationConfig: { thinkingConfig: { thinkingBudget: -1, includeThoughts: true } } });
+        const hidden = await request(app)
+            .post('/v1beta/models/qwen3:8b:generateContent')
+            .send({ contents, generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+
+        expect(upstream.requests.map(sent => sent.messages[0].content)).toEqual(['hi /think', 'hi /no_think']);
+        expect(res.body.candidates[0].content.parts).toEqual([{ text: 'hmm', thought: true }, { text: 'Hello!' }]);
+        expect(hidden.body.candidates[0].content.parts).toEqual([{ text: 'Hello!' }]);
+    });
+
+    test('warns once per model when a thinking budget cannot be honoured', async () => {
+        const warned = createApp({ BRIDGE_TARGET_URL: upstream.url, BRIDGE_LOG_LEVEL: 'warn', BRIDGE_HEALTH_CHECK_INTERVAL: '0' });
+        const lines = [];
+        const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(text => lines.push(String(text)));
+        const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(text => lines.push(String(text)));
+        try {
+            for (let i = 0; i < 2; i++) {
+                await request(warned)
+                    .post('/v1beta/models/qwen3-coder:generateContent')
+                    .send({ contents, generationConfig: { thinkingConfig: { thinkingBudget: 2048 } } });
+            }
+        } finally {
+            stdout.mockRestore();
+            stderr.mockRestore();
+            configure({ level: 'silent', format: 'json', logContent: false });
+        }
+
+        const warnings = lines.map(line => JSON.parse(line)).filter(record => record.msg === 'thinkingBudget cannot be honoured');
+        expect(warnings).toHaveLength(1);
+        expect(warnings[0]).toMatchObject({ level: 'warn', model: 'qwen3-coder', budget: 2048, reason: 'model has no thinking switch' });
+    });
+});
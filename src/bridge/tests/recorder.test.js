@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { getRecordingConfig, requestKey, createReplayer } = require('../recorder');
+const { createApp } = require('../bridge');
+const { createUpstream, chunk, parseEvents } = require('./helpers/upstream');
+
+let dir;
+
+beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-recordings-'));
+});
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Read a recording once it holds the expected number of exchanges (lines are written asynchronously)
+ * @param {string} file - Recording file
+ * @param {number} count - Exchanges expected
+ * @returns {Promise<Array<Object>>} - Recorded entries
+ */
+async function readRecording(file, count) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean) : [];
+        if (lines.length >= count) {
+            return lines.map(line => JSON.parse(line));
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`${file} did not reach ${count} exchanges`);
+}
+
+describe('getRecordingConfig', () => {
+    test('picks the mode from the file setting and validates the rest', () => {
+        expect(getRecordingConfig({})).toEqual({ mode: null, file: undefined, match: 'request', timing: false });
+        expect(getRecordingConfig({ BRIDGE_RECORD_FILE: 'a.jsonl' })).toMatchObject({ mode: 'record', file: 'a.jsonl' });
+        expect(getRecordingConfig({ BRIDGE_REPLAY_FILE: 'a.jsonl', BRIDGE_REPLAY_MATCH: 'Sequence', BRIDGE_REPLAY_TIMING: 'true' }))
+            .toEqual({ mode: 'replay', file: 'a.jsonl', match: 'sequence', timing: true });
+        expect(() => getRecordingConfig({ BRIDGE_RECORD_FILE: 'a', BRIDGE_REPLAY_FILE: 'b' })).toThrow(/cannot be used together/);
+        expect(() => getRecordingConfig({ BRIDGE_REPLAY_MATCH: 'fuzzy' })).toThrow(/Invalid BRIDGE_REPLAY_MATCH "fuzzy"/);
+    });
+});
+
+describe('requestKey', () => {
+    test('ignores key order and undefined fields', () => {
+        expect(requestKey({ model: 'm', messages: [{ role: 'user', content: 'hi' }], stream: undefined }))
+            .toBe(requestKey({ messages: [{ content: 'hi', role: 'user' }], model: 'm' }));
+        expect(requestKey({ model: 'm' })).not.toBe(requestKey({ model: 'n' }));
+    });
+});
+
+describe('createReplayer', () => {
+    const write = (name, entries) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        return file;
+    };
+
+    test('names the file and the line of a broken recording', () => {
+        const file = path.join(dir, 'broken.jsonl');
+        fs.writeFileSync(file, '{}\n{\n');
+        expect(() => createReplayer(file, { match: 'request' })).toThrow(/Invalid recording .*broken\.jsonl line 2/);
+        expect(() => createReplayer(path.join(dir, 'missing.jsonl'), { match: 'request' })).toThrow(/Failed to load recording/);
+    });
+
+    test('serves repeated requests in recorded order, the last one once they run out', async () => {
+        const key = requestKey({ model: 'm' });
+        const replayer = createReplayer(write('repeat.jsonl', [
+            { time: '2025-01-01T00:00:02Z', key, response: { status: 200, contentType: 'application/json', body: { n: 2 } } },
+            { time: '2025-01-01T00:00:01Z', key, response: { status: 200, contentType: 'application/json', body: { n: 1 } } }
+        ]), { match: 'request' });
+
+        const answers = [];
+        for (let i = 0; i < 3; i++) {
+            answers.push((await (await replayer.respond({ model: 'm' })).json()).n);
+        }
+        expect(answers).toEqual([1, 2, 2]);
+        await expect(replayer.respond({ model: 'other' })).rejects.toMatchObject({ status: 502, message: expect.stringMatching(/No recorded response/) });
+    });
+
+    test('sequence matching ignores the request, and recorded failures are thrown again', async () => {
+        const replayer = createReplayer(write('sequence.jsonl', [
+            { time: '1', key: 'a', response: { status: 200, contentType: 'application/json', text: 'plain' } },
+            { time: '2', key: 'b', error: { message: 'Connection to gpu1 timed out', status: 504, code: 'connect_timeout' } }
+        ]), { match: 'sequence' });
+
+        expect(await (await replayer.respond({ model: 'x' })).text()).toBe('plain');
+        await expect(replayer.respond({ model: 'y' })).rejects.toMatchObject({ status: 504, code: 'connect_timeout' });
+        await expect(replayer.respond({ model: 'z' })).rejects.toMatchObject({ status: 502 });
+    });
+});
+
+describe('record, then replay', () => {
+    const upstream = createUpstream();
+    const body = { model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }] };
+    let file;
+
+    beforeAll(async () => {
+        await upstream.start();
+        file = path.join(dir, 'session.jsonl');
+    });
+
+    afterAll(() => upstream.stop());
+
+    test('records each exchange with the request, the cleaned request and the response', async () => {
+        const app = createApp({ BRIDGE_TARGET_URL: upstream.url, BRIDGE_LOG_LEVEL: 'silent', BRIDGE_HEALTH_CHECK_INTERVAL: '0', BRIDGE_RECORD_FILE: file });
+        await request(app).post('/v1/chat/completions').set('Authorization', 'Bearer sk-secret').send(body);
+        await request(app).post('/v1/chat/completions').send({ ...body, stream: true });
+
+        const [single, streamed] = await readRecording(file, 2);
+        expect(single).toMatchObject({
+            request: { method: 'POST', path: '/v1/chat/completions', headers: { authorization: '[REDACTED]' }, body },
+            cleanedRequest: { model: 'qwen3-coder', messages: body.messages },
+            response: { status: 200, body: { choices: [{ message: { content: 'hi' } }] } },
+            durationMs: expect.any(Number)
+        });
+        expect(single.key).toBe(requestKey(single.cleanedRequest));
+        expect(streamed.response.contentType).toMatch(/^text\/event-stream/);
+        expect(streamed.response.chunks.every(item => typeof item.t === 'number')).toBe(true);
+        expect(streamed.response.chunks.map(item => item.data).join('')).toMatch(/data: \[DONE\]/);
+    });
+
+    test('replays the recording without an upstream', async () => {
+        const app = createApp({ BRIDGE_TARGET_URL: 'http://127.0.0.1:1/v1', BRIDGE_LOG_LEVEL: 'silent', BRIDGE_HEALTH_CHECK_INTERVAL: '0', BRIDGE_REPLAY_FILE: file });
+        upstream.reset();
+
+        const single = await request(app).post('/v1/chat/completions').send(body);
+        const streamed = await request(app).post('/v1/chat/completions').send({ ...body, stream: true });
+        const missing = await request(app).post('/v1/chat/completions').send({ ...body, model: 'other' });
+
+        expect(single.body.choices[0].message.content).toBe('hi');
+        expect(parseEvents(streamed.text)).toEqual([chunk({ role: 'assistant', content: 'hi' }), chunk({}, 'stop'), '[DONE]']);
+        expect(missing.status).toBe(502);
+        expect(upstream.requests).toHaveLength(0);
+    });
+});
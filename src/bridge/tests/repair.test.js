@@ -0,0 +1,309 @@
+const request = require('supertest');
+const { getRepairConfig, parseArguments, validate, checkToolCalls, guardToolCalls } = require('../repair');
+const { createApp } = require('../bridge');
+const { createUpstream, completion, chunk, sendStream, parseEvents } = require('./helpers/upstream');
+
+const readFile = {
+    type: 'function',
+    function: {
+        name: 'read_file',
+        parameters: {
+            type: 'object',
+            properties: {
+                path: { type: 'string' },
+                limit: { type: 'integer' },
+                follow: { type: 'boolean' },
+                encoding: { type: 'string', enum: ['utf8', 'base64'], default: 'utf8' },
+                lines: { type: 'array', items: { type: 'integer' } }
+            },
+            required: ['path', 'encoding'],
+            additionalProperties: false
+        }
+    }
+};
+
+const call = (args, id = 'call_1', name = 'read_file') => ({ id, type: 'function', function: { name, arguments: args } });
+
+/**
+ * A logger that keeps its records instead of writing them
+ * @returns {Object} - Logger with a `records` array
+ */
+function recordingLogger() {
+    const records = [];
+    const log = { records };
+    ['debug', 'info', 'warn', 'error'].forEach(level => {
+        log[level] = (msg, fields) => records.push({ level, msg, ...fields });
+    });
+    return log;
+}
+
+describe('getRepairConfig', () => {
+    test('is off by default and validates the mode', () => {
+        expect(getRepairConfig({})).toEqual({ mode: 'off' });
+        expect(getRepairConfig({ BRIDGE_TOOL_REPAIR: 'Reprompt' })).toEqual({ mode: 'reprompt' });
+        expect(() => getRepairConfig({ BRIDGE_TOOL_REPAIR: 'fix' })).toThrow(/Invalid BRIDGE_TOOL_REPAIR "fix" \(expected off, repair, reprompt\)/);
+    });
+});
+
+describe('parseArguments', () => {
+    test('parses JSON as it is', () => {
+        expect(parseArguments('{"path": "a.txt"}')).toEqual({ value: { path: 'a.txt' }, repairs: [] });
+    });
+
+    test('repairs almost-JSON and names each repair', () => {
+        expect(parseArguments('{\'path\': \'it\\\'s "a".txt\',}')).toEqual({ value: { path: 'it\'s "a".txt' }, repairs: ['single quotes', 'trailing comma'] });
+        expect(parseArguments('{path: "a.txt", follow: True, limit: None}')).toEqual({
+            value: { path: 'a.txt', follow: true, limit: null },
+            repairs: ['unquoted key', 'python literal']
+        });
+        expect(parseArguments('```json\n{"path": "a.txt"}\n```')).toEqual({ value: { path: 'a.txt' }, repairs: ['code fence'] });
+        expect(parseArguments('Sure: {"path": "a.txt"} done')).toEqual({ value: { path: 'a.txt' }, repairs: ['surrounding text'] });
+        expect(parseArguments('{"path": "a\nb.txt", "lines": [1, 2')).toEqual({ value: { path: 'a\nb.txt', lines: [1, 2] }, repairs: ['raw newline', 'unclosed brackets'] });
+    });
+
+    test('gives up on text that is not JSON at all', () => {
+        expect(parseArguments('read a.txt please')).toBeNull();
+        expect(parseArguments('{"path": "a.txt" "limit": 1}')).toBeNull();
+    });
+});
+
+describe('validate', () => {
+    const schema = readFile.function.parameters;
+
+    test('accepts valid arguments', () => {
+        expect(validate({ path: 'a.txt', encoding: 'utf8', limit: 3, lines: [1] }, schema)).toEqual([]);
+        expect(validate(1.5, { type: 'number' })).toEqual([]);
+        expect(validate('x', { anyOf: [{ type: 'integer' }, { type: 'string' }] })).toEqual([]);
+    });
+
+    test('names every problem with its path', () => {
+        expect(validate({ limit: 1.5, encoding: 'utf16', lines: [1, 'x'], mode: 'r' }, schema)).toEqual([
+            'arguments.path is required',
+            'arguments.limit must be integer, got number',
+            'arguments.encoding must be one of "utf8", "base64"',
+            'arguments.lines[1] must be integer, got string',
+            'arguments.mode is not a known property'
+        ]);
+        expect(validate([], schema)).toEqual(['arguments must be object, got array']);
+        expect(validate(true, { oneOf: [{ type: 'integer' }, { type: 'string' }] })).toEqual(['arguments does not match any of the allowed forms']);
+    });
+});
+
+describe('checkToolCalls', () => {
+    test('repairs and coerces arguments, writing them back', () => {
+        const { toolCalls, repaired, invalid } = checkToolCalls(
+            [call('{\'path\': \'a.txt\', \'limit\': \'5\', \'follow\': \'true\', \'lines\': 3,}')],
+            [readFile]
+        );
+
+        const fixed = { path: 'a.txt', limit: 5, follow: true, lines: [3], encoding: 'utf8' };
+        expect(JSON.parse(toolCalls[0].function.arguments)).toEqual(fixed);
+        expect(repaired).toEqual([{
+            call: toolCalls[0],
+            repairs: ['single quotes', 'trailing comma', 'number as string', 'boolean as string', 'missing field with default', 'single value for array']
+        }]);
+        expect(invalid).toEqual([]);
+    });
+
+    test('unwraps double-encoded arguments and accepts object arguments', () => {
+        const nested = { type: 'function', function: { name: 'edit', parameters: { type: 'object', properties: { change: { type: 'object' } } } } };
+        const { toolCalls, repaired } = checkToolCalls([call('{"change": "{\\"line\\": 1}"}', 'c1', 'edit'), call({ change: {} }, 'c2', 'edit')], [nested]);
+
+        expect(toolCalls.map(made => made.function.arguments)).toEqual(['{"change":{"line":1}}', '{"change":{}}']);
+        expect(repaired.map(entry => entry.repairs)).toEqual([['encoded JSON']]);
+    });
+
+    test('leaves valid calls untouched and reports invalid ones', () => {
+        const valid = call('{"path": "a.txt", "encoding": "utf8"}');
+        const { toolCalls, repaired, invalid } = checkToolCalls([
+            valid,
+            call('', 'c2'),
+            call('not json', 'c3'),
+            call('{}', 'c4', 'rm')
+        ], [readFile]);
+
+        expect(toolCalls[0]).toBe(valid);
+        expect(repaired).toEqual([{ call: toolCalls[1], repairs: ['empty arguments', 'missing field with default'] }]);
+        expect(invalid).toEqual([
+            { call: toolCalls[1], errors: ['arguments.path is required'] },
+            { call: toolCalls[2], errors: ['arguments are not valid JSON'] },
+            { call: toolCalls[3], errors: ['there is no function named "rm"'] }
+        ]);
+    });
+
+    test('reports repairs made before the check', () => {
+        const { repaired } = checkToolCalls([call('{"path": "a.txt", "encoding": "utf8"}')], [readFile], new Map([['call_1', ['single quotes']]]));
+        expect(repaired.map(entry => entry.repairs)).toEqual([['single quotes']]);
+    });
+});
+
+describe('guardToolCalls', () => {
+    const json = (body) => new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    const options = (extra) => {
+        const counts = [];
+        return { counts, tools: [readFile], mode: 'repair', log: recordingLogger(), repairs: new Map(), count: result => counts.push(result), ...extra };
+    };
+
+    test('passes responses through when off or without tools', async () => {
+        const response = json(completion({ content: 'hi' }));
+        expect(await guardToolCalls(response, options({ mode: 'off' }))).toBe(response);
+        expect(await guardToolCalls(response, options({ tools: [] }))).toBe(response);
+    });
+
+    test('repairs the calls of a JSON answer and logs what was wrong', async () => {
+        const guarded = options();
+        const response = await guardToolCalls(json(completion({ content: null, tool_calls: [call('{path: "a.txt"}'), call('{}', 'call_2')] })), guarded);
+
+        const calls = (await response.json()).choices[0].message.tool_calls;
+        expect(calls[0].function.arguments).toBe('{"path":"a.txt","encoding":"utf8"}');
+        expect(calls[1].function.arguments).toBe('{"encoding":"utf8"}');
+        expect(guarded.counts).toEqual(['repaired', 'repaired', 'invalid']);
+        expect(guarded.log.records.find(record => record.level === 'warn')).toMatchObject({
+            msg: 'Tool call arguments failed validation',
+            tool: 'read_file',
+            errors: ['arguments.path is required'],
+            reprompt: false
+        });
+    });
+
+    test('re-prompts once with the errors and takes the fixed calls', async () => {
+        let sent;
+        const guarded = options({
+            mode: 'reprompt',
+            reprompt: async (messages) => {
+                sent = messages;
+                return completion({ content: null, tool_calls: [call('{"path": "b.txt", "encoding": "base64"}', 'call_3')] });
+            }
+        });
+        const response = await guardToolCalls(json(completion({
+            content: 'Reading.',
+            tool_calls: [call('{"path": "a.txt", "encoding": "utf8"}'), call('{"encoding": "hex"}', 'call_2')]
+        })), guarded);
+
+        expect(sent).toEqual([
+            { role: 'assistant', content: 'Reading.', tool_calls: [call('{"path": "a.txt", "encoding": "utf8"}'), call('{"encoding": "hex"}', 'call_2')] },
+            { role: 'tool', tool_call_id: 'call_1', content: 'Not run because another call in the same turn had invalid arguments. Call it again.' },
+            {
+                role: 'tool',
+                tool_call_id: 'call_2',
+                content: 'Error: the call to read_file was not run because its arguments are invalid: arguments.path is required; ' +
+                    'arguments.encoding must be one of "utf8", "base64". Call it again with corrected arguments.'
+            }
+        ]);
+        expect((await response.json()).choices[0].message.tool_calls).toEqual([call('{"path": "b.txt", "encoding": "base64"}', 'call_3')]);
+        expect(guarded.counts).toEqual(['reprompted']);
+    });
+
+    test('returns the calls as they were when the re-prompt does not help', async () => {
+        const guarded = options({ mode: 'reprompt', reprompt: async () => { throw new Error('upstream down'); } });
+        const response = await guardToolCalls(json(completion({ content: null, tool_calls: [call('{"encoding": "utf8"}')] })), guarded);
+
+        expect((await response.json()).choices[0].message.tool_calls).toEqual([call('{"encoding": "utf8"}')]);
+        expect(guarded.counts).toEqual(['invalid']);
+        expect(guarded.log.records.map(record => record.msg)).toContain('Re-prompted model did not fix its tool calls, returning them as they are');
+    });
+
+    test('holds streamed call deltas back and sends them checked with the finishing chunk', async () => {
+        const text = [
+            chunk({ role: 'assistant', content: 'Reading.' }),
+            chunk({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{\'path\': ' } }] }),
+            chunk({ tool_calls: [{ index: 0, function: { arguments: '\'a.txt\'}' } }] }),
+            chunk({}, 'tool_calls')
+        ].map(item => `data: ${JSON.stringify(item)}\n\n`).join('') + 'data: [DONE]\n\n';
+
+        const response = await guardToolCalls(new Response(text, { headers: { 'Content-Type': 'text/event-stream' } }), options());
+
+        const events = parseEvents(await response.text());
+        expect(events.map(event => (event.choices ? event.choices[0].delta : event))).toEqual([
+            { role: 'assistant', content: 'Reading.' },
+            { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.txt","encoding":"utf8"}' } }] },
+            '[DONE]'
+        ]);
+        expect(events[1].choices[0].finish_reason).toBe('tool_calls');
+    });
+
+    test('sends the calls of a stream that ends without finishing', async () => {
+        const text = `data: ${JSON.stringify(chunk({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'read_file', arguments: '{"path":"a.txt"}' } }] }))}\n\n`;
+
+        const response = await guardToolCalls(new Response(text, { headers: { 'Content-Type': 'text/event-stream' } }), options());
+
+        expect(parseEvents(await response.text())).toEqual([{
+            object: 'chat.completion.chunk',
+            choices: [{ index: 0, delta: { tool_calls: [expect.objectContaining({ index: 0, id: 'call_1' })] }, finish_reason: 'tool_calls' }]
+        }]);
+    });
+});
+
+describe('tool call repair in the bridge', () => {
+    const upstream = createUpstream();
+    const body = { model: 'qwen3-coder', messages: [{ role: 'user', content: 'Read a.txt' }], tools: [readFile] };
+    const broken = (req, res) => res.json(completion({ content: null, tool_calls: [call('{"encoding": "utf8"}')] }, { finish_reason: 'tool_calls' }));
+
+    beforeAll(() => upstream.start());
+    afterEach(() => upstream.reset());
+    afterAll(() => upstream.stop());
+
+    const create = (mode, extra = {}) => createApp({
+        BRIDGE_TARGET_URL: upstream.url,
+        BRIDGE_LOG_LEVEL: 'silent',
+        BRIDGE_HEALTH_CHECK_INTERVAL: '0',
+        BRIDGE_TOOL_REPAIR: mode,
+        ...extra
+    });
+    const value = (text, series) => {
+        const line = text.split('\n').find(entry => entry.startsWith(series + ' '));
+        return line === undefined ? undefined : Number(line.slice(series.length + 1));
+    };
+
+    test('repairs arguments and counts the repair', async () => {
+        upstream.handler = (req, res) => res.json(completion({ content: null, tool_calls: [call('```json\n{"path": "a.txt",}\n```')] }, { finish_reason: 'tool_calls' }));
+        const app = create('repair');
+
+        const res = await request(app).post('/v1/chat/completions').send(body);
+
+        expect(res.body.choices[0].message.tool_calls[0].function.arguments).toBe('{"path":"a.txt","encoding":"utf8"}');
+        expect(value((await request(app).get('/metrics')).text, 'bridge_tool_call_repairs_total{model="other",result="repaired"}')).toBe(1);
+        expect((await request(app).get('/health')).body.toolRepair).toBe('repair');
+    });
+
+    test('re-prompts the upstream once, non-streamed, with the validation errors', async () => {
+        upstream.handler = (req, res) => {
+            if (upstream.requests.length === 1) {
+                return sendStream(res, [
+                    chunk({ role: 'assistant', tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"encoding": "utf8"}' } }] }),
+                    chunk({}, 'tool_calls')
+                ]);
+            }
+            return res.json(completion({ content: null, tool_calls: [call('{"path": "a.txt", "encoding": "utf8"}', 'call_2')] }, { finish_reason: 'tool_calls' }));
+        };
+        const app = create('reprompt');
+
+        const res = await request(app).post('/v1/chat/completions').send({ ...body, stream: true });
+
+        expect(upstream.requests).toHaveLength(2);
+        expect(upstream.requests[1].stream).toBe(false);
+        expect(upstream.requests[1].messages.slice(-1)[0]).toMatchObject({ role: 'tool', tool_call_id: 'call_1', content: expect.stringMatching(/arguments\.path is required/) });
+        const calls = parseEvents(res.text).filter(event => event.choices).flatMap(event => event.choices[0].delta.tool_calls || []);
+        expect(calls).toEqual([{ index: 0, ...call('{"path": "a.txt", "encoding": "utf8"}', 'call_2') }]);
+        expect(value((await request(app).get('/metrics')).text, 'bridge_tool_call_repairs_total{model="other",result="reprompted"}')).toBe(1);
+    });
+
+    test('passes calls on unchecked when off', async () => {
+        upstream.handler = broken;
+
+        const res = await request(create('off')).post('/v1/chat/completions').send(body);
+
+        expect(res.body.choices[0].message.tool_calls).toEqual([call('{"encoding": "utf8"}')]);
+        expect(upstream.requests).toHaveLength(1);
+    });
+
+    test('counts repairs of emulated calls made while they were parsed', async () => {
+        upstream.handler = (req, res) => res.json(completion({ content: '<tool_call>{\'name\': \'read_file\', \'arguments\': {\'path\': \'a.txt\'}}</tool_call>' }));
+        const app = create('repair', { BRIDGE_EMULATED_TOOLS: '{"llama2*":"hermes"}' });
+
+        const res = await request(app).post('/v1/chat/completions').send({ ...body, model: 'llama2' });
+
+        expect(JSON.parse(res.body.choices[0].message.tool_calls[0].function.arguments)).toEqual({ path: 'a.txt', encoding: 'utf8' });
+        expect(value((await request(app).get('/metrics')).text, 'bridge_tool_call_repairs_total{model="other",result="repaired"}')).toBe(1);
+    });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { matchesModel, loadRoutes, createRouter } = require('../routing');
+const { createApp } = require('../bridge');
+const { createUpstream } = require('./helpers/upstream');
+
+const defaultBackend = { type: 'openai', url: 'http://default:8000/v1', urls: ['http://default:8000/v1'], streamMode: 'auto' };
+
+describe('matchesModel', () => {
+    test('matches names exactly, * globs and /regex/ patterns', () => {
+        expect(matchesModel('qwen3-coder', 'qwen3-coder')).toBe(true);
+        expect(matchesModel('qwen3-coder', 'qwen3-coder:latest')).toBe(false);
+        expect(matchesModel('gemini-*', 'gemini-2.5-pro')).toBe(true);
+        expect(matchesModel('gemini-*', 'xgemini-2.5-pro')).toBe(false);
+        expect(matchesModel('/^GPT-4/i', 'gpt-4o')).toBe(true);
+    });
+
+    test('treats regex characters in globs literally', () => {
+        expect(matchesModel('qwen2.5*', 'qwen2.5-coder')).toBe(true);
+        expect(matchesModel('qwen2.5*', 'qwen245-coder')).toBe(false);
+    });
+});
+
+describe('loadRoutes', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-routes-'));
+    });
+
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const write = (name, data) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+        return file;
+    };
+
+    test('reads a routes file or takes the routes inline', () => {
+        const routes = [{ match: 'gemini-*', model: 'qwen3-coder' }];
+        expect(loadRoutes(write('routes.json', { routes }))).toEqual(routes);
+        expect(loadRoutes(routes)).toEqual(routes);
+        expect(loadRoutes(undefined)).toEqual([]);
+    });
+
+    test('names the file and the route that is wrong', () => {
+        expect(() => loadRoutes(write('broken.json', '{'))).toThrow(/Failed to load model routes from .*broken\.json/);
+        expect(() => loadRoutes([{ model: 'x' }])).toThrow(/route #0 in the config file: "match" must be a non-empty string/);
+        expect(() => loadRoutes([{ match: 'a', backend: 'vllm' }])).toThrow(/"backend" must be "openai" or "ollama"/);
+        expect(() => loadRoutes([{ match: 'a', targetUrls: [] }])).toThrow(/"targetUrls" must be a non-empty array/);
+        expect(() => loadRoutes([{ match: 'a', upstreamStream: 'sometimes' }])).toThrow(/"upstreamStream"/);
+        expect(() => loadRoutes([{ match: '/(/' }])).toThrow(/route #0/);
+    });
+});
+
+describe('createRouter', () => {
+    const router = createRouter(loadRoutes([
+        { match: 'gemini-*', model: 'qwen3-coder:30b' },
+        { match: 'fast', model: 'qwen3:4b', targetUrl: 'http://gpu2:11434', backend: 'ollama' },
+        { match: 'pooled', targetUrls: ['http://a/v1', 'http://b/v1'], upstreamStream: 'always' }
+    ]), defaultBackend);
+
+    test('renames models and keeps the default backend', () => {
+        expect(router.resolve('gemini-2.5-pro')).toMatchObject({ model: 'qwen3-coder:30b', backend: defaultBackend });
+    });
+
+    test('sends routes with a target of their own there', () => {
+        expect(router.resolve('fast').backend).toMatchObject({ type: 'ollama', url: 'http://gpu2:11434', urls: ['http://gpu2:11434'] });
+        expect(router.resolve('pooled').backend).toMatchObject({ type: 'openai', url: 'http://a/v1', urls: ['http://a/v1', 'http://b/v1'], streamMode: 'always' });
+        expect(router.backends()).toHaveLength(2);
+    });
+
+    test('passes unknown models through unchanged', () => {
+        expect(router.resolve('llama3')).toEqual({ model: 'llama3', backend: defaultBackend, route: null });
+    });
+
+    test('advertises only literal aliases', () => {
+        expect(router.aliases()).toEqual(['fast', 'pooled']);
+    });
+});
+
+describe('routed requests', () => {
+    const upstream = createUpstream();
+    const other = createUpstream();
+    let app;
+
+    beforeAll(async () => {
+        await upstream.start();
+        await other.start();
+        app = createApp({
+            BRIDGE_TARGET_URL: upstream.url,
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_MODEL_ROUTES: [
+                { match: 'gemini-*', model: 'qwen3-coder:30b' },
+                { match: 'small', model: 'qwen3:4b', targetUrl: other.url }
+            ]
+        });
+    });
+
+    afterEach(() => {
+        upstream.reset();
+        other.reset();
+    });
+
+    afterAll(async () => {
+        await upstream.stop();
+        await other.stop();
+    });
+
+    test('Gemini model names reach the upstream as the routed model', async () => {
+        await request(app)
+            .post('/v1beta/models/gemini-2.5-pro:generateContent')
+            .send({ contents: [{ role: 'user', parts: [{ text: 'hi' }] }] });
+
+        expect(upstream.requests[0].model).toBe('qwen3-coder:30b');
+    });
+
+    test('routes with a target send the request there', async () => {
+        await request(app)
+            .post('/v1/chat/completions')
+            .send({ model: 'small', messages: [{ role: 'user', content: 'hi' }] });
+
+        expect(upstream.requests).toHaveLength(0);
+        expect(other.requests[0].model).toBe('qwen3:4b');
+    });
+
+    test('/v1/models lists the aliases after the upstream models', async () => {
+        const res = await request(app).get('/v1/models');
+
+        expect(res.body.data.map(model => model.id)).toEqual(['qwen3-coder', 'small']);
+    });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const { createSSEParser, formatSSE } = require('../sse');
+const { createApp } = require('../bridge');
+const { createUpstream, chunk, sendStream, parseEvents } = require('./helpers/upstream');
+
+describe('createSSEParser', () => {
+    test('returns events once their blank line arrives', () => {
+        const parser = createSSEParser();
+        expect(parser.push('data: {"a":1}\n')).toEqual([]);
+        expect(parser.push('\ndata: [DONE]\n\n')).toEqual([
+            { event: undefined, data: '{"a":1}' },
+            { event: undefined, data: '[DONE]' }
+        ]);
+    });
+
+    test('joins pieces cut anywhere, \\r\\n included', () => {
+        const parser = createSSEParser();
+        const events = [];
+        ['da', 'ta: one\r', '\n\r', '\nevent: error\r\ndata: two\r\n', '\r\n'].forEach(piece => {
+            events.push(...parser.push(piece));
+        });
+        expect(events).toEqual([
+            { event: undefined, data: 'one' },
+            { event: 'error', data: 'two' }
+        ]);
+    });
+
+    test('joins multi-line data and skips comments', () => {
+        const parser = createSSEParser();
+        expect(parser.push(': keep-alive\n\ndata: a\ndata: b\n\n')).toEqual([{ event: undefined, data: 'a\nb' }]);
+    });
+
+    test('flush returns an event the stream did not terminate', () => {
+        const parser = createSSEParser();
+        expect(parser.push('data: last')).toEqual([]);
+        expect(parser.flush()).toEqual([{ event: undefined, data: 'last' }]);
+    });
+});
+
+describe('formatSSE', () => {
+    test('encodes objects as JSON data events', () => {
+        expect(formatSSE({ a: 1 })).toBe('data: {"a":1}\n\n');
+    });
+
+    test('splits multi-line payloads and names the event', () => {
+        expect(formatSSE('a\nb', 'error')).toBe('event: error\ndata: a\ndata: b\n\n');
+    });
+});
+
+describe('streaming /v1/chat/completions', () => {
+    const upstream = createUpstream();
+
+    beforeAll(() => upstream.start());
+    afterEach(() => upstream.reset());
+    afterAll(() => upstream.stop());
+
+    const settings = (extra) => ({
+        BRIDGE_TARGET_URL: upstream.url,
+        BRIDGE_LOG_LEVEL: 'silent',
+        BRIDGE_HEALTH_CHECK_INTERVAL: '0',
+        ...extra
+    });
+    const body = { model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }], stream: true };
+
+    test('sets its own streaming headers instead of copying the upstream ones', async () => {
+        upstream.handler = (req, res) => {
+            res.setHeader('Content-Encoding', 'identity');
+            res.setHeader('X-Upstream', 'yes');
+            sendStream(res, [chunk({ role: 'assistant', content: 'hi' }), chunk({}, 'stop')]);
+        };
+
+        const res = await request(createApp(settings())).post('/v1/chat/completions').send(body);
+
+        expect(res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+        expect(res.headers['cache-control']).toBe('no-cache, no-transform');
+        expect(res.headers['x-accel-buffering']).toBe('no');
+        expect(res.headers['content-length']).toBeUndefined();
+        expect(res.headers['content-encoding']).toBeUndefined();
+        expect(res.headers['x-upstream']).toBeUndefined();
+        expect(parseEvents(res.text).map(event => event.choices ? event.choices[0].delta.content : event))
+            .toEqual(['hi', undefined, '[DONE]']);
+    });
+
+    test('re-frames events cut mid-line and adds the missing [DONE]', async () => {
+        upstream.handler = (req, res) => {
+            res.setHeader('Content-Type', 'text/event-stream');
+            const text = `data: ${JSON.stringify(chunk({ content: 'hello' }))}\n\n`;
+            res.write(text.slice(0, 15));
+            setTimeout(() => res.end(text.slice(15)), 10);
+        };
+
+        const res = await request(createApp(settings())).post('/v1/chat/completions').send(body);
+
+        expect(parseEvents(res.text)).toEqual([chunk({ content: 'hello' }), '[DONE]']);
+    });
+
+    test('ends a stream the upstream drops with an error event and [DONE]', async () => {
+        upstream.handler = (req, res) => {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.write(`data: ${JSON.stringify(chunk({ content: 'par' }))}\n\n`);
+            setTimeout(() => res.destroy(), 10);
+        };
+
+        const res = await request(createApp(settings())).post('/v1/chat/completions').send(body);
+
+        expect(res.status).toBe(200);
+        const events = parseEvents(res.text);
+        expect(events[0].choices[0].delta.content).toBe('par');
+        expect(events[1].error).toMatchObject({ type: 'upstream_unavailable', message: expect.stringMatching(/^Stream error: /) });
+        expect(events[2]).toBe('[DONE]');
+        expect(events).toHaveLength(3);
+    });
+
+    test('sends heartbeat comments while the model loads', async () => {
+        upstream.handler = (req, res) => setTimeout(() => sendStream(res, [chunk({ content: 'hi' })]), 150);
+
+        const res = await request(createApp(settings({ BRIDGE_SSE_HEARTBEAT: '20' }))).post('/v1/chat/completions').send(body);
+
+        expect(res.text.startsWith(': keep-alive\n\n')).toBe(true);
+        expect(parseEvents(res.text)).toEqual([chunk({ content: 'hi' }), '[DONE]']);
+    });
+
+    test('reports an upstream error after a heartbeat as an error event', async () => {
+        upstream.handler = (req, res) => setTimeout(() => res.status(500).json({ error: { message: 'out of memory' } }), 100);
+
+        const res = await request(createApp(settings({ BRIDGE_SSE_HEARTBEAT: '20' }))).post('/v1/chat/completions').send(body);
+
+        expect(res.status).toBe(200);
+        expect(parseEvents(res.text)).toEqual([{ error: { message: 'out of memory', type: 'upstream_error' } }, '[DONE]']);
+    });
+
+    test('answers an upstream error with its status before anything was sent', async () => {
+        upstream.handler = (req, res) => res.status(400).json({ error: { message: 'bad request' } });
+
+        const res = await request(createApp(settings())).post('/v1/chat/completions').send(body);
+
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({ error: { message: 'bad request' } });
+    });
+});
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const {
+    parseStreamMode,
+    toUpstreamRequest,
+    completionToChunks,
+    createChunkAggregator,
+    adaptStreaming
+} = require('../streaming');
+const { createApp } = require('../bridge');
+const { createUpstream, completion, chunk, sendStream, parseEvents } = require('./helpers/upstream');
+
+const toolCall = { id: 'call_1', type: 'function', function: { name: 'ls', arguments: '{"dir":"."}' } };
+
+describe('parseStreamMode', () => {
+    test('defaults to auto and validates the mode', () => {
+        expect(parseStreamMode(undefined)).toBe('auto');
+        expect(parseStreamMode('Always')).toBe('always');
+        expect(() => parseStreamMode('sometimes')).toThrow(/Invalid BRIDGE_UPSTREAM_STREAM "sometimes"/);
+    });
+});
+
+describe('toUpstreamRequest', () => {
+    const streamed = { model: 'm', stream: true, stream_options: { include_usage: true } };
+
+    test('leaves the request alone in auto mode', () => {
+        expect(toUpstreamRequest(streamed, 'auto')).toBe(streamed);
+    });
+
+    test('asks for a stream with usage in always mode', () => {
+        expect(toUpstreamRequest({ model: 'm' }, 'always')).toEqual({ model: 'm', stream: true, stream_options: { include_usage: true } });
+    });
+
+    test('drops the stream flag and its options in never mode', () => {
+        expect(toUpstreamRequest(streamed, 'never')).toEqual({ model: 'm', stream: false });
+    });
+});
+
+describe('completionToChunks', () => {
+    test('sends the message, then the finish reason, then usage when asked', () => {
+        const chunks = completionToChunks(completion({ content: 'hi', reasoning_content: 'hmm' }), true);
+
+        expect(chunks.map(item => item.choices)).toEqual([
+            [{ index: 0, delta: { role: 'assistant', reasoning_content: 'hmm', content: 'hi' }, finish_reason: null }],
+            [{ index: 0, delta: {}, finish_reason: 'stop' }],
+            []
+        ]);
+        expect(chunks[2].usage).toEqual({ prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 });
+        expect(chunks.every(item => item.object === 'chat.completion.chunk' && item.id === 'chatcmpl-test')).toBe(true);
+    });
+
+    test('numbers tool calls and leaves usage out unless asked', () => {
+        const chunks = completionToChunks(completion({ content: null, tool_calls: [toolCall] }, { finish_reason: 'tool_calls' }), false);
+
+        expect(chunks).toHaveLength(2);
+        expect(chunks[0].choices[0].delta).toEqual({ role: 'assistant', tool_calls: [{ index: 0, ...toolCall }] });
+        expect(chunks[1].choices[0].finish_reason).toBe('tool_calls');
+    });
+});
+
+describe('createChunkAggregator', () => {
+    test('concatenates content and reasoning and keeps usage', () => {
+        const aggregator = createChunkAggregator();
+        aggregator.push(chunk({ role: 'assistant', reasoning_content: 'hm' }));
+        aggregator.push(chunk({ reasoning_content: 'm', content: 'Hel' }));
+        aggregator.push(chunk({ content: 'lo' }, 'length'));
+        aggregator.push({ ...chunk({}), choices: [], usage: { total_tokens: 3 } });
+
+        expect(aggregator.result()).toEqual({
+            id: 'chatcmpl-test',
+            object: 'chat.completion',
+            created: 1700000000,
+            model: 'qwen3-coder',
+            choices: [{ index: 0, message: { role: 'assistant', content: 'Hello', reasoning_content: 'hmm' }, finish_reason: 'length' }],
+            usage: { total_tokens: 3 }
+        });
+    });
+
+    test('merges tool call fragments by index', () => {
+        const aggregator = createChunkAggregator();
+        aggregator.push(chunk({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'ls', arguments: '{"di' } }] }));
+        aggregator.push(chunk({ tool_calls: [{ index: 1, id: 'call_2', function: { name: 'pwd', arguments: '{}' } }] }));
+        aggregator.push(chunk({ tool_calls: [{ index: 0, function: { arguments: 'r":"."}' } }] }, 'tool_calls'));
+
+        const [choice] = aggregator.result().choices;
+        expect(choice.message.tool_calls).toEqual([
+            toolCall,
+            { id: 'call_2', type: 'function', function: { name: 'pwd', arguments: '{}' } }
+        ]);
+        expect(choice.finish_reason).toBe('tool_calls');
+    });
+});
+
+describe('adaptStreaming', () => {
+    const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+    const sse = (text) => new Response(text, { headers: { 'Content-Type': 'text/event-stream' } });
+
+    test('replays a completion as SSE for a streaming client', async () => {
+        const response = await adaptStreaming(json(completion({ content: 'hi' })), { stream: true });
+
+        expect(response.headers.get('content-type')).toBe('text/event-stream');
+        const events = parseEvents(await response.text());
+        expect(events[0].choices[0].delta.content).toBe('hi');
+        expect(events[events.length - 1]).toBe('[DONE]');
+    });
+
+    test('folds a stream into a completion for a client that did not ask for one', async () => {
+        const text = [chunk({ role: 'assistant', content: 'h' }), chunk({ content: 'i' }, 'stop')]
+            .map(item => `data: ${JSON.stringify(item)}\n\n`).join('') + 'data: [DONE]\n\n';
+        const response = await adaptStreaming(sse(text), { stream: false });
+
+        expect(response.headers.get('content-type')).toBe('application/json');
+        expect((await response.json()).choices[0].message.content).toBe('hi');
+    });
+
+    test('turns an error event in the stream into a 502', async () => {
+        const response = await adaptStreaming(sse('data: {"error":{"message":"out of memory"}}\n\n'), {});
+
+        expect(response.status).toBe(502);
+        expect(await response.json()).toEqual({ error: { message: 'out of memory', type: 'upstream_error' } });
+    });
+
+    test('passes matching and failed responses through', async () => {
+        const ok = json(completion({ content: 'hi' }));
+        const failed = json({ error: { message: 'bad' } }, 400);
+        expect(await adaptStreaming(ok, { stream: false })).toBe(ok);
+        expect(await adaptStreaming(failed, { stream: true })).toBe(failed);
+    });
+});
+
+describe('BRIDGE_UPSTREAM_STREAM', () => {
+    const upstream = createUpstream();
+
+    beforeAll(() => upstream.start());
+    afterEach(() => upstream.reset());
+    afterAll(() => upstream.stop());
+
+    const app = (mode) => createApp({
+        BRIDGE_TARGET_URL: upstream.url,
+        BRIDGE_LOG_LEVEL: 'silent',
+        BRIDGE_HEALTH_CHECK_INTERVAL: '0',
+        BRIDGE_UPSTREAM_STREAM: mode
+    });
+    const body = { model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }] };
+
+    test('never: a streaming client gets chunks from a single completion', async () => {
+        const res = await request(app('never')).post('/v1/chat/completions').send({ ...body, stream: true });
+
+        expect(upstream.requests[0].stream).toBe(false);
+        expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+        const events = parseEvents(res.text);
+        expect(events.filter(event => event.choices && event.choices[0].delta.content).map(event => event.choices[0].delta.content)).toEqual(['hi']);
+        expect(events[events.length - 1]).toBe('[DONE]');
+    });
+
+    test('always: a non-streaming client gets one completion with usage', async () => {
+        upstream.handler = (req, res) => sendStream(res, [
+            chunk({ role: 'assistant', content: 'h' }),
+            chunk({ content: 'i' }, 'stop'),
+            { ...chunk({}), choices: [], usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } }
+        ]);
+
+        const res = await request(app('always')).post('/v1/chat/completions').send(body);
+
+        expect(upstream.requests[0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+        expect(res.body).toMatchObject({
+            object: 'chat.completion',
+            choices: [{ message: { role: 'assistant', content: 'hi' }, finish_reason: 'stop' }],
+            usage: { total_tokens: 7 }
+        });
+    });
+
+    test('auto: adapts a backend that ignores the stream flag', async () => {
+        upstream.handler = (req, res) => res.json(completion({ content: 'hi' }));
+
+        const res = await request(app('auto')).post('/v1/chat/completions').send({ ...body, stream: true });
+
+        expect(upstream.requests[0].stream).toBe(true);
+        expect(parseEvents(res.text)[0].choices[0].delta.content).toBe('hi');
+    });
+});
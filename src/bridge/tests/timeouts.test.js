@@ -0,0 +1,183 @@
+const { Agent } = require('undici');
+const request = require('supertest');
+const { getTimeoutConfig, createDispatcher, createWatchdog, isRetryable, backoffDelay } = require('../timeouts');
+const { createApp } = require('../bridge');
+const { createUpstream, completion } = require('./helpers/upstream');
+
+describe('getTimeoutConfig', () => {
+    test('has defaults, reads overrides and rejects bad values', () => {
+        expect(getTimeoutConfig({})).toEqual({
+            connectTimeout: 10000,
+            firstByteTimeout: 300000,
+            idleTimeout: 120000,
+            maxRetries: 2,
+            retryBaseDelay: 500,
+            heartbeatInterval: 15000
+        });
+        expect(getTimeoutConfig({ BRIDGE_IDLE_TIMEOUT: '0', BRIDGE_MAX_RETRIES: '' })).toMatchObject({ idleTimeout: 0, maxRetries: 2 });
+        expect(() => getTimeoutConfig({ BRIDGE_CONNECT_TIMEOUT: '-5' })).toThrow(/Invalid BRIDGE_CONNECT_TIMEOUT "-5"/);
+        expect(() => getTimeoutConfig({ BRIDGE_SSE_HEARTBEAT: 'soon' })).toThrow(/non-negative integer/);
+    });
+});
+
+describe('isRetryable', () => {
+    test('retries connection failures, connect timeouts and 502/503', () => {
+        const refused = new TypeError('fetch failed');
+        refused.cause = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        expect(isRetryable(refused, null)).toBe(true);
+        const slow = new TypeError('fetch failed');
+        slow.cause = Object.assign(new Error('Connect Timeout Error'), { code: 'UND_ERR_CONNECT_TIMEOUT' });
+        expect(isRetryable(slow, null)).toBe(true);
+        expect(isRetryable(null, { status: 503 })).toBe(true);
+        expect(isRetryable(null, { status: 502 })).toBe(true);
+    });
+
+    test('does not retry what may have reached the model', () => {
+        expect(isRetryable(null, { status: 500 })).toBe(false);
+        expect(isRetryable(null, { status: 400 })).toBe(false);
+        expect(isRetryable(Object.assign(new Error('stalled'), { code: 'first_byte_timeout' }), null)).toBe(false);
+        expect(isRetryable(null, null)).toBe(false);
+    });
+});
+
+describe('backoffDelay', () => {
+    test('doubles per retry within 20% jitter', () => {
+        for (let attempt = 0; attempt < 4; attempt++) {
+            const delay = backoffDelay(attempt, 100);
+            expect(delay).toBeGreaterThanOrEqual(80 * Math.pow(2, attempt));
+            expect(delay).toBeLessThanOrEqual(120 * Math.pow(2, attempt));
+        }
+    });
+});
+
+describe('createDispatcher', () => {
+    const upstream = createUpstream();
+
+    beforeAll(() => upstream.start());
+    afterAll(() => upstream.stop());
+
+    test('sends requests through an agent that times the connection fetch uses', async () => {
+        const dispatcher = createDispatcher(1000);
+        expect(dispatcher).toBeInstanceOf(Agent);
+        expect(createDispatcher(0)).toBeUndefined();
+
+        const response = await fetch(upstream.url + '/models', { dispatcher });
+        expect(response.status).toBe(200);
+        await dispatcher.close();
+    });
+});
+
+describe('createWatchdog', () => {
+    const streamOf = (chunks, gap) => new Response(new ReadableStream({
+        async pull(controller) {
+            if (!chunks.length) {
+                return controller.close();
+            }
+            await new Promise(resolve => setTimeout(resolve, gap));
+            controller.enqueue(new TextEncoder().encode(chunks.shift()));
+        }
+    }));
+
+    test('aborts with first_byte_timeout when nothing arrives', async () => {
+        const controller = new AbortController();
+        createWatchdog(controller, { firstByteTimeout: 20, idleTimeout: 0 });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(controller.signal.reason).toMatchObject({ code: 'first_byte_timeout', status: 504 });
+    });
+
+    test('lets a body through that keeps flowing', async () => {
+        const controller = new AbortController();
+        const watchdog = createWatchdog(controller, { firstByteTimeout: 1000, idleTimeout: 100 });
+        const response = watchdog.guard(streamOf(['a', 'b', 'c'], 10));
+        expect(await response.text()).toBe('abc');
+        expect(controller.signal.aborted).toBe(false);
+    });
+
+    test('aborts with idle_timeout when the body stalls', async () => {
+        const controller = new AbortController();
+        const watchdog = createWatchdog(controller, { firstByteTimeout: 1000, idleTimeout: 20 });
+        // Like a fetch body, the stream errors once the request is aborted
+        const response = watchdog.guard(new Response(new ReadableStream({
+            start(stream) {
+                stream.enqueue(new TextEncoder().encode('a'));
+                controller.signal.addEventListener('abort', () => stream.error(controller.signal.reason));
+            }
+        })));
+        const reader = response.body.getReader();
+        await reader.read();
+        await expect(reader.read()).rejects.toMatchObject({ code: 'idle_timeout' });
+    });
+
+    test('clear() disarms the timer', async () => {
+        const controller = new AbortController();
+        createWatchdog(controller, { firstByteTimeout: 20, idleTimeout: 0 }).clear();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(controller.signal.aborted).toBe(false);
+    });
+});
+
+describe('retries and timeouts', () => {
+    const upstream = createUpstream();
+
+    beforeAll(() => upstream.start());
+    afterEach(() => upstream.reset());
+    afterAll(() => upstream.stop());
+
+    const settings = (extra) => ({
+        BRIDGE_TARGET_URL: upstream.url,
+        BRIDGE_LOG_LEVEL: 'silent',
+        BRIDGE_HEALTH_CHECK_INTERVAL: '0',
+        BRIDGE_RETRY_BASE_DELAY: '1',
+        ...extra
+    });
+    const body = { model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }] };
+
+    test('retries a 503 and answers with the next attempt', async () => {
+        let calls = 0;
+        upstream.handler = (req, res) => {
+            if (calls++ === 0) {
+                return res.status(503).json({ error: { message: 'loading' } });
+            }
+            res.json(completion({ content: 'hi' }));
+        };
+
+        const res = await request(createApp(settings())).post('/v1/chat/completions').send(body);
+
+        expect(res.status).toBe(200);
+        expect(upstream.requests).toHaveLength(2);
+    });
+
+    test('gives up after BRIDGE_MAX_RETRIES', async () => {
+        upstream.handler = (req, res) => res.status(503).json({ error: { message: 'loading' } });
+
+        const res = await request(createApp(settings({ BRIDGE_MAX_RETRIES: '1' }))).post('/v1/chat/completions').send(body);
+
+        expect(res.status).toBe(503);
+        expect(upstream.requests).toHaveLength(2);
+    });
+
+    test('passes a non-JSON 502 through with its status once retries run out', async () => {
+        upstream.handler = (req, res) => res.status(502).type('html').send('<html><body>502 Bad Gateway</body></html>');
+        const app = createApp(settings({ BRIDGE_MAX_RETRIES: '0' }));
+
+        const openai = await request(app).post('/v1/chat/completions').send(body);
+        const gemini = await request(app)
+            .post('/v1beta/models/qwen3-coder:generateContent')
+            .send({ contents: [{ role: 'user', parts: [{ text: 'hi' }] }] });
+
+        expect(openai.status).toBe(502);
+        expect(openai.body.error).toEqual({ message: '<html><body>502 Bad Gateway</body></html>', type: 'upstream_error' });
+        expect(gemini.status).toBe(502);
+        expect(gemini.body.error).toMatchObject({ code: 502, message: expect.stringMatching(/502 Bad Gateway/) });
+    });
+
+    test('answers 504 when the upstream sends nothing in time', async () => {
+        upstream.handler = (req, res) => setTimeout(() => res.json(completion({ content: 'late' })), 200);
+
+        const res = await request(createApp(settings({ BRIDGE_FIRST_BYTE_TIMEOUT: '50' }))).post('/v1/chat/completions').send(body);
+
+        expect(res.status).toBe(504);
+        expect(res.body.error.type).toBe('upstream_timeout');
+        expect(upstream.requests).toHaveLength(1);
+    });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { loadTokenizer, getTokenizerConfig, createTokenCounter } = require('../tokenizer');
+const { estimateTextTokens, estimateRequestTokens } = require('../tokens');
+const { createApp, cleanRequest } = require('../bridge');
+const { createUpstream } = require('./helpers/upstream');
+
+// A byte-level BPE vocabulary small enough to follow by hand: "hello" and " hello" are one token
+// each, every other byte is a token of its own
+const TOKENIZER = {
+    added_tokens: [{ id: 1000, content: '<|im_start|>' }, { id: 1001, content: '<|im_end|>' }],
+    normalizer: { type: 'Sequence', normalizers: [{ type: 'NFC' }] },
+    pre_tokenizer: { type: 'ByteLevel', add_prefix_space: false, use_regex: true },
+    model: {
+        type: 'BPE',
+        vocab: { h: 0, e: 1, l: 2, o: 3, 'Ġ': 4, he: 5, ll: 6, hell: 7, hello: 8, 'Ġhello': 9 },
+        merges: ['h e', 'l l', 'he ll', 'hell o', 'Ġ hello']
+    }
+};
+
+let dir;
+let file;
+
+beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-tokenizers-'));
+    file = path.join(dir, 'tokenizer.json');
+    fs.writeFileSync(file, JSON.stringify(TOKENIZER));
+});
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const write = (name, data) => {
+    const target = path.join(dir, name);
+    fs.writeFileSync(target, typeof data === 'string' ? data : JSON.stringify(data));
+    return target;
+};
+
+describe('loadTokenizer', () => {
+    test('counts merged words, single bytes and special tokens', () => {
+        const tokenizer = loadTokenizer(file);
+
+        expect(tokenizer.count('')).toBe(0);
+        expect(tokenizer.count('hello')).toBe(1);
+        expect(tokenizer.count('hello hello')).toBe(2);
+        // " world" is six unmerged bytes
+        expect(tokenizer.count('hello world')).toBe(7);
+        expect(tokenizer.count('<|im_start|>hello<|im_end|>')).toBe(3);
+        // "é" is two bytes, and "ll" still merges
+        expect(tokenizer.count('héllo')).toBe(5);
+        expect(tokenizer.vocabSize).toBe(12);
+    });
+
+    test('honours ignore_merges for words already in the vocabulary', () => {
+        const merged = write('ignore.json', { ...TOKENIZER, model: { ...TOKENIZER.model, merges: [], ignore_merges: true } });
+        expect(loadTokenizer(merged).count('hello')).toBe(1);
+        expect(loadTokenizer(merged).count('hel')).toBe(3);
+    });
+
+    test('estimates words too long to merge', () => {
+        const word = 'h'.repeat(1000);
+        expect(loadTokenizer(file).count(word)).toBe(estimateTextTokens(word));
+        expect(loadTokenizer(file).count('h'.repeat(256))).toBe(256);
+    });
+
+    test('rejects files it cannot read or count with', () => {
+        expect(() => loadTokenizer(path.join(dir, 'missing.json'))).toThrow(/Failed to load tokenizer .*missing\.json/);
+        expect(() => loadTokenizer(write('wordpiece.json', { ...TOKENIZER, model: { type: 'WordPiece', vocab: {} } })))
+            .toThrow(/Unsupported tokenizer .*: model type WordPiece \(only byte-level BPE tokenizers are supported\)/);
+        expect(() => loadTokenizer(write('whitespace.json', { ...TOKENIZER, pre_tokenizer: { type: 'Whitespace' } })))
+            .toThrow(/pre-tokenizer Whitespace/);
+        expect(() => loadTokenizer(write('nobytes.json', { ...TOKENIZER, pre_tokenizer: null }))).toThrow(/no ByteLevel pre-tokenizer/);
+    });
+
+    test('compiles Split patterns with case-insensitive groups', () => {
+        const split = write('split.json', {
+            ...TOKENIZER,
+            pre_tokenizer: {
+                type: 'Sequence',
+                pretokenizers: [
+                    { type: 'Split', pattern: { Regex: '(?i:\'s|\'t)|\\p{L}+|\\s+' }, behavior: 'Isolated', invert: false },
+                    { type: 'ByteLevel', add_prefix_space: false, use_regex: false }
+                ]
+            }
+        });
+        expect(loadTokenizer(split).count('hello\'S')).toBe(3);
+    });
+});
+
+describe('getTokenizerConfig', () => {
+    test('reads the model table and validates it', () => {
+        expect(getTokenizerConfig({})).toEqual({ table: {} });
+        expect(getTokenizerConfig({ BRIDGE_TOKENIZERS: '{"qwen3*":"/models/qwen3/tokenizer.json"}' }))
+            .toEqual({ table: { 'qwen3*': '/models/qwen3/tokenizer.json' } });
+        expect(() => getTokenizerConfig({ BRIDGE_TOKENIZERS: '{' })).toThrow(/Invalid BRIDGE_TOKENIZERS/);
+        expect(() => getTokenizerConfig({ BRIDGE_TOKENIZERS: '{"qwen3*":""}' })).toThrow(/"qwen3\*" must map to a tokenizer.json path/);
+    });
+});
+
+describe('createTokenCounter', () => {
+    const chat = { messages: [{ role: 'user', content: 'hello hello' }] };
+
+    test('uses the tokenizer of a matching model and the heuristic otherwise', () => {
+        const counter = createTokenCounter({ table: { 'qwen3*': file } });
+        const tokenizer = loadTokenizer(file);
+
+        expect(counter.countRequest('qwen3-coder', chat)).toEqual({
+            tokens: estimateRequestTokens(chat, tokenizer.count),
+            method: 'tokenizer',
+            tokenizer: file
+        });
+        expect(counter.countRequest('llama3', chat)).toEqual({ tokens: estimateRequestTokens(chat), method: 'heuristic' });
+        expect(counter.status()).toEqual([{ models: 'qwen3*', file, vocabSize: 12 }]);
+    });
+
+    test('fails up front for a tokenizer it cannot load', () => {
+        expect(() => createTokenCounter({ table: { 'qwen3*': path.join(dir, 'missing.json') } })).toThrow(/Invalid BRIDGE_TOKENIZERS: Failed to load tokenizer/);
+    });
+});
+
+describe('countTokens endpoints', () => {
+    const upstream = createUpstream();
+    const contents = [{ role: 'user', parts: [{ text: 'hello hello' }] }];
+    let app;
+
+    beforeAll(async () => {
+        await upstream.start();
+        app = createApp({
+            BRIDGE_TARGET_URL: upstream.url,
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0',
+            BRIDGE_TOKENIZERS: JSON.stringify({ 'qwen3*': file })
+        });
+    });
+
+    afterAll(() => upstream.stop());
+
+    test('Gemini :countTokens counts with the model tokenizer, bare or wrapped', async () => {
+        const expected = estimateRequestTokens(cleanRequest({ model: 'qwen3-coder', contents }), loadTokenizer(file).count);
+
+        const bare = await request(app).post('/v1beta/models/qwen3-coder:countTokens').send({ contents });
+        const wrapped = await request(app).post('/v1beta/models/qwen3-coder:countTokens').send({ generateContentRequest: { contents } });
+
+        expect(bare.body).toEqual({ totalTokens: expected });
+        expect(bare.headers['x-bridge-token-count']).toBe('tokenizer');
+        expect(wrapped.body).toEqual({ totalTokens: expected });
+        expect(upstream.requests).toHaveLength(0);
+    });
+
+    test('/v1/chat/completions/count_tokens falls back to the heuristic', async () => {
+        const body = { model: 'llama3', messages: [{ role: 'user', content: 'hello hello' }] };
+
+        const res = await request(app).post('/v1/chat/completions/count_tokens').send(body);
+
+        expect(res.body).toEqual({ object: 'chat.completion.token_count', model: 'llama3', prompt_tokens: estimateRequestTokens(cleanRequest(body)) });
+        expect(res.headers['x-bridge-token-count']).toBe('heuristic');
+    });
+
+    test('/health lists the loaded tokenizers', async () => {
+        expect((await request(app).get('/health')).body.tokenizers).toEqual([{ models: 'qwen3*', file, vocabSize: 12 }]);
+    });
+});
@@ -0,0 +1,168 @@
+const express = require('express');
+const {
+    estimateTextTokens,
+    estimateMessageTokens,
+    estimateRequestTokens,
+    createContextResolver,
+    budgetMaxTokens
+} = require('../tokens');
+const { cleanRequest } = require('../bridge');
+
+describe('estimates', () => {
+    test('count about four characters per token', () => {
+        expect(estimateTextTokens('')).toBe(0);
+        expect(estimateTextTokens('abcdefgh')).toBe(2);
+        expect(estimateTextTokens('abcdefghi')).toBe(3);
+    });
+
+    test('add the chat template overhead, images and tool calls to a message', () => {
+        expect(estimateMessageTokens({ role: 'user', content: 'abcdefgh' })).toBe(6);
+        expect(estimateMessageTokens({
+            role: 'user',
+            content: [{ type: 'text', text: 'abcd' }, { type: 'image_url', image_url: { url: 'data:,' } }]
+        })).toBe(4 + 1 + 768);
+        const call = [{ id: 'c', type: 'function', function: { name: 'ls', arguments: '{}' } }];
+        expect(estimateMessageTokens({ role: 'assistant', content: null, tool_calls: call }))
+            .toBe(4 + estimateTextTokens(JSON.stringify(call)));
+    });
+
+    test('count tool schemas as part of the prompt', () => {
+        const tools = [{ type: 'function', function: { name: 'ls', parameters: { type: 'object' } } }];
+        expect(estimateRequestTokens({ messages: [{ role: 'user', content: 'abcd' }], tools }))
+            .toBe(5 + estimateTextTokens(JSON.stringify(tools)));
+    });
+
+    test('take another text counter', () => {
+        expect(estimateRequestTokens({ messages: [{ role: 'user', content: 'a b c' }] }, text => text.split(' ').length)).toBe(7);
+    });
+});
+
+describe('budgetMaxTokens', () => {
+    test('clamps to what is left of the window', () => {
+        expect(budgetMaxTokens(4096, 30000, 32768)).toBe(2768);
+        expect(budgetMaxTokens(1000, 100, 32768)).toBe(1000);
+        expect(budgetMaxTokens(1000, 40000, 32768)).toBe(1);
+        expect(budgetMaxTokens(undefined, 100, 32768)).toBeUndefined();
+    });
+});
+
+describe('cap-max-tokens', () => {
+    const messages = [{ role: 'user', content: 'x'.repeat(4000) }];
+
+    test('budgets max_tokens and max_completion_tokens against a known window', () => {
+        const cleaned = cleanRequest({ model: 'm', messages, max_tokens: 8000, max_completion_tokens: 8000 }, { contextLength: 2048 });
+        expect(cleaned.max_tokens).toBe(2048 - 1004);
+        expect(cleaned.max_completion_tokens).toBe(2048 - 1004);
+    });
+
+    test('falls back to the fixed cap without one', () => {
+        expect(cleanRequest({ model: 'm', messages, max_tokens: 200000 }).max_tokens).toBe(4096);
+        expect(cleanRequest({ model: 'm', messages, max_tokens: 8000 }).max_tokens).toBe(8000);
+    });
+
+    test('reports a cap', () => {
+        const report = {};
+        cleanRequest({ model: 'm', messages, max_tokens: 8000 }, { contextLength: 2048, report });
+        expect(report.maxTokensCapped).toBe(true);
+    });
+});
+
+describe('createContextResolver', () => {
+    const openai = { type: 'openai', url: 'http://127.0.0.1:1/v1' };
+
+    test('reads the table, globs and regexes included', async () => {
+        const resolve = createContextResolver(openai, {
+            BRIDGE_MODEL_CONTEXT: JSON.stringify({ 'qwen3-coder:30b': 262144, 'llama3*': 8192, '/^phi/i': 4096 })
+        });
+        expect(await resolve('qwen3-coder:30b')).toBe(262144);
+        expect(await resolve('llama3.1:8b')).toBe(8192);
+        expect(await resolve('Phi-4')).toBe(4096);
+        expect(await resolve('other')).toBeNull();
+    });
+
+    test('rejects a table that is not JSON', () => {
+        expect(() => createContextResolver(openai, { BRIDGE_MODEL_CONTEXT: '{' })).toThrow(/Invalid BRIDGE_MODEL_CONTEXT/);
+    });
+
+    test('uses the default length for models it cannot look up', async () => {
+        const resolve = createContextResolver(openai, { BRIDGE_DEFAULT_CONTEXT_LENGTH: '16384' });
+        expect(await resolve('anything')).toBe(16384);
+    });
+
+    test('uses the num_ctx option of an ollama backend', async () => {
+        const resolve = createContextResolver({ type: 'ollama', url: 'http://127.0.0.1:1', options: { num_ctx: 65536 } }, {});
+        expect(await resolve('qwen3')).toBe(65536);
+    });
+
+    test('prefers the num_ctx a request sends to an ollama backend', async () => {
+        const backend = { type: 'ollama', url: 'http://127.0.0.1:1', options: { num_ctx: 65536 } };
+        const resolve = createContextResolver(backend, { BRIDGE_MODEL_CONTEXT: '{"qwen3":32768}' });
+        expect(await resolve('qwen3', {}, backend, { num_ctx: 8192 })).toBe(8192);
+        expect(await resolve('qwen3', {}, backend, { num_ctx: 'big' })).toBe(32768);
+        expect(await resolve('qwen3', {}, openai, { num_ctx: 8192 })).toBe(32768);
+    });
+
+    describe('with /api/show', () => {
+        const shown = [];
+        let failing = false;
+        let server;
+        let ollama;
+
+        beforeAll(done => {
+            const app = express();
+            app.use(express.json());
+            app.post('/api/show', (req, res) => {
+                shown.push(req.body.model);
+                if (failing) {
+                    return res.status(500).json({ error: 'busy' });
+                }
+                if (req.body.model === 'tuned') {
+                    return res.json({ parameters: 'temperature 0.7\nnum_ctx 40960', model_info: { 'qwen3.context_length': 131072 } });
+                }
+                res.json({ model_info: { 'qwen3.context_length': 131072 } });
+            });
+            server = app.listen(0, '127.0.0.1', () => {
+                ollama = { type: 'ollama', url: `http://127.0.0.1:${server.address().port}` };
+                done();
+            });
+        });
+
+        afterAll(done => {
+            server.closeAllConnections();
+            server.close(done);
+        });
+
+        beforeEach(() => {
+            shown.length = 0;
+            failing = false;
+        });
+
+        test('prefers the Modelfile num_ctx over the trained length', async () => {
+            const resolve = createContextResolver(ollama, {});
+            expect(await resolve('tuned')).toBe(40960);
+            expect(await resolve('qwen3')).toBe(131072);
+        });
+
+        test('caches answers', async () => {
+            const resolve = createContextResolver(ollama, {});
+            await resolve('qwen3');
+            await resolve('qwen3');
+            expect(shown).toEqual(['qwen3']);
+        });
+
+        test('does not cache failures', async () => {
+            const resolve = createContextResolver(ollama, { BRIDGE_DEFAULT_CONTEXT_LENGTH: '8192' });
+            failing = true;
+            expect(await resolve('qwen3')).toBe(8192);
+            failing = false;
+            expect(await resolve('qwen3')).toBe(131072);
+            expect(shown).toEqual(['qwen3', 'qwen3']);
+        });
+
+        test('does not ask backends that are not Ollama', async () => {
+            const resolve = createContextResolver({ ...ollama, type: 'openai' }, {});
+            expect(await resolve('qwen3')).toBeNull();
+            expect(shown).toEqual([]);
+        });
+    });
+});
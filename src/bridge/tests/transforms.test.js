@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { getTransformConfig, createTransformPipeline } = require('../transforms');
+const { createApp, cleanRequest } = require('../bridge');
+const { createUpstream, completion, chunk, sendStream, parseEvents } = require('./helpers/upstream');
+
+let dir;
+
+beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-transforms-'));
+});
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Write transform modules into a fresh directory
+ * @param {string} name - Directory name
+ * @param {Object} modules - File name -> module source
+ * @returns {string} - Directory path
+ */
+function writeModules(name, modules) {
+    const moduleDir = path.join(dir, name);
+    fs.mkdirSync(moduleDir);
+    Object.keys(modules).forEach(file => fs.writeFileSync(path.join(moduleDir, file), modules[file]));
+    return moduleDir;
+}
+
+/**
+ * A logger that keeps its records instead of writing them
+ * @param {boolean} [debug] - Report debug as enabled
+ * @returns {Object} - Logger with a `records` array
+ */
+function recordingLogger(debug = false) {
+    const records = [];
+    const log = {
+        records,
+        isLevelEnabled: level => debug || level !== 'debug'
+    };
+    ['debug', 'info', 'warn', 'error'].forEach(level => {
+        log[level] = (msg, fields) => records.push({ level, msg, ...fields });
+    });
+    return log;
+}
+
+describe('getTransformConfig', () => {
+    test('reads the modules directory and the disabled names', () => {
+        expect(getTransformConfig({})).toEqual({ dir: null, disabled: [] });
+        expect(getTransformConfig({ BRIDGE_TRANSFORMS_DIR: '/etc/bridge/transforms', BRIDGE_TRANSFORMS_DISABLE: ' cap-max-tokens, tools ,' }))
+            .toEqual({ dir: '/etc/bridge/transforms', disabled: ['cap-max-tokens', 'tools'] });
+    });
+});
+
+describe('built-in request transforms', () => {
+    test('keep the OpenAI request fields and drop the rest', () => {
+        const cleaned = cleanRequest({
+            model: 'm',
+            messages: [{ role: 'user', content: 'hi' }],
+            seed: 7,
+            parallel_tool_calls: false,
+            reasoning_effort: 'low',
+            response_format: { type: 'json_object' },
+            user: 'ci',
+            safetySettings: [],
+            cachedContent: 'cachedContents/1',
+            vendor_extension: true
+        });
+
+        expect(cleaned).toEqual({
+            model: 'm',
+            messages: [{ role: 'user', content: 'hi' }],
+            seed: 7,
+            parallel_tool_calls: false,
+            response_format: { type: 'json_object' },
+            reasoning_effort: 'low',
+            user: 'ci'
+        });
+        expect(Object.keys(cleaned)).toEqual(['model', 'messages', 'seed', 'parallel_tool_calls', 'response_format', 'reasoning_effort', 'user']);
+    });
+
+    test('can be switched off by name', () => {
+        const source = { model: 'm', messages: [], max_tokens: 200000, safetySettings: [] };
+        expect(cleanRequest(source, { disabled: ['cap-max-tokens'] }).max_tokens).toBe(200000);
+        expect(cleanRequest(source, { disabled: ['strip-gemini-fields'] }).safetySettings).toEqual([]);
+    });
+
+    test('log what each one changed at debug level', () => {
+        const log = recordingLogger(true);
+        cleanRequest({ model: 'm', systemInstruction: { parts: [{ text: 'Be brief' }] }, messages: [], max_tokens: 200000 }, { log });
+
+        expect(log.records.filter(record => record.msg === 'Transform applied')).toEqual([
+            { level: 'debug', msg: 'Transform applied', transform: 'system-instruction', added: [], removed: [], changed: ['messages'] },
+            { level: 'debug', msg: 'Transform applied', transform: 'strip-gemini-fields', added: [], removed: ['systemInstruction'], changed: [] },
+            { level: 'debug', msg: 'Transform applied', transform: 'cap-max-tokens', added: [], removed: [], changed: ['max_tokens'] }
+        ]);
+    });
+});
+
+describe('createTransformPipeline', () => {
+    test('rejects unknown names in the disable list', () => {
+        expect(() => createTransformPipeline({ dir: null, disabled: ['tools', 'nope'] }))
+            .toThrow(/Invalid BRIDGE_TRANSFORMS_DISABLE "tools,nope" \(unknown nope; expected any of gemini-contents/);
+    });
+
+    test('loads modules in file name order and lists every transform', () => {
+        const moduleDir = writeModules('listed', {
+            '20-second.js': 'module.exports = { request: (request) => { request.order.push("second"); } };',
+            '10-first.js': 'module.exports = { name: "first", request: (request) => { request.order.push("first"); } };',
+            'README.md': 'not a module'
+        });
+        const pipeline = createTransformPipeline({ dir: moduleDir, disabled: ['split-reasoning'] });
+
+        const status = pipeline.status();
+        expect(status.slice(-2)).toEqual([
+            { name: 'first', source: path.join(moduleDir, '10-first.js'), enabled: true },
+            { name: '20-second', source: path.join(moduleDir, '20-second.js'), enabled: true }
+        ]);
+        expect(status.find(entry => entry.name === 'split-reasoning')).toEqual({ name: 'split-reasoning', source: 'built-in', enabled: false });
+        expect(status.find(entry => entry.name === 'cap-max-tokens').enabled).toBe(true);
+    });
+
+    test('names the module that cannot be loaded', () => {
+        const broken = writeModules('broken', { 'bad.js': 'module.exports = {' });
+        const empty = writeModules('empty', { 'noop.js': 'module.exports = { name: "noop" };' });
+
+        expect(() => createTransformPipeline({ dir: broken, disabled: [] })).toThrow(/Failed to load transform .*bad\.js/);
+        expect(() => createTransformPipeline({ dir: empty, disabled: [] })).toThrow(/Invalid transform .*noop\.js: expected it to export request\(\) and\/or response\(\)/);
+        expect(() => createTransformPipeline({ dir: path.join(dir, 'missing'), disabled: [] })).toThrow(/Failed to load transforms from/);
+    });
+
+    test('runs request hooks in order, skipping disabled and failing ones', async () => {
+        const moduleDir = writeModules('requests', {
+            'a.js': 'module.exports = { request: (request) => ({ ...request, model: "renamed" }) };',
+            'b.js': 'module.exports = { request: () => { throw new Error("broken hook"); } };',
+            'c.js': 'module.exports = { request: async (request) => { request.temperature = 0; } };',
+            'd.js': 'module.exports = { request: (request) => { request.seed = 1; } };'
+        });
+        const pipeline = createTransformPipeline({ dir: moduleDir, disabled: ['d'] });
+        const log = recordingLogger(true);
+
+        const result = await pipeline.request({ model: 'm', messages: [] }, log);
+
+        expect(result).toEqual({ model: 'renamed', messages: [], temperature: 0 });
+        expect(log.records.find(record => record.level === 'warn')).toMatchObject({ msg: 'Transform failed, request left unchanged', transform: 'b' });
+        expect(log.records.filter(record => record.msg === 'Transform applied').map(record => record.transform)).toEqual(['a', 'c']);
+    });
+
+    test('runs response hooks on JSON bodies and on each streamed chunk', async () => {
+        const moduleDir = writeModules('responses', {
+            'upper.js': [
+                'module.exports = {',
+                '    response(body, context) {',
+                '        if (context.stream && body.choices[0].delta.content === "drop") return null;',
+                '        const choice = body.choices[0];',
+                '        const target = choice.message || choice.delta;',
+                '        if (target.content) target.content = target.content.toUpperCase();',
+                '    }',
+                '};'
+            ].join('\n')
+        });
+        const pipeline = createTransformPipeline({ dir: moduleDir, disabled: [] });
+        const log = recordingLogger();
+
+        const json = await pipeline.response(new Response(JSON.stringify(completion({ content: 'hi' })), {
+            headers: { 'Content-Type': 'application/json' }
+        }), { model: 'm' }, log);
+        expect((await json.json()).choices[0].message.content).toBe('HI');
+
+        const text = [chunk({ content: 'a' }), chunk({ content: 'drop' }), chunk({ content: 'b' }, 'stop')]
+            .map(item => `data: ${JSON.stringify(item)}\n\n`).join('') + 'data: [DONE]\n\n';
+        const streamed = await pipeline.response(new Response(text, { headers: { 'Content-Type': 'text/event-stream' } }), { model: 'm', stream: true }, log);
+        const events = parseEvents(await streamed.text());
+        expect(events.map(event => event.choices ? event.choices[0].delta.content : event)).toEqual(['A', 'B', '[DONE]']);
+    });
+});
+
+describe('transform modules in the bridge', () => {
+    const upstream = createUpstream();
+
+    beforeAll(() => upstream.start());
+
+    afterEach(() => upstream.reset());
+    afterAll(() => upstream.stop());
+
+    test('rewrite the request sent upstream and the response sent back', async () => {
+        const moduleDir = writeModules('bridge', {
+            'tag.js': [
+                'module.exports = {',
+                '    request(request) { request.user = "bridge"; },',
+                '    response(body) {',
+                '        const choice = body.choices[0];',
+                '        const target = choice.message || choice.delta;',
+                '        if (target.content) target.content += "!";',
+                '    }',
+                '};'
+            ].join('\n')
+        });
+        upstream.handler = (req, res) => req.body.stream
+            ? sendStream(res, [chunk({ role: 'assistant', content: 'hi' }), chunk({}, 'stop')])
+            : res.json(completion({ content: 'hi' }));
+        const app = createApp({
+            BRIDGE_TARGET_URL: upstream.url,
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0',
+            BRIDGE_TRANSFORMS_DIR: moduleDir
+        });
+        const body = { model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }] };
+
+        const single = await request(app).post('/v1/chat/completions').send(body);
+        const streamed = await request(app).post('/v1/chat/completions').send({ ...body, stream: true });
+
+        expect(upstream.requests.map(sent => sent.user)).toEqual(['bridge', 'bridge']);
+        expect(single.body.choices[0].message.content).toBe('hi!');
+        expect(parseEvents(streamed.text)[0].choices[0].delta.content).toBe('hi!');
+        expect((await request(app).get('/health')).body.transforms.find(entry => entry.name === 'tag').enabled).toBe(true);
+    });
+});
@@ -0,0 +1,184 @@
+const express = require('express');
+const request = require('supertest');
+const { getPoolConfig, createUpstreamPool, createUpstreamRegistry } = require('../upstreams');
+const { configure: configureLogging } = require('../logger');
+const { createApp } = require('../bridge');
+const { createUpstream } = require('./helpers/upstream');
+
+const config = (extra = {}) => ({ ...getPoolConfig({}), healthCheckInterval: 0, ...extra });
+
+beforeAll(() => configureLogging({ level: 'silent' }));
+
+describe('getPoolConfig', () => {
+    test('has defaults and rejects bad values', () => {
+        expect(getPoolConfig({})).toEqual({ strategy: 'round-robin', healthCheckInterval: 30000, maxFailures: 3, ejectMs: 30000 });
+        expect(() => getPoolConfig({ BRIDGE_UPSTREAM_STRATEGY: 'random' })).toThrow(/Invalid BRIDGE_UPSTREAM_STRATEGY/);
+        expect(() => getPoolConfig({ BRIDGE_UPSTREAM_MAX_FAILURES: '-1' })).toThrow(/non-negative integer/);
+    });
+});
+
+describe('createUpstreamPool', () => {
+    const urls = ['http://a/v1', 'http://b/v1', 'http://c/v1'];
+
+    test('round-robins and skips upstreams already tried', () => {
+        const pool = createUpstreamPool(urls, 'openai', config());
+        expect([pool.pick(), pool.pick(), pool.pick(), pool.pick()].map(member => member.url))
+            .toEqual(['http://a/v1', 'http://b/v1', 'http://c/v1', 'http://a/v1']);
+        expect(pool.pick(new Set(['http://b/v1', 'http://c/v1'])).url).toBe('http://a/v1');
+        expect(pool.pick(new Set(urls))).toBeNull();
+    });
+
+    test('least-in-flight picks the least busy upstream', () => {
+        const pool = createUpstreamPool(urls, 'openai', config({ strategy: 'least-in-flight' }));
+        pool.acquire(pool.members[0]);
+        pool.acquire(pool.members[1]);
+        expect(pool.pick().url).toBe('http://c/v1');
+    });
+
+    test('prefers upstreams with a free slot', () => {
+        const pool = createUpstreamPool(urls, 'openai', config());
+        const busy = member => member.url !== 'http://c/v1';
+        expect(pool.pick(new Set(), busy).url).toBe('http://c/v1');
+        expect(pool.pick(new Set(['http://c/v1']), busy)).not.toBeNull();
+    });
+
+    test('ejects an upstream after repeated failures and takes it back after a success', () => {
+        const pool = createUpstreamPool(urls.slice(0, 2), 'openai', config({ maxFailures: 2 }));
+        const [a] = pool.members;
+        pool.report(a, new Error('ECONNREFUSED'));
+        expect(pool.status()[0].ejected).toBe(false);
+        pool.report(a, new Error('ECONNREFUSED'));
+        expect(pool.status()[0]).toMatchObject({ ejected: true, consecutiveFailures: 2, lastError: 'ECONNREFUSED' });
+        expect([pool.pick(), pool.pick()].map(member => member.url)).toEqual(['http://b/v1', 'http://b/v1']);
+
+        pool.report(a, null);
+        expect(pool.status()[0]).toMatchObject({ ejected: false, consecutiveFailures: 0 });
+    });
+
+    test('still uses an ejected upstream when nothing else is left', () => {
+        const pool = createUpstreamPool(['http://a/v1'], 'openai', config({ maxFailures: 1 }));
+        pool.report(pool.members[0], new Error('down'));
+        expect(pool.pick().url).toBe('http://a/v1');
+    });
+});
+
+describe('health probes', () => {
+    const probes = [];
+    let server;
+    let base;
+
+    beforeAll(done => {
+        const app = express();
+        app.get('/up/v1/models', (req, res) => {
+            probes.push(req.headers.authorization);
+            res.json({ data: [] });
+        });
+        app.get('/down/v1/models', (req, res) => res.status(503).end());
+        app.get('/api/tags', (req, res) => res.json({ models: [] }));
+        server = app.listen(0, '127.0.0.1', () => {
+            base = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.closeAllConnections();
+        server.close(done);
+    });
+
+    test('mark upstreams healthy or not, sending the configured headers', async () => {
+        const pool = createUpstreamPool([`${base}/up/v1`, `${base}/down/v1`], 'openai', config({ headers: { Authorization: 'Bearer upstream-key' } }));
+        await pool.check();
+
+        const [up, down] = pool.status();
+        expect(up).toMatchObject({ healthy: true });
+        expect(down).toMatchObject({ healthy: false, lastError: 'Health probe returned 503' });
+        expect(up.lastCheck).toEqual(expect.any(String));
+        expect(probes).toEqual(['Bearer upstream-key']);
+    });
+
+    test('end an ejection early when the upstream answers again', async () => {
+        const pool = createUpstreamPool([`${base}/up/v1`], 'openai', config({ maxFailures: 1 }));
+        pool.report(pool.members[0], new Error('timeout'));
+        expect(pool.status()[0].ejected).toBe(true);
+        await pool.check();
+        expect(pool.status()[0].ejected).toBe(false);
+    });
+
+    test('ask an Ollama server for /api/tags', async () => {
+        const pool = createUpstreamPool([`${base}/v1`], 'ollama', config());
+        await pool.check();
+        expect(pool.status()[0].healthy).toBe(true);
+    });
+});
+
+describe('createUpstreamRegistry', () => {
+    test('shares one pool per set of upstreams and drops unused ones on configure', () => {
+        const registry = createUpstreamRegistry(config());
+        const backend = { type: 'openai', url: 'http://a/v1', urls: ['http://a/v1', 'http://b/v1'] };
+        const pool = registry.poolFor(backend);
+        expect(registry.poolFor({ ...backend })).toBe(pool);
+
+        registry.configure(config(), [{ type: 'openai', url: 'http://c/v1' }]);
+        expect(registry.status().map(member => member.url)).toEqual(['http://c/v1']);
+        expect(registry.poolFor(backend)).not.toBe(pool);
+        registry.stop();
+    });
+});
+
+describe('failover', () => {
+    const upstream = createUpstream();
+    const spare = createUpstream();
+
+    beforeAll(async () => {
+        await upstream.start();
+        await spare.start();
+    });
+
+    afterEach(() => {
+        upstream.reset();
+        spare.reset();
+    });
+
+    afterAll(async () => {
+        await upstream.stop();
+        await spare.stop();
+    });
+
+    test('moves a request on to the next upstream when one is unreachable', async () => {
+        const app = createApp({
+            BRIDGE_TARGET_URLS: `http://127.0.0.1:1/v1,${upstream.url}`,
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0'
+        });
+
+        const res = await request(app)
+            .post('/v1/chat/completions')
+            .send({ model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }] });
+
+        expect(res.status).toBe(200);
+        expect(upstream.requests).toHaveLength(1);
+        const health = await request(app).get('/health');
+        expect(health.body.upstreams.find(member => member.url === 'http://127.0.0.1:1/v1').consecutiveFailures).toBe(1);
+    });
+
+    test('passes the last 503 through once every upstream failed', async () => {
+        upstream.handler = (req, res) => res.status(503).json({ error: { message: 'loading' } });
+        spare.handler = upstream.handler;
+        const app = createApp({
+            BRIDGE_TARGET_URLS: `${upstream.url},${spare.url}`,
+            BRIDGE_LOG_LEVEL: 'silent',
+            BRIDGE_HEALTH_CHECK_INTERVAL: '0',
+            BRIDGE_MAX_RETRIES: '0'
+        });
+
+        const res = await request(app)
+            .post('/v1/chat/completions')
+            .send({ model: 'qwen3-coder', messages: [{ role: 'user', content: 'hi' }] });
+
+        expect(res.status).toBe(503);
+        expect(res.body.error.message).toBe('loading');
+        expect(upstream.requests).toHaveLength(1);
+        expect(spare.requests).toHaveLength(1);
+    });
+});
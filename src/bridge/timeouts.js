@@ -0,0 +1,153 @@
+/**
+ * Upstream timeouts and retry policy
+ * - connect: how long the upstream host may take to accept a TCP connection
+ * - first byte: how long until the first response body bytes (covers model load time)
+ * - idle: the longest gap allowed between body chunks once the response is flowing
+ */
+
+const { Agent } = require('undici');
+const { readInteger } = require('./config');
+
+/**
+ * Read timeout and retry settings from the environment (milliseconds, 0 disables a timeout)
+ * @param {Object} [env] - Settings; reads BRIDGE_*_TIMEOUT, BRIDGE_MAX_RETRIES, BRIDGE_RETRY_BASE_DELAY and BRIDGE_SSE_HEARTBEAT
+ * @returns {Object} - { connectTimeout, firstByteTimeout, idleTimeout, maxRetries, retryBaseDelay, heartbeatInterval }
+ */
+function getTimeoutConfig(env = process.env) {
+    return {
+        connectTimeout: readInteger(env, 'BRIDGE_CONNECT_TIMEOUT', 10000),
+        firstByteTimeout: readInteger(env, 'BRIDGE_FIRST_BYTE_TIMEOUT', 300000),
+        idleTimeout: readInteger(env, 'BRIDGE_IDLE_TIMEOUT', 120000),
+        maxRetries: readInteger(env, 'BRIDGE_MAX_RETRIES', 2),
+        retryBaseDelay: readInteger(env, 'BRIDGE_RETRY_BASE_DELAY', 500),
+        heartbeatInterval: readInteger(env, 'BRIDGE_SSE_HEARTBEAT', 15000)
+    };
+}
+
+/**
+ * Build a timeout error that aborts the upstream request
+ * @param {string} message - Error message
+ * @param {string} code - Error code (first_byte_timeout, idle_timeout)
+ * @returns {Error} - Error carrying code and a 504 status
+ */
+function timeoutError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 504;
+    return error;
+}
+
+/**
+ * Create the dispatcher upstream requests are sent through, with the connect timeout
+ * fetch exposes no connection timing, so undici's own connect timeout bounds how long an
+ * unreachable (blackholed) host can stall a request - the connection fetch uses is the one timed.
+ * @param {number} timeout - Connect timeout in ms (0 for none)
+ * @returns {Agent|undefined} - Dispatcher for fetch, or undefined for the default one
+ */
+function createDispatcher(timeout) {
+    return timeout ? new Agent({ connect: { timeout } }) : undefined;
+}
+
+/**
+ * Arm first-byte and idle timers that abort an upstream request when it stalls
+ * @param {AbortController} controller - Controller of the upstream request
+ * @param {Object} config - Settings from getTimeoutConfig
+ * @returns {Object} - { guard(response) => Response, clear() }
+ */
+function createWatchdog(controller, config) {
+    let timer = null;
+
+    const arm = (timeout, message, code) => {
+        clearTimeout(timer);
+        if (timeout) {
+            timer = setTimeout(() => controller.abort(timeoutError(message, code)), timeout);
+        }
+    };
+
+    arm(config.firstByteTimeout, `No response from upstream within ${config.firstByteTimeout}ms`, 'first_byte_timeout');
+
+    return {
+        /**
+         * Wrap a response so its body keeps the watchdog fed
+         * @param {Response} response - Upstream response
+         * @returns {Response} - Response with a guarded body
+         */
+        guard(response) {
+            if (!response.body) {
+                clearTimeout(timer);
+                return response;
+            }
+
+            const reader = response.body.getReader();
+            const body = new ReadableStream({
+                async pull(stream) {
+                    try {
+                        const { done, value } = await reader.read();
+                        if (done) {
+                            clearTimeout(timer);
+                            stream.close();
+                            return;
+                        }
+                        arm(config.idleTimeout, `Upstream stalled for more than ${config.idleTimeout}ms`, 'idle_timeout');
+                        stream.enqueue(value);
+                    } catch (error) {
+                        clearTimeout(timer);
+                        stream.error(controller.signal.aborted ? controller.signal.reason : error);
+                    }
+                },
+
+                cancel(reason) {
+                    clearTimeout(timer);
+                    return reader.cancel(reason);
+                }
+            });
+
+            return new Response(body, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers
+            });
+        },
+
+        clear() {
+            clearTimeout(timer);
+        }
+    };
+}
+
+/**
+ * Whether a failed attempt may be retried (nothing reached the model or the client yet)
+ * @param {Error|null} error - Thrown error, if any
+ * @param {Response|null} response - Upstream response, if any
+ * @returns {boolean} - True for connection failures, connect timeouts and 502/503 responses
+ */
+function isRetryable(error, response) {
+    if (response) {
+        return response.status === 502 || response.status === 503;
+    }
+    if (!error) {
+        return false;
+    }
+    const cause = error.cause || error;
+    return ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']
+        .includes(cause.code) || (error.name === 'TypeError' && error.message === 'fetch failed');
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): base * 2^attempt with +/-20% jitter
+ * @param {number} attempt - Retry number
+ * @param {number} base - Base delay in ms
+ * @returns {number} - Delay in ms
+ */
+function backoffDelay(attempt, base) {
+    const delay = base * Math.pow(2, attempt);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+module.exports = {
+    getTimeoutConfig,
+    createDispatcher,
+    createWatchdog,
+    isRetryable,
+    backoffDelay
+};
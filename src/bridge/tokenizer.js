@@ -0,0 +1,346 @@
+/**
+ * Local tokenizers for exact token counts
+ * Loads Hugging Face tokenizer.json files - byte-level BPE, the family of Qwen, Llama 3, DeepSeek
+ * and GPT-2 - and maps them onto models with BRIDGE_TOKENIZERS. Models without a tokenizer are
+ * counted with the ~4 characters per token heuristic of tokens.js.
+ */
+
+const fs = require('fs');
+const { matchesModel } = require('./routing');
+const { estimateRequestTokens, estimateTextTokens } = require('./tokens');
+
+// Pre-tokenization of the plain ByteLevel pre-tokenizer (use_regex: true), as in GPT-2
+const GPT2_PATTERN = '\'s|\'t|\'re|\'ve|\'m|\'ll|\'d| ?\\p{L}+| ?\\p{N}+| ?[^\\s\\p{L}\\p{N}]+|\\s+(?!\\S)|\\s+';
+const NORMALIZERS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+// Distinct words whose token count is remembered per tokenizer - prompts repeat the same words
+const WORD_CACHE_SIZE = 50000;
+// Longest word merged exactly - merging is quadratic in the word length, and a run of letters or
+// digits (base64, minified code) is a single word, so longer ones are estimated instead
+const MAX_WORD_LENGTH = 256;
+
+// file -> { mtimeMs, tokenizer }; reloading the configuration does not re-read unchanged files
+const loaded = new Map();
+
+/**
+ * GPT-2's byte-to-unicode table: every byte maps to a printable character, which is what
+ * byte-level vocabularies are written in (a space is `Ġ`)
+ * @returns {Array<string>} - Character for each byte value
+ */
+function byteAlphabet() {
+    const printable = [];
+    for (let byte = 0; byte < 256; byte++) {
+        if ((byte >= 0x21 && byte <= 0x7e) || (byte >= 0xa1 && byte <= 0xac) || byte >= 0xae) {
+            printable.push(byte);
+        }
+    }
+    const table = new Array(256);
+    let shifted = 0;
+    for (let byte = 0; byte < 256; byte++) {
+        table[byte] = String.fromCharCode(printable.includes(byte) ? byte : 256 + shifted++);
+    }
+    return table;
+}
+
+const BYTE_ALPHABET = byteAlphabet();
+
+/**
+ * Compile a tokenizer.json split pattern for JavaScript
+ * The patterns are Oniguruma; the only construct JavaScript lacks is the case-insensitive
+ * group `(?i:'s|'t...)`, which is spelled out as character classes.
+ * @param {string} pattern - Regex from the tokenizer
+ * @returns {RegExp} - Global unicode regex
+ */
+function compilePattern(pattern) {
+    const source = pattern.replace(/\(\?i:([^()]*)\)/g, (group, body) => '(?:' + body.replace(/\\[pP]\{[^}]*\}|\\.|[a-z]/gi, token =>
+        token.length === 1 ? `[${token.toLowerCase()}${token.toUpperCase()}]` : token) + ')');
+    return new RegExp(source, 'gu');
+}
+
+/**
+ * Split text into the matches of a regex and the text between them (Split behavior "Isolated")
+ * @param {string} text - Text to split
+ * @param {RegExp} regex - Global regex
+ * @returns {Array<string>} - Non-empty pieces in order
+ */
+function splitIsolated(text, regex) {
+    const pieces = [];
+    let last = 0;
+    for (const match of text.matchAll(regex)) {
+        if (match.index > last) {
+            pieces.push(text.slice(last, match.index));
+        }
+        if (match[0]) {
+            pieces.push(match[0]);
+        }
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) {
+        pieces.push(text.slice(last));
+    }
+    return pieces;
+}
+
+/**
+ * Flatten a normalizer or pre-tokenizer that may be a Sequence
+ * @param {Object|null} step - tokenizer.json normalizer / pre_tokenizer
+ * @param {string} key - Key holding the steps of a Sequence
+ * @returns {Array<Object>} - Steps in order
+ */
+function flatten(step, key) {
+    if (!step) {
+        return [];
+    }
+    return step.type === 'Sequence' ? step[key].flatMap(inner => flatten(inner, key)) : [step];
+}
+
+/**
+ * Load a byte-level BPE tokenizer from a Hugging Face tokenizer.json
+ * @param {string} file - Path to tokenizer.json
+ * @returns {Object} - { file, vocabSize, count(text) }
+ */
+function loadTokenizer(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load tokenizer ${file}: ${error.message}`);
+    }
+    const unsupported = (why) => new Error(`Unsupported tokenizer ${file}: ${why} (only byte-level BPE tokenizers are supported)`);
+
+    const model = data.model || {};
+    if (model.type !== 'BPE' || !model.vocab || !Array.isArray(model.merges)) {
+        throw unsupported(`model type ${model.type}`);
+    }
+
+    const normalizers = flatten(data.normalizer, 'normalizers').map(step => {
+        if (NORMALIZERS.includes(step.type)) {
+            return text => text.normalize(step.type);
+        }
+        if (step.type === 'Lowercase') {
+            return text => text.toLowerCase();
+        }
+        throw unsupported(`normalizer ${step.type}`);
+    });
+
+    let byteLevel = null;
+    const splits = [];
+    flatten(data.pre_tokenizer, 'pretokenizers').forEach(step => {
+        if (step.type === 'Split' && !step.invert && step.pattern) {
+            splits.push(step.pattern.Regex !== undefined
+                ? compilePattern(step.pattern.Regex)
+                : new RegExp(step.pattern.String.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gu'));
+        } else if (step.type === 'ByteLevel') {
+            byteLevel = step;
+            if (step.use_regex !== false) {
+                splits.push(compilePattern(GPT2_PATTERN));
+            }
+        } else {
+            throw unsupported(`pre-tokenizer ${step.type}`);
+        }
+    });
+    if (!byteLevel) {
+        throw unsupported('no ByteLevel pre-tokenizer');
+    }
+
+    // Only what counting needs is kept; the parsed file can be collected
+    const vocab = new Set(Object.keys(model.vocab));
+    const ignoreMerges = !!model.ignore_merges;
+    const ranks = new Map();
+    model.merges.forEach((merge, rank) => {
+        ranks.set(Array.isArray(merge) ? merge.join(' ') : merge, rank);
+    });
+
+    // Special tokens (<|im_start|>...) are matched literally and count as one token each
+    const added = (data.added_tokens || []).map(token => token.content).filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map(content => content.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const special = added.length > 0 ? new RegExp(added.join('|'), 'g') : null;
+
+    const words = new Map();
+
+    /**
+     * Tokens of one pre-tokenized word
+     * @param {string} word - Word in the byte alphabet
+     * @returns {number} - Token count
+     */
+    const countWord = (word) => {
+        if (words.has(word)) {
+            return words.get(word);
+        }
+        if (word.length > MAX_WORD_LENGTH) {
+            return estimateTextTokens(word);
+        }
+        let symbols = Array.from(word);
+        if (ignoreMerges && vocab.has(word)) {
+            symbols = [word];
+        }
+        while (symbols.length > 1) {
+            let best = -1;
+            let bestRank = Infinity;
+            for (let i = 0; i < symbols.length - 1; i++) {
+                const rank = ranks.get(symbols[i] + ' ' + symbols[i + 1]);
+                if (rank !== undefined && rank < bestRank) {
+                    bestRank = rank;
+                    best = i;
+                }
+            }
+            if (best === -1) {
+                break;
+            }
+            const left = symbols[best];
+            const right = symbols[best + 1];
+            const merged = [];
+            for (let i = 0; i < symbols.length; i++) {
+                if (i < symbols.length - 1 && symbols[i] === left && symbols[i + 1] === right) {
+                    merged.push(left + right);
+                    i++;
+                } else {
+                    merged.push(symbols[i]);
+                }
+            }
+            symbols = merged;
+        }
+
+        if (words.size >= WORD_CACHE_SIZE) {
+            words.clear();
+        }
+        words.set(word, symbols.length);
+        return symbols.length;
+    };
+
+    /**
+     * Tokens of text containing no special tokens
+     * @param {string} text - Text
+     * @returns {number} - Token count
+     */
+    const countPlain = (text) => {
+        let normalized = normalizers.reduce((current, normalize) => normalize(current), text);
+        if (byteLevel.add_prefix_space && !normalized.startsWith(' ')) {
+            normalized = ' ' + normalized;
+        }
+        const pieces = splits.reduce((current, regex) => current.flatMap(piece => splitIsolated(piece, regex)), [normalized]);
+        return pieces.reduce((sum, piece) => {
+            const word = Array.from(Buffer.from(piece, 'utf8'), byte => BYTE_ALPHABET[byte]).join('');
+            return sum + countWord(word);
+        }, 0);
+    };
+
+    return {
+        file,
+        vocabSize: vocab.size + added.length,
+
+        /**
+         * Count the tokens of a text
+         * @param {string} text - Text
+         * @returns {number} - Token count
+         */
+        count(text) {
+            if (!text) {
+                return 0;
+            }
+            text = String(text);
+            if (!special) {
+                return countPlain(text);
+            }
+            let tokens = 0;
+            let last = 0;
+            for (const match of text.matchAll(special)) {
+                tokens += (match.index > last ? countPlain(text.slice(last, match.index)) : 0) + 1;
+                last = match.index + match[0].length;
+            }
+            return tokens + (last < text.length ? countPlain(text.slice(last)) : 0);
+        }
+    };
+}
+
+/**
+ * Load a tokenizer once per version of its file
+ * @param {string} file - Path to tokenizer.json
+ * @returns {Object} - Tokenizer from loadTokenizer
+ */
+function cachedTokenizer(file) {
+    let mtimeMs;
+    try {
+        mtimeMs = fs.statSync(file).mtimeMs;
+    } catch (error) {
+        throw new Error(`Failed to load tokenizer ${file}: ${error.message}`);
+    }
+    const entry = loaded.get(file);
+    if (entry && entry.mtimeMs === mtimeMs) {
+        return entry.tokenizer;
+    }
+    const tokenizer = loadTokenizer(file);
+    loaded.set(file, { mtimeMs, tokenizer });
+    return tokenizer;
+}
+
+/**
+ * Read the tokenizer table from BRIDGE_TOKENIZERS
+ * A JSON map of model name (`*` globs or /regex/, as in BRIDGE_MODEL_CONTEXT) to tokenizer.json path.
+ * @param {Object} [env] - Settings
+ * @returns {Object} - { table }
+ */
+function getTokenizerConfig(env = process.env) {
+    let table = {};
+    if (env.BRIDGE_TOKENIZERS) {
+        try {
+            table = JSON.parse(env.BRIDGE_TOKENIZERS);
+        } catch (error) {
+            throw new Error('Invalid BRIDGE_TOKENIZERS: ' + error.message);
+        }
+    }
+    Object.keys(table).forEach(pattern => {
+        if (typeof table[pattern] !== 'string' || !table[pattern]) {
+            throw new Error(`Invalid BRIDGE_TOKENIZERS: "${pattern}" must map to a tokenizer.json path`);
+        }
+    });
+    return { table };
+}
+
+/**
+ * Create the token counter used by the countTokens endpoints
+ * Tokenizers are loaded up front, so a missing or unsupported file fails at startup (or reload).
+ * @param {Object} config - Settings from getTokenizerConfig
+ * @returns {Object} - { countRequest(model, request), status() }
+ */
+function createTokenCounter(config) {
+    const tokenizers = new Map();
+    Object.keys(config.table).forEach(pattern => {
+        try {
+            tokenizers.set(pattern, cachedTokenizer(config.table[pattern]));
+        } catch (error) {
+            throw new Error(`Invalid BRIDGE_TOKENIZERS: ${error.message}`);
+        }
+    });
+
+    return {
+        /**
+         * Count the prompt tokens of an OpenAI request
+         * @param {string} model - Model the request goes to
+         * @param {Object} request - OpenAI-compatible request
+         * @returns {Object} - { tokens, method: 'tokenizer'|'heuristic', tokenizer (file, when used) }
+         */
+        countRequest(model, request) {
+            const pattern = [...tokenizers.keys()].find(candidate => matchesModel(candidate, model));
+            if (!pattern) {
+                return { tokens: estimateRequestTokens(request), method: 'heuristic' };
+            }
+            const tokenizer = tokenizers.get(pattern);
+            return { tokens: estimateRequestTokens(request, tokenizer.count), method: 'tokenizer', tokenizer: tokenizer.file };
+        },
+
+        status() {
+            return [...tokenizers.entries()].map(([pattern, tokenizer]) => ({
+                models: pattern,
+                file: tokenizer.file,
+                vocabSize: tokenizer.vocabSize
+            }));
+        }
+    };
+}
+
+module.exports = {
+    loadTokenizer,
+    getTokenizerConfig,
+    createTokenCounter
+};
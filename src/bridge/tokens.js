@@ -0,0 +1,189 @@
+/**
+ * Token estimation and context-window budgeting
+ * Estimates are a heuristic (~4 characters per token) - close enough to keep requests
+ * inside the model window, not exact counts. Exact counts come from a model's own tokenizer
+ * (see tokenizer.js), which can be passed in place of the heuristic.
+ */
+
+const { ollamaBaseUrl } = require('./ollama');
+const { matchesModel } = require('./routing');
+
+const CHARS_PER_TOKEN = 4;
+// Role markers and separators added around every message by chat templates
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Rough cost of one image for vision models
+const IMAGE_TOKENS = 768;
+// Milliseconds to wait for Ollama's /api/show before falling back to the default length
+const LOOKUP_TIMEOUT = 5000;
+
+/**
+ * Estimate the tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTextTokens(text) {
+    if (!text) {
+        return 0;
+    }
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens of a single OpenAI message
+ * @param {Object} message - OpenAI message
+ * @param {Function} [countText] - Text token counter (a tokenizer's count, or the heuristic)
+ * @returns {number} - Estimated token count
+ */
+function estimateMessageTokens(message, countText = estimateTextTokens) {
+    let tokens = MESSAGE_OVERHEAD_TOKENS;
+
+    if (typeof message.content === 'string') {
+        tokens += countText(message.content);
+    } else if (Array.isArray(message.content)) {
+        message.content.forEach(part => {
+            if (part.type === 'text') {
+                tokens += countText(part.text);
+            } else if (part.type === 'image_url') {
+                tokens += IMAGE_TOKENS;
+            }
+        });
+    }
+
+    if (Array.isArray(message.tool_calls)) {
+        tokens += countText(JSON.stringify(message.tool_calls));
+    }
+
+    return tokens;
+}
+
+/**
+ * Estimate the prompt tokens of an OpenAI chat request (messages plus tool schemas)
+ * @param {Object} request - OpenAI-compatible request
+ * @param {Function} [countText] - Text token counter (a tokenizer's count, or the heuristic)
+ * @returns {number} - Estimated prompt token count
+ */
+function estimateRequestTokens(request, countText = estimateTextTokens) {
+    let tokens = 0;
+
+    (request.messages || []).forEach(message => {
+        tokens += estimateMessageTokens(message, countText);
+    });
+
+    if (Array.isArray(request.tools) && request.tools.length > 0) {
+        tokens += countText(JSON.stringify(request.tools));
+    }
+
+    return tokens;
+}
+
+/**
+ * Read the context length Ollama reports for a model via /api/show
+ * A `num_ctx` set in the Modelfile is the real window; otherwise the model's trained context length
+ * @param {string} targetUrl - Configured target URL
+ * @param {string} model - Model name
+ * @param {Object} headers - Headers to send upstream
+ * @returns {Promise<number|null>} - Context length, or null when the model reports none
+ * @throws {Error} - When Ollama cannot be reached in time or answers with an error
+ */
+async function fetchOllamaContextLength(targetUrl, model, headers) {
+    const response = await fetch(ollamaBaseUrl(targetUrl) + '/api/show', {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model }),
+        signal: AbortSignal.timeout(LOOKUP_TIMEOUT)
+    });
+    if (!response.ok) {
+        throw new Error(`Ollama /api/show returned ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    const numCtx = /(?:^|\n)\s*num_ctx\s+(\d+)/.exec(data.parameters || '');
+    if (numCtx) {
+        return parseInt(numCtx[1], 10);
+    }
+
+    const info = data.model_info || {};
+    const key = Object.keys(info).find(name => name.endsWith('.context_length'));
+    return key ? info[key] : null;
+}
+
+/**
+ * Create a per-model context length resolver
+ * Lookup order: the num_ctx the request itself sets in `options` (ollama backend, which runs the
+ * model with it), BRIDGE_MODEL_CONTEXT table (names, `*` globs or /regex/), the ollama backend's
+ * num_ctx option, Ollama /api/show (ollama backend only; answers are cached, failures retried on
+ * the next request), BRIDGE_DEFAULT_CONTEXT_LENGTH. Unknown models resolve to null.
+ * @param {Object} defaultBackend - Backend configuration
+ * @param {Object} [env] - Settings; reads BRIDGE_MODEL_CONTEXT and BRIDGE_DEFAULT_CONTEXT_LENGTH
+ * @returns {Function} - async (model, headers, backend, options) => number|null - options are the
+ *     request's Ollama options
+ */
+function createContextResolver(defaultBackend, env = process.env) {
+    let table = {};
+    if (env.BRIDGE_MODEL_CONTEXT) {
+        try {
+            table = JSON.parse(env.BRIDGE_MODEL_CONTEXT);
+        } catch (error) {
+            throw new Error('Invalid BRIDGE_MODEL_CONTEXT: ' + error.message);
+        }
+    }
+    const defaultLength = parseInt(env.BRIDGE_DEFAULT_CONTEXT_LENGTH, 10) || null;
+    const cache = new Map();
+
+    return async function resolveContextLength(model, headers = {}, backend = defaultBackend, options = {}) {
+        if (backend.type === 'ollama' && Number.isInteger(options.num_ctx) && options.num_ctx > 0) {
+            return options.num_ctx;
+        }
+
+        const key = Object.keys(table).find(pattern => matchesModel(pattern, model));
+        if (key) {
+            return table[key];
+        }
+
+        if (backend.type === 'ollama' && backend.options && backend.options.num_ctx) {
+            return backend.options.num_ctx;
+        }
+
+        // The OpenAI shim of an Ollama server does not run models at the /api/show length, and
+        // other servers have no /api/show at all
+        if (backend.type !== 'ollama') {
+            return defaultLength;
+        }
+
+        const cacheKey = `${backend.url}|${model}`;
+        if (!cache.has(cacheKey)) {
+            try {
+                cache.set(cacheKey, await fetchOllamaContextLength(backend.url, model, headers));
+            } catch (error) {
+                // Unreachable or slow for now - use the default and ask again next time
+                return defaultLength;
+            }
+        }
+
+        return cache.get(cacheKey) || defaultLength;
+    };
+}
+
+/**
+ * Clamp max_tokens to what fits in the context window after the prompt
+ * @param {number|undefined} maxTokens - Requested max_tokens
+ * @param {number} promptTokens - Estimated prompt tokens
+ * @param {number} contextLength - Model context window
+ * @returns {number|undefined} - Clamped max_tokens (undefined stays undefined)
+ */
+function budgetMaxTokens(maxTokens, promptTokens, contextLength) {
+    if (maxTokens === undefined) {
+        return undefined;
+    }
+    const available = Math.max(contextLength - promptTokens, 1);
+    return Math.min(maxTokens, available);
+}
+
+module.exports = {
+    estimateTextTokens,
+    estimateMessageTokens,
+    estimateRequestTokens,
+    createContextResolver,
+    budgetMaxTokens
+};
@@ -0,0 +1,640 @@
+/**
+ * Request and response transforms
+ * cleanRequest is an ordered chain of named transforms, each one step from the client's
+ * (Gemini-flavoured) request towards the OpenAI request sent upstream. Modules in
+ * BRIDGE_TRANSFORMS_DIR run after the built-in chain and may rewrite responses as well, so a
+ * new qwen-code quirk can be handled without touching the bridge. Any transform can be switched
+ * off by name with BRIDGE_TRANSFORMS_DISABLE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { convertSchema, convertTools, convertToolConfig, convertContents } = require('./gemini');
+const { estimateRequestTokens, budgetMaxTokens } = require('./tokens');
+const { trimMessages } = require('./context');
+const { createSSEParser, formatSSE } = require('./sse');
+const { createReasoningSplitter, splitReasoning, getThinkingConfig, thinkingSwitch } = require('./reasoning');
+const { emulateTools, createToolCallParser, parseToolCalls } = require('./emulation');
+
+// Gemini request fields with no OpenAI equivalent, dropped once what they carry was extracted
+const GEMINI_ONLY_FIELDS = ['generationConfig', 'safetySettings', 'systemInstruction', 'toolConfig', 'cachedContent'];
+// Fields an OpenAI-compatible request keeps, in the order they are sent: the Chat Completions
+// request fields, plus top_k which Ollama, vLLM and llama.cpp accept
+const OPENAI_FIELDS = ['model', 'messages', 'temperature', 'tools', 'tool_choice', 'top_p', 'top_k', 'frequency_penalty',
+    'presence_penalty', 'stream', 'stream_options', 'stop', 'n', 'seed', 'parallel_tool_calls', 'max_tokens',
+    'max_completion_tokens', 'response_format', 'logprobs', 'top_logprobs', 'logit_bias', 'reasoning_effort', 'user',
+    'metadata', 'store', 'service_tier', 'modalities', 'prediction', 'audio', 'web_search_options'];
+// Output limits clamped to the context window
+const MAX_TOKEN_FIELDS = ['max_tokens', 'max_completion_tokens'];
+// generationConfig field -> OpenAI request field
+const GENERATION_FIELDS = {
+    temperature: 'temperature',
+    topP: 'top_p',
+    topK: 'top_k',
+    candidateCount: 'n',
+    maxOutputTokens: 'max_tokens',
+    stopSequences: 'stop',
+    seed: 'seed',
+    presencePenalty: 'presence_penalty',
+    frequencyPenalty: 'frequency_penalty'
+};
+// Output tokens kept free when trimming a request that does not set max_tokens
+const DEFAULT_OUTPUT_RESERVE = 1024;
+
+/**
+ * Translate Gemini structured output settings into an OpenAI response_format
+ * `responseSchema` is Gemini's OpenAPI subset and is converted; `responseJsonSchema` already is JSON Schema.
+ * @param {Object} config - Gemini generationConfig
+ * @returns {Object|null} - response_format, or null for plain text output
+ */
+function convertResponseFormat(config) {
+    if (config.responseMimeType !== 'application/json') {
+        return null;
+    }
+    const schema = config.responseJsonSchema || convertSchema(config.responseSchema);
+    if (!schema) {
+        return { type: 'json_object' };
+    }
+    return { type: 'json_schema', json_schema: { name: 'response', schema } };
+}
+
+/**
+ * Built-in request transforms, in the order they run
+ * Each `apply(request, context)` edits the request in place; context holds the client's
+ * `source` request and the cleanRequest options (contextLength, trimMode, toolFormat, report).
+ */
+const REQUEST_TRANSFORMS = [
+    {
+        name: 'gemini-contents',
+        description: 'Convert Gemini contents into OpenAI messages',
+        apply(request) {
+            if (request.messages) {
+                request.messages = [...request.messages];
+            } else if (request.contents) {
+                request.messages = convertContents(request.contents);
+            }
+        }
+    },
+    {
+        name: 'system-instruction',
+        description: 'Turn systemInstruction into a leading system message',
+        apply(request) {
+            if (!request.systemInstruction || !request.systemInstruction.parts) {
+                return;
+            }
+            const systemContent = request.systemInstruction.parts
+                .map(part => part.text || '')
+                .join('\n');
+            if (systemContent) {
+                request.messages = [{ role: 'system', content: systemContent }, ...(request.messages || [])];
+            }
+        }
+    },
+    {
+        name: 'generation-config',
+        description: 'Take sampling settings and structured output (responseMimeType/responseSchema) from generationConfig',
+        apply(request) {
+            const config = request.generationConfig;
+            if (!config) {
+                return;
+            }
+            // Fields the client also sent in OpenAI form win
+            Object.keys(GENERATION_FIELDS).forEach(field => {
+                const target = GENERATION_FIELDS[field];
+                if (request[target] === undefined && config[field] !== undefined) {
+                    request[target] = config[field];
+                }
+            });
+            if (request.response_format === undefined) {
+                const responseFormat = convertResponseFormat(config);
+                if (responseFormat) {
+                    request.response_format = responseFormat;
+                }
+            }
+        }
+    },
+    {
+        name: 'thinking-config',
+        description: 'Turn thinking on or off as generationConfig.thinkingConfig asks (/think, /no_think)',
+        apply(request, context) {
+            const { enabled, budget } = getThinkingConfig(request.generationConfig);
+            if (context.backend === 'ollama') {
+                // Ollama's chat API takes the switch itself as `think` (see ollama.js)
+                if (context.report && budget > 0) {
+                    context.report.thinkingBudgetIgnored = { budget, reason: 'thinking length cannot be limited' };
+                }
+                return;
+            }
+            const command = enabled === undefined ? null : thinkingSwitch(request.model, enabled);
+            const messages = request.messages || [];
+            let last = messages.length - 1;
+            while (last >= 0 && messages[last].role !== 'user') {
+                last--;
+            }
+            // Only on and off can be passed on: a model without the switch keeps its default, and
+            // no model can be held to a number of thinking tokens
+            if (context.report && enabled !== undefined && (!command || last === -1)) {
+                context.report.thinkingBudgetIgnored = { budget, reason: command ? 'no user message for the switch' : 'model has no thinking switch' };
+            } else if (context.report && budget > 0) {
+                context.report.thinkingBudgetIgnored = { budget, reason: 'thinking length cannot be limited' };
+            }
+            if (!command || last === -1) {
+                return;
+            }
+            // The switch goes after the latest user turn, where the model honours it
+            const message = messages[last];
+            const content = Array.isArray(message.content)
+                ? [...message.content, { type: 'text', text: command }]
+                : `${message.content || ''} ${command}`;
+            messages[last] = { ...message, content };
+        }
+    },
+    {
+        name: 'tools',
+        description: 'Convert functionDeclarations and toolConfig into OpenAI tools and tool_choice',
+        apply(request) {
+            const { toolChoice, tools } = convertToolConfig(request.toolConfig, convertTools(request.tools));
+            if (!tools) {
+                delete request.tools;
+                delete request.tool_choice;
+                return;
+            }
+            request.tools = tools;
+            if (request.tool_choice === undefined && toolChoice !== undefined) {
+                request.tool_choice = toolChoice;
+            }
+        }
+    },
+    {
+        name: 'strip-gemini-fields',
+        description: 'Drop fields OpenAI-compatible servers do not know (generationConfig, safetySettings, contents...)',
+        apply(request, context) {
+            const kept = {};
+            OPENAI_FIELDS
+                .filter(field => request[field] !== undefined)
+                .forEach(field => {
+                    kept[field] = request[field];
+                });
+            Object.keys(request).forEach(field => delete request[field]);
+            Object.assign(request, kept);
+
+            const stripped = GEMINI_ONLY_FIELDS.filter(field => context.source[field] !== undefined);
+            if (context.report && stripped.length > 0) {
+                context.report.strippedFields = stripped;
+            }
+        }
+    },
+    {
+        name: 'trim-context',
+        description: 'Trim the oldest turns when the prompt outgrows the context window (BRIDGE_CONTEXT_TRIM)',
+        apply(request, context) {
+            const { contextLength, trimMode, report } = context;
+            if (!contextLength || !trimMode || trimMode === 'off' || !request.messages) {
+                return;
+            }
+            const reserve = Math.min(request.max_tokens || DEFAULT_OUTPUT_RESERVE, Math.floor(contextLength / 4));
+            const budget = contextLength - reserve - estimateRequestTokens({ tools: request.tools });
+            const trimmed = trimMessages(request.messages, budget, trimMode);
+
+            if (trimmed.trimmedMessages > 0) {
+                request.messages = trimmed.messages;
+                if (report) {
+                    report.trimmedMessages = trimmed.trimmedMessages;
+                    report.trimmedTokens = trimmed.trimmedTokens;
+                }
+            }
+        }
+    },
+    {
+        // After trimming, which keeps tool calls and their results together
+        name: 'emulate-tools',
+        description: 'Describe the tools in the system prompt for models without native tool calling (BRIDGE_EMULATED_TOOLS)',
+        apply(request, context) {
+            if (context.toolFormat) {
+                if (context.report && Array.isArray(request.tools) && request.tools.length > 0) {
+                    context.report.emulatedTools = request.tools;
+                }
+                emulateTools(request, context.toolFormat);
+            }
+        }
+    },
+    {
+        // Budgeted against the model window when known, otherwise capped for excessive
+        // requests (qwen-code often requests 200k+)
+        name: 'cap-max-tokens',
+        description: 'Clamp max_tokens (and max_completion_tokens) to what fits in the context window',
+        apply(request, context) {
+            MAX_TOKEN_FIELDS.filter(field => request[field] !== undefined).forEach(field => {
+                const maxTokens = request[field];
+                if (context.contextLength) {
+                    request[field] = budgetMaxTokens(maxTokens, estimateRequestTokens(request), context.contextLength);
+                } else {
+                    request[field] = maxTokens > 100000 ? 4096 : maxTokens;
+                }
+                if (context.report && request[field] < maxTokens) {
+                    context.report.maxTokensCapped = true;
+                }
+            });
+        }
+    }
+];
+
+/**
+ * Built-in response transforms, run before the user modules' response hooks
+ * `create(request, options)` returns the hook for one response (or null when it has nothing to
+ * do), so a hook may keep state across the chunks of a stream.
+ */
+const RESPONSE_TRANSFORMS = [
+    {
+        name: 'split-reasoning',
+        description: 'Move a leading <think> block out of the answer into reasoning_content',
+        create(request, options) {
+            if (!options.splitReasoning) {
+                return null;
+            }
+            // choice index -> splitter, for streams
+            const splitters = new Map();
+
+            return (body) => {
+                (body.choices || []).forEach(choice => {
+                    if (choice.message) {
+                        const message = choice.message;
+                        if (message.reasoning !== undefined && message.reasoning_content === undefined) {
+                            // Ollama's OpenAI API names the field `reasoning`
+                            message.reasoning_content = message.reasoning;
+                            delete message.reasoning;
+                        }
+                        if (typeof message.content === 'string' && !message.reasoning_content) {
+                            const { reasoning, content } = splitReasoning(message.content);
+                            message.content = content;
+                            if (reasoning) {
+                                message.reasoning_content = reasoning;
+                            }
+                        }
+                        return;
+                    }
+
+                    const delta = choice.delta || {};
+                    if (delta.reasoning !== undefined && delta.reasoning_content === undefined) {
+                        delta.reasoning_content = delta.reasoning;
+                        delete delta.reasoning;
+                    }
+                    const index = choice.index || 0;
+                    if (!splitters.has(index)) {
+                        splitters.set(index, createReasoningSplitter());
+                    }
+                    const splitter = splitters.get(index);
+                    const parts = [typeof delta.content === 'string' ? splitter.push(delta.content) : null];
+                    if (choice.finish_reason) {
+                        parts.push(splitter.flush());
+                    }
+                    const reasoning = parts.filter(Boolean).map(part => part.reasoning).join('');
+                    const content = parts.filter(Boolean).map(part => part.content).join('');
+                    if (reasoning) {
+                        delta.reasoning_content = (delta.reasoning_content || '') + reasoning;
+                    }
+                    if (content) {
+                        delta.content = content;
+                    } else if (typeof delta.content === 'string') {
+                        delete delta.content;
+                    }
+                });
+            };
+        }
+    },
+    {
+        name: 'parse-tool-calls',
+        description: 'Turn the tool calls an emulated-tools model wrote into tool_calls',
+        create(request, options) {
+            const format = options.toolFormat;
+            if (!format) {
+                return null;
+            }
+            // IDs follow the response's own, so recorded and cached answers get the same ones
+            let responseId = null;
+            let count = 0;
+            const nextId = () => (responseId ? `call_${responseId}_${count++}` : `call_${count++}`);
+            // choice index -> { parser, calls emitted so far }, for streams
+            const streams = new Map();
+
+            return (body) => {
+                if (!responseId && typeof body.id === 'string') {
+                    responseId = body.id;
+                }
+                (body.choices || []).forEach(choice => {
+                    if (choice.message) {
+                        const message = choice.message;
+                        if (typeof message.content !== 'string') {
+                            return;
+                        }
+                        const { content, toolCalls } = parseToolCalls(message.content, format, nextId, options.onToolCallRepair);
+                        if (toolCalls.length > 0) {
+                            message.content = content || null;
+                            message.tool_calls = [...(message.tool_calls || []), ...toolCalls];
+                            choice.finish_reason = choice.finish_reason === 'length' ? 'length' : 'tool_calls';
+                        }
+                        return;
+                    }
+
+                    const index = choice.index || 0;
+                    if (!streams.has(index)) {
+                        streams.set(index, { parser: createToolCallParser(format, nextId, options.onToolCallRepair), calls: 0 });
+                    }
+                    const state = streams.get(index);
+                    const delta = choice.delta || {};
+                    const parts = [typeof delta.content === 'string' ? state.parser.push(delta.content) : null];
+                    if (choice.finish_reason) {
+                        parts.push(state.parser.flush());
+                    }
+                    const content = parts.filter(Boolean).map(part => part.content).join('');
+                    const toolCalls = parts.filter(Boolean).flatMap(part => part.toolCalls);
+                    if (content) {
+                        delta.content = content;
+                    } else if (typeof delta.content === 'string') {
+                        delete delta.content;
+                    }
+                    if (toolCalls.length > 0) {
+                        delta.tool_calls = toolCalls.map(call => ({ index: state.calls++, ...call }));
+                        choice.delta = delta;
+                    }
+                    if (choice.finish_reason === 'stop' && state.calls > 0) {
+                        choice.finish_reason = 'tool_calls';
+                    }
+                });
+            };
+        }
+    }
+];
+
+const BUILT_IN_NAMES = [...REQUEST_TRANSFORMS, ...RESPONSE_TRANSFORMS].map(transform => transform.name);
+
+/**
+ * Whether a streamed chunk carries nothing: no usage, and only choices with an empty delta that do not finish
+ * @param {Object} chunk - chat.completion.chunk
+ * @returns {boolean} - True when there is nothing to send
+ */
+function isEmptyChunk(chunk) {
+    return !chunk.usage && Array.isArray(chunk.choices) && chunk.choices.length > 0 &&
+        chunk.choices.every(choice => !choice.finish_reason && Object.keys(choice.delta || {}).length === 0);
+}
+
+/**
+ * Read transform settings from the environment
+ * @param {Object} [env] - Settings; reads BRIDGE_TRANSFORMS_DIR and BRIDGE_TRANSFORMS_DISABLE
+ * @returns {Object} - { dir, disabled }
+ */
+function getTransformConfig(env = process.env) {
+    return {
+        dir: env.BRIDGE_TRANSFORMS_DIR || null,
+        disabled: (env.BRIDGE_TRANSFORMS_DISABLE || '').split(',').map(name => name.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * JSON of each top-level field, to tell what a transform changed
+ * @param {Object} request - Request
+ * @returns {Object} - Field name -> JSON
+ */
+function snapshot(request) {
+    const fields = {};
+    Object.keys(request).forEach(field => {
+        fields[field] = JSON.stringify(request[field]);
+    });
+    return fields;
+}
+
+/**
+ * Top-level fields a transform added, removed or changed
+ * @param {Object} before - Field name -> JSON before the transform
+ * @param {Object} request - Request after it
+ * @returns {Object|null} - { added, removed, changed }, or null when nothing changed
+ */
+function describeChanges(before, request) {
+    const after = snapshot(request);
+    const added = Object.keys(after).filter(field => !(field in before));
+    const removed = Object.keys(before).filter(field => !(field in after));
+    const changed = Object.keys(after).filter(field => field in before && before[field] !== after[field]);
+    if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+        return null;
+    }
+    return { added, removed, changed };
+}
+
+/**
+ * Run the built-in request transforms
+ * @param {Object} request - Working copy of the client's request (edited in place)
+ * @param {Object} context - { source, contextLength, trimMode, toolFormat, backend, report }
+ * @param {Array<string>} [disabled] - Names of transforms to skip
+ * @param {Object} [log] - Logger; at debug level each transform that changed the request is logged
+ * @returns {Object} - The transformed request
+ */
+function applyRequestTransforms(request, context, disabled = [], log = null) {
+    const tracing = !!log && log.isLevelEnabled('debug');
+
+    REQUEST_TRANSFORMS.forEach(transform => {
+        if (disabled.includes(transform.name)) {
+            return;
+        }
+        const before = tracing ? snapshot(request) : null;
+        transform.apply(request, context);
+        const changes = tracing ? describeChanges(before, request) : null;
+        if (changes) {
+            log.debug('Transform applied', { transform: transform.name, ...changes });
+        }
+    });
+    return request;
+}
+
+/**
+ * Load the transform modules in a directory, in file name order
+ * A module exports { name, request(request, context), response(body, context) }; `name`
+ * defaults to the file name and either function may be left out. Modules are re-read on every
+ * load so a configuration reload picks up edits.
+ * @param {string} dir - Directory of .js modules
+ * @returns {Array<Object>} - { name, file, request, response }
+ */
+function loadTransformModules(dir) {
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(name => /\.c?js$/.test(name)).sort();
+    } catch (error) {
+        throw new Error(`Failed to load transforms from ${dir}: ${error.message}`);
+    }
+
+    return files.map(name => {
+        const file = path.resolve(dir, name);
+        let exported;
+        try {
+            delete require.cache[file];
+            exported = require(file);
+        } catch (error) {
+            throw new Error(`Failed to load transform ${file}: ${error.message}`);
+        }
+        if (!exported || (typeof exported.request !== 'function' && typeof exported.response !== 'function')) {
+            throw new Error(`Invalid transform ${file}: expected it to export request() and/or response() functions`);
+        }
+        return {
+            name: typeof exported.name === 'string' && exported.name ? exported.name : path.basename(name, path.extname(name)),
+            file,
+            request: typeof exported.request === 'function' ? exported.request : null,
+            response: typeof exported.response === 'function' ? exported.response : null
+        };
+    });
+}
+
+/**
+ * Create the transform pipeline: which built-in transforms run, and the user modules
+ * @param {Object} config - Settings from getTransformConfig
+ * @returns {Object} - { disabled, request, response, status }
+ */
+function createTransformPipeline(config) {
+    const modules = config.dir ? loadTransformModules(config.dir) : [];
+    const known = [...BUILT_IN_NAMES, ...modules.map(module => module.name)];
+    const unknown = config.disabled.filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid BRIDGE_TRANSFORMS_DISABLE "${config.disabled.join(',')}" (unknown ${unknown.join(', ')}; expected any of ${known.join(', ')})`);
+    }
+
+    const active = modules.filter(module => !config.disabled.includes(module.name));
+    const requestHooks = active.filter(module => module.request);
+    const responseHooks = active.filter(module => module.response);
+
+    /**
+     * Pass one response body through the response hooks
+     * A hook returns the new body, or nothing after editing it in place; a streamed chunk a
+     * hook returns null for is dropped.
+     * @param {Object} body - chat.completion or chat.completion.chunk
+     * @param {Array<Object>} hooks - { name, response } in the order they run
+     * @param {Object} context - { request, stream, log }
+     * @returns {Object|null} - Transformed body
+     */
+    const applyResponseHooks = (body, hooks, context) => hooks.reduce((current, module) => {
+        if (current === null) {
+            return null;
+        }
+        try {
+            const result = module.response(current, context);
+            return result === undefined ? current : result;
+        } catch (error) {
+            context.log.warn('Transform failed, response left unchanged', { transform: module.name, error });
+            return current;
+        }
+    }, body);
+
+    return {
+        disabled: config.disabled,
+
+        /**
+         * Run the user modules' request hooks on a cleaned request
+         * A hook returns the new request, or nothing after editing it in place; a hook that
+         * throws is logged and skipped.
+         * @param {Object} request - Cleaned OpenAI request
+         * @param {Object} log - Request logger
+         * @returns {Promise<Object>} - Transformed request
+         */
+        async request(request, log) {
+            let current = request;
+            for (const module of requestHooks) {
+                const tracing = log.isLevelEnabled('debug');
+                const before = tracing ? snapshot(current) : null;
+                try {
+                    const result = await module.request(current, { log });
+                    current = result === undefined ? current : result;
+                } catch (error) {
+                    log.warn('Transform failed, request left unchanged', { transform: module.name, error });
+                    continue;
+                }
+                const changes = tracing ? describeChanges(before, current) : null;
+                if (changes) {
+                    log.debug('Transform applied', { transform: module.name, ...changes });
+                }
+            }
+            return current;
+        },
+
+        /**
+         * Run the built-in response transforms and the user modules' response hooks on a successful response
+         * JSON bodies are transformed whole, SSE streams chunk by chunk as they arrive.
+         * @param {Response} response - Response for the client (already shaped by its stream flag)
+         * @param {Object} request - Cleaned request it answers
+         * @param {Object} log - Request logger
+         * @param {Object} [options] - { toolFormat, onToolCallRepair, splitReasoning } - how the request's tools
+         *     were emulated, if they were, where calls the model wrote as almost-JSON are reported once
+         *     repaired (repair is off without it), and whether a leading <think> block is split off
+         * @returns {Promise<Response>} - Transformed response
+         */
+        async response(response, request, log, options = {}) {
+            const hooks = [
+                ...RESPONSE_TRANSFORMS
+                    .filter(transform => !config.disabled.includes(transform.name))
+                    .map(transform => ({ name: transform.name, response: transform.create(request, options) }))
+                    .filter(hook => hook.response),
+                ...responseHooks
+            ];
+            if (hooks.length === 0 || !response.ok || !response.body) {
+                return response;
+            }
+            const context = { request, stream: request.stream === true, log };
+
+            if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+                const body = applyResponseHooks(await response.json(), hooks, context);
+                return new Response(JSON.stringify(body), {
+                    status: response.status,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            const parser = createSSEParser();
+            const decoder = new TextDecoder();
+            const encoder = new TextEncoder();
+            const format = (events) => events.map(event => {
+                let chunk;
+                try {
+                    chunk = event.data === '[DONE]' ? null : JSON.parse(event.data);
+                } catch (error) {
+                    chunk = null;
+                }
+                if (!chunk || chunk.error) {
+                    return formatSSE(event.data, event.event);
+                }
+                // Text held back (a tag cut in half, a tool call being written) can leave nothing to send
+                const wasEmpty = isEmptyChunk(chunk);
+                const result = applyResponseHooks(chunk, hooks, context);
+                return result && (wasEmpty || !isEmptyChunk(result)) ? formatSSE(result, event.event) : '';
+            }).join('');
+
+            const body = response.body.pipeThrough(new TransformStream({
+                transform(bytes, controller) {
+                    const text = format(parser.push(decoder.decode(bytes, { stream: true })));
+                    if (text) {
+                        controller.enqueue(encoder.encode(text));
+                    }
+                },
+                flush(controller) {
+                    const text = format([...parser.push(decoder.decode()), ...parser.flush()]);
+                    if (text) {
+                        controller.enqueue(encoder.encode(text));
+                    }
+                }
+            }));
+            return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+        },
+
+        /**
+         * Transforms in the order they run, for /health
+         * @returns {Array<Object>} - { name, source, enabled }
+         */
+        status() {
+            return [
+                ...BUILT_IN_NAMES.map(name => ({ name, source: 'built-in', enabled: !config.disabled.includes(name) })),
+                ...modules.map(module => ({ name: module.name, source: module.file, enabled: !config.disabled.includes(module.name) }))
+            ];
+        }
+    };
+}
+
+module.exports = {
+    getTransformConfig,
+    applyRequestTransforms,
+    createTransformPipeline
+};
@@ -0,0 +1,232 @@
+/**
+ * Upstream pools: load balancing, health checks and failover across several target servers
+ */
+
+const { ollamaBaseUrl } = require('./ollama');
+const { logger } = require('./logger');
+const { readInteger } = require('./config');
+
+const STRATEGIES = ['round-robin', 'least-in-flight'];
+
+/**
+ * Read the pool settings from the environment
+ * @param {Object} [env] - Settings; reads BRIDGE_UPSTREAM_STRATEGY, BRIDGE_HEALTH_CHECK_INTERVAL and BRIDGE_UPSTREAM_*
+ * @returns {Object} - { strategy, healthCheckInterval, maxFailures, ejectMs }
+ */
+function getPoolConfig(env = process.env) {
+    const strategy = (env.BRIDGE_UPSTREAM_STRATEGY || 'round-robin').toLowerCase();
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid BRIDGE_UPSTREAM_STRATEGY "${env.BRIDGE_UPSTREAM_STRATEGY}" (expected ${STRATEGIES.join(' or ')})`);
+    }
+
+    return {
+        strategy,
+        healthCheckInterval: readInteger(env, 'BRIDGE_HEALTH_CHECK_INTERVAL', 30000),
+        maxFailures: readInteger(env, 'BRIDGE_UPSTREAM_MAX_FAILURES', 3),
+        ejectMs: readInteger(env, 'BRIDGE_UPSTREAM_EJECT_MS', 30000)
+    };
+}
+
+/**
+ * Create a pool of equivalent upstream servers
+ * @param {Array<string>} urls - Upstream base URLs
+ * @param {string} type - Backend type (openai or ollama), decides the health probe path
+ * @param {Object} config - Settings from getPoolConfig, plus the `headers` health probes send
+ *     (the upstream API key)
+ * @returns {Object} - Pool with pick/acquire/release/check/status/stop
+ */
+function createUpstreamPool(urls, type, config) {
+    const members = urls.map(url => ({
+        url,
+        healthy: true,
+        inFlight: 0,
+        consecutiveFailures: 0,
+        ejectedUntil: 0,
+        lastError: null,
+        lastCheck: null
+    }));
+    let next = 0;
+    let timer = null;
+
+    const available = (member) => member.healthy && member.ejectedUntil <= Date.now();
+
+    const pool = {
+        members,
+
+        /**
+         * Pick the next upstream, skipping ones already tried for this request
+         * Unhealthy/ejected upstreams are only used when nothing else is left, and busy ones
+         * (no free concurrency slot) only when every healthy upstream is busy
+         * @param {Set<string>} [exclude] - URLs already tried
+         * @param {Function} [busy] - (member) => true when the upstream would make the request wait
+         * @returns {Object|null} - Pool member, or null when every upstream was tried
+         */
+        pick(exclude = new Set(), busy = () => false) {
+            const untried = members.filter(member => !exclude.has(member.url));
+            if (untried.length === 0) {
+                return null;
+            }
+            const healthy = untried.filter(available);
+            const usable = healthy.length > 0 ? healthy : untried;
+            const free = usable.filter(member => !busy(member));
+            const candidates = free.length > 0 ? free : usable;
+
+            if (config.strategy === 'least-in-flight') {
+                return candidates.reduce((best, member) => member.inFlight < best.inFlight ? member : best);
+            }
+
+            // Round-robin over the full member list so the rotation stays stable as health changes
+            for (let i = 0; i < members.length; i++) {
+                const member = members[(next + i) % members.length];
+                if (candidates.includes(member)) {
+                    next = (members.indexOf(member) + 1) % members.length;
+                    return member;
+                }
+            }
+            return candidates[0];
+        },
+
+        acquire(member) {
+            member.inFlight++;
+        },
+
+        /**
+         * Finish a request on an upstream, updating passive health
+         * @param {Object} member - Pool member
+         * @param {Error|null} error - Failure (connection error or 5xx), or null on success
+         */
+        release(member, error) {
+            member.inFlight = Math.max(member.inFlight - 1, 0);
+            pool.report(member, error);
+        },
+
+        report(member, error) {
+            if (!error) {
+                member.consecutiveFailures = 0;
+                member.ejectedUntil = 0;
+                member.healthy = true;
+                return;
+            }
+            member.consecutiveFailures++;
+            member.lastError = error.message;
+            if (config.maxFailures > 0 && member.consecutiveFailures >= config.maxFailures) {
+                member.ejectedUntil = Date.now() + config.ejectMs;
+                logger.warn('Ejecting upstream', { upstream: member.url, consecutiveFailures: member.consecutiveFailures, ejectMs: config.ejectMs });
+            }
+        },
+
+        /**
+         * Actively probe every upstream's model list
+         * @returns {Promise<void>}
+         */
+        async check() {
+            await Promise.all(members.map(async member => {
+                const url = type === 'ollama' ? ollamaBaseUrl(member.url) + '/api/tags' : member.url + '/models';
+                try {
+                    const response = await fetch(url, { headers: config.headers, signal: AbortSignal.timeout(5000) });
+                    member.healthy = response.ok;
+                    member.lastError = response.ok ? member.lastError : `Health probe returned ${response.status}`;
+                    if (response.ok) {
+                        member.ejectedUntil = 0;
+                        member.consecutiveFailures = 0;
+                    }
+                } catch (error) {
+                    member.healthy = false;
+                    member.lastError = error.message;
+                }
+                member.lastCheck = new Date().toISOString();
+            }));
+        },
+
+        start() {
+            if (config.healthCheckInterval > 0 && !timer) {
+                timer = setInterval(() => pool.check(), config.healthCheckInterval);
+                timer.unref();
+            }
+        },
+
+        stop() {
+            if (timer) {
+                clearInterval(timer);
+                timer = null;
+            }
+        },
+
+        status() {
+            return members.map(member => ({
+                url: member.url,
+                healthy: member.healthy,
+                ejected: member.ejectedUntil > Date.now(),
+                inFlight: member.inFlight,
+                consecutiveFailures: member.consecutiveFailures,
+                lastError: member.lastError,
+                lastCheck: member.lastCheck
+            }));
+        }
+    };
+
+    return pool;
+}
+
+/**
+ * Create a registry handing out one pool per distinct set of upstream URLs
+ * @param {Object} config - Settings from getPoolConfig, plus the `headers` health probes send
+ * @returns {Object} - { poolFor(backend), configure(config, backends), status(), stop() }
+ */
+function createUpstreamRegistry(config) {
+    const pools = new Map();
+    // Shared by every pool so a reload reaches them all
+    const settings = { ...config };
+
+    const keyFor = (backend) => `${backend.type}|${(backend.urls || [backend.url]).join(',')}`;
+
+    const registry = {
+        poolFor(backend) {
+            const key = keyFor(backend);
+            if (!pools.has(key)) {
+                const pool = createUpstreamPool(backend.urls || [backend.url], backend.type, settings);
+                pool.start();
+                pools.set(key, pool);
+            }
+            return pools.get(key);
+        },
+
+        /**
+         * Apply new settings and the backends now in use
+         * Pools for upstreams still in use keep their health state; the others stop probing and
+         * are dropped (requests already on them finish normally).
+         * @param {Object} next - Settings from getPoolConfig, plus the `headers` health probes send
+         * @param {Array<Object>} backends - Backends in use
+         */
+        configure(next, backends) {
+            Object.assign(settings, next);
+            const keys = new Set(backends.map(keyFor));
+            pools.forEach((pool, key) => {
+                pool.stop();
+                if (!keys.has(key)) {
+                    pools.delete(key);
+                }
+            });
+            pools.forEach(pool => pool.start());
+            backends.forEach(backend => registry.poolFor(backend));
+        },
+
+        status() {
+            const seen = new Map();
+            pools.forEach(pool => pool.status().forEach(member => seen.set(member.url, member)));
+            return [...seen.values()];
+        },
+
+        stop() {
+            pools.forEach(pool => pool.stop());
+        }
+    };
+
+    return registry;
+}
+
+module.exports = {
+    getPoolConfig,
+    createUpstreamPool,
+    createUpstreamRegistry
+};
@@ -12,6 +12,13 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Gemini tools carry functionDeclarations, OpenAI tools are {type: 'function'}
+ */
+function hasGeminiTools(tools) {
+    return Array.isArray(tools) && tools.some(tool => tool && tool.type !== 'function');
+}
+
 class MockOllamaServer {
     constructor(port = 8443, logFile = '/tmp/mock-ollama-requests.log') {
         this.port = port;
@@ -94,7 +101,7 @@ class MockOllamaServer {
             const hasGeminiFields = !!(
                 req.body.generationConfig ||
                 req.body.safetySettings ||
-                req.body.tools ||
+                hasGeminiTools(req.body.tools) ||
                 req.body.toolConfig ||
                 req.body.systemInstruction
             );
@@ -200,7 +207,7 @@ class MockOllamaServer {
         const hasGeminiFields = !!(
             body.generationConfig ||
             body.safetySettings ||
-            body.tools ||
+            hasGeminiTools(body.tools) ||
             body.toolConfig ||
             body.systemInstruction
         );
@@ -210,7 +217,8 @@ class MockOllamaServer {
                 valid: false, 
                 error: 'Expected OpenAI format but received Gemini fields',
                 geminiFields: Object.keys(body).filter(key => 
-                    ['generationConfig', 'safetySettings', 'tools', 'toolConfig', 'systemInstruction'].includes(key)
+                    ['generationConfig', 'safetySettings', 'toolConfig', 'systemInstruction'].includes(key) ||
+                    (key === 'tools' && hasGeminiTools(body.tools))
                 )
             };
         }